@@ -0,0 +1,2566 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const multer = require('multer');
+const cors = require('cors');
+const path = require('path');
+const turf = require('@turf/turf');
+const { createStore } = require('./lib/storage');
+const { createRepository } = require('./lib/repository');
+const {
+    DEFAULT_WORKSPACE_ID,
+    WORKSPACE_SETTINGS,
+    WORKSPACE_FIELDS,
+    WORKSPACE_UPDATE_FIELDS,
+    COPY_FIELDS,
+    scopedStore,
+    createWorkspaceRepository,
+    copyCenters
+} = require('./lib/workspaces');
+const { CENTER_FIELDS, TENANT_FIELDS, COORDINATE_FIELDS, leaseDateErrors } = require('./lib/validation');
+const { loadBlockGroupIndex } = require('./lib/block-groups');
+const { DEFAULT_PROFILES, ACS_QUERY, censusVariables, parseBlockGroup, aggregateDemographics, vintageGrowth } = require('./lib/demographics');
+const { CensusApiError, createCensusClient } = require('./lib/census-client');
+const { MAX_RING_MILES, parseRings, ringDeltas, rankAgainstPortfolio, parseTradeAreaGeometry } = require('./lib/trade-area');
+const { createGeocoder, centerAddress } = require('./lib/geocoder');
+const { IMPORT_MODES, parseCsv, importRecords, previewImport } = require('./lib/importer');
+const { IMPORT_COLUMNS, MAPPING_FIELDS, validateMapping, applyMapping, createMappingRepository } = require('./lib/column-mappings');
+const { createImportJobManager, summarizeJob } = require('./lib/import-jobs');
+const { CENTER_LIST_QUERY, centerRow, parseCenterQuery, hasFilters, filterCenters, queryCenters } = require('./lib/center-query');
+const {
+    NEARBY_QUERY,
+    BBOX_QUERY,
+    CO_TENANCY_QUERY,
+    createCenterIndex,
+    parseNearbyQuery,
+    parseBBoxQuery,
+    parseCoTenancyQuery,
+    matchingSpaces,
+    coTenancySearch
+} = require('./lib/proximity');
+const { slugify, createBrandRegistry, brandLocations, summarizeBrand } = require('./lib/brands');
+const { runWithAuditContext, createAuditLog, leasingActivity } = require('./lib/audit');
+const { createEventBus } = require('./lib/events');
+const { DELIVERY_STATUSES, WEBHOOK_FIELDS, summarizeDelivery, createWebhookManager } = require('./lib/webhooks');
+const { API_KEY_FIELDS, canAccessWorkspace, createApiKeyRepository, createAuth, corsOrigins } = require('./lib/auth');
+const { PORTFOLIO_GROUPS, classifySpace, centerOccupancy, portfolioOccupancy } = require('./lib/occupancy');
+const { MAX_PROJECTION_MONTHS, annualBaseRent, expirationSchedule, projectRent } = require('./lib/leases');
+const { COMPARABLES_QUERY, parseComparablesQuery, centerProfile, unusableAttributes, rankComparables, benchmark } = require('./lib/comparables');
+const { OPPORTUNITIES_QUERY, findOpportunities } = require('./lib/opportunities');
+const { EXPORT_FORMATS, ROSTER_FORMATS, CONTENT_TYPES, escapeCSV, writeCenterExport, writeRoster } = require('./lib/exports');
+const { sendError, errorHandler } = require('./lib/errors');
+const { logger, runWithLogContext } = require('./lib/logger');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, createRegistry } = require('./lib/metrics');
+const { createReadinessCheck } = require('./lib/readiness');
+const { invalidRequest, validateObject, validateRequest } = require('./lib/schema');
+const { buildOpenApiSpec } = require('./lib/openapi');
+const { version } = require('./package.json');
+
+// Radius demographics kept in memory (see demographicsForRadius): how many,
+// and for how long
+const DEMOGRAPHICS_MEMO_SIZE = parseInt(process.env.DEMOGRAPHICS_MEMO_SIZE) || 5000;
+const DEMOGRAPHICS_MEMO_TTL_MS = (parseFloat(process.env.DEMOGRAPHICS_MEMO_TTL_MINUTES) || 60) * 60 * 1000;
+
+// The ShopWindow app: every route and the services behind them, ready to be
+// served but not listening. server.js starts it; tests create their own.
+//
+// Services are configured from the environment unless given:
+//   store            - main data store
+//   censusCacheStore - store for cached Census API responses
+//   webhookStore     - store for the webhook delivery log
+//   censusClient     - Census Data API client
+//   geocoder         - address geocoder
+//   blockGroupsFile  - block group geography file
+//   auth             - options for createAuth (disabled, bootstrapKey, ...)
+//   webhooks         - options for createWebhookManager (retryBaseMs, ...)
+//   readiness        - options for createReadinessCheck (timeoutMs, cacheMs)
+//   metricsToken     - bearer token /metrics asks for (METRICS_TOKEN)
+//   demographicsMemo - { maxEntries, ttlMs } for memoized radius demographics
+function createApp(options = {}) {
+    const app = express();
+
+    // Persistent storage (driver picked by STORAGE_DRIVER, JSON file by default)
+    const store = options.store || createStore();
+
+    // Portfolio events, sent on to webhook subscribers. The delivery log is
+    // kept in its own store.
+    const events = createEventBus();
+    const webhookStore = options.webhookStore || createStore({
+        filePath: process.env.WEBHOOK_DELIVERIES_FILE || path.join('data', 'webhook-deliveries.json')
+    });
+    const webhooks = createWebhookManager({ store, deliveryStore: webhookStore, events, ...options.webhooks });
+
+    // Workspaces; each has its own services over its own data (see servicesFor)
+    const workspaceRecords = createWorkspaceRepository(store);
+
+    // API keys and session tokens; see lib/auth.js for the roles
+    const apiKeys = createApiKeyRepository(store);
+    const auth = createAuth(apiKeys, options.auth);
+    const { requireRole } = auth;
+
+    // Prometheus metrics, served at /metrics. Counts kept elsewhere (the
+    // geocoder's, the Census client's, the logger's) are read when scraped.
+    const metrics = createRegistry({ prefix: 'shopwindow_' });
+    const httpRequests = metrics.counter({
+        name: 'http_requests_total',
+        help: 'HTTP requests answered, by route and status code',
+        labels: ['method', 'route', 'status']
+    });
+    const httpDuration = metrics.histogram({
+        name: 'http_request_duration_seconds',
+        help: 'Time taken to answer HTTP requests, by route',
+        labels: ['method', 'route']
+    });
+    const importJobsFinished = metrics.counter({
+        name: 'import_jobs_total',
+        help: 'Import jobs finished, by outcome',
+        labels: ['status', 'dry_run']
+    });
+    const importRows = metrics.counter({
+        name: 'import_rows_total',
+        help: 'CSV rows handled by finished imports (dry runs left out), by outcome',
+        labels: ['outcome']
+    });
+
+    // Every request gets an id, taken from X-Request-Id when the caller sends
+    // a sensible one, that is echoed back and added to everything logged
+    // while handling it. Each request is logged and timed once answered.
+    const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+    app.use((req, res, next) => {
+        const given = req.get('X-Request-Id');
+        req.id = given && REQUEST_ID.test(given) ? given : uuidv4();
+        res.setHeader('X-Request-Id', req.id);
+
+        const started = process.hrtime.bigint();
+        res.on('finish', () => {
+            const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+            // Routes are labelled by pattern, so ids don't make new series
+            const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+            httpRequests.inc({ method: req.method, route, status: res.statusCode });
+            httpDuration.observe({ method: req.method, route }, seconds);
+
+            const entry = {
+                request_id: req.id,
+                method: req.method,
+                path: req.originalUrl,
+                route,
+                status: res.statusCode,
+                duration_ms: Math.round(seconds * 1e6) / 1e3,
+                workspace: req.workspace ? req.workspace.id : null,
+                actor: req.auth ? req.auth.id : null
+            };
+            if (res.statusCode >= 500) {
+                logger.error('Request failed', entry);
+            } else {
+                logger.info('Request', entry);
+            }
+        });
+
+        runWithLogContext({ request_id: req.id }, next);
+    });
+
+    // Middleware
+    app.use(cors({ origin: corsOrigins() }));
+    app.use(express.json());
+    app.use(express.static('public')); // Serve static files if needed
+
+    // Routes under /api/workspaces/:workspace/ are the plain /api routes run
+    // against that workspace's data; plain /api routes use the default one
+    const WORKSPACE_PATH = /^\/api\/workspaces\/([^/?]+)(\/[^?]+.*)$/;
+
+    app.use((req, res, next) => {
+        const match = WORKSPACE_PATH.exec(req.url);
+        if (match) {
+            req.workspaceId = decodeURIComponent(match[1]);
+            req.url = '/api' + match[2];
+        } else {
+            req.workspaceId = DEFAULT_WORKSPACE_ID;
+        }
+        next();
+    });
+
+    // Every API route needs a key or token; read-only is the lowest role, so
+    // routes that need more say so with requireRole
+    app.use('/api', auth.authenticate);
+
+    // Changes made while handling a request are logged as coming from the API,
+    // by the authenticated caller
+    app.use('/api', (req, res, next) => {
+        const actor = { id: req.auth.id, name: req.auth.name, role: req.auth.role };
+        runWithAuditContext({ actor, source: { type: 'api', method: req.method, path: req.originalUrl } }, next);
+    });
+
+    // Routes that aren't about one workspace's data. Keys limited to some
+    // workspaces can use them too.
+    const SHARED_ROUTES = /^\/(auth|admin|webhooks|workspaces|demographics)(\/|$)/;
+
+    // The workspace's services, as req.workspace, for callers allowed to use
+    // it
+    app.use('/api', (req, res, next) => {
+        if (!SHARED_ROUTES.test(req.path) && !canAccessWorkspace(req.auth, req.workspaceId)) {
+            return sendError(res, 403, 'Forbidden', { details: `This credential can't use workspace "${req.workspaceId}"` });
+        }
+        if (!workspaceRecords.get(req.workspaceId)) {
+            return sendError(res, 404, `Workspace "${req.workspaceId}" not found`);
+        }
+        req.workspace = servicesFor(req.workspaceId);
+        next();
+    });
+
+    // Where the request's workspace keeps its API routes, for links in
+    // responses
+    function apiPrefix(req) {
+        return req.workspace.id === DEFAULT_WORKSPACE_ID ? '/api' : `/api/workspaces/${encodeURIComponent(req.workspace.id)}`;
+    }
+
+    // Census API client, with responses cached in their own store
+    const censusCacheStore = options.censusCacheStore || createStore({
+        filePath: process.env.CENSUS_CACHE_FILE || path.join('data', 'census-cache.json')
+    });
+    const censusClient = options.censusClient || createCensusClient({ cache: censusCacheStore.collection('census_responses') });
+
+    // Geocoder (provider chain picked by GEOCODER_PROVIDERS), cached by address
+    const geocoder = options.geocoder || createGeocoder({ cache: store.collection('geocode_cache') });
+
+    // Geocode a workspace's centers in one batch, using its hand-entered
+    // coordinates first, and store the coordinates found. Returns the centers
+    // that could not be geocoded.
+    async function geocodeCenters(services, centers) {
+        const { repository } = services;
+        const results = await geocoder.geocodeBatch(centers.map(centerAddress), { overrides: services.geocodeOverrides });
+        const failed = [];
+
+        centers.forEach((center, index) => {
+            const result = results[index];
+            if (!result) {
+                failed.push(center);
+                return;
+            }
+            repository.updateCenter(center.id, {
+                ...repository.getCenterById(center.id),
+                latitude: result.latitude,
+                longitude: result.longitude,
+                google_place_id: result.google_place_id || center.google_place_id || null,
+                geocode_source: result.source
+            });
+        });
+
+        return failed;
+    }
+
+    // Run one import job: parse, map and import the file (or preview it) into
+    // a workspace. Centers without a state get the workspace's default.
+    async function runImport(services, { csvData, mode, mapping }, { dryRun, setTotal, onProgress }) {
+        const { repository } = services;
+        const records = applyMapping(await parseCsv(csvData), mapping);
+        const defaultState = services.settings().default_state;
+        setTotal(records.length);
+
+        logger.info('Processing CSV records', { workspace: services.id, records: records.length, mode, dry_run: dryRun });
+
+        if (dryRun) {
+            return previewImport(records, repository, { mode, defaultState, onProgress });
+        }
+
+        const geocode = centers => geocodeCenters(services, centers);
+        const result = await importRecords(records, repository, { mode, defaultState, geocode, onProgress });
+
+        // Make sure the import is on disk before reporting success
+        await repository.flush();
+
+        logger.info('Import completed', { workspace: services.id, stats: result.stats });
+        return result;
+    }
+
+    // The services of one workspace, created on first use
+    const workspaceServices = new Map();
+
+    function servicesFor(workspaceId) {
+        if (workspaceServices.has(workspaceId)) {
+            return workspaceServices.get(workspaceId);
+        }
+
+        const scoped = scopedStore(store, workspaceId);
+        const auditLog = createAuditLog(scoped);
+
+        // Events name the workspace they happened in
+        const repository = createRepository(scoped, {
+            audit: auditLog,
+            events: {
+                recordChange: (entity, before, after, changeOptions) =>
+                    events.recordChange(entity, before, after, { ...changeOptions, workspace: workspaceId })
+            }
+        });
+
+        const services = {
+            id: workspaceId,
+            auditLog,
+            repository,
+            // Tenant brand normalization (alias dictionary, fuzzy matching, review queue)
+            brands: createBrandRegistry(repository),
+            // Spatial index of geocoded centers for proximity queries
+            centerIndex: createCenterIndex(repository),
+            // Saved column-mapping profiles for broker spreadsheets
+            columnMappings: createMappingRepository(scoped),
+            // Hand-entered coordinates by normalized address (see geocoder.setManual)
+            geocodeOverrides: scoped.collection('geocode_overrides'),
+            settings: () => workspaceRecords.get(workspaceId).settings
+        };
+
+        // Background import jobs. Dry runs import into a scratch copy of the data.
+        services.importJobs = createImportJobManager({
+            store: scoped,
+            run(input, jobOptions) {
+                // Changes are logged as coming from the job, on behalf of whoever
+                // uploaded the file
+                const source = { type: 'import', job_id: jobOptions.job.id, filename: jobOptions.job.filename };
+                return runWithAuditContext({ actor: jobOptions.job.submitted_by, source }, () => runImport(services, input, jobOptions));
+            },
+            onFinished(job) {
+                importJobsFinished.inc({ status: job.status, dry_run: job.dry_run });
+                if (job.status === 'completed' && !job.dry_run) {
+                    importRows.inc({ outcome: 'imported' }, job.stats.rows_total - job.stats.rows_rejected);
+                    importRows.inc({ outcome: 'rejected' }, job.stats.rows_rejected);
+                }
+
+                const source = { type: 'import', job_id: job.id, filename: job.filename };
+                runWithAuditContext({ actor: job.submitted_by, source }, () => {
+                    const type = job.status === 'completed' ? 'import.completed' : 'import.failed';
+                    events.publish(type, { job: summarizeJob(job) }, { workspace: workspaceId });
+                });
+            }
+        });
+
+        workspaceServices.set(workspaceId, services);
+        return services;
+    }
+
+    // Demographic Functions
+
+    // Block group geography, loaded from disk on first use
+    let blockGroupIndex = null;
+
+    function getBlockGroupIndex() {
+        if (!blockGroupIndex) {
+            blockGroupIndex = loadBlockGroupIndex(options.blockGroupsFile);
+            logger.info('Loaded census block groups', { block_groups: blockGroupIndex.size });
+        }
+        return blockGroupIndex;
+    }
+
+    // Get Census Block Groups overlapping a radius, each weighted by the share of
+    // its area that falls inside the radius
+    function getCensusBlockGroups(lat, lng, radiusMiles) {
+        return getBlockGroupIndex().withinRadius(lat, lng, radiusMiles);
+    }
+
+    // The ACS year and variable profiles asked for in a query (see ACS_QUERY)
+    function acsOptions(query) {
+        return {
+            year: query.year ? String(query.year) : censusClient.vintage,
+            profiles: query.profile && query.profile.length > 0 ? Array.from(new Set(query.profile)) : DEFAULT_PROFILES
+        };
+    }
+
+    // Fetch demographics for every block group in a county, keyed by GEOID
+    async function fetchCountyBlockGroupDemographics(state, county, { year, profiles }) {
+        const rawByGeoid = await censusClient.getCountyBlockGroups(state, county, censusVariables(profiles), { vintage: year });
+
+        const results = new Map();
+        rawByGeoid.forEach((raw, geoid) => results.set(geoid, parseBlockGroup(raw)));
+        return results;
+    }
+
+    // Fetch demographics for a set of block groups. Requests are made per county
+    // rather than per block group, since a radius usually spans a few counties
+    // but many block groups.
+    async function fetchBlockGroupDemographics(blockGroups, acs) {
+        const counties = new Map();
+        for (const bg of blockGroups) {
+            counties.set(`${bg.state}${bg.county}`, { state: bg.state, county: bg.county });
+        }
+
+        const countyResults = await Promise.all(
+            Array.from(counties.values()).map(({ state, county }) => fetchCountyBlockGroupDemographics(state, county, acs))
+        );
+
+        const byGeoid = new Map();
+        countyResults.forEach(results => results.forEach((demographics, geoid) => byGeoid.set(geoid, demographics)));
+
+        return blockGroups.map(bg => ({
+            geoid: bg.geoid,
+            weight: bg.weight,
+            demographics: byGeoid.get(bg.geoid) || null
+        }));
+    }
+
+    // Demographics for a radius around a point. Results are memoized per location,
+    // radius, ACS vintage and profiles, so portfolio rankings don't redo the work
+    // for every center on every request. The memo keeps the most recently used
+    // results, up to a limit and for a while; the Census responses behind them
+    // stay in the Census client's cache. `acs` is { year, profiles } and
+    // defaults to the configured vintage and the default profile.
+    const {
+        maxEntries: memoSize = DEMOGRAPHICS_MEMO_SIZE,
+        ttlMs: memoTtlMs = DEMOGRAPHICS_MEMO_TTL_MS
+    } = options.demographicsMemo || {};
+    const radiusDemographics = new Map(); // key -> { at, pending }, least recently used first
+
+    function demographicsForRadius(lat, lng, radiusMiles, acs = acsOptions({})) {
+        const key = `${acs.year}:${acs.profiles.join(',')}:${lat}:${lng}:${radiusMiles}`;
+        let memo = radiusDemographics.get(key);
+        radiusDemographics.delete(key);
+
+        if (!memo || Date.now() - memo.at >= memoTtlMs) {
+            const pending = fetchBlockGroupDemographics(getCensusBlockGroups(lat, lng, radiusMiles), acs)
+                .then(entries => aggregateDemographics(entries, radiusMiles, acs.profiles));
+            pending.catch(() => {
+                if (radiusDemographics.get(key)?.pending === pending) radiusDemographics.delete(key);
+            });
+            memo = { at: Date.now(), pending };
+        }
+
+        radiusDemographics.set(key, memo);
+        while (radiusDemographics.size > memoSize) {
+            radiusDemographics.delete(radiusDemographics.keys().next().value);
+        }
+        return memo.pending;
+    }
+
+    // Demographics for a custom trade area polygon
+    async function demographicsForPolygon(area, acs = acsOptions({})) {
+        const blockGroups = getBlockGroupIndex().withinPolygon(area);
+        const entries = await fetchBlockGroupDemographics(blockGroups, acs);
+        return aggregateDemographics(entries, null, acs.profiles);
+    }
+
+    // Growth between two ACS vintages, earlier to later, of the demographics
+    // `load(acs)` returns. Always measured on the default profile.
+    async function growthBetween(load, yearA, yearB) {
+        const [fromYear, toYear] = [Number(yearA), Number(yearB)].sort((a, b) => a - b);
+        const [earlier, later] = await Promise.all([
+            load({ year: String(fromYear), profiles: DEFAULT_PROFILES }),
+            load({ year: String(toYear), profiles: DEFAULT_PROFILES })
+        ]);
+        return vintageGrowth(earlier, later, fromYear, toYear);
+    }
+
+    // The Census API answers 404 for an ACS year it hasn't published. Sends a
+    // 422 and returns true for those; other errors are left to the caller.
+    function acsYearUnavailable(res, error, years) {
+        if (error instanceof CensusApiError && error.status === 404) {
+            sendError(res, 422, `ACS 5-year data is not available for ${years.join(' or ')}`, { code: 'acs_year_unavailable' });
+            return true;
+        }
+        return false;
+    }
+
+    // Check that demographics can be computed; sends a 503 and returns false if not
+    function demographicsAvailable(res) {
+        if (!censusClient.configured) {
+            sendError(res, 503, 'Census API key not configured');
+            return false;
+        }
+
+        try {
+            getBlockGroupIndex();
+        } catch (error) {
+            logger.error('Block group geography error', { error });
+            sendError(res, 503, 'Census block group geography not available');
+            return false;
+        }
+
+        return true;
+    }
+
+    // Whether demographics can be computed, without answering the request
+    function demographicsReady() {
+        if (!censusClient.configured) {
+            return false;
+        }
+        try {
+            getBlockGroupIndex();
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    function hasCoordinates(center) {
+        return typeof center.latitude === 'number' && typeof center.longitude === 'number';
+    }
+
+    // API Routes
+
+    // Shape a tenant space for API responses
+    function formatTenant(tenant) {
+        return {
+            id: tenant.id,
+            suite_number: tenant.tenant_suite_number,
+            tenant_name: tenant.tenant_name,
+            brand: tenant.brand || null,
+            square_footage: tenant.square_footage,
+            category: tenant.retail_category,
+            space_type: classifySpace(tenant),
+            base_rent: tenant.base_rent,
+            rent_unit: tenant.rent_unit || 'per_sf_year',
+            annual_base_rent: annualBaseRent(tenant),
+            lease: {
+                start: tenant.lease_start || null,
+                end: tenant.lease_end || null,
+                type: tenant.lease_type || null,
+                escalation_type: tenant.escalation_type || 'none',
+                escalation_value: tenant.escalation_value ?? null,
+                escalation_frequency_months: tenant.escalation_frequency_months ?? null,
+                renewal_options: tenant.renewal_options ?? null,
+                renewal_option_years: tenant.renewal_option_years ?? null,
+                cam_per_sf: tenant.cam_per_sf ?? null,
+                taxes_per_sf: tenant.taxes_per_sf ?? null,
+                insurance_per_sf: tenant.insurance_per_sf ?? null
+            }
+        };
+    }
+
+    // Look up the center named in :id, or send a 404
+    function findCenterOr404(req, res) {
+        const center = req.workspace.repository.getCenterById(req.params.id);
+        if (!center) {
+            sendError(res, 404, 'Shopping center not found');
+        }
+        return center;
+    }
+
+    // Center names must stay unique because imports match centers by name
+    function centerNameTaken(repository, name, exceptId = null) {
+        const existing = repository.getCenterByName(name);
+        return existing !== null && existing.id !== exceptId;
+    }
+
+    // Group every tenant space by center id, in one pass over the tenants
+    function spacesByCenter(repository) {
+        const grouped = new Map();
+        for (const tenant of repository.listTenants()) {
+            if (!grouped.has(tenant.shopping_center_id)) {
+                grouped.set(tenant.shopping_center_id, []);
+            }
+            grouped.get(tenant.shopping_center_id).push(tenant);
+        }
+        return grouped;
+    }
+
+    // Every center with its spaces, as { center, spaces }
+    function portfolioEntries(repository) {
+        const spaces = spacesByCenter(repository);
+        return repository.listCenters().map(center => ({
+            center,
+            spaces: spaces.get(center.id) || []
+        }));
+    }
+
+    // Path parameters
+    const CENTER_ID = { id: { type: 'string', required: true, description: 'Shopping center id' } };
+    const SPACE_ID = { ...CENTER_ID, spaceId: { type: 'string', required: true, description: 'Tenant space id' } };
+
+    // Search, filter, sort and page shopping centers
+    app.get('/api/shopping-centers/', validateRequest({
+        summary: 'Search, filter, sort and page shopping centers',
+        query: CENTER_LIST_QUERY
+    }), (req, res) => {
+        const { repository } = req.workspace;
+        const { value: params, errors } = parseCenterQuery(req.valid.query);
+        if (errors) {
+            return invalidRequest(res, 'query', errors);
+        }
+
+        res.json(queryCenters(repository.listCenters(), spacesByCenter(repository), params));
+    });
+
+    // List rows for proximity results, with any tenant/category matches. Centers
+    // without a match are dropped when filters are given.
+    function proximityRows(repository, results, { tenants = [], categories = [], limit }) {
+        const spaces = spacesByCenter(repository);
+        const rows = [];
+
+        for (const { center, distance_miles: distance } of results) {
+            const centerSpaces = spaces.get(center.id) || [];
+            const matches = matchingSpaces(centerSpaces, tenants, categories);
+            if (matches && matches.length === 0) continue;
+
+            rows.push({
+                ...centerRow(center, centerSpaces),
+                ...(distance !== undefined ? { distance_miles: Math.round(distance * 100) / 100 } : {}),
+                ...(matches ? { matching_spaces: matches.map(formatTenant) } : {})
+            });
+        }
+
+        return { data: rows.slice(0, limit), count: Math.min(rows.length, limit), total: rows.length };
+    }
+
+    // Centers within a radius of a point, nearest first
+    // Registered before /:id so "nearby" isn't taken for an id
+    app.get('/api/shopping-centers/nearby', validateRequest({
+        summary: 'Centers within a radius of a point, nearest first',
+        query: NEARBY_QUERY
+    }), (req, res) => {
+        const { repository, centerIndex } = req.workspace;
+        const { value: params, errors } = parseNearbyQuery(req.valid.query);
+        if (errors) {
+            return invalidRequest(res, 'query', errors);
+        }
+
+        const results = centerIndex.nearby(params.lat, params.lng, params.radius);
+        res.json({
+            center: { latitude: params.lat, longitude: params.lng },
+            radius_miles: params.radius,
+            ...proximityRows(repository, results, params)
+        });
+    });
+
+    // Centers inside a map viewport
+    app.get('/api/shopping-centers/bbox', validateRequest({
+        summary: 'Centers inside a map viewport',
+        query: BBOX_QUERY
+    }), (req, res) => {
+        const { repository, centerIndex } = req.workspace;
+        const { value: params, errors } = parseBBoxQuery(req.valid.query);
+        if (errors) {
+            return invalidRequest(res, 'query', errors);
+        }
+
+        const centers = centerIndex.inBBox(params.south, params.west, params.north, params.east)
+            .sort((a, b) => a.name.localeCompare(b.name));
+        res.json({
+            bbox: { west: params.west, south: params.south, east: params.east, north: params.north },
+            ...proximityRows(repository, centers.map(center => ({ center })), params)
+        });
+    });
+
+    // Co-tenancy search: centers that have some tenants and lack others, e.g.
+    // ?has=Target&lacks=Aldi&lacks_radius=10, optionally within lat/lng/radius
+    app.get('/api/shopping-centers/co-tenancy', validateRequest({
+        summary: 'Centers that have some tenants and lack others',
+        query: CO_TENANCY_QUERY
+    }), (req, res) => {
+        const { repository, centerIndex } = req.workspace;
+        const { value: params, errors } = parseCoTenancyQuery(req.valid.query);
+        if (errors) {
+            return invalidRequest(res, 'query', errors);
+        }
+
+        const candidates = params.point
+            ? centerIndex.nearby(params.point.lat, params.point.lng, params.point.radius)
+            : repository.listCenters().sort((a, b) => a.name.localeCompare(b.name)).map(center => ({ center }));
+
+        const results = coTenancySearch(centerIndex, candidates, spacesByCenter(repository), params);
+        res.json({
+            has: params.has,
+            lacks: params.lacks,
+            lacks_radius_miles: params.lacksRadius,
+            ...proximityRows(repository, results, { limit: params.limit })
+        });
+    });
+
+    // History periods and points in time
+    const AS_OF = { type: 'timestamp', description: 'Date (end of day, UTC) or ISO timestamp' };
+    const PERIOD_QUERY = { from: AS_OF, to: AS_OF };
+
+    // Get tenants for a specific shopping center. `?as_of=` gives the roster as
+    // it stood at a past date, rebuilt from the audit log.
+    app.get('/api/shopping-centers/:id/tenants', validateRequest({
+        summary: 'Tenant spaces of a center, now or at a past date',
+        params: CENTER_ID,
+        query: { as_of: AS_OF }
+    }), (req, res) => {
+        const { repository, auditLog } = req.workspace;
+        const { as_of: asOf } = req.valid.query;
+
+        if (asOf) {
+            const { center, tenants } = auditLog.stateAt(req.params.id, asOf);
+            if (!center) {
+                return sendError(res, 404, 'No record of this shopping center at that date', {
+                    history_starts_at: auditLog.startsAt(req.params.id)
+                });
+            }
+            return res.json(tenants.map(formatTenant));
+        }
+
+        const center = findCenterOr404(req, res);
+        if (!center) return;
+
+        // Find all tenants for this shopping center
+        const centerTenants = repository.listTenantsForCenter(center).map(formatTenant);
+
+        res.json(centerTenants);
+    });
+
+    // Change history of a center and its spaces, newest first. Works for
+    // deleted centers too. Filters: from, to, entity (shopping_center|tenant).
+    app.get('/api/shopping-centers/:id/history', validateRequest({
+        summary: 'Change history of a center and its spaces, newest first',
+        params: CENTER_ID,
+        query: { ...PERIOD_QUERY, entity: { type: 'string', enum: ['shopping_center', 'tenant'] } }
+    }), (req, res) => {
+        const { repository, auditLog } = req.workspace;
+        const { entity, ...params } = req.valid.query;
+
+        if (!repository.getCenterById(req.params.id) && !auditLog.startsAt(req.params.id)) {
+            return sendError(res, 404, 'Shopping center not found');
+        }
+
+        const entries = auditLog.forCenter(req.params.id, { from: params.from, to: params.to })
+            .filter(entry => !entity || entry.entity === entity)
+            .reverse();
+
+        res.json({
+            shopping_center_id: req.params.id,
+            history_starts_at: auditLog.startsAt(req.params.id),
+            data: entries,
+            count: entries.length
+        });
+    });
+
+    // Tenant turnover and rent changes for a center over a period
+    app.get('/api/shopping-centers/:id/leasing-activity', validateRequest({
+        summary: 'Tenant turnover and rent changes for a center over a period',
+        params: CENTER_ID,
+        query: PERIOD_QUERY
+    }), (req, res) => {
+        const { repository, auditLog } = req.workspace;
+        const params = req.valid.query;
+
+        if (!repository.getCenterById(req.params.id) && !auditLog.startsAt(req.params.id)) {
+            return sendError(res, 404, 'Shopping center not found');
+        }
+
+        res.json({
+            shopping_center_id: req.params.id,
+            from: params.from || null,
+            to: params.to || null,
+            history_starts_at: auditLog.startsAt(req.params.id),
+            ...leasingActivity(auditLog.forCenter(req.params.id), params)
+        });
+    });
+
+    // Get vacancy, occupancy and rent statistics for a shopping center
+    app.get('/api/shopping-centers/:id/vacancy-stats', validateRequest({
+        summary: 'Vacancy, occupancy and rent statistics for a center',
+        params: CENTER_ID
+    }), (req, res) => {
+        const { repository } = req.workspace;
+        const center = findCenterOr404(req, res);
+        if (!center) return;
+
+        res.json({
+            shopping_center_id: center.id,
+            shopping_center_name: center.name,
+            ...centerOccupancy(center, repository.listTenantsForCenter(center))
+        });
+    });
+
+    // Vacancy, occupancy and rent statistics across the portfolio, optionally
+    // broken down by county, municipality, owner or center_type
+    app.get('/api/portfolio/vacancy-stats', validateRequest({
+        summary: 'Vacancy, occupancy and rent statistics across the portfolio',
+        query: { group_by: { type: 'string', enum: PORTFOLIO_GROUPS } }
+    }), (req, res) => {
+        const { repository } = req.workspace;
+        res.json(portfolioOccupancy(portfolioEntries(repository), req.valid.query.group_by || null));
+    });
+
+    const EXPIRATION_QUERY = {
+        years: { type: 'integer', min: 1, max: 30, default: 10, description: 'Years ahead to schedule' }
+    };
+    const PROJECTION_QUERY = {
+        months: { type: 'integer', min: 1, max: MAX_PROJECTION_MONTHS, default: 60 },
+        assume_renewals: { type: 'boolean', default: false, description: 'Assume renewal options are exercised' }
+    };
+
+    // Lease expiration schedule for one center
+    app.get('/api/shopping-centers/:id/lease-expirations', validateRequest({
+        summary: 'Lease expiration schedule for a center',
+        params: CENTER_ID,
+        query: EXPIRATION_QUERY
+    }), (req, res) => {
+        const { repository } = req.workspace;
+        const center = findCenterOr404(req, res);
+        if (!center) return;
+        const { years } = req.valid.query;
+
+        res.json({
+            shopping_center_id: center.id,
+            shopping_center_name: center.name,
+            ...expirationSchedule([{ center, spaces: repository.listTenantsForCenter(center) }], { years })
+        });
+    });
+
+    // Lease expiration schedule across the portfolio
+    app.get('/api/portfolio/lease-expirations', validateRequest({
+        summary: 'Lease expiration schedule across the portfolio',
+        query: EXPIRATION_QUERY
+    }), (req, res) => {
+        const { repository } = req.workspace;
+        const { years } = req.valid.query;
+
+        const entries = portfolioEntries(repository);
+        res.json({ centers: entries.length, ...expirationSchedule(entries, { years }) });
+    });
+
+    const projectionParams = query => ({ months: query.months, assumeRenewals: query.assume_renewals });
+
+    // Projected rent for one center from its escalation schedules
+    app.get('/api/shopping-centers/:id/rent-projection', validateRequest({
+        summary: 'Projected rent for a center from its escalation schedules',
+        params: CENTER_ID,
+        query: PROJECTION_QUERY
+    }), (req, res) => {
+        const { repository } = req.workspace;
+        const center = findCenterOr404(req, res);
+        if (!center) return;
+        const params = projectionParams(req.valid.query);
+
+        res.json({
+            shopping_center_id: center.id,
+            shopping_center_name: center.name,
+            ...projectRent(repository.listTenantsForCenter(center), params)
+        });
+    });
+
+    // Projected rent across the portfolio
+    app.get('/api/portfolio/rent-projection', validateRequest({
+        summary: 'Projected rent across the portfolio',
+        query: PROJECTION_QUERY
+    }), (req, res) => {
+        const { repository } = req.workspace;
+        const params = projectionParams(req.valid.query);
+
+        const entries = portfolioEntries(repository);
+        res.json({ centers: entries.length, ...projectRent(entries.flatMap(entry => entry.spaces), params) });
+    });
+
+    // Create a shopping center
+    app.post('/api/shopping-centers/', requireRole('analyst'), validateRequest({
+        summary: 'Create a shopping center',
+        body: CENTER_FIELDS
+    }), async (req, res) => {
+        const { repository, settings } = req.workspace;
+        const value = { ...req.valid.body, address_state: req.valid.body.address_state ?? settings().default_state };
+
+        if (centerNameTaken(repository, value.name)) {
+            return sendError(res, 409, `A shopping center named "${value.name}" already exists`);
+        }
+
+        try {
+            const center = repository.createCenter(value);
+            await repository.flush();
+            res.status(201).json(center);
+        } catch (error) {
+            logger.error('Error creating shopping center', { error });
+            sendError(res, 500, 'Failed to create shopping center', { details: error.message });
+        }
+    });
+
+    // Geocode every center that has no coordinates yet. Centers with manually
+    // set coordinates are never touched.
+    app.post('/api/shopping-centers/geocode-missing', requireRole('analyst'), validateRequest({
+        summary: 'Geocode every center that has no coordinates yet'
+    }), async (req, res) => {
+        const { repository } = req.workspace;
+        const missing = repository.listCenters()
+            .filter(center => !hasCoordinates(center) && center.address_street && center.address_city);
+
+        try {
+            const failed = await geocodeCenters(req.workspace, missing);
+            await repository.flush();
+
+            res.json({
+                attempted: missing.length,
+                geocoded: missing.length - failed.length,
+                providers: geocoder.providers,
+                not_geocoded: failed.map(center => ({ id: center.id, name: center.name }))
+            });
+        } catch (error) {
+            logger.error('Error re-geocoding centers', { error });
+            sendError(res, 500, 'Failed to geocode centers', { details: error.message });
+        }
+    });
+
+    // Copy centers, with their spaces unless include_spaces is false, into
+    // another workspace. Spaces are linked to the target workspace's brands.
+    app.post('/api/shopping-centers/copy', requireRole('analyst'), validateRequest({
+        summary: 'Copy shopping centers into another workspace',
+        body: COPY_FIELDS
+    }), async (req, res) => {
+        const { repository } = req.workspace;
+        const value = req.valid.body;
+
+        if (!canAccessWorkspace(req.auth, value.target_workspace)) {
+            return sendError(res, 403, 'Forbidden', { details: `This credential can't use workspace "${value.target_workspace}"` });
+        }
+        if (!workspaceRecords.get(value.target_workspace)) {
+            return invalidRequest(res, 'body', [{ field: 'target_workspace', message: 'No workspace has this id' }]);
+        }
+        if (value.target_workspace === req.workspace.id) {
+            return invalidRequest(res, 'body', [{ field: 'target_workspace', message: 'must be another workspace' }]);
+        }
+
+        const target = servicesFor(value.target_workspace);
+        try {
+            const result = copyCenters({
+                from: repository,
+                to: target.repository,
+                fromWorkspaceId: req.workspace.id,
+                centerIds: value.shopping_center_ids,
+                includeSpaces: value.include_spaces,
+                onConflict: value.on_conflict,
+                resolveBrand: name => target.brands.resolve(name).brand
+            });
+            await target.repository.flush();
+            res.json({ source_workspace: req.workspace.id, target_workspace: value.target_workspace, ...result });
+        } catch (error) {
+            logger.error('Error copying shopping centers', { error });
+            sendError(res, 500, 'Failed to copy shopping centers', { details: error.message });
+        }
+    });
+
+    // Set or correct a center's coordinates by hand. The override is also kept
+    // for the center's address in the workspace, so its re-imports keep it.
+    app.put('/api/shopping-centers/:id/coordinates', requireRole('analyst'), validateRequest({
+        summary: `Set or correct a center's coordinates by hand`,
+        params: CENTER_ID,
+        body: COORDINATE_FIELDS
+    }), async (req, res) => {
+        const { repository, geocodeOverrides } = req.workspace;
+        const center = findCenterOr404(req, res);
+        if (!center) return;
+        const value = req.valid.body;
+
+        try {
+            geocoder.setManual(centerAddress(center), value.latitude, value.longitude, geocodeOverrides);
+            const updated = repository.updateCenter(center.id, {
+                ...center,
+                latitude: value.latitude,
+                longitude: value.longitude,
+                geocode_source: 'manual'
+            });
+            await repository.flush();
+            res.json(updated);
+        } catch (error) {
+            logger.error('Error setting coordinates', { error });
+            sendError(res, 500, 'Failed to set coordinates', { details: error.message });
+        }
+    });
+
+    // Get a single shopping center
+    app.get('/api/shopping-centers/:id', validateRequest({
+        summary: 'Get a shopping center',
+        params: CENTER_ID
+    }), (req, res) => {
+        const center = findCenterOr404(req, res);
+        if (!center) return;
+
+        res.json(center);
+    });
+
+    // Replace (PUT) or partially update (PATCH) a shopping center
+    async function updateCenterHandler(req, res) {
+        const { repository, settings } = req.workspace;
+        const center = findCenterOr404(req, res);
+        if (!center) return;
+
+        const fields = req.method === 'PATCH' ? { ...center, ...req.valid.body } : req.valid.body;
+        fields.address_state = fields.address_state ?? settings().default_state;
+        if (centerNameTaken(repository, fields.name, center.id)) {
+            return sendError(res, 409, `A shopping center named "${fields.name}" already exists`);
+        }
+
+        try {
+            const updated = repository.updateCenter(center.id, fields);
+            await repository.flush();
+            res.json(updated);
+        } catch (error) {
+            logger.error('Error updating shopping center', { error });
+            sendError(res, 500, 'Failed to update shopping center', { details: error.message });
+        }
+    }
+
+    app.put('/api/shopping-centers/:id', requireRole('analyst'), validateRequest({
+        summary: 'Replace a shopping center',
+        params: CENTER_ID,
+        body: CENTER_FIELDS
+    }), updateCenterHandler);
+    app.patch('/api/shopping-centers/:id', requireRole('analyst'), validateRequest({
+        summary: 'Update some fields of a shopping center',
+        params: CENTER_ID,
+        body: CENTER_FIELDS
+    }), updateCenterHandler);
+
+    // Delete a shopping center and all of its tenant spaces
+    app.delete('/api/shopping-centers/:id', requireRole('analyst'), validateRequest({
+        summary: 'Delete a shopping center and all of its tenant spaces',
+        params: CENTER_ID
+    }), async (req, res) => {
+        const { repository } = req.workspace;
+        const center = findCenterOr404(req, res);
+        if (!center) return;
+
+        try {
+            const removed = repository.deleteCenter(center.id);
+            await repository.flush();
+            res.json({
+                message: 'Shopping center deleted',
+                id: center.id,
+                tenant_spaces_deleted: removed.tenants.length
+            });
+        } catch (error) {
+            logger.error('Error deleting shopping center', { error });
+            sendError(res, 500, 'Failed to delete shopping center', { details: error.message });
+        }
+    });
+
+    // Add a tenant space to a shopping center
+    app.post('/api/shopping-centers/:id/tenants', requireRole('analyst'), validateRequest({
+        summary: 'Add a tenant space to a shopping center',
+        params: CENTER_ID,
+        body: TENANT_FIELDS
+    }), async (req, res) => {
+        const { repository, brands } = req.workspace;
+        const center = findCenterOr404(req, res);
+        if (!center) return;
+
+        const value = req.valid.body;
+        const errors = leaseDateErrors(value);
+        if (errors.length > 0) {
+            return invalidRequest(res, 'body', errors);
+        }
+
+        try {
+            const tenant = repository.createTenant(center, { ...value, brand: brands.resolve(value.tenant_name).brand });
+            await repository.flush();
+            res.status(201).json(formatTenant(tenant));
+        } catch (error) {
+            logger.error('Error creating tenant space', { error });
+            sendError(res, 500, 'Failed to create tenant space', { details: error.message });
+        }
+    });
+
+    // Get a single tenant space
+    app.get('/api/shopping-centers/:id/tenants/:spaceId', validateRequest({
+        summary: 'Get a tenant space',
+        params: SPACE_ID
+    }), (req, res) => {
+        const { repository } = req.workspace;
+        const center = findCenterOr404(req, res);
+        if (!center) return;
+
+        const tenant = repository.getTenant(center, req.params.spaceId);
+        if (!tenant) {
+            return sendError(res, 404, 'Tenant space not found');
+        }
+
+        res.json(formatTenant(tenant));
+    });
+
+    // Replace (PUT) or partially update (PATCH) a tenant space
+    async function updateTenantHandler(req, res) {
+        const { repository, brands } = req.workspace;
+        const center = findCenterOr404(req, res);
+        if (!center) return;
+
+        const tenant = repository.getTenant(center, req.params.spaceId);
+        if (!tenant) {
+            return sendError(res, 404, 'Tenant space not found');
+        }
+
+        const fields = req.method === 'PATCH' ? { ...tenant, ...req.valid.body } : req.valid.body;
+        const errors = leaseDateErrors(fields);
+        if (errors.length > 0) {
+            return invalidRequest(res, 'body', errors);
+        }
+
+        try {
+            const updated = repository.updateTenant(center, tenant.id, { ...fields, brand: brands.resolve(fields.tenant_name).brand });
+            await repository.flush();
+            res.json(formatTenant(updated));
+        } catch (error) {
+            logger.error('Error updating tenant space', { error });
+            sendError(res, 500, 'Failed to update tenant space', { details: error.message });
+        }
+    }
+
+    app.put('/api/shopping-centers/:id/tenants/:spaceId', requireRole('analyst'), validateRequest({
+        summary: 'Replace a tenant space',
+        params: SPACE_ID,
+        body: TENANT_FIELDS
+    }), updateTenantHandler);
+    app.patch('/api/shopping-centers/:id/tenants/:spaceId', requireRole('analyst'), validateRequest({
+        summary: 'Update some fields of a tenant space',
+        params: SPACE_ID,
+        body: TENANT_FIELDS
+    }), updateTenantHandler);
+
+    // Delete a tenant space
+    app.delete('/api/shopping-centers/:id/tenants/:spaceId', requireRole('analyst'), validateRequest({
+        summary: 'Delete a tenant space',
+        params: SPACE_ID
+    }), async (req, res) => {
+        const { repository } = req.workspace;
+        const center = findCenterOr404(req, res);
+        if (!center) return;
+
+        try {
+            const tenant = repository.deleteTenant(center, req.params.spaceId);
+            if (!tenant) {
+                return sendError(res, 404, 'Tenant space not found');
+            }
+            await repository.flush();
+            res.json({ message: 'Tenant space deleted', id: tenant.id });
+        } catch (error) {
+            logger.error('Error deleting tenant space', { error });
+            sendError(res, 500, 'Failed to delete tenant space', { details: error.message });
+        }
+    });
+
+    // Demographics reports can measure growth from an earlier (or later) vintage
+    const COMPARE_QUERY = {
+        compare_year: { ...ACS_QUERY.year, description: 'Second ACS 5-year vintage to measure growth between' }
+    };
+
+    // Check compare_year against the year it is compared with. Sends a 400 and
+    // returns false if they are the same.
+    function compareYearValid(res, compareYear, acs) {
+        if (compareYear && String(compareYear) === acs.year) {
+            invalidRequest(res, 'query', [{ field: 'compare_year', message: 'compare_year must differ from year' }]);
+            return false;
+        }
+        return true;
+    }
+
+    // Ring trade area report for a shopping center: demographics per ring, the
+    // change from each ring to the next, and how the center ranks against the rest
+    // of the portfolio on each ring. With compare_year, each ring also gets the
+    // growth between the two vintages.
+    app.get('/api/shopping-centers/:id/trade-area', validateRequest({
+        summary: 'Ring trade area report for a center',
+        params: CENTER_ID,
+        query: {
+            rings: { type: 'string', description: `Comma-separated ring radii in miles, up to ${MAX_RING_MILES}` },
+            ...ACS_QUERY,
+            ...COMPARE_QUERY
+        }
+    }), async (req, res) => {
+        const { repository } = req.workspace;
+        const center = findCenterOr404(req, res);
+        if (!center) return;
+
+        const { rings, error } = parseRings(req.valid.query.rings);
+        if (error) {
+            return invalidRequest(res, 'query', [{ field: 'rings', message: error }]);
+        }
+
+        const acs = acsOptions(req.valid.query);
+        const compareYear = req.valid.query.compare_year;
+        if (!compareYearValid(res, compareYear, acs)) return;
+
+        if (!hasCoordinates(center)) {
+            return sendError(res, 422, 'Shopping center has no coordinates');
+        }
+
+        if (!demographicsAvailable(res)) return;
+
+        try {
+            const portfolio = repository.listCenters().filter(hasCoordinates);
+            const ringResults = [];
+
+            for (const radius of rings) {
+                const demographics = await demographicsForRadius(center.latitude, center.longitude, radius, acs);
+                const portfolioDemographics = await Promise.all(
+                    portfolio.map(other => demographicsForRadius(other.latitude, other.longitude, radius, acs))
+                );
+
+                ringResults.push({
+                    radius,
+                    demographics,
+                    portfolio_rankings: rankAgainstPortfolio(demographics, portfolioDemographics),
+                    ...(compareYear ? {
+                        growth: await growthBetween(
+                            options => demographicsForRadius(center.latitude, center.longitude, radius, options),
+                            compareYear,
+                            acs.year
+                        )
+                    } : {})
+                });
+            }
+
+            res.json({
+                center_id: center.id,
+                center_name: center.name,
+                latitude: center.latitude,
+                longitude: center.longitude,
+                acs_vintage: acs.year,
+                profiles: acs.profiles,
+                portfolio_centers_ranked: portfolio.length,
+                rings: ringResults,
+                deltas: ringDeltas(ringResults)
+            });
+        } catch (error) {
+            if (acsYearUnavailable(res, error, [acs.year, compareYear].filter(Boolean))) return;
+            logger.error('Trade area error', { error });
+            sendError(res, 500, 'Failed to build trade area report');
+        }
+    });
+
+    // Demographics for a custom trade area sent as GeoJSON
+    app.post('/api/shopping-centers/:id/trade-area', validateRequest({
+        summary: 'Demographics for a custom trade area',
+        params: CENTER_ID,
+        query: ACS_QUERY,
+        rawBody: 'A GeoJSON Polygon or MultiPolygon, bare or as a Feature'
+    }), async (req, res) => {
+        const center = findCenterOr404(req, res);
+        if (!center) return;
+
+        const { area, areaSqMiles, error } = parseTradeAreaGeometry(req.body);
+        if (error) {
+            return invalidRequest(res, 'body', [{ field: null, message: error }]);
+        }
+
+        if (!demographicsAvailable(res)) return;
+
+        const acs = acsOptions(req.valid.query);
+
+        try {
+            const demographics = await demographicsForPolygon(area, acs);
+
+            res.json({
+                center_id: center.id,
+                center_name: center.name,
+                acs_vintage: acs.year,
+                profiles: acs.profiles,
+                area_sq_miles: Math.round(areaSqMiles * 100) / 100,
+                contains_center: hasCoordinates(center)
+                    ? turf.booleanPointInPolygon([center.longitude, center.latitude], area)
+                    : null,
+                demographics
+            });
+        } catch (error) {
+            if (acsYearUnavailable(res, error, [acs.year])) return;
+            logger.error('Custom trade area error', { error });
+            sendError(res, 500, 'Failed to compute trade area demographics');
+        }
+    });
+
+    // Other centers ranked by similarity to this one on center_type, size,
+    // distance and ring demographics, with the center benchmarked against the
+    // best matches on vacancy, rent, tenant mix and demographics
+    app.get('/api/shopping-centers/:id/comparables', validateRequest({
+        summary: 'Comparable centers ranked by similarity, with a benchmark',
+        params: CENTER_ID,
+        query: COMPARABLES_QUERY
+    }), async (req, res) => {
+        const { repository } = req.workspace;
+        const center = findCenterOr404(req, res);
+        if (!center) return;
+
+        const { value: params, errors } = parseComparablesQuery(req.valid.query);
+        if (errors) {
+            return invalidRequest(res, 'query', errors);
+        }
+
+        if (params.maxDistance !== null && !hasCoordinates(center)) {
+            return sendError(res, 422, 'Shopping center has no coordinates', {
+                details: [{ field: 'max_distance', message: 'max_distance needs a center with coordinates', in: 'query' }]
+            });
+        }
+
+        // Demographics are shown whenever they can be computed, and left out
+        // of the score when they can't
+        const withDemographics = hasCoordinates(center) && demographicsReady();
+
+        try {
+            const profiles = await Promise.all(portfolioEntries(repository).map(async ({ center: other, spaces }) => centerProfile(
+                other,
+                spaces,
+                withDemographics && hasCoordinates(other)
+                    ? await demographicsForRadius(other.latitude, other.longitude, params.ring)
+                    : null
+            )));
+
+            const subject = profiles.find(profile => profile.id === center.id);
+            const unusable = unusableAttributes(subject, { demographicsAvailable: withDemographics });
+            const { weights, comparables, candidates_considered: considered } = rankComparables(subject, profiles, params, unusable);
+
+            if (Object.values(weights).every(value => value === 0)) {
+                return sendError(res, 422, 'Nothing to compare this center on', {
+                    code: 'no_comparable_attributes',
+                    details: unusable.map(({ attribute, reason }) => ({ field: attribute, message: reason }))
+                });
+            }
+
+            res.json({
+                subject,
+                ring_miles: params.ring,
+                acs_vintage: withDemographics ? censusClient.vintage : null,
+                weights,
+                ignored_attributes: unusable,
+                candidates_considered: considered,
+                comparables,
+                benchmark: benchmark(subject, comparables)
+            });
+        } catch (error) {
+            logger.error('Comparables error', { error });
+            sendError(res, 500, 'Failed to find comparable centers');
+        }
+    });
+
+    // Leasing opportunities: retail categories the center is short of next to
+    // the other centers of its center_type (weighed by its trade area), brands
+    // at nearby peers it lacks, and its vacant suites ranked by best prospect
+    app.get('/api/shopping-centers/:id/opportunities', validateRequest({
+        summary: 'Under-represented categories and prospective brands, scored against vacant suites',
+        params: CENTER_ID,
+        query: OPPORTUNITIES_QUERY
+    }), async (req, res) => {
+        const { repository, brands, centerIndex } = req.workspace;
+        const center = findCenterOr404(req, res);
+        if (!center) return;
+
+        const { radius, ring, limit } = req.valid.query;
+        const type = String(center.center_type || '').toLowerCase().trim();
+        const all = portfolioEntries(repository);
+        const entries = all.filter(entry => entry.center.id !== center.id);
+        const peers = type
+            ? entries.filter(entry => String(entry.center.center_type || '').toLowerCase().trim() === type)
+            : entries;
+
+        // Peers near the center supply the brands; without coordinates every
+        // peer does
+        let nearbyPeers = peers;
+        if (hasCoordinates(center)) {
+            const distances = new Map(centerIndex.nearby(center.latitude, center.longitude, radius)
+                .map(({ center: other, distance_miles: distance }) => [other.id, distance]));
+            nearbyPeers = peers
+                .filter(entry => distances.has(entry.center.id))
+                .map(entry => ({ ...entry, distance_miles: distances.get(entry.center.id) }));
+        }
+
+        const withDemographics = hasCoordinates(center) && demographicsReady();
+
+        try {
+            const ringDemographics = async entry => withDemographics && hasCoordinates(entry.center)
+                ? demographicsForRadius(entry.center.latitude, entry.center.longitude, ring)
+                : null;
+            const own = all.find(entry => entry.center.id === center.id);
+            const subject = { ...own, demographics: await ringDemographics(own) };
+            const profiledPeers = await Promise.all(peers.map(async entry => ({ ...entry, demographics: await ringDemographics(entry) })));
+
+            const brandNames = new Map(brands.list().map(brand => [brand.slug, brand.name]));
+            const result = findOpportunities({ subject, peers: profiledPeers, nearbyPeers, brandNames, limit });
+
+            res.json({
+                shopping_center_id: center.id,
+                shopping_center_name: center.name,
+                peer_group: {
+                    center_type: center.center_type || null,
+                    centers: peers.length,
+                    nearby_centers: nearbyPeers.length,
+                    radius_miles: hasCoordinates(center) ? radius : null
+                },
+                ring_miles: ring,
+                acs_vintage: withDemographics ? censusClient.vintage : null,
+                trade_area: subject.demographics
+                    ? { total_households: subject.demographics.total_households ?? null, median_household_income: subject.demographics.median_household_income ?? null }
+                    : null,
+                ...result
+            });
+        } catch (error) {
+            logger.error('Opportunities error', { error });
+            sendError(res, 500, 'Failed to analyze leasing opportunities');
+        }
+    });
+
+    // NEW: Get demographics for a radius around a point
+    app.get('/api/demographics/:lat/:lng/:radius', validateRequest({
+        summary: 'Demographics for a radius around a point',
+        params: {
+            lat: { type: 'number', required: true, min: -90, max: 90 },
+            lng: { type: 'number', required: true, min: -180, max: 180 },
+            radius: { type: 'number', required: true, min: 0.1, max: MAX_RING_MILES, description: 'Miles' }
+        },
+        query: { ...ACS_QUERY, ...COMPARE_QUERY }
+    }), async (req, res) => {
+        const { lat: latitude, lng: longitude, radius: radiusMiles } = req.valid.params;
+        const acs = acsOptions(req.valid.query);
+        const compareYear = req.valid.query.compare_year;
+
+        if (!compareYearValid(res, compareYear, acs)) return;
+        if (!demographicsAvailable(res)) return;
+
+        try {
+            logger.debug('Fetching demographics', { latitude, longitude, radius_miles: radiusMiles });
+
+            // Get census block groups within radius
+            const blockGroups = getCensusBlockGroups(latitude, longitude, radiusMiles);
+
+            if (blockGroups.length === 0) {
+                return res.json({
+                    radius: radiusMiles,
+                    message: 'No census data available for this area',
+                    total_population: 0,
+                    median_household_income: 0
+                });
+            }
+
+            // Fetch demographics for each block group and aggregate them
+            const load = options => fetchBlockGroupDemographics(blockGroups, options)
+                .then(entries => aggregateDemographics(entries, radiusMiles, options.profiles));
+            const aggregatedDemographics = await load(acs);
+
+            logger.debug('Demographics aggregated', { block_groups: aggregatedDemographics.block_groups_analyzed });
+
+            res.json({
+                ...aggregatedDemographics,
+                acs_vintage: acs.year,
+                profiles: acs.profiles,
+                ...(compareYear ? { growth: await growthBetween(load, compareYear, acs.year) } : {})
+            });
+
+        } catch (error) {
+            if (acsYearUnavailable(res, error, [acs.year, compareYear].filter(Boolean))) return;
+            logger.error('Demographics API error', { error });
+            sendError(res, 500, 'Failed to fetch demographic data');
+        }
+    });
+
+    // File upload setup
+    const upload = multer({ 
+        storage: multer.memoryStorage(),
+        limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
+    });
+
+    // CSV Import endpoint. Queues a background job and answers with its ID;
+    // `?wait=true` waits for the job and answers with its results instead, and
+    // `?dry_run=true` validates and previews the import without saving anything.
+    // `?mode=update|skip|replace` picks how existing records are treated and
+    // `?mapping=<profile>` renames spreadsheet columns with a saved profile.
+    app.post('/api/import-csv-v3/', requireRole('analyst'), upload.single('file'), validateRequest({
+        summary: 'Import a CSV of centers and tenant spaces',
+        upload: { field: 'file', description: 'CSV file, up to 10 MB' },
+        query: {
+            mode: { type: 'string', enum: IMPORT_MODES, default: 'update', description: 'How existing records are treated' },
+            mapping: { type: 'string', description: 'Saved column-mapping profile to apply' },
+            dry_run: { type: 'boolean', default: false, description: 'Validate and preview without saving' },
+            wait: { type: 'boolean', default: false, description: 'Wait for the job and answer with its results' }
+        }
+    }), async (req, res) => {
+        const { importJobs, columnMappings } = req.workspace;
+        if (!req.file) {
+            return sendError(res, 400, 'No file uploaded', { details: [{ field: 'file', in: 'body', message: 'file is required' }] });
+        }
+
+        if (!req.file.originalname.endsWith('.csv')) {
+            return sendError(res, 400, 'File must be a CSV', { details: [{ field: 'file', in: 'body', message: 'file must be a .csv file' }] });
+        }
+
+        const { mode, dry_run: dryRun, wait } = req.valid.query;
+
+        let mapping = null;
+        if (req.valid.query.mapping) {
+            mapping = columnMappings.get(req.valid.query.mapping);
+            if (!mapping) {
+                return sendError(res, 400, `Unknown column mapping "${req.valid.query.mapping}"`, {
+                    details: [{ field: 'mapping', in: 'query', message: 'No saved column mapping has this name' }]
+                });
+            }
+        }
+
+        const { job, finished } = importJobs.submit({
+            filename: req.file.originalname,
+            dryRun,
+            mode,
+            mapping: mapping ? mapping.name : null,
+            submittedBy: { id: req.auth.id, name: req.auth.name, role: req.auth.role },
+            input: { csvData: req.file.buffer.toString('utf8'), mode, mapping }
+        });
+
+        if (!wait) {
+            return res.status(202).json({
+                message: dryRun ? 'Dry run queued' : 'Import queued',
+                job_id: job.id,
+                dry_run: dryRun,
+                status_url: `${apiPrefix(req)}/import-jobs/${job.id}`,
+                errors_url: `${apiPrefix(req)}/import-jobs/${job.id}/errors`
+            });
+        }
+
+        const done = await finished;
+        if (done.status === 'failed') {
+            return sendError(res, 500, 'Failed to process CSV file', { details: done.error, job_id: done.id });
+        }
+
+        res.json({
+            message: dryRun ? 'Dry run completed - nothing was saved' : 'Import completed successfully',
+            job_id: done.id,
+            dry_run: dryRun,
+            details: done.stats,
+            errors: done.errors
+        });
+    });
+
+    const MAPPING_NAME = { name: { type: 'string', required: true, description: 'Profile name' } };
+
+    // List saved column-mapping profiles
+    app.get('/api/import-mappings', requireRole('analyst'), validateRequest({
+        summary: 'List saved column-mapping profiles'
+    }), (req, res) => {
+        const { columnMappings } = req.workspace;
+        const mappings = columnMappings.list();
+        res.json({ data: mappings, count: mappings.length, import_columns: IMPORT_COLUMNS });
+    });
+
+    // Get one column-mapping profile
+    app.get('/api/import-mappings/:name', requireRole('analyst'), validateRequest({
+        summary: 'Get a column-mapping profile',
+        params: MAPPING_NAME
+    }), (req, res) => {
+        const { columnMappings } = req.workspace;
+        const mapping = columnMappings.get(req.params.name);
+        if (!mapping) {
+            return sendError(res, 404, 'Column mapping not found');
+        }
+        res.json(mapping);
+    });
+
+    // Create (POST) or replace (PUT) a column-mapping profile
+    async function saveMappingHandler(req, res) {
+        const { repository, columnMappings } = req.workspace;
+        const nameFromPath = req.method === 'PUT' ? req.params.name : null;
+        const { value, errors } = validateMapping(req.valid.body, { nameFromPath });
+        if (errors.length > 0) {
+            return invalidRequest(res, 'body', errors);
+        }
+
+        if (req.method === 'POST' && columnMappings.get(value.name)) {
+            return sendError(res, 409, `A column mapping named "${value.name}" already exists`);
+        }
+
+        try {
+            const created = req.method === 'POST' || !columnMappings.get(value.name);
+            const mapping = columnMappings.save(value);
+            await repository.flush();
+            res.status(created ? 201 : 200).json(mapping);
+        } catch (error) {
+            logger.error('Error saving column mapping', { error });
+            sendError(res, 500, 'Failed to save column mapping', { details: error.message });
+        }
+    }
+
+    app.post('/api/import-mappings', requireRole('analyst'), validateRequest({
+        summary: 'Create a column-mapping profile',
+        body: MAPPING_FIELDS
+    }), saveMappingHandler);
+    app.put('/api/import-mappings/:name', requireRole('analyst'), validateRequest({
+        summary: 'Create or replace a column-mapping profile',
+        params: MAPPING_NAME,
+        body: MAPPING_FIELDS
+    }), saveMappingHandler);
+
+    // Delete a column-mapping profile
+    app.delete('/api/import-mappings/:name', requireRole('analyst'), validateRequest({
+        summary: 'Delete a column-mapping profile',
+        params: MAPPING_NAME
+    }), async (req, res) => {
+        const { repository, columnMappings } = req.workspace;
+        if (!columnMappings.delete(req.params.name)) {
+            return sendError(res, 404, 'Column mapping not found');
+        }
+
+        try {
+            await repository.flush();
+            res.json({ message: 'Column mapping deleted', name: req.params.name });
+        } catch (error) {
+            logger.error('Error deleting column mapping', { error });
+            sendError(res, 500, 'Failed to delete column mapping', { details: error.message });
+        }
+    });
+
+    const JOB_ID = { id: { type: 'string', required: true, description: 'Import job id' } };
+
+    // List import jobs, newest first
+    app.get('/api/import-jobs', requireRole('analyst'), validateRequest({
+        summary: 'List import jobs, newest first'
+    }), (req, res) => {
+        const { importJobs } = req.workspace;
+        const jobs = importJobs.list().map(summarizeJob);
+        res.json({ data: jobs, count: jobs.length });
+    });
+
+    // Status and progress of one import job
+    app.get('/api/import-jobs/:id', requireRole('analyst'), validateRequest({
+        summary: 'Status and progress of an import job',
+        params: JOB_ID
+    }), (req, res) => {
+        const { importJobs } = req.workspace;
+        const job = importJobs.get(req.params.id);
+        if (!job) {
+            return sendError(res, 404, 'Import job not found');
+        }
+
+        res.json({ ...summarizeJob(job), errors_url: `${apiPrefix(req)}/import-jobs/${job.id}/errors` });
+    });
+
+    // Rejected rows of an import job, as a CSV download (or JSON with ?format=json)
+    app.get('/api/import-jobs/:id/errors', requireRole('analyst'), validateRequest({
+        summary: 'Rejected rows of an import job',
+        params: JOB_ID,
+        query: { format: { type: 'string', enum: ['csv', 'json'], default: 'csv' } }
+    }), (req, res) => {
+        const { importJobs } = req.workspace;
+        const job = importJobs.get(req.params.id);
+        if (!job) {
+            return sendError(res, 404, 'Import job not found');
+        }
+
+        if (req.valid.query.format === 'json') {
+            return res.json({
+                job_id: job.id,
+                error_count: job.error_count,
+                truncated: job.errors_truncated,
+                errors: job.errors
+            });
+        }
+
+        const csvRows = [['row', 'line', 'field', 'message', 'value'].join(',')];
+        for (const error of job.errors) {
+            csvRows.push([error.row, error.line, escapeCSV(error.field), escapeCSV(error.message), escapeCSV(error.value)].join(','));
+        }
+
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="import_errors_${job.id}.csv"`);
+        res.send(csvRows.join('\n'));
+    });
+
+    // Cross-portfolio tenant directory: every brand with at least one location
+    app.get('/api/tenants', validateRequest({
+        summary: 'Tenant directory: every brand with at least one location',
+        query: { q: { type: 'string', description: 'Search brand names and aliases' } }
+    }), (req, res) => {
+        const { repository, brands } = req.workspace;
+        const search = req.valid.query.q ? req.valid.query.q.toLowerCase() : null;
+        const tenants = repository.listTenants();
+        const getCenter = id => repository.getCenterById(id);
+
+        const directory = brands.list()
+            .filter(brand => !search || brand.name.toLowerCase().includes(search) || brand.aliases.some(alias => alias.includes(search)))
+            .map(brand => summarizeBrand(brand, brandLocations(brand, tenants, getCenter)))
+            .filter(row => row.locations > 0)
+            .sort((a, b) => b.locations - a.locations || a.name.localeCompare(b.name));
+
+        res.json({
+            data: directory,
+            count: directory.length,
+            pending_reviews: brands.listReviews('pending').length
+        });
+    });
+
+    const BRAND = { brand: { type: 'string', required: true, description: 'Brand slug or any of its names' } };
+
+    // Every location of one brand, by slug or any of its names
+    app.get('/api/tenants/:brand/locations', validateRequest({
+        summary: 'Every location of a brand',
+        params: BRAND
+    }), (req, res) => {
+        const { repository, brands } = req.workspace;
+        const brand = brands.find(req.params.brand);
+        if (!brand) {
+            return sendError(res, 404, 'Brand not found');
+        }
+
+        const locations = brandLocations(brand, repository.listTenants(), id => repository.getCenterById(id));
+        res.json({
+            ...summarizeBrand(brand, locations),
+            data: locations
+        });
+    });
+
+    // Create a brand by hand, optionally with aliases
+    app.post('/api/brands', requireRole('analyst'), validateRequest({
+        summary: 'Create a brand',
+        body: {
+            name: { type: 'string', required: true, maxLength: 200 },
+            aliases: { type: 'list', default: [], description: 'Other names the brand trades under' }
+        }
+    }), async (req, res) => {
+        const { repository, brands } = req.workspace;
+        const { name, aliases } = req.valid.body;
+
+        try {
+            const brand = brands.create(name, aliases);
+            if (!brand) {
+                return sendError(res, 409, `"${name}" already belongs to a brand`);
+            }
+            await repository.flush();
+            res.status(201).json(brand);
+        } catch (error) {
+            logger.error('Error creating brand', { error });
+            sendError(res, 500, 'Failed to create brand', { details: error.message });
+        }
+    });
+
+    // Add an alias to a brand; spaces with that name move to the brand
+    app.post('/api/brands/:brand/aliases', requireRole('analyst'), validateRequest({
+        summary: 'Add an alias to a brand',
+        params: BRAND,
+        body: { alias: { type: 'string', required: true, maxLength: 200 } }
+    }), async (req, res) => {
+        const { repository, brands } = req.workspace;
+        const brand = brands.find(req.params.brand);
+        if (!brand) {
+            return sendError(res, 404, 'Brand not found');
+        }
+
+        const { alias } = req.valid.body;
+
+        try {
+            const updated = brands.addAlias(brand.slug, alias);
+            if (!updated) {
+                return sendError(res, 409, `"${alias}" already belongs to another brand`);
+            }
+            await repository.flush();
+            res.json(updated);
+        } catch (error) {
+            logger.error('Error adding brand alias', { error });
+            sendError(res, 500, 'Failed to add alias', { details: error.message });
+        }
+    });
+
+    // Re-run normalization over every space, e.g. for data stored before brands
+    app.post('/api/brands/normalize', requireRole('admin'), validateRequest({
+        summary: 'Re-run brand normalization over every space'
+    }), async (req, res) => {
+        const { repository, brands } = req.workspace;
+        try {
+            const counts = brands.normalizeAll();
+            await repository.flush();
+            res.json(counts);
+        } catch (error) {
+            logger.error('Error normalizing brands', { error });
+            sendError(res, 500, 'Failed to normalize brands', { details: error.message });
+        }
+    });
+
+    // Review queue of uncertain brand matches (?status=pending|approved|rejected)
+    app.get('/api/brand-reviews', validateRequest({
+        summary: 'Review queue of uncertain brand matches',
+        query: { status: { type: 'string', enum: ['pending', 'approved', 'rejected', 'all'], default: 'pending' } }
+    }), (req, res) => {
+        const { brands } = req.workspace;
+        const { status } = req.valid.query;
+
+        const reviews = brands.listReviews(status === 'all' ? null : status);
+        res.json({ data: reviews, count: reviews.length });
+    });
+
+    const REVIEW_ID = { id: { type: 'string', required: true, description: 'Brand review id' } };
+
+    // Look up a pending review, or send a 404/409
+    function findPendingReview(req, res) {
+        const review = req.workspace.brands.getReview(req.params.id);
+        if (!review) {
+            sendError(res, 404, 'Brand review not found');
+            return null;
+        }
+        if (review.status !== 'pending') {
+            sendError(res, 409, `Review was already ${review.status}`);
+            return null;
+        }
+        return review;
+    }
+
+    // Accept a review: link the name to the suggested brand, or to { "brand": slug }
+    app.post('/api/brand-reviews/:id/approve', requireRole('analyst'), validateRequest({
+        summary: 'Accept a brand review',
+        params: REVIEW_ID,
+        body: { brand: { type: 'string', description: 'Brand to link the name to, instead of the suggested one' } }
+    }), async (req, res) => {
+        const { repository, brands } = req.workspace;
+        const review = findPendingReview(req, res);
+        if (!review) return;
+
+        let slug = null;
+        if (req.valid.body.brand) {
+            const brand = brands.find(req.valid.body.brand);
+            if (!brand) {
+                return invalidRequest(res, 'body', [{ field: 'brand', message: 'Brand not found' }]);
+            }
+            slug = brand.slug;
+        }
+
+        try {
+            const result = brands.approveReview(review.id, slug);
+            await repository.flush();
+            res.json(result);
+        } catch (error) {
+            logger.error('Error approving brand review', { error });
+            sendError(res, 500, 'Failed to approve brand review', { details: error.message });
+        }
+    });
+
+    // Reject a review: the name becomes a brand of its own
+    app.post('/api/brand-reviews/:id/reject', requireRole('analyst'), validateRequest({
+        summary: 'Reject a brand review; the name becomes a brand of its own',
+        params: REVIEW_ID
+    }), async (req, res) => {
+        const { repository, brands } = req.workspace;
+        const review = findPendingReview(req, res);
+        if (!review) return;
+
+        try {
+            const result = brands.rejectReview(review.id);
+            await repository.flush();
+            res.json(result);
+        } catch (error) {
+            logger.error('Error rejecting brand review', { error });
+            sendError(res, 500, 'Failed to reject brand review', { details: error.message });
+        }
+    });
+
+    // Who the caller is
+    app.get('/api/auth/me', validateRequest({
+        summary: 'Who the caller is'
+    }), (req, res) => {
+        res.json(req.auth);
+    });
+
+    // Exchange an API key for a short-lived session token
+    app.post('/api/auth/token', validateRequest({
+        summary: 'Exchange an API key for a short-lived session token'
+    }), (req, res) => {
+        if (auth.disabled) {
+            return sendError(res, 400, 'Authentication is disabled');
+        }
+        if (req.auth.via !== 'api_key') {
+            return sendError(res, 400, 'Session tokens are issued for API keys only');
+        }
+        res.json({ ...auth.issueToken(req.auth), role: req.auth.role });
+    });
+
+    // API key management (admin only)
+    const API_KEY_ID = { id: { type: 'string', required: true, description: 'API key id' } };
+
+    // Keys can only be limited to workspaces that exist. Answers 400 and
+    // returns true otherwise.
+    function unknownWorkspaces(req, res) {
+        const unknown = (req.valid.body.workspaces || []).filter(id => !workspaceRecords.get(id));
+        if (unknown.length > 0) {
+            invalidRequest(res, 'body', [{ field: 'workspaces', message: `Unknown workspaces: ${unknown.join(', ')}` }]);
+            return true;
+        }
+        return false;
+    }
+
+    app.get('/api/admin/api-keys', requireRole('admin'), validateRequest({
+        summary: 'List API keys'
+    }), (req, res) => {
+        const keys = apiKeys.list();
+        res.json({ data: keys, count: keys.length });
+    });
+
+    // Create a key. The plain key is only ever shown in this response.
+    app.post('/api/admin/api-keys', requireRole('admin'), validateRequest({
+        summary: 'Create an API key',
+        body: API_KEY_FIELDS
+    }), async (req, res) => {
+        if (unknownWorkspaces(req, res)) return;
+        const { name, role, workspaces } = req.valid.body;
+        try {
+            const { key, record } = apiKeys.create({ name, role, workspaces, createdBy: req.auth.id });
+            await store.flush();
+            res.status(201).json({ ...record, key });
+        } catch (error) {
+            logger.error('Error creating API key', { error });
+            sendError(res, 500, 'Failed to create API key', { details: error.message });
+        }
+    });
+
+    // Rename a key or change its role or the workspaces it can reach
+    app.patch('/api/admin/api-keys/:id', requireRole('admin'), validateRequest({
+        summary: 'Rename an API key or change its role or workspaces',
+        params: API_KEY_ID,
+        body: API_KEY_FIELDS
+    }), async (req, res) => {
+        const existing = apiKeys.get(req.params.id);
+        if (!existing) {
+            return sendError(res, 404, 'API key not found');
+        }
+        if (unknownWorkspaces(req, res)) return;
+
+        try {
+            const updated = apiKeys.update(existing.id, req.valid.body);
+            await store.flush();
+            res.json(updated);
+        } catch (error) {
+            logger.error('Error updating API key', { error });
+            sendError(res, 500, 'Failed to update API key', { details: error.message });
+        }
+    });
+
+    // Revoke a key; session tokens made from it stop working too
+    app.delete('/api/admin/api-keys/:id', requireRole('admin'), validateRequest({
+        summary: 'Revoke an API key',
+        params: API_KEY_ID
+    }), async (req, res) => {
+        const existing = apiKeys.get(req.params.id);
+        if (!existing) {
+            return sendError(res, 404, 'API key not found');
+        }
+        if (existing.revoked_at) {
+            return sendError(res, 409, 'API key is already revoked');
+        }
+
+        try {
+            const revoked = apiKeys.revoke(existing.id);
+            await store.flush();
+            res.json({ message: 'API key revoked', key: revoked });
+        } catch (error) {
+            logger.error('Error revoking API key', { error });
+            sendError(res, 500, 'Failed to revoke API key', { details: error.message });
+        }
+    });
+
+    // Workspaces. Anyone can list them; only admins create, change or delete
+    // them. Their data is reached under /api/workspaces/:workspace/.
+    const WORKSPACE_ID = { workspace: { type: 'string', required: true, description: 'Workspace id' } };
+
+    // A workspace record with how much it holds
+    function describeWorkspace(record) {
+        const { repository } = servicesFor(record.id);
+        return { ...record, shopping_centers: repository.countCenters(), tenant_spaces: repository.countTenants() };
+    }
+
+    function findWorkspaceOr404(req, res) {
+        if (!canAccessWorkspace(req.auth, req.params.workspace)) {
+            sendError(res, 403, 'Forbidden', { details: `This credential can't use workspace "${req.params.workspace}"` });
+            return null;
+        }
+        const record = workspaceRecords.get(req.params.workspace);
+        if (!record) {
+            sendError(res, 404, `Workspace "${req.params.workspace}" not found`);
+        }
+        return record;
+    }
+
+    // Workspace settings are checked on their own so that errors name the
+    // setting, as settings.<name>
+    function validateSettings(req, res) {
+        const { value, errors } = validateObject(WORKSPACE_SETTINGS, req.valid.body.settings || {}, { partial: req.method === 'PATCH' });
+        if (errors.length > 0) {
+            invalidRequest(res, 'body', errors.map(error => ({ ...error, field: error.field ? `settings.${error.field}` : 'settings' })));
+            return null;
+        }
+        return value;
+    }
+
+    app.get('/api/workspaces', validateRequest({
+        summary: 'List workspaces'
+    }), (req, res) => {
+        const list = workspaceRecords.list()
+            .filter(record => canAccessWorkspace(req.auth, record.id))
+            .map(describeWorkspace);
+        res.json({ data: list, count: list.length });
+    });
+
+    app.get('/api/workspaces/:workspace', validateRequest({
+        summary: 'Get a workspace',
+        params: WORKSPACE_ID
+    }), (req, res) => {
+        const record = findWorkspaceOr404(req, res);
+        if (!record) return;
+        res.json(describeWorkspace(record));
+    });
+
+    app.post('/api/workspaces', requireRole('admin'), validateRequest({
+        summary: 'Create a workspace',
+        body: WORKSPACE_FIELDS
+    }), async (req, res) => {
+        const settings = validateSettings(req, res);
+        if (!settings) return;
+
+        if (workspaceRecords.get(req.valid.body.id)) {
+            return sendError(res, 409, `A workspace with id "${req.valid.body.id}" already exists`);
+        }
+
+        try {
+            const record = workspaceRecords.create({ ...req.valid.body, settings }, { createdBy: req.auth.id });
+            await store.flush();
+            res.status(201).json(describeWorkspace(record));
+        } catch (error) {
+            logger.error('Error creating workspace', { error });
+            sendError(res, 500, 'Failed to create workspace', { details: error.message });
+        }
+    });
+
+    // Rename a workspace or change its settings; settings not given are kept
+    app.patch('/api/workspaces/:workspace', requireRole('admin'), validateRequest({
+        summary: 'Update a workspace or its settings',
+        params: WORKSPACE_ID,
+        body: WORKSPACE_UPDATE_FIELDS
+    }), async (req, res) => {
+        const record = findWorkspaceOr404(req, res);
+        if (!record) return;
+        const settings = validateSettings(req, res);
+        if (!settings) return;
+
+        try {
+            const updated = workspaceRecords.update(record.id, { ...req.valid.body, settings });
+            await store.flush();
+            res.json(describeWorkspace(updated));
+        } catch (error) {
+            logger.error('Error updating workspace', { error });
+            sendError(res, 500, 'Failed to update workspace', { details: error.message });
+        }
+    });
+
+    // Delete an empty workspace. The default workspace can't be deleted, nor
+    // can one that API keys are limited to: taking it off a key's list could
+    // leave the list empty, which opens every workspace to the key.
+    app.delete('/api/workspaces/:workspace', requireRole('admin'), validateRequest({
+        summary: 'Delete an empty workspace',
+        params: WORKSPACE_ID
+    }), async (req, res) => {
+        const record = findWorkspaceOr404(req, res);
+        if (!record) return;
+
+        if (record.id === DEFAULT_WORKSPACE_ID) {
+            return sendError(res, 409, 'The default workspace cannot be deleted');
+        }
+        const { repository } = servicesFor(record.id);
+        if (repository.countCenters() > 0) {
+            return sendError(res, 409, 'Workspace still has shopping centers; delete or copy them first');
+        }
+        const keys = apiKeys.list().filter(key => !key.revoked_at && (key.workspaces || []).includes(record.id));
+        if (keys.length > 0) {
+            return sendError(res, 409, 'API keys are limited to this workspace; change or revoke them first', {
+                api_keys: keys.map(key => ({ id: key.id, name: key.name }))
+            });
+        }
+
+        try {
+            workspaceRecords.delete(record.id);
+            workspaceServices.delete(record.id);
+            await store.flush();
+            res.json({ message: 'Workspace deleted', id: record.id });
+        } catch (error) {
+            logger.error('Error deleting workspace', { error });
+            sendError(res, 500, 'Failed to delete workspace', { details: error.message });
+        }
+    });
+
+    // Webhook subscriptions (admin only): portfolio events POSTed to outside
+    // systems, signed and retried; see lib/webhooks.js
+    const WEBHOOK_ID = { id: { type: 'string', required: true, description: 'Webhook id' } };
+    const DELIVERY_ID = { ...WEBHOOK_ID, deliveryId: { type: 'string', required: true, description: 'Delivery id' } };
+
+    function findWebhookOr404(req, res) {
+        const webhook = webhooks.get(req.params.id);
+        if (!webhook) {
+            sendError(res, 404, 'Webhook not found');
+        }
+        return webhook;
+    }
+
+    function findDeliveryOr404(req, res, webhook) {
+        const delivery = webhooks.getDelivery(req.params.deliveryId);
+        if (!delivery || delivery.webhook_id !== webhook.id) {
+            sendError(res, 404, 'Delivery not found');
+            return null;
+        }
+        return delivery;
+    }
+
+    app.get('/api/webhooks', requireRole('admin'), validateRequest({
+        summary: 'List webhook subscriptions'
+    }), (req, res) => {
+        const list = webhooks.list();
+        res.json({ data: list, count: list.length });
+    });
+
+    // Subscribe. The signing secret is only ever shown in this response.
+    app.post('/api/webhooks', requireRole('admin'), validateRequest({
+        summary: 'Create a webhook subscription',
+        body: WEBHOOK_FIELDS
+    }), async (req, res) => {
+        try {
+            const webhook = webhooks.create(req.valid.body, { createdBy: req.auth.id });
+            await store.flush();
+            res.status(201).json(webhook);
+        } catch (error) {
+            logger.error('Error creating webhook', { error });
+            sendError(res, 500, 'Failed to create webhook', { details: error.message });
+        }
+    });
+
+    app.get('/api/webhooks/:id', requireRole('admin'), validateRequest({
+        summary: 'Get a webhook subscription',
+        params: WEBHOOK_ID
+    }), (req, res) => {
+        const webhook = findWebhookOr404(req, res);
+        if (!webhook) return;
+        res.json(webhooks.publicWebhook(webhook));
+    });
+
+    // Change the URL, filters or active flag
+    app.patch('/api/webhooks/:id', requireRole('admin'), validateRequest({
+        summary: 'Change a webhook subscription',
+        params: WEBHOOK_ID,
+        body: WEBHOOK_FIELDS
+    }), async (req, res) => {
+        const webhook = findWebhookOr404(req, res);
+        if (!webhook) return;
+
+        try {
+            const updated = webhooks.update(webhook.id, req.valid.body);
+            await store.flush();
+            res.json(updated);
+        } catch (error) {
+            logger.error('Error updating webhook', { error });
+            sendError(res, 500, 'Failed to update webhook', { details: error.message });
+        }
+    });
+
+    app.delete('/api/webhooks/:id', requireRole('admin'), validateRequest({
+        summary: 'Delete a webhook subscription',
+        params: WEBHOOK_ID
+    }), async (req, res) => {
+        const webhook = findWebhookOr404(req, res);
+        if (!webhook) return;
+
+        try {
+            const removed = webhooks.remove(webhook.id);
+            await store.flush();
+            res.json({ message: 'Webhook deleted', webhook: removed });
+        } catch (error) {
+            logger.error('Error deleting webhook', { error });
+            sendError(res, 500, 'Failed to delete webhook', { details: error.message });
+        }
+    });
+
+    // Send a webhook.ping event, to check the receiver and its signature check
+    app.post('/api/webhooks/:id/ping', requireRole('admin'), validateRequest({
+        summary: 'Send a test event to a webhook',
+        params: WEBHOOK_ID
+    }), (req, res) => {
+        const webhook = findWebhookOr404(req, res);
+        if (!webhook) return;
+        res.status(202).json(summarizeDelivery(webhooks.ping(webhook)));
+    });
+
+    // Delivery log, newest first, without payloads
+    app.get('/api/webhooks/:id/deliveries', requireRole('admin'), validateRequest({
+        summary: 'Delivery log of a webhook',
+        params: WEBHOOK_ID,
+        query: {
+            status: { type: 'string', enum: DELIVERY_STATUSES },
+            event_type: { type: 'string', description: 'Only deliveries of this event type' },
+            limit: { type: 'integer', min: 1, max: 500, default: 50 }
+        }
+    }), (req, res) => {
+        const webhook = findWebhookOr404(req, res);
+        if (!webhook) return;
+
+        const { status, event_type: eventType, limit } = req.valid.query;
+        const log = webhooks.deliveries(webhook.id, { status, eventType });
+        res.json({ data: log.slice(0, limit).map(summarizeDelivery), count: log.length });
+    });
+
+    // One delivery with its payload and every attempt
+    app.get('/api/webhooks/:id/deliveries/:deliveryId', requireRole('admin'), validateRequest({
+        summary: 'A webhook delivery with its payload and attempts',
+        params: DELIVERY_ID
+    }), (req, res) => {
+        const webhook = findWebhookOr404(req, res);
+        if (!webhook) return;
+        const delivery = findDeliveryOr404(req, res, webhook);
+        if (!delivery) return;
+        res.json(delivery);
+    });
+
+    // Send a delivery's payload again, e.g. after fixing the receiver
+    app.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', requireRole('admin'), validateRequest({
+        summary: 'Send a past delivery again',
+        params: DELIVERY_ID
+    }), (req, res) => {
+        const webhook = findWebhookOr404(req, res);
+        if (!webhook) return;
+        const delivery = findDeliveryOr404(req, res, webhook);
+        if (!delivery) return;
+        res.status(202).json(summarizeDelivery(webhooks.redeliver(webhook, delivery)));
+    });
+
+    // Stream an export into the response. Once part of it has gone out an error
+    // can no longer be reported, so the connection is cut instead.
+    async function streamResponse(res, write) {
+        try {
+            await write();
+            res.end();
+        } catch (error) {
+            logger.error('Export error', { error });
+            if (res.headersSent) {
+                res.destroy(error);
+            } else {
+                sendError(res, 500, 'Export failed');
+            }
+        }
+    }
+
+    // Export centers and their spaces, filtered like the center list: a flat CSV
+    // in the import layout (default), an XLSX workbook with Centers and Tenants
+    // sheets, or a GeoJSON FeatureCollection of centers
+    async function exportHandler(req, res) {
+        const { repository } = req.workspace;
+        const { format, demographics_radius: demographicsRadius, ...filters } = req.valid.query;
+        const errors = [];
+
+        const { value: params, errors: queryErrors } = parseCenterQuery(filters);
+        if (queryErrors) {
+            errors.push(...queryErrors);
+        }
+        if (demographicsRadius !== undefined && format !== 'geojson') {
+            errors.push({ field: 'demographics_radius', message: 'demographics_radius only applies to geojson exports' });
+        }
+
+        if (errors.length > 0) {
+            return invalidRequest(res, 'query', errors);
+        }
+
+        const spaces = spacesByCenter(repository);
+        const rows = filterCenters(repository.listCenters(), spaces, params);
+
+        // Spaces whose center is gone can't match a filter, but an unfiltered
+        // export carries them rather than losing them
+        const orphans = hasFilters(params) ? [] : Array.from(spaces.entries())
+            .filter(([centerId]) => !repository.getCenterById(centerId))
+            .flatMap(([, list]) => list);
+        if (orphans.length > 0) {
+            logger.warn('Export includes spaces whose shopping center no longer exists', { spaces: orphans.length });
+        }
+
+        let demographics = null;
+        if (demographicsRadius) {
+            if (!demographicsAvailable(res)) return;
+            try {
+                demographics = new Map();
+                await Promise.all(rows.filter(hasCoordinates).map(async row => {
+                    demographics.set(row.id, await demographicsForRadius(row.latitude, row.longitude, demographicsRadius));
+                }));
+            } catch (error) {
+                logger.error('Export demographics error', { error });
+                return sendError(res, 500, 'Failed to fetch demographic data');
+            }
+        }
+
+        res.setHeader('Content-Type', CONTENT_TYPES[format]);
+        res.setHeader('Content-Disposition', `attachment; filename="shopwindow_export.${format}"`);
+        res.setHeader('X-Orphaned-Spaces', String(orphans.length));
+
+        await streamResponse(res, () => writeCenterExport(res, format, {
+            rows,
+            spacesByCenter: spaces,
+            getCenter: id => repository.getCenterById(id),
+            orphans,
+            demographics
+        }));
+        logger.info('Exported centers', { workspace: req.workspace.id, centers: rows.length, orphaned_spaces: orphans.length, format });
+    }
+
+    // The center list filters, without paging: exports are never paged
+    const EXPORT_QUERY = {
+        format: { type: 'string', enum: EXPORT_FORMATS, default: 'csv' },
+        ...Object.fromEntries(Object.entries(CENTER_LIST_QUERY)
+            .filter(([param]) => !['limit', 'offset', 'cursor'].includes(param))),
+        demographics_radius: {
+            type: 'number',
+            min: 0.1,
+            max: MAX_RING_MILES,
+            description: 'Add trade-area demographics for this radius, in miles (geojson only)'
+        }
+    };
+
+    app.get('/api/export', requireRole('analyst'), validateRequest({
+        summary: 'Export centers and their spaces as CSV, XLSX or GeoJSON',
+        query: EXPORT_QUERY
+    }), exportHandler);
+    // The original flat CSV export; takes the same parameters
+    app.get('/api/export-all-data', requireRole('analyst'), validateRequest({
+        summary: 'Export centers and their spaces (same as /api/export)',
+        query: EXPORT_QUERY
+    }), exportHandler);
+
+    // Tenant roster of one center as CSV (default), XLSX or JSON
+    app.get('/api/shopping-centers/:id/roster', requireRole('analyst'), validateRequest({
+        summary: 'Tenant roster of a center as CSV, XLSX or JSON',
+        params: CENTER_ID,
+        query: { format: { type: 'string', enum: ROSTER_FORMATS, default: 'csv' } }
+    }), async (req, res) => {
+        const { repository } = req.workspace;
+        const center = findCenterOr404(req, res);
+        if (!center) return;
+
+        const { format } = req.valid.query;
+
+        res.setHeader('Content-Type', CONTENT_TYPES[format]);
+        if (format !== 'json') {
+            res.setHeader('Content-Disposition', `attachment; filename="${slugify(center.name) || 'center'}_roster.${format}"`);
+        }
+        await streamResponse(res, () => writeRoster(res, format, center, repository.listTenantsForCenter(center)));
+    });
+
+    // Health check endpoint
+    app.get('/health', (req, res) => {
+        const all = workspaceRecords.list().map(workspace => servicesFor(workspace.id).repository);
+        res.json({ 
+            status: 'OK', 
+            timestamp: new Date().toISOString(),
+            workspaces: all.length,
+            shopping_centers: all.reduce((sum, repository) => sum + repository.countCenters(), 0),
+            tenant_spaces: all.reduce((sum, repository) => sum + repository.countTenants(), 0),
+            storage_driver: store.driver,
+            geocoding_providers: geocoder.providers,
+            census_api_configured: censusClient.configured,
+            census_vintage: censusClient.vintage,
+            census_cache: censusClient.stats
+        });
+    });
+
+    // Deep health check: tests storage and the upstream services (see
+    // lib/readiness.js). Answers 503 while starting and when storage fails;
+    // a degraded app answers 200 and lists what doesn't work.
+    const readiness = createReadinessCheck([
+        { name: 'storage', critical: true, run: () => store.check() },
+        {
+            name: 'census_api',
+            degrades: 'Demographics, trade areas and demographic exports',
+            run: () => censusClient.configured ? censusClient.check() : { status: 'disabled', detail: 'CENSUS_API_KEY is not set' }
+        },
+        {
+            name: 'block_groups',
+            degrades: 'Demographics, trade areas and demographic exports',
+            run: () => ({ detail: `${getBlockGroupIndex().size} block groups` })
+        },
+        ...(geocoder.providers.length > 0
+            ? geocoder.providerChecks().map(check => ({ ...check, name: `geocoder_${check.name}`, degrades: `Geocoding with ${check.name}` }))
+            : [{ name: 'geocoder', degrades: 'Geocoding new centers', run: () => ({ status: 'disabled', detail: 'No geocoding providers are configured' }) }])
+    ], options.readiness);
+
+    let loaded = false;
+
+    app.get('/health/ready', async (req, res) => {
+        if (!loaded) {
+            return res.status(503).json({ status: 'starting', checked_at: new Date().toISOString(), checks: {}, degraded: [] });
+        }
+        const report = await readiness();
+        res.status(report.status === 'unavailable' ? 503 : 200).json(report);
+    });
+
+    // Metrics read from other modules' counts when scraped
+    const ratio = (hits, total) => total > 0 ? hits / total : 0;
+    const collectedMetrics = [
+        ['gauge', 'info', 'Version of the running app', () => [{ labels: { version }, value: 1 }]],
+        ['gauge', 'uptime_seconds', 'Seconds since the process started', () => Math.round(process.uptime())],
+        ['counter', 'log_messages_total', 'Log lines by level, including those below LOG_LEVEL',
+            () => Object.entries(logger.counts).map(([level, value]) => ({ labels: { level }, value }))],
+        ['gauge', 'shopping_centers', 'Shopping centers stored, by workspace',
+            () => workspaceRecords.list().map(workspace => ({ labels: { workspace: workspace.id }, value: servicesFor(workspace.id).repository.countCenters() }))],
+        ['gauge', 'tenant_spaces', 'Tenant spaces stored, by workspace',
+            () => workspaceRecords.list().map(workspace => ({ labels: { workspace: workspace.id }, value: servicesFor(workspace.id).repository.countTenants() }))],
+        ['counter', 'geocoder_lookups_total', 'Addresses looked up by the geocoder', () => geocoder.stats.lookups],
+        ['counter', 'geocoder_cache_hits_total', 'Geocoder lookups answered from the cache', () => geocoder.stats.cache_hits],
+        ['gauge', 'geocoder_cache_hit_ratio', 'Share of geocoder lookups answered from the cache', () => ratio(geocoder.stats.cache_hits, geocoder.stats.lookups)],
+        ['counter', 'geocoder_failures_total', 'Addresses no geocoding provider found', () => geocoder.stats.failures],
+        ['counter', 'geocoder_provider_calls_total', 'Calls to each geocoding provider, by outcome',
+            () => Object.entries(geocoder.stats.providers).flatMap(([provider, counts]) => [
+                { labels: { provider, outcome: 'matched' }, value: counts.matches },
+                { labels: { provider, outcome: 'not_found' }, value: counts.calls - counts.matches - counts.errors },
+                { labels: { provider, outcome: 'error' }, value: counts.errors }
+            ])],
+        ['counter', 'census_requests_total', 'Requests made to the Census Data API, retries included', () => censusClient.stats.requests],
+        ['counter', 'census_retries_total', 'Census Data API requests retried', () => censusClient.stats.retries],
+        ['counter', 'census_errors_total', 'Census Data API queries that failed', () => censusClient.stats.errors],
+        ['counter', 'census_cache_hits_total', 'Census queries answered from the cache', () => censusClient.stats.cache_hits],
+        ['counter', 'census_cache_misses_total', 'Census queries not in the cache', () => censusClient.stats.cache_misses],
+        ['gauge', 'census_cache_hit_ratio', 'Share of Census queries answered from the cache',
+            () => ratio(censusClient.stats.cache_hits, censusClient.stats.cache_hits + censusClient.stats.cache_misses)]
+    ];
+    for (const [type, name, help, collect] of collectedMetrics) {
+        metrics[type]({ name, help, collect });
+    }
+
+    // Prometheus scrape endpoint. Open like /health unless METRICS_TOKEN is
+    // set, in which case scrapers send it as a bearer token.
+    app.get('/metrics', (req, res) => {
+        const token = options.metricsToken ?? process.env.METRICS_TOKEN;
+        if (token && req.get('Authorization') !== `Bearer ${token}`) {
+            return sendError(res, 401, 'Metrics token required');
+        }
+        res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+    });
+
+    // Root endpoint
+    app.get('/', (req, res) => {
+        res.json({ 
+            message: 'ShopWindow API - Simple & Fast with Demographics',
+            version,
+            endpoints: [
+                'GET /api/shopping-centers/',
+                'GET /api/shopping-centers/nearby',
+                'GET /api/shopping-centers/bbox',
+                'GET /api/shopping-centers/co-tenancy',
+                'POST /api/shopping-centers/',
+                'GET|PUT|PATCH|DELETE /api/shopping-centers/:id',
+                'PUT /api/shopping-centers/:id/coordinates',
+                'POST /api/shopping-centers/geocode-missing',
+                'POST /api/shopping-centers/copy',
+                'GET|POST /api/shopping-centers/:id/tenants',
+                'GET /api/shopping-centers/:id/history',
+                'GET /api/shopping-centers/:id/leasing-activity',
+                'GET|PUT|PATCH|DELETE /api/shopping-centers/:id/tenants/:spaceId',
+                'GET /api/shopping-centers/:id/vacancy-stats',
+                'GET /api/portfolio/vacancy-stats',
+                'GET /api/shopping-centers/:id/lease-expirations',
+                'GET /api/portfolio/lease-expirations',
+                'GET /api/shopping-centers/:id/rent-projection',
+                'GET /api/portfolio/rent-projection',
+                'GET|POST /api/shopping-centers/:id/trade-area',
+                'GET /api/shopping-centers/:id/comparables',
+                'GET /api/shopping-centers/:id/opportunities',
+                'GET /api/demographics/:lat/:lng/:radius',
+                'GET /api/tenants',
+                'GET /api/tenants/:brand/locations',
+                'POST /api/brands',
+                'POST /api/brands/:brand/aliases',
+                'POST /api/brands/normalize',
+                'GET /api/brand-reviews',
+                'POST /api/brand-reviews/:id/approve|reject',
+                'GET /api/auth/me',
+                'POST /api/auth/token',
+                'GET|POST /api/admin/api-keys',
+                'PATCH|DELETE /api/admin/api-keys/:id',
+                'GET|POST /api/workspaces',
+                'GET|PATCH|DELETE /api/workspaces/:workspace',
+                '/api/workspaces/:workspace/... (any route above, in that workspace)',
+                'GET|POST /api/webhooks',
+                'GET|PATCH|DELETE /api/webhooks/:id',
+                'POST /api/webhooks/:id/ping',
+                'GET /api/webhooks/:id/deliveries',
+                'GET /api/webhooks/:id/deliveries/:deliveryId',
+                'POST /api/webhooks/:id/deliveries/:deliveryId/redeliver',
+                'GET /api/export',
+                'GET /api/export-all-data',
+                'GET /api/shopping-centers/:id/roster',
+                'POST /api/import-csv-v3/',
+                'GET|POST /api/import-mappings',
+                'GET|PUT|DELETE /api/import-mappings/:name',
+                'GET /api/import-jobs',
+                'GET /api/import-jobs/:id',
+                'GET /api/import-jobs/:id/errors',
+                'GET /health',
+                'GET /health/ready',
+                'GET /metrics',
+                'GET /openapi.json'
+            ]
+        });
+    });
+
+    // OpenAPI description of every route, built once on first request
+    let openApiSpec = null;
+    app.get('/openapi.json', (req, res) => {
+        if (!openApiSpec) {
+            openApiSpec = buildOpenApiSpec(app, {
+                info: { title: 'ShopWindow API', version },
+                schemas: {
+                    ShoppingCenterInput: CENTER_FIELDS,
+                    TenantSpaceInput: TENANT_FIELDS,
+                    CoordinatesInput: COORDINATE_FIELDS,
+                    ColumnMappingInput: MAPPING_FIELDS,
+                    ApiKeyInput: API_KEY_FIELDS,
+                    WebhookInput: WEBHOOK_FIELDS,
+                    WorkspaceInput: WORKSPACE_FIELDS,
+                    WorkspaceSettings: WORKSPACE_SETTINGS,
+                    CopyCentersInput: COPY_FIELDS
+                }
+            });
+        }
+        res.json(openApiSpec);
+    });
+
+    // Unknown API routes, and errors no route handled, in the usual error shape
+    app.use('/api', (req, res) => {
+        sendError(res, 404, `No route for ${req.method} ${req.baseUrl}${req.path}`);
+    });
+    app.use(errorHandler);
+
+    // Load stored data and bring it up to date. Call before serving requests.
+    async function load() {
+        await Promise.all([store.load(), censusCacheStore.load(), webhookStore.load()]);
+        workspaceRecords.ensureDefault();
+
+        const swept = censusClient.sweepCache();
+        if (swept > 0) {
+            logger.info('Census cache: deleted expired responses', { responses: swept });
+        }
+
+        // Hand-entered coordinates used to be kept in the shared geocode
+        // cache. They were set before workspaces, so they are the default
+        // workspace's.
+        const geocodeCache = store.collection('geocode_cache');
+        const { geocodeOverrides } = servicesFor(DEFAULT_WORKSPACE_ID);
+        for (const [key, entry] of Array.from(geocodeCache.entries())) {
+            if (entry.source === 'manual') {
+                geocodeOverrides.set(key, entry);
+                geocodeCache.delete(key);
+            }
+        }
+
+        let baselined = 0;
+        for (const workspace of workspaceRecords.list()) {
+            const { repository, auditLog, importJobs } = servicesFor(workspace.id);
+            repository.migrate();
+            importJobs.recoverInterrupted();
+            baselined += auditLog.recordBaseline(repository);
+        }
+        if (baselined > 0) {
+            logger.info('Audit log: recorded a baseline for records without history', { records: baselined });
+        }
+
+        // Webhook deliveries used to be kept in the main store
+        const storedDeliveries = store.collection('webhook_deliveries');
+        const deliveryLog = webhookStore.collection('webhook_deliveries');
+        for (const [id, delivery] of Array.from(storedDeliveries.entries())) {
+            deliveryLog.set(id, delivery);
+            storedDeliveries.delete(id);
+        }
+
+        const resumed = webhooks.resume();
+        if (resumed > 0) {
+            logger.info('Webhooks: resuming pending deliveries', { deliveries: resumed });
+        }
+        loaded = true;
+    }
+
+    // Stop webhook deliveries and flush pending writes
+    async function close() {
+        webhooks.close();
+        await store.close();
+        await censusCacheStore.close();
+        await webhookStore.close();
+    }
+
+    // The default workspace's repository and import jobs, for callers that
+    // predate workspaces
+    const { repository, importJobs } = servicesFor(DEFAULT_WORKSPACE_ID);
+
+    return { app, store, repository, events, webhooks, workspaces: workspaceRecords, auth, apiKeys, censusClient, geocoder, importJobs, load, close };
+}
+
+module.exports = {
+    createApp
+};
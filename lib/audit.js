@@ -0,0 +1,231 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { v4: uuidv4 } = require('uuid');
+
+// Audit log of every create, update and delete of shopping centers and
+// tenant spaces. Each entry records who made the change (actor), where it
+// came from (API request or CSV import job), the field-level diff and a
+// snapshot of the record after the change, so past states can be rebuilt.
+//
+// The actor and source are carried in an async context rather than passed
+// through every repository call: routes and import jobs wrap their work in
+// runWithAuditContext() and the repository picks the context up.
+
+const auditContext = new AsyncLocalStorage();
+
+// Denormalized copies that change along with other records; not worth an entry
+const IGNORED_FIELDS = new Set(['shopping_center_name']);
+
+function runWithAuditContext(context, fn) {
+    return auditContext.run(context, fn);
+}
+
+// The actor and source of the work in progress: { actor, source }
+function currentAuditContext() {
+    const context = auditContext.getStore() || {};
+    return { actor: context.actor || null, source: context.source || { type: 'system' } };
+}
+
+// Field-level changes between two versions of a record: { field: { from, to } }
+function diffRecords(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    for (const field of fields) {
+        if (field === 'id' || IGNORED_FIELDS.has(field)) continue;
+        const from = before ? before[field] ?? null : null;
+        const to = after ? after[field] ?? null : null;
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[field] = { from, to };
+        }
+    }
+    return changes;
+}
+
+function createAuditLog(store) {
+    const entries = store.collection('audit_log'); // key: entry id
+
+    function sorted(list) {
+        return list.sort((a, b) => a.timestamp.localeCompare(b.timestamp) || a.sequence - b.sequence);
+    }
+
+    // Entries can share a millisecond; the sequence keeps their order. It is
+    // picked up from stored entries on first use, after the store has loaded.
+    let sequence = null;
+
+    function addEntry(entity, action, record, fields) {
+        if (sequence === null) {
+            sequence = 0;
+            for (const entry of entries.values()) {
+                sequence = Math.max(sequence, entry.sequence || 0);
+            }
+        }
+
+        const entry = {
+            id: uuidv4(),
+            sequence: ++sequence,
+            timestamp: new Date().toISOString(),
+            entity,
+            entity_id: record.id,
+            shopping_center_id: entity === 'shopping_center' ? record.id : record.shopping_center_id,
+            action,
+            actor: null,
+            source: { type: 'system' },
+            changes: {},
+            snapshot: null,
+            ...fields
+        };
+        entries.set(entry.id, entry);
+        return entry;
+    }
+
+    const audit = {
+        // Record a change. `before` is null for creates and `after` for
+        // deletes. Updates that change nothing are not recorded.
+        record(entity, before, after) {
+            const action = before ? (after ? 'update' : 'delete') : 'create';
+            const changes = diffRecords(before, after);
+            if (action === 'update' && Object.keys(changes).length === 0) {
+                return null;
+            }
+
+            const { actor, source } = currentAuditContext();
+            return addEntry(entity, action, after || before, {
+                actor,
+                source,
+                changes,
+                snapshot: after
+            });
+        },
+
+        // Record the current state of every record that has no history yet,
+        // so "as of" queries have a starting point for data that predates
+        // the log. Returns how many records were added.
+        recordBaseline(repository) {
+            const known = new Set(Array.from(entries.values()).map(entry => entry.entity_id));
+            let count = 0;
+
+            for (const center of repository.listCenters()) {
+                if (known.has(center.id)) continue;
+                addEntry('shopping_center', 'baseline', center, { snapshot: center });
+                count++;
+            }
+            for (const tenant of repository.listTenants()) {
+                if (known.has(tenant.id)) continue;
+                addEntry('tenant', 'baseline', tenant, { snapshot: tenant });
+                count++;
+            }
+            return count;
+        },
+
+        // Every entry for a center and its spaces, oldest first, optionally
+        // limited to a time window
+        forCenter(centerId, { from = null, to = null } = {}) {
+            return sorted(Array.from(entries.values()).filter(entry =>
+                entry.shopping_center_id === centerId
+                && (!from || entry.timestamp >= from)
+                && (!to || entry.timestamp <= to)
+            ));
+        },
+
+        // When the log starts for a center: its earliest entry's time, or null
+        startsAt(centerId) {
+            const first = audit.forCenter(centerId)[0];
+            return first ? first.timestamp : null;
+        },
+
+        // The center and its spaces as they stood at `asOf` (ISO timestamp):
+        // the latest snapshot of each record up to then, leaving out deleted
+        // records. Returns null for the center if it didn't exist yet.
+        stateAt(centerId, asOf) {
+            const latest = new Map();
+            for (const entry of audit.forCenter(centerId, { to: asOf })) {
+                latest.set(entry.entity_id, entry);
+            }
+
+            let center = null;
+            const tenants = [];
+            for (const entry of latest.values()) {
+                if (entry.action === 'delete') continue;
+                if (entry.entity === 'shopping_center') {
+                    center = entry.snapshot;
+                } else {
+                    tenants.push(entry.snapshot);
+                }
+            }
+            return { center, tenants };
+        }
+    };
+
+    return audit;
+}
+
+// Leasing activity from a center's audit entries (oldest first): move-ins,
+// move-outs and rent changes between `from` and `to`. A space changing from
+// "Vacant" to a tenant is a move-in and the reverse a move-out; one tenant
+// replacing another is both. Entries before `from` are still read, to know
+// each space's state when the window opens.
+function leasingActivity(entries, { from = null, to = null } = {}) {
+    const moveIns = [];
+    const moveOuts = [];
+    const rentChanges = [];
+
+    const occupied = tenant => Boolean(tenant) && tenant.tenant_name !== 'Vacant';
+    const space = (tenant, entry) => ({
+        space_id: entry.entity_id,
+        suite_number: tenant.tenant_suite_number,
+        tenant_name: tenant.tenant_name,
+        square_footage: tenant.square_footage,
+        base_rent: tenant.base_rent,
+        timestamp: entry.timestamp,
+        source: entry.source
+    });
+
+    const previous = new Map(); // space id -> last known state
+    for (const entry of entries) {
+        if (entry.entity !== 'tenant') continue;
+
+        const before = previous.get(entry.entity_id) || null;
+        const after = entry.snapshot;
+        previous.set(entry.entity_id, after);
+        if (entry.action === 'baseline') continue;
+        if ((from && entry.timestamp < from) || (to && entry.timestamp > to)) continue;
+
+        const tenantChanged = before && after && before.tenant_name !== after.tenant_name;
+        if (occupied(before) && (!after || !occupied(after) || tenantChanged)) {
+            moveOuts.push(space(before, entry));
+        }
+        if (occupied(after) && (!before || !occupied(before) || tenantChanged)) {
+            moveIns.push(space(after, entry));
+        }
+
+        if (entry.action === 'update' && entry.changes.base_rent && !tenantChanged && occupied(after)) {
+            const { from, to } = entry.changes.base_rent;
+            rentChanges.push({
+                ...space(after, entry),
+                from,
+                to,
+                change_percent: from > 0 ? Math.round(((to - from) / from) * 1000) / 10 : null
+            });
+        }
+    }
+
+    const sum = (list, field) => list.reduce((total, item) => total + (item[field] || 0), 0);
+    return {
+        summary: {
+            move_ins: moveIns.length,
+            move_outs: moveOuts.length,
+            net_absorption_sf: sum(moveIns, 'square_footage') - sum(moveOuts, 'square_footage'),
+            rent_changes: rentChanges.length
+        },
+        move_ins: moveIns,
+        move_outs: moveOuts,
+        rent_changes: rentChanges
+    };
+}
+
+module.exports = {
+    runWithAuditContext,
+    currentAuditContext,
+    diffRecords,
+    createAuditLog,
+    leasingActivity
+};
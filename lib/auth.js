@@ -0,0 +1,317 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { sendError } = require('./errors');
+
+// Authentication and role-based access control.
+//
+// Clients authenticate with an API key or with a short-lived JWT obtained by
+// exchanging a key at POST /api/auth/token. Either is sent as
+// `Authorization: Bearer <key or token>`; keys may also come in `X-API-Key`.
+// Keys are stored only as SHA-256 hashes and shown once, when created.
+//
+// Roles are ordered: each one can do everything the roles before it can.
+//
+// A key can also be limited to some workspaces; sessions made from it share
+// its limit. Keys without a list reach every workspace.
+
+const ROLES = ['read_only', 'analyst', 'admin'];
+
+// API key request body (see schema.js)
+const API_KEY_FIELDS = {
+    name: { type: 'string', required: true, maxLength: 200 },
+    role: { type: 'string', required: true, enum: ROLES },
+    workspaces: { type: 'list', default: [], description: 'Workspace ids the key can reach; every workspace when empty' }
+};
+
+const KEY_PREFIX = 'sw';
+
+// How often a key's last_used_at is written, at most
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+function roleAtLeast(role, required) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// Whether a caller (req.auth) may use a workspace's data
+function canAccessWorkspace(identity, workspaceId) {
+    const allowed = identity.workspaces || [];
+    return allowed.length === 0 || allowed.includes(workspaceId);
+}
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// A new key: "sw_<8-char id>_<secret>". The id part lets a key be found
+// without scanning hashes; only the hash of the whole key is stored.
+function generateKey() {
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    return { key: `${KEY_PREFIX}_${prefix}_${secret}`, prefix };
+}
+
+function keyPrefix(key) {
+    const parts = String(key).split('_');
+    return parts.length >= 3 && parts[0] === KEY_PREFIX ? parts[1] : null;
+}
+
+// Compare hashes in constant time
+function hashesMatch(a, b) {
+    const left = Buffer.from(a, 'hex');
+    const right = Buffer.from(b, 'hex');
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Minimal HS256 JWTs, enough for our own session tokens
+
+function signJwt(payload, secret) {
+    const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest('base64url');
+    return `${header}.${body}.${signature}`;
+}
+
+// Returns the payload of a valid, unexpired token, or null
+function verifyJwt(token, secret) {
+    const parts = String(token).split('.');
+    if (parts.length !== 3) {
+        return null;
+    }
+
+    const [header, body, signature] = parts;
+    const expected = crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest('base64url');
+    const given = Buffer.from(signature);
+    if (given.length !== Buffer.byteLength(expected) || !crypto.timingSafeEqual(given, Buffer.from(expected))) {
+        return null;
+    }
+
+    try {
+        const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+        const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+        if (alg !== 'HS256' || typeof payload.exp !== 'number' || payload.exp * 1000 <= Date.now()) {
+            return null;
+        }
+        return payload;
+    } catch (error) {
+        return null;
+    }
+}
+
+// API key records, kept in the `api_keys` collection (key: key id)
+function createApiKeyRepository(store) {
+    const keys = store.collection('api_keys');
+
+    // Key record without its hash, for responses
+    function publicKey(record) {
+        const { key_hash: keyHash, ...rest } = record;
+        return rest;
+    }
+
+    return {
+        publicKey,
+
+        list() {
+            return Array.from(keys.values())
+                .sort((a, b) => a.created_at.localeCompare(b.created_at))
+                .map(publicKey);
+        },
+
+        get(id) {
+            return keys.get(id) || null;
+        },
+
+        // Create a key. The plain key is returned here and never again.
+        create({ name, role, workspaces = [], createdBy = null }) {
+            const { key, prefix } = generateKey();
+            const record = {
+                id: uuidv4(),
+                name,
+                role,
+                workspaces,
+                prefix,
+                key_hash: hashKey(key),
+                created_at: new Date().toISOString(),
+                created_by: createdBy,
+                last_used_at: null,
+                revoked_at: null
+            };
+            keys.set(record.id, record);
+            return { key, record: publicKey(record) };
+        },
+
+        update(id, changes) {
+            const record = keys.get(id);
+            if (!record) {
+                return null;
+            }
+            const updated = { ...record, ...changes };
+            keys.set(id, updated);
+            return publicKey(updated);
+        },
+
+        revoke(id) {
+            return this.update(id, { revoked_at: new Date().toISOString() });
+        },
+
+        // The active key record matching a plain key, or null
+        verify(key) {
+            const prefix = keyPrefix(key);
+            if (!prefix) {
+                return null;
+            }
+            const hash = hashKey(key);
+            for (const record of keys.values()) {
+                if (record.prefix === prefix && !record.revoked_at && hashesMatch(record.key_hash, hash)) {
+                    return record;
+                }
+            }
+            return null;
+        },
+
+        touch(record) {
+            const lastUsed = record.last_used_at ? Date.parse(record.last_used_at) : 0;
+            if (Date.now() - lastUsed >= LAST_USED_RESOLUTION_MS) {
+                keys.set(record.id, { ...record, last_used_at: new Date().toISOString() });
+            }
+        }
+    };
+}
+
+// Build the middleware.
+//
+// options (read from the environment by default):
+//   disabled     - skip authentication; every request acts as admin
+//                  (AUTH_DISABLED=true, for local development only)
+//   bootstrapKey - an admin key taken from the environment (ADMIN_API_KEY),
+//                  used to create the first stored keys
+//   jwtSecret    - HMAC secret for session tokens (JWT_SECRET); a random one
+//                  is used when unset, so tokens end with the process
+//   jwtTtlSeconds - session token lifetime (JWT_TTL_SECONDS, default 1 hour)
+function createAuth(apiKeys, options = {}) {
+    const disabled = options.disabled ?? process.env.AUTH_DISABLED === 'true';
+    const bootstrapKey = options.bootstrapKey ?? process.env.ADMIN_API_KEY ?? null;
+    const jwtSecret = options.jwtSecret || process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+    const jwtTtlSeconds = options.jwtTtlSeconds || parseInt(process.env.JWT_TTL_SECONDS, 10) || 3600;
+    const bootstrapHash = bootstrapKey ? hashKey(bootstrapKey) : null;
+
+    // Bootstrap session tokens carry this, so that they end when
+    // ADMIN_API_KEY changes. Keyed with the JWT secret, as token payloads can
+    // be read by anyone holding them.
+    const bootstrapFingerprint = bootstrapHash
+        ? crypto.createHmac('sha256', jwtSecret).update(bootstrapHash).digest('hex').slice(0, 32)
+        : null;
+
+    // Who a credential belongs to: { id, name, role, via } or null
+    function identify(credential) {
+        if (!credential) {
+            return null;
+        }
+
+        if (bootstrapHash && hashesMatch(bootstrapHash, hashKey(credential))) {
+            return { id: 'bootstrap', name: 'ADMIN_API_KEY', role: 'admin', workspaces: [], via: 'api_key' };
+        }
+
+        const record = apiKeys.verify(credential);
+        if (record) {
+            apiKeys.touch(record);
+            return { id: record.id, name: record.name, role: record.role, workspaces: record.workspaces || [], via: 'api_key' };
+        }
+
+        const payload = verifyJwt(credential, jwtSecret);
+        if (payload) {
+            // Revoking a key also ends the sessions made from it, and changes
+            // to its role or workspaces apply to them at once. Changing or
+            // unsetting ADMIN_API_KEY ends the bootstrap key's sessions.
+            const bootstrap = bootstrapFingerprint && typeof payload.kfp === 'string' && hashesMatch(bootstrapFingerprint, payload.kfp)
+                ? { role: 'admin', name: 'ADMIN_API_KEY' }
+                : null;
+            const key = payload.sub === 'bootstrap' ? bootstrap : apiKeys.get(payload.sub);
+            if (key && !key.revoked_at) {
+                return { id: payload.sub, name: key.name, role: key.role, workspaces: key.workspaces || [], via: 'token' };
+            }
+        }
+
+        return null;
+    }
+
+    function credentialFrom(req) {
+        const header = req.get('authorization');
+        if (header && /^Bearer\s+/i.test(header)) {
+            return header.replace(/^Bearer\s+/i, '').trim();
+        }
+        return req.get('x-api-key') || null;
+    }
+
+    return {
+        disabled,
+        jwtTtlSeconds,
+
+        // Attach req.auth, or answer 401
+        authenticate(req, res, next) {
+            if (disabled) {
+                req.auth = { id: null, name: 'auth disabled', role: 'admin', workspaces: [], via: 'none' };
+                return next();
+            }
+
+            const identity = identify(credentialFrom(req));
+            if (!identity) {
+                res.set('WWW-Authenticate', 'Bearer');
+                return sendError(res, 401, 'Authentication required', { details: 'Send an API key or session token as a Bearer token' });
+            }
+            req.auth = identity;
+            next();
+        },
+
+        // Only let through callers with at least `role`. The role is kept on
+        // the middleware for the OpenAPI spec.
+        requireRole(role) {
+            const middleware = (req, res, next) => {
+                if (!req.auth || !roleAtLeast(req.auth.role, role)) {
+                    return sendError(res, 403, 'Forbidden', { details: `Requires the ${role} role` });
+                }
+                next();
+            };
+            middleware.requiredRole = role;
+            return middleware;
+        },
+
+        // Session token for the caller
+        issueToken(identity) {
+            const now = Math.floor(Date.now() / 1000);
+            const exp = now + jwtTtlSeconds;
+            const payload = { sub: identity.id, role: identity.role, workspaces: identity.workspaces || [], iat: now, exp };
+            if (identity.id === 'bootstrap') {
+                payload.kfp = bootstrapFingerprint;
+            }
+            return {
+                token: signJwt(payload, jwtSecret),
+                expires_at: new Date(exp * 1000).toISOString()
+            };
+        }
+    };
+}
+
+// CORS origin option from CORS_ORIGINS: a comma-separated allow list, or
+// "*" for any origin. Unset means no cross-origin access.
+function corsOrigins(value = process.env.CORS_ORIGINS) {
+    if (!value || !value.trim()) {
+        return false;
+    }
+    if (value.trim() === '*') {
+        return true;
+    }
+    return value.split(',').map(origin => origin.trim()).filter(Boolean);
+}
+
+module.exports = {
+    ROLES,
+    API_KEY_FIELDS,
+    roleAtLeast,
+    canAccessWorkspace,
+    hashKey,
+    signJwt,
+    verifyJwt,
+    createApiKeyRepository,
+    createAuth,
+    corsOrigins
+};
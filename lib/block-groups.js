@@ -0,0 +1,256 @@
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const turf = require('@turf/turf');
+const { GridIndex, METERS_PER_MILE } = require('./spatial-index');
+
+// Census block group geography for radius and polygon selection. Loaded from
+// a local file so selection does not depend on a live geography service:
+//
+//   - CSV of block group centroids: GEOID (or STATEFP, COUNTYFP, TRACTCE,
+//     BLKGRPCE), INTPTLAT/INTPTLON (or LATITUDE/LONGITUDE) and, optionally,
+//     ALAND in square meters. TIGER/Line attribute tables and the Census
+//     "CenPop" block group centers of population files both fit.
+//   - GeoJSON FeatureCollection of block group polygons with a GEOID
+//     property (TIGER/Line block group shapefiles converted to GeoJSON).
+//
+// Polygons give exact area weights. With centroids only, each block group
+// is treated as a disc with its land area, and weighted by how much of that
+// disc the radius covers; without ALAND a block group counts fully when its
+// centroid is inside the radius.
+
+const DEFAULT_BLOCK_GROUPS_FILE = path.join('geodata', 'block_group_centroids.csv');
+
+// Case-insensitive lookup of the first matching column
+function pick(row, ...names) {
+    for (const name of names) {
+        for (const key of Object.keys(row)) {
+            if (key.toUpperCase() === name) {
+                return row[key];
+            }
+        }
+    }
+    return undefined;
+}
+
+function splitGeoid(geoid) {
+    return {
+        state: geoid.slice(0, 2),
+        county: geoid.slice(2, 5),
+        tract: geoid.slice(5, 11),
+        blockGroup: geoid.slice(11, 12)
+    };
+}
+
+function buildGeoid(row) {
+    const geoid = pick(row, 'GEOID', 'GEOID20', 'GEOID10');
+    if (geoid) {
+        return String(geoid).replace(/^1500000US/, '');
+    }
+
+    const state = pick(row, 'STATEFP', 'STATEFP20', 'STATE');
+    const county = pick(row, 'COUNTYFP', 'COUNTYFP20', 'COUNTY');
+    const tract = pick(row, 'TRACTCE', 'TRACTCE20', 'TRACT');
+    const blockGroup = pick(row, 'BLKGRPCE', 'BLKGRPCE20', 'BLKGRP');
+    if (!state || !county || !tract || !blockGroup) {
+        return null;
+    }
+    return `${state.padStart(2, '0')}${county.padStart(3, '0')}${tract.padStart(6, '0')}${blockGroup}`;
+}
+
+function parseCentroidCsv(contents) {
+    const rows = parse(contents, { columns: true, skip_empty_lines: true, trim: true, bom: true });
+
+    return rows.map(row => {
+        const geoid = buildGeoid(row);
+        const latitude = parseFloat(pick(row, 'INTPTLAT', 'INTPTLAT20', 'LATITUDE', 'LAT'));
+        const longitude = parseFloat(pick(row, 'INTPTLON', 'INTPTLON20', 'LONGITUDE', 'LON', 'LNG'));
+        const landArea = parseFloat(pick(row, 'ALAND', 'ALAND20'));
+
+        if (!geoid || geoid.length !== 12 || isNaN(latitude) || isNaN(longitude)) {
+            return null;
+        }
+
+        return {
+            geoid,
+            ...splitGeoid(geoid),
+            latitude,
+            longitude,
+            land_area_sq_meters: isNaN(landArea) ? null : landArea,
+            geometry: null
+        };
+    }).filter(Boolean);
+}
+
+function parsePolygonGeoJson(contents) {
+    const collection = JSON.parse(contents);
+    if (collection.type !== 'FeatureCollection') {
+        throw new Error('Block group GeoJSON must be a FeatureCollection');
+    }
+
+    return collection.features.map(feature => {
+        const properties = feature.properties || {};
+        const geoid = buildGeoid(properties);
+        if (!geoid || !feature.geometry || !['Polygon', 'MultiPolygon'].includes(feature.geometry.type)) {
+            return null;
+        }
+
+        const latitude = parseFloat(pick(properties, 'INTPTLAT', 'INTPTLAT20'));
+        const longitude = parseFloat(pick(properties, 'INTPTLON', 'INTPTLON20'));
+        const [centroidLng, centroidLat] = isNaN(latitude) || isNaN(longitude)
+            ? turf.centroid(feature).geometry.coordinates
+            : [longitude, latitude];
+
+        return {
+            geoid,
+            ...splitGeoid(geoid),
+            latitude: centroidLat,
+            longitude: centroidLng,
+            land_area_sq_meters: turf.area(feature),
+            geometry: feature.geometry
+        };
+    }).filter(Boolean);
+}
+
+// Area of overlap between two circles (planar approximation, fine at
+// trade-area scale)
+function circleOverlapArea(distance, radiusA, radiusB) {
+    if (distance >= radiusA + radiusB) {
+        return 0;
+    }
+    if (distance <= Math.abs(radiusA - radiusB)) {
+        const smaller = Math.min(radiusA, radiusB);
+        return Math.PI * smaller * smaller;
+    }
+
+    const a2 = radiusA * radiusA;
+    const b2 = radiusB * radiusB;
+    const d2 = distance * distance;
+    const alpha = Math.acos((d2 + a2 - b2) / (2 * distance * radiusA));
+    const beta = Math.acos((d2 + b2 - a2) / (2 * distance * radiusB));
+    const lens = 0.5 * Math.sqrt(
+        (-distance + radiusA + radiusB) * (distance + radiusA - radiusB)
+        * (distance - radiusA + radiusB) * (distance + radiusA + radiusB)
+    );
+    return a2 * alpha + b2 * beta - lens;
+}
+
+class BlockGroupIndex {
+    constructor(blockGroups) {
+        this.blockGroups = blockGroups;
+        this.index = new GridIndex();
+        this.maxExtentMiles = 0;
+
+        for (const blockGroup of blockGroups) {
+            blockGroup.extent_miles = this.extentMiles(blockGroup);
+            this.maxExtentMiles = Math.max(this.maxExtentMiles, blockGroup.extent_miles);
+            this.index.insert(blockGroup.geoid, blockGroup.latitude, blockGroup.longitude, blockGroup);
+        }
+    }
+
+    get size() {
+        return this.blockGroups.length;
+    }
+
+    // How far a block group can reach from its centroid, used to widen the
+    // candidate search so large block groups on the edge are not missed
+    extentMiles(blockGroup) {
+        if (blockGroup.geometry) {
+            const centroid = turf.point([blockGroup.longitude, blockGroup.latitude]);
+            const [minLng, minLat, maxLng, maxLat] = turf.bbox(blockGroup.geometry);
+            return Math.max(
+                ...[[minLng, minLat], [minLng, maxLat], [maxLng, minLat], [maxLng, maxLat]]
+                    .map(corner => turf.distance(centroid, turf.point(corner), { units: 'miles' }))
+            );
+        }
+        if (blockGroup.land_area_sq_meters) {
+            return Math.sqrt(blockGroup.land_area_sq_meters / Math.PI) / METERS_PER_MILE;
+        }
+        return 0;
+    }
+
+    // Share (0-1) of a block group that falls inside the radius buffer
+    coverage(blockGroup, distanceMiles, radiusMiles, buffer) {
+        if (blockGroup.geometry) {
+            const overlap = turf.intersect(buffer, turf.feature(blockGroup.geometry));
+            return overlap ? Math.min(1, turf.area(overlap) / blockGroup.land_area_sq_meters) : 0;
+        }
+        if (blockGroup.land_area_sq_meters) {
+            const discRadius = blockGroup.extent_miles;
+            const overlap = circleOverlapArea(distanceMiles, radiusMiles, discRadius);
+            return Math.min(1, overlap / (Math.PI * discRadius * discRadius));
+        }
+        return distanceMiles <= radiusMiles ? 1 : 0;
+    }
+
+    // Block groups overlapping a radius around a point, each with the share
+    // of its area inside the radius as `weight`
+    withinRadius(latitude, longitude, radiusMiles) {
+        const buffer = turf.buffer(turf.point([longitude, latitude]), radiusMiles, { units: 'miles', steps: 32 });
+
+        return this.index.queryRadius(latitude, longitude, radiusMiles + this.maxExtentMiles)
+            .filter(({ item, distance_miles }) => distance_miles <= radiusMiles + item.extent_miles)
+            .map(({ item, distance_miles }) => ({
+                geoid: item.geoid,
+                state: item.state,
+                county: item.county,
+                tract: item.tract,
+                blockGroup: item.blockGroup,
+                distance_miles,
+                weight: this.coverage(item, distance_miles, radiusMiles, buffer)
+            }))
+            .filter(blockGroup => blockGroup.weight > 0);
+    }
+
+    // Share (0-1) of a block group that falls inside an arbitrary polygon
+    polygonCoverage(blockGroup, area) {
+        const shape = blockGroup.geometry
+            ? turf.feature(blockGroup.geometry)
+            : blockGroup.land_area_sq_meters
+                ? turf.circle([blockGroup.longitude, blockGroup.latitude], blockGroup.extent_miles, { units: 'miles', steps: 32 })
+                : null;
+
+        if (!shape) {
+            return turf.booleanPointInPolygon([blockGroup.longitude, blockGroup.latitude], area) ? 1 : 0;
+        }
+
+        const overlap = turf.intersect(area, shape);
+        return overlap ? Math.min(1, turf.area(overlap) / turf.area(shape)) : 0;
+    }
+
+    // Block groups overlapping a Polygon/MultiPolygon feature, each with the
+    // share of its area inside the polygon as `weight`
+    withinPolygon(area) {
+        const [minLng, minLat, maxLng, maxLat] = turf.bbox(area);
+        const latMargin = this.maxExtentMiles / 69;
+        const lngMargin = this.maxExtentMiles / (69 * Math.cos(((minLat + maxLat) / 2) * Math.PI / 180));
+        const centroid = turf.centroid(area);
+
+        return this.index.queryBBox(minLat - latMargin, minLng - lngMargin, maxLat + latMargin, maxLng + lngMargin)
+            .map(({ item }) => ({
+                geoid: item.geoid,
+                state: item.state,
+                county: item.county,
+                tract: item.tract,
+                blockGroup: item.blockGroup,
+                distance_miles: turf.distance(centroid, turf.point([item.longitude, item.latitude]), { units: 'miles' }),
+                weight: this.polygonCoverage(item, area)
+            }))
+            .filter(blockGroup => blockGroup.weight > 0)
+            .sort((a, b) => a.distance_miles - b.distance_miles);
+    }
+}
+
+function loadBlockGroupIndex(filePath = process.env.BLOCK_GROUPS_FILE || DEFAULT_BLOCK_GROUPS_FILE) {
+    const contents = fs.readFileSync(filePath, 'utf8');
+    const isGeoJson = /\.(geo)?json$/i.test(filePath);
+    const blockGroups = isGeoJson ? parsePolygonGeoJson(contents) : parseCentroidCsv(contents);
+    return new BlockGroupIndex(blockGroups);
+}
+
+module.exports = {
+    BlockGroupIndex,
+    loadBlockGroupIndex,
+    circleOverlapArea,
+    DEFAULT_BLOCK_GROUPS_FILE
+};
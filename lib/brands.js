@@ -0,0 +1,536 @@
+const { v4: uuidv4 } = require('uuid');
+const { annualBaseRent } = require('./leases');
+
+// Tenant brand normalization. Tenant names arrive as free text ("Starbucks",
+// "STARBUCKS #1234", "Starbucks Coffee"); each space is linked to a brand
+// through its `brand` field, holding the brand's slug.
+//
+// A name is resolved in this order:
+//   1. a brand's name or a known alias (after cleaning: case, punctuation,
+//      store numbers and legal suffixes are dropped)
+//   2. the built-in alias dictionary below
+//   3. fuzzy matching against existing brands: close matches are linked and
+//      remembered as aliases, uncertain ones go to the review queue and the
+//      space stays unlinked until someone decides
+//   4. otherwise the name becomes a new brand
+
+// Fuzzy scores (0-1) at or above which a name is linked automatically, or
+// queued for review
+const AUTO_MATCH_SCORE = 0.9;
+const REVIEW_SCORE = 0.7;
+
+// Common brands whose names vary across rent rolls. Aliases are matched
+// after cleaning, so they are written lower-case without punctuation.
+const ALIAS_DICTIONARY = {
+    'Starbucks': ['starbucks coffee', 'starbucks coffee company'],
+    'Dunkin\'': ['dunkin donuts', 'dunkin'],
+    'Walmart': ['wal mart', 'walmart supercenter', 'walmart neighborhood market'],
+    'Target': ['super target', 'target store'],
+    'CVS Pharmacy': ['cvs', 'cvs health'],
+    'Rite Aid': ['rite aid pharmacy'],
+    'Walgreens': ['walgreens pharmacy'],
+    'McDonald\'s': ['mcdonalds'],
+    'Chick-fil-A': ['chick fil a', 'chickfila'],
+    'The Home Depot': ['home depot'],
+    'Lowe\'s': ['lowes', 'lowes home improvement'],
+    'Giant': ['giant food stores', 'giant food'],
+    'Acme Markets': ['acme'],
+    'Aldi': ['aldi food market'],
+    'GameStop': ['game stop'],
+    'T.J. Maxx': ['tj maxx', 'tjmaxx'],
+    'Dollar Tree': ['dollar tree stores'],
+    'Planet Fitness': ['planet fitness gym']
+};
+
+// Trailing words that don't tell brands apart
+const LEGAL_SUFFIXES = new Set(['inc', 'llc', 'ltd', 'corp', 'corporation', 'co', 'company', 'lp']);
+
+// Lower-case a tenant name and strip what varies between rent rolls: store
+// numbers, punctuation, a leading "the" and legal suffixes
+function cleanTenantName(name) {
+    const cleaned = String(name || '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/['’`.]/g, '')
+        .replace(/\b(store|unit|no|location|loc)\s*#?\s*\d+\b/g, ' ')
+        .replace(/#\s*\d+/g, ' ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+
+    const words = cleaned.split(' ').filter(Boolean);
+    if (words.length > 1 && words[0] === 'the') words.shift();
+    while (words.length > 1 && LEGAL_SUFFIXES.has(words[words.length - 1])) {
+        words.pop();
+    }
+    return words.join(' ');
+}
+
+function slugify(name) {
+    return cleanTenantName(name).replace(/ /g, '-');
+}
+
+// Display name for a new brand: the raw name without store numbers
+function displayName(name) {
+    return String(name).replace(/\s*(#\s*\d+|\b(store|unit|no\.?|location)\s*#?\s*\d+)\s*/gi, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function levenshtein(a, b) {
+    if (a === b) return 0;
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Similarity of two cleaned names, 0-1: the better of edit-distance
+// similarity and word overlap. A name that starts with a whole brand name
+// ("target optical" vs "target") scores as uncertain, not as a match.
+function similarity(a, b) {
+    if (a === b) return 1;
+    const edit = 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+
+    const aWords = new Set(a.split(' '));
+    const bWords = new Set(b.split(' '));
+    const shared = Array.from(aWords).filter(word => bWords.has(word)).length;
+    const overlap = shared / new Set([...aWords, ...bWords]).size;
+
+    const prefix = a.startsWith(`${b} `) || b.startsWith(`${a} `) ? 0.8 : 0;
+    return Math.max(edit, overlap, prefix);
+}
+
+// Pairs of adjacent characters in a name, with how often each occurs
+function bigrams(name) {
+    const counts = new Map();
+    for (let i = 0; i < name.length - 1; i++) {
+        const pair = name.slice(i, i + 2);
+        counts.set(pair, (counts.get(pair) || 0) + 1);
+    }
+    return counts;
+}
+
+// Narrows fuzzy matching down to the known names that could score
+// REVIEW_SCORE or more against a name, so that the rest needn't be scored:
+// names sharing a word with it (word overlap, prefix), and names close enough
+// in length and sharing enough character pairs to be within the edit distance
+// that score allows. One edit changes at most two pairs, so names within d
+// edits share at least (longer length - 1 - 2d) of them.
+function createCandidateIndex() {
+    const byWord = new Map();
+    const byBigram = new Map();
+
+    return {
+        add(name) {
+            for (const word of new Set(name.split(' '))) {
+                if (!byWord.has(word)) byWord.set(word, new Set());
+                byWord.get(word).add(name);
+            }
+            for (const [pair, count] of bigrams(name)) {
+                if (!byBigram.has(pair)) byBigram.set(pair, new Map());
+                byBigram.get(pair).set(name, count);
+            }
+        },
+
+        candidates(name) {
+            const found = new Set();
+            for (const word of new Set(name.split(' '))) {
+                (byWord.get(word) || []).forEach(known => found.add(known));
+            }
+
+            const shared = new Map();
+            for (const [pair, count] of bigrams(name)) {
+                for (const [known, knownCount] of byBigram.get(pair) || []) {
+                    shared.set(known, (shared.get(known) || 0) + Math.min(count, knownCount));
+                }
+            }
+            for (const [known, pairs] of shared) {
+                const longer = Math.max(name.length, known.length);
+                const maxEdits = Math.floor(longer * (1 - REVIEW_SCORE) + 1e-9);
+                if (Math.abs(name.length - known.length) <= maxEdits && pairs >= longer - 1 - 2 * maxEdits) {
+                    found.add(known);
+                }
+            }
+            return found;
+        }
+    };
+}
+
+// A lookup derived from a collection: `build()` makes it again whenever the
+// collection changed. Changes made with `change(apply, update)` update it in
+// place instead, unless `update` returns false.
+function derivedIndex(collection, build) {
+    let value = null;
+    let version = null;
+
+    return {
+        get() {
+            if (version !== collection.version) {
+                value = build();
+                version = collection.version;
+            }
+            return value;
+        },
+
+        change(apply, update) {
+            const current = version === collection.version;
+            apply();
+            if (current && update(value) !== false) {
+                version = collection.version;
+            }
+        }
+    };
+}
+
+const dictionaryIndex = new Map();
+for (const [name, aliases] of Object.entries(ALIAS_DICTIONARY)) {
+    dictionaryIndex.set(cleanTenantName(name), name);
+    aliases.forEach(alias => dictionaryIndex.set(cleanTenantName(alias), name));
+}
+
+// Vacant spaces and rows with no tenant name have no brand
+function isUnbranded(name) {
+    const trimmed = String(name || '').trim();
+    return trimmed === '' || trimmed === 'Vacant' || trimmed === 'Unknown';
+}
+
+// Brand registry over a repository's store. Brands live in the `brands`
+// collection (key: slug) and uncertain matches in `brand_reviews` (key:
+// review id).
+function createBrandRegistry(repository) {
+    const brands = repository.store.collection('brands');
+    const reviews = repository.store.collection('brand_reviews');
+
+    // Cleaned name/alias -> slug, with the fuzzy matching candidates
+    const brandIndex = derivedIndex(brands, () => {
+        const built = { slugs: new Map(), candidates: createCandidateIndex() };
+        for (const brand of brands.values()) {
+            [cleanTenantName(brand.name), ...brand.aliases].forEach(name => indexName(built, name, brand.slug));
+        }
+        return built;
+    });
+
+    // Returns false when the name belonged to another brand, as the index
+    // then has to be built again to know which brand keeps it
+    function indexName(built, name, slug) {
+        const owner = built.slugs.get(name);
+        if (owner === undefined) {
+            built.candidates.add(name);
+        }
+        built.slugs.set(name, slug);
+        return owner === undefined || owner === slug;
+    }
+
+    function index() {
+        return brandIndex.get().slugs;
+    }
+
+    // Cleaned name -> id of the first pending review for it
+    const pendingIndex = derivedIndex(reviews, () => {
+        const built = new Map();
+        for (const review of reviews.values()) {
+            if (review.status === 'pending' && !built.has(review.cleaned_name)) {
+                built.set(review.cleaned_name, review.id);
+            }
+        }
+        return built;
+    });
+
+    function pendingReviewFor(cleaned) {
+        const id = pendingIndex.get().get(cleaned);
+        return id === undefined ? null : reviews.get(id);
+    }
+
+    // Save a review. Closing one takes it out of the pending index, where
+    // another review for the same name may then have to take its place.
+    function saveReview(review) {
+        const before = reviews.get(review.id);
+        pendingIndex.change(() => reviews.set(review.id, review), built => {
+            if (review.status === 'pending' && !built.has(review.cleaned_name)) {
+                built.set(review.cleaned_name, review.id);
+            }
+            return review.status === 'pending' || !before || built.get(before.cleaned_name) !== review.id;
+        });
+    }
+
+    function createBrand(name, source) {
+        let slug = slugify(name) || 'brand';
+        // Another brand may already clean to the same slug
+        for (let n = 2; brands.has(slug); n++) {
+            slug = `${slugify(name)}-${n}`;
+        }
+        const brand = { slug, name, aliases: [], source, created_at: new Date().toISOString() };
+        brandIndex.change(() => brands.set(slug, brand), built => indexName(built, cleanTenantName(name), slug));
+        return brand;
+    }
+
+    function addAliasTo(slug, cleaned) {
+        const brand = brands.get(slug);
+        if (cleaned === cleanTenantName(brand.name) || brand.aliases.includes(cleaned)) {
+            return brand;
+        }
+        const updated = { ...brand, aliases: [...brand.aliases, cleaned].sort() };
+        brandIndex.change(() => brands.set(slug, updated), built => indexName(built, cleaned, slug));
+        return updated;
+    }
+
+    function bestFuzzyMatch(cleaned) {
+        const { slugs, candidates } = brandIndex.get();
+        let best = null;
+        for (const known of candidates.candidates(cleaned)) {
+            const score = similarity(cleaned, known);
+            if (!best || score > best.score) {
+                best = { slug: slugs.get(known), score };
+            }
+        }
+        return best;
+    }
+
+    // Spaces whose tenant name cleans to `cleaned` and that aren't linked yet
+    // (or, with `relink`, linked to another brand)
+    function linkSpaces(cleaned, slug, { relink = false } = {}) {
+        let linked = 0;
+        for (const tenant of repository.listTenants()) {
+            if (isUnbranded(tenant.tenant_name) || cleanTenantName(tenant.tenant_name) !== cleaned) continue;
+            if (tenant.brand === slug || (tenant.brand && !relink)) continue;
+            const center = repository.getCenterById(tenant.shopping_center_id);
+            if (!center) continue;
+            repository.updateTenant(center, tenant.id, { ...tenant, brand: slug });
+            linked++;
+        }
+        return linked;
+    }
+
+    const registry = {
+        // Brand for a tenant name: { brand: slug or null, status }, where
+        // status is matched, dictionary, fuzzy_matched, created, pending_review
+        // or null for vacant and unnamed spaces
+        resolve(tenantName) {
+            if (isUnbranded(tenantName)) {
+                return { brand: null, status: null };
+            }
+
+            const cleaned = cleanTenantName(tenantName);
+            if (!cleaned) {
+                return { brand: null, status: null };
+            }
+
+            const known = index().get(cleaned);
+            if (known) {
+                return { brand: known, status: 'matched' };
+            }
+
+            if (dictionaryIndex.has(cleaned)) {
+                const name = dictionaryIndex.get(cleaned);
+                const slug = index().get(cleanTenantName(name)) || createBrand(name, 'dictionary').slug;
+                addAliasTo(slug, cleaned);
+                return { brand: slug, status: 'dictionary' };
+            }
+
+            const pending = pendingReviewFor(cleaned);
+            if (pending) {
+                saveReview({ ...pending, occurrences: pending.occurrences + 1 });
+                return { brand: null, status: 'pending_review', review_id: pending.id };
+            }
+
+            const match = bestFuzzyMatch(cleaned);
+            if (match && match.score >= AUTO_MATCH_SCORE) {
+                addAliasTo(match.slug, cleaned);
+                return { brand: match.slug, status: 'fuzzy_matched' };
+            }
+
+            if (match && match.score >= REVIEW_SCORE) {
+                const review = {
+                    id: uuidv4(),
+                    tenant_name: tenantName.trim(),
+                    cleaned_name: cleaned,
+                    suggested_brand: match.slug,
+                    score: Math.round(match.score * 100) / 100,
+                    occurrences: 1,
+                    status: 'pending',
+                    created_at: new Date().toISOString(),
+                    resolved_at: null,
+                    resolved_brand: null
+                };
+                saveReview(review);
+                return { brand: null, status: 'pending_review', review_id: review.id };
+            }
+
+            return { brand: createBrand(displayName(tenantName), 'import').slug, status: 'created' };
+        },
+
+        // Brand by slug, or by any of its names or aliases
+        find(nameOrSlug) {
+            if (brands.has(nameOrSlug)) {
+                return brands.get(nameOrSlug);
+            }
+            const slug = index().get(cleanTenantName(nameOrSlug));
+            return slug ? brands.get(slug) : null;
+        },
+
+        list() {
+            return Array.from(brands.values()).sort((a, b) => a.name.localeCompare(b.name));
+        },
+
+        // Create a brand by hand. Returns null if the name is already taken.
+        create(name, aliases = []) {
+            if (index().has(cleanTenantName(name))) {
+                return null;
+            }
+            const brand = createBrand(name.trim(), 'manual');
+            aliases.forEach(alias => registry.addAlias(brand.slug, alias));
+            linkSpaces(cleanTenantName(name), brand.slug);
+            return brands.get(brand.slug);
+        },
+
+        // Teach a brand another name. Spaces with that name move to the brand
+        // and any pending review for it is closed. Returns null if the alias
+        // already belongs to another brand.
+        addAlias(slug, alias) {
+            const cleaned = cleanTenantName(alias);
+            const owner = index().get(cleaned);
+            if (owner && owner !== slug) {
+                return null;
+            }
+            const brand = addAliasTo(slug, cleaned);
+            linkSpaces(cleaned, slug, { relink: true });
+
+            const pending = pendingReviewFor(cleaned);
+            if (pending) {
+                saveReview({ ...pending, status: 'approved', resolved_brand: slug, resolved_at: new Date().toISOString() });
+            }
+            return brand;
+        },
+
+        listReviews(status = null) {
+            return Array.from(reviews.values())
+                .filter(review => !status || review.status === status)
+                .sort((a, b) => b.occurrences - a.occurrences || a.created_at.localeCompare(b.created_at));
+        },
+
+        getReview(id) {
+            return reviews.get(id) || null;
+        },
+
+        // Accept a review: link the name to the suggested brand, or to
+        // `slug` when given
+        approveReview(id, slug = null) {
+            const review = reviews.get(id);
+            const target = slug || review.suggested_brand;
+            addAliasTo(target, review.cleaned_name);
+            const linked = linkSpaces(review.cleaned_name, target);
+            const resolved = { ...review, status: 'approved', resolved_brand: target, resolved_at: new Date().toISOString() };
+            saveReview(resolved);
+            return { review: resolved, spaces_linked: linked };
+        },
+
+        // Reject a review: the name becomes a brand of its own
+        rejectReview(id) {
+            const review = reviews.get(id);
+            const brand = createBrand(displayName(review.tenant_name), 'review');
+            const linked = linkSpaces(review.cleaned_name, brand.slug);
+            const resolved = { ...review, status: 'rejected', resolved_brand: brand.slug, resolved_at: new Date().toISOString() };
+            saveReview(resolved);
+            return { review: resolved, spaces_linked: linked };
+        },
+
+        // Resolve the brand of every space, e.g. after aliases were added or
+        // for spaces stored before brands existed. Returns counts by status.
+        normalizeAll() {
+            const counts = { spaces: 0, changed: 0 };
+            for (const tenant of repository.listTenants()) {
+                const { brand, status } = registry.resolve(tenant.tenant_name);
+                counts.spaces++;
+                if (status) counts[status] = (counts[status] || 0) + 1;
+                if ((tenant.brand || null) !== brand) {
+                    const center = repository.getCenterById(tenant.shopping_center_id);
+                    if (!center) continue;
+                    repository.updateTenant(center, tenant.id, { ...tenant, brand });
+                    counts.changed++;
+                }
+            }
+            return counts;
+        }
+    };
+
+    return registry;
+}
+
+// Whether an occupied space is a given tenant: by its name, or by its brand
+// when the name given is a brand ("starbucks" finds "STARBUCKS #1234")
+function spaceIsTenant(space, name) {
+    if (isUnbranded(space.tenant_name)) {
+        return false;
+    }
+    const wanted = String(name).toLowerCase().trim();
+    return space.tenant_name.toLowerCase().trim() === wanted || (Boolean(space.brand) && space.brand === slugify(wanted));
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+// Locations of one brand: each space linked to it, with its center
+function brandLocations(brand, tenants, getCenter) {
+    return tenants
+        .filter(tenant => tenant.brand === brand.slug)
+        .map(tenant => {
+            const center = getCenter(tenant.shopping_center_id) || {};
+            const annualRent = annualBaseRent(tenant);
+            return {
+                shopping_center_id: tenant.shopping_center_id,
+                shopping_center_name: tenant.shopping_center_name,
+                address_city: center.address_city ?? null,
+                address_state: center.address_state ?? null,
+                latitude: center.latitude ?? null,
+                longitude: center.longitude ?? null,
+                space_id: tenant.id,
+                tenant_name: tenant.tenant_name,
+                suite_number: tenant.tenant_suite_number,
+                square_footage: tenant.square_footage,
+                category: tenant.retail_category,
+                base_rent: tenant.base_rent,
+                rent_unit: tenant.rent_unit || 'per_sf_year',
+                lease_end: tenant.lease_end || null,
+                annual_base_rent: annualRent === null ? null : round(annualRent)
+            };
+        })
+        .sort((a, b) => a.shopping_center_name.localeCompare(b.shopping_center_name));
+}
+
+// Directory row for a brand from its locations
+function summarizeBrand(brand, locations) {
+    const sized = locations.filter(location => location.square_footage > 0);
+    const renting = locations.filter(location => location.annual_base_rent !== null && location.square_footage > 0);
+    const rentSf = renting.reduce((sum, location) => sum + location.square_footage, 0);
+    const rent = renting.reduce((sum, location) => sum + location.annual_base_rent, 0);
+
+    return {
+        brand: brand.slug,
+        name: brand.name,
+        aliases: brand.aliases,
+        locations: locations.length,
+        centers: new Set(locations.map(location => location.shopping_center_id)).size,
+        total_square_footage: sized.reduce((sum, location) => sum + location.square_footage, 0),
+        average_square_footage: sized.length > 0 ? Math.round(sized.reduce((sum, location) => sum + location.square_footage, 0) / sized.length) : null,
+        average_rent_per_sf: rentSf > 0 ? round(rent / rentSf) : null,
+        categories: Array.from(new Set(locations.map(location => location.category).filter(Boolean))).sort()
+    };
+}
+
+module.exports = {
+    ALIAS_DICTIONARY,
+    cleanTenantName,
+    slugify,
+    similarity,
+    spaceIsTenant,
+    isUnbranded,
+    createBrandRegistry,
+    brandLocations,
+    summarizeBrand
+};
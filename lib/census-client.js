@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Client for the Census Data API (api.census.gov).
+//
+// - Responses are cached in a store collection, keyed by dataset, ACS vintage
+//   and query (never the API key), and expire after a TTL. Expired entries
+//   are deleted when read and by sweepCache().
+// - At most `maxConcurrent` requests are in flight at once.
+// - 429 and 5xx responses, network errors and requests that take longer than
+//   `timeoutMs` are retried with exponential backoff, honouring Retry-After.
+// - Errors name the URL without the API key.
+// - The transport is pluggable: `http` talks to the API, `fixtures` replays
+//   recorded responses from disk for tests and offline development, and
+//   `record` talks to the API and saves every response as a fixture.
+
+const DEFAULT_BASE_URL = 'https://api.census.gov/data';
+const DEFAULT_VINTAGE = '2023';
+const DEFAULT_DATASET = 'acs/acs5';
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// The API accepts at most 50 variables per request, including geography
+const MAX_VARIABLES_PER_REQUEST = 45;
+
+class CensusApiError extends Error {
+    constructor(message, status = null, { retryable = false } = {}) {
+        super(message);
+        this.name = 'CensusApiError';
+        this.status = status;
+        this.retryable = retryable;
+    }
+}
+
+// Transports take a URL and resolve to { status, retryAfter, body }
+
+// The API has timeoutMs to answer, body included. Network errors quote the
+// URL, key and all, so they are replaced rather than wrapped.
+function httpTransport(timeoutMs = DEFAULT_TIMEOUT_MS) {
+    return async function request(url) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+        try {
+            const fetch = await import('node-fetch').then(mod => mod.default);
+            const response = await fetch(url, { signal: controller.signal });
+            const retryAfter = parseFloat(response.headers.get('retry-after'));
+            return {
+                status: response.status,
+                retryAfter: isNaN(retryAfter) ? null : retryAfter,
+                body: await response.text()
+            };
+        } catch (error) {
+            const reason = error.name === 'AbortError'
+                ? `timed out after ${timeoutMs} ms`
+                : `failed: ${error.code || 'network error'}`;
+            throw new CensusApiError(`Census API request to ${stripKey(url)} ${reason}`, null, { retryable: true });
+        } finally {
+            clearTimeout(timer);
+        }
+    };
+}
+
+function stripKey(url) {
+    return url.replace(/([?&])key=[^&]*(&|$)/, '$1').replace(/[?&]$/, '');
+}
+
+// Fixture files are named after a hash of the URL with the key removed, so
+// recordings made with one key replay under any other.
+function fixtureName(url) {
+    return `${crypto.createHash('sha1').update(stripKey(url)).digest('hex').slice(0, 16)}.json`;
+}
+
+function fixtureTransport(directory) {
+    return async function request(url) {
+        const file = path.join(directory, fixtureName(url));
+        let fixture;
+        try {
+            fixture = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new CensusApiError(`No recorded Census fixture for ${stripKey(url)} (expected ${file})`);
+            }
+            throw error;
+        }
+        return { status: fixture.status, retryAfter: null, body: fixture.body };
+    };
+}
+
+function recordingTransport(directory, inner) {
+    return async function request(url) {
+        const response = await inner(url);
+        if (response.status === 200) {
+            await fs.promises.mkdir(directory, { recursive: true });
+            await fs.promises.writeFile(
+                path.join(directory, fixtureName(url)),
+                JSON.stringify({ url: stripKey(url), status: response.status, body: response.body }, null, 2)
+            );
+        }
+        return response;
+    };
+}
+
+function createTransport(kind, fixturesDir, timeoutMs) {
+    switch (kind) {
+        case 'http':
+            return httpTransport(timeoutMs);
+        case 'fixtures':
+            return fixtureTransport(fixturesDir);
+        case 'record':
+            return recordingTransport(fixturesDir, httpTransport(timeoutMs));
+        default:
+            throw new Error(`Unknown Census transport: ${kind}`);
+    }
+}
+
+// Minimal counting semaphore
+function createLimiter(maxConcurrent) {
+    let active = 0;
+    const waiting = [];
+
+    return async function limit(task) {
+        if (active >= maxConcurrent) {
+            await new Promise(resolve => waiting.push(resolve));
+        }
+        active++;
+        try {
+            return await task();
+        } finally {
+            active--;
+            if (waiting.length > 0) {
+                waiting.shift()();
+            }
+        }
+    };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function isRetryable(status) {
+    return status === 429 || status >= 500;
+}
+
+function createCensusClient(options = {}) {
+    const {
+        apiKey = process.env.CENSUS_API_KEY,
+        baseUrl = process.env.CENSUS_API_BASE_URL || DEFAULT_BASE_URL,
+        vintage = process.env.CENSUS_ACS_YEAR || DEFAULT_VINTAGE,
+        dataset = DEFAULT_DATASET,
+        cache = null,
+        cacheTtlMs = (parseFloat(process.env.CENSUS_CACHE_TTL_HOURS) || 24 * 30) * 60 * 60 * 1000,
+        maxConcurrent = parseInt(process.env.CENSUS_MAX_CONCURRENT) || 4,
+        maxRetries = 4,
+        retryBaseMs = 500,
+        timeoutMs = parseInt(process.env.CENSUS_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+        transportKind = process.env.CENSUS_TRANSPORT || 'http',
+        fixturesDir = process.env.CENSUS_FIXTURES_DIR || path.join('fixtures', 'census')
+    } = options;
+
+    const transport = options.transport || createTransport(transportKind, fixturesDir, timeoutMs);
+
+    const limit = createLimiter(maxConcurrent);
+    const stats = { requests: 0, cache_hits: 0, cache_misses: 0, retries: 0, errors: 0 };
+
+    async function requestWithRetry(url) {
+        for (let attempt = 0; ; attempt++) {
+            let response = null;
+            let failure = null;
+
+            try {
+                stats.requests++;
+                response = await limit(() => transport(url));
+            } catch (error) {
+                if (error instanceof CensusApiError && !error.retryable) {
+                    throw error;
+                }
+                failure = error;
+            }
+
+            if (response && !isRetryable(response.status)) {
+                return response;
+            }
+
+            if (attempt >= maxRetries) {
+                throw failure || new CensusApiError(`Census API request failed: ${response.status}`, response.status);
+            }
+
+            stats.retries++;
+            const backoff = response && response.retryAfter !== null
+                ? response.retryAfter * 1000
+                : retryBaseMs * 2 ** attempt + Math.random() * retryBaseMs;
+            await sleep(backoff);
+        }
+    }
+
+    function isExpired(entry) {
+        return Date.now() - entry.fetched_at >= cacheTtlMs;
+    }
+
+    // Delete every expired response from the cache, e.g. once it has loaded.
+    // Returns how many were deleted.
+    function sweepCache() {
+        if (!cache) {
+            return 0;
+        }
+        let swept = 0;
+        for (const [key, entry] of Array.from(cache.entries())) {
+            if (isExpired(entry)) {
+                cache.delete(key);
+                swept++;
+            }
+        }
+        return swept;
+    }
+
+    // Run a query against the dataset and return the parsed JSON rows
+    async function query(params, { vintage: year = vintage } = {}) {
+        const queryString = Object.entries(params)
+            .map(([name, value]) => `${name}=${encodeURIComponent(value).replace(/%3A/g, ':').replace(/%2C/g, ',')}`)
+            .join('&');
+        const cacheKey = `${dataset}:${year}:${queryString}`;
+
+        if (cache) {
+            const cached = cache.get(cacheKey);
+            if (cached && !isExpired(cached)) {
+                stats.cache_hits++;
+                return cached.data;
+            }
+            if (cached) {
+                cache.delete(cacheKey);
+            }
+            stats.cache_misses++;
+        }
+
+        const url = `${baseUrl}/${year}/${dataset}?${queryString}${apiKey ? `&key=${apiKey}` : ''}`;
+
+        let data;
+        try {
+            const response = await requestWithRetry(url);
+            if (response.status !== 200) {
+                throw new CensusApiError(`Census API request failed: ${response.status}`, response.status);
+            }
+            // The API answers "no rows" with an empty body
+            data = response.body.trim() === '' ? [] : JSON.parse(response.body);
+        } catch (error) {
+            stats.errors++;
+            throw error;
+        }
+
+        if (cache) {
+            cache.set(cacheKey, { fetched_at: Date.now(), data });
+        }
+        return data;
+    }
+
+    // Raw values for every block group in a county, keyed by GEOID. Long
+    // variable lists are split across requests and merged.
+    async function getCountyBlockGroups(state, county, variables, queryOptions = {}) {
+        const chunks = [];
+        for (let start = 0; start < variables.length; start += MAX_VARIABLES_PER_REQUEST) {
+            chunks.push(variables.slice(start, start + MAX_VARIABLES_PER_REQUEST));
+        }
+
+        const responses = await Promise.all(chunks.map(chunk => query({
+            get: chunk.join(','),
+            for: 'block group:*',
+            in: `state:${state} county:${county} tract:*`
+        }, queryOptions)));
+
+        const rawByGeoid = new Map();
+        responses.forEach((data, index) => {
+            if (data.length === 0) return;
+
+            // First row is headers, the rest are one row per block group
+            const headers = data[0];
+            const column = name => headers.indexOf(name);
+
+            for (const values of data.slice(1)) {
+                const geoid = `${values[column('state')]}${values[column('county')]}${values[column('tract')]}${values[column('block group')]}`;
+                const raw = rawByGeoid.get(geoid) || {};
+                chunks[index].forEach(variable => {
+                    raw[variable] = values[column(variable)];
+                });
+                rawByGeoid.set(geoid, raw);
+            }
+        });
+
+        return rawByGeoid;
+    }
+
+    // One small request, outside the cache and without retries, to see that
+    // the API answers and accepts the key. Replayed fixtures need no check.
+    async function check() {
+        if (!options.transport && transportKind === 'fixtures') {
+            return { detail: 'replaying recorded fixtures' };
+        }
+
+        const response = await transport(`${baseUrl}/${vintage}/${dataset}?get=NAME&for=us:1${apiKey ? `&key=${apiKey}` : ''}`);
+        if (response.status !== 200) {
+            throw new CensusApiError(`Census API request failed: ${response.status}`, response.status);
+        }
+        // A rejected key is answered with an HTML page
+        try {
+            JSON.parse(response.body);
+        } catch (error) {
+            throw new CensusApiError('Census API did not answer with data; check CENSUS_API_KEY');
+        }
+        return { detail: `ACS ${vintage}` };
+    }
+
+    return {
+        vintage,
+        stats,
+        check,
+        // Replayed fixtures and custom transports work without an API key
+        configured: Boolean(apiKey) || Boolean(options.transport) || transportKind === 'fixtures',
+        query,
+        getCountyBlockGroups,
+        sweepCache
+    };
+}
+
+module.exports = {
+    CensusApiError,
+    createLimiter,
+    createCensusClient,
+    httpTransport,
+    fixtureTransport,
+    recordingTransport,
+    fixtureName
+};
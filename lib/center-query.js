@@ -0,0 +1,269 @@
+const { centerOccupancy } = require('./occupancy');
+const { spaceIsTenant } = require('./brands');
+
+// Search, filtering, sorting and pagination for the shopping center list.
+// The list is filtered in memory; pages are cut either by offset or by an
+// opaque cursor that remembers the sort position of the last row returned,
+// so paging stays stable while centers are added or removed.
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// Fields of the list rows, in response order
+const LIST_FIELDS = [
+    'id',
+    'name',
+    'address_street',
+    'address_city',
+    'address_state',
+    'address_zip',
+    'county',
+    'municipality',
+    'owner',
+    'property_manager',
+    'total_gla',
+    'center_type',
+    'latitude',
+    'longitude',
+    'total_spaces',
+    'vacant_spaces',
+    'vacancy_rate_by_count',
+    'vacancy_rate_by_sf'
+];
+
+// Exact-match filters (case-insensitive, comma-separated values match any)
+const MATCH_FILTERS = {
+    center_type: 'center_type',
+    county: 'county',
+    municipality: 'municipality',
+    state: 'address_state'
+};
+
+const RANGE_FILTERS = ['gla_min', 'gla_max', 'vacancy_min', 'vacancy_max'];
+
+const SEARCH_FIELDS = ['name', 'owner', 'property_manager'];
+
+const lower = value => String(value ?? '').toLowerCase().trim();
+
+// Query schema (see schema.js); sort and cursor are checked by the parser
+const CENTER_LIST_QUERY = {
+    q: { type: 'string', description: 'Search in name, owner and property manager' },
+    center_type: { type: 'list' },
+    county: { type: 'list' },
+    municipality: { type: 'list' },
+    state: { type: 'list', description: 'State codes' },
+    gla_min: { type: 'number' },
+    gla_max: { type: 'number' },
+    vacancy_min: { type: 'number', description: 'Percent' },
+    vacancy_max: { type: 'number', description: 'Percent' },
+    vacancy_basis: { type: 'string', enum: ['sf', 'count'], default: 'sf' },
+    tenant: { type: 'list', description: 'Only centers with one of these tenants' },
+    category: { type: 'list', description: 'Only centers with a tenant in one of these retail categories' },
+    sort: { type: 'string', description: `Comma-separated fields, '-' first for descending` },
+    limit: { type: 'integer', min: 1, max: MAX_LIMIT, default: DEFAULT_LIMIT },
+    offset: { type: 'integer', min: 0 },
+    cursor: { type: 'string', description: 'next_cursor from the previous page' }
+};
+
+const listValues = (values = []) => values.map(lower);
+
+// Turn the query, as checked against CENTER_LIST_QUERY, into list params.
+// Returns { value } or { errors }.
+function parseCenterQuery(query) {
+    const errors = [];
+    const value = {
+        search: query.q ? lower(query.q) : null,
+        match: {},
+        ranges: {},
+        vacancyBasis: query.vacancy_basis || 'sf',
+        tenants: listValues(query.tenant),
+        categories: listValues(query.category),
+        sort: [{ field: 'name', direction: 1 }],
+        limit: query.limit || DEFAULT_LIMIT,
+        offset: query.offset || 0,
+        cursor: null
+    };
+
+    for (const param of Object.keys(MATCH_FILTERS)) {
+        if (query[param] && query[param].length > 0) {
+            value.match[param] = listValues(query[param]);
+        }
+    }
+
+    for (const param of RANGE_FILTERS) {
+        if (query[param] !== undefined) {
+            value.ranges[param] = query[param];
+        }
+    }
+
+    if (query.sort) {
+        value.sort = [];
+        for (const part of query.sort.split(',').map(item => item.trim()).filter(Boolean)) {
+            const descending = part.startsWith('-');
+            const field = descending ? part.slice(1) : part;
+            if (!LIST_FIELDS.includes(field)) {
+                errors.push({ field: 'sort', message: `Cannot sort on ${field}` });
+            } else {
+                value.sort.push({ field, direction: descending ? -1 : 1 });
+            }
+        }
+    }
+
+    if (query.offset !== undefined && query.cursor !== undefined) {
+        errors.push({ field: 'cursor', message: 'Use either offset or cursor, not both' });
+    } else if (query.cursor !== undefined) {
+        const cursor = decodeCursor(query.cursor);
+        if (!cursor || cursor.sort !== sortKey(value.sort)) {
+            errors.push({ field: 'cursor', message: 'cursor is invalid or was made for a different sort' });
+        } else {
+            value.cursor = cursor;
+        }
+    }
+
+    return errors.length > 0 ? { errors } : { value };
+}
+
+function sortKey(sort) {
+    return sort.map(({ field, direction }) => (direction < 0 ? '-' : '') + field).join(',');
+}
+
+function encodeCursor(sort, row) {
+    const payload = { sort: sortKey(sort), values: sort.map(({ field }) => row[field] ?? null), id: row.id };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return payload && Array.isArray(payload.values) && typeof payload.id === 'string' ? payload : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Nulls and blanks sort last whichever the direction
+function compareValues(a, b, direction) {
+    const aMissing = a === null || a === undefined || a === '';
+    const bMissing = b === null || b === undefined || b === '';
+    if (aMissing || bMissing) {
+        return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+    }
+    if (typeof a === 'number' && typeof b === 'number') {
+        return (a - b) * direction;
+    }
+    return String(a).localeCompare(String(b), undefined, { sensitivity: 'base' }) * direction;
+}
+
+// Compare two rows by the sort fields, then by id so the order is total
+function compareRows(sort, a, b) {
+    for (const { field, direction } of sort) {
+        const result = compareValues(a[field], b[field], direction);
+        if (result !== 0) return result;
+    }
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+// List row for a center, with its vacancy figures
+function centerRow(center, spaces) {
+    const occupancy = centerOccupancy(center, spaces);
+    const row = {};
+    for (const field of LIST_FIELDS) {
+        row[field] = field in occupancy ? occupancy[field] : center[field];
+    }
+    return row;
+}
+
+function matchesFilters(params, row, spaces) {
+    if (params.search && !SEARCH_FIELDS.some(field => lower(row[field]).includes(params.search))) {
+        return false;
+    }
+
+    for (const [param, values] of Object.entries(params.match)) {
+        if (!values.includes(lower(row[MATCH_FILTERS[param]]))) {
+            return false;
+        }
+    }
+
+    const { gla_min: glaMin, gla_max: glaMax, vacancy_min: vacancyMin, vacancy_max: vacancyMax } = params.ranges;
+    if (glaMin !== undefined || glaMax !== undefined) {
+        if (typeof row.total_gla !== 'number') return false;
+        if (glaMin !== undefined && row.total_gla < glaMin) return false;
+        if (glaMax !== undefined && row.total_gla > glaMax) return false;
+    }
+    if (vacancyMin !== undefined || vacancyMax !== undefined) {
+        const rate = params.vacancyBasis === 'count' ? row.vacancy_rate_by_count : row.vacancy_rate_by_sf;
+        if (rate === null) return false;
+        if (vacancyMin !== undefined && rate < vacancyMin) return false;
+        if (vacancyMax !== undefined && rate > vacancyMax) return false;
+    }
+
+    const occupied = spaces.filter(space => space.tenant_name !== 'Vacant');
+    if (params.tenants.length > 0) {
+        if (!params.tenants.some(tenant => occupied.some(space => spaceIsTenant(space, tenant)))) return false;
+    }
+    if (params.categories.length > 0) {
+        const categories = new Set(occupied.map(space => lower(space.retail_category)));
+        if (!params.categories.some(category => categories.has(category))) return false;
+    }
+
+    return true;
+}
+
+// Whether any filter is set, as opposed to only sorting and paging
+function hasFilters(params) {
+    return Boolean(params.search)
+        || Object.keys(params.match).length > 0
+        || Object.keys(params.ranges).length > 0
+        || params.tenants.length > 0
+        || params.categories.length > 0;
+}
+
+// Every center matching the filters, as sorted list rows. `spacesByCenter`
+// maps center id -> spaces.
+function filterCenters(centers, spacesByCenter, params) {
+    const rows = [];
+    for (const center of centers) {
+        const spaces = spacesByCenter.get(center.id) || [];
+        const row = centerRow(center, spaces);
+        if (matchesFilters(params, row, spaces)) {
+            rows.push(row);
+        }
+    }
+    return rows.sort((a, b) => compareRows(params.sort, a, b));
+}
+
+// Filter, sort and page centers
+function queryCenters(centers, spacesByCenter, params) {
+    const rows = filterCenters(centers, spacesByCenter, params);
+
+    let start = params.offset;
+    if (params.cursor) {
+        const after = { id: params.cursor.id };
+        params.sort.forEach(({ field }, index) => { after[field] = params.cursor.values[index]; });
+        start = rows.findIndex(row => compareRows(params.sort, row, after) > 0);
+        if (start === -1) start = rows.length;
+    }
+
+    const page = rows.slice(start, start + params.limit);
+    const hasMore = start + page.length < rows.length;
+
+    return {
+        data: page,
+        count: page.length,
+        total: rows.length,
+        limit: params.limit,
+        offset: start,
+        next_offset: hasMore ? start + page.length : null,
+        next_cursor: hasMore ? encodeCursor(params.sort, page[page.length - 1]) : null
+    };
+}
+
+module.exports = {
+    LIST_FIELDS,
+    CENTER_LIST_QUERY,
+    centerRow,
+    parseCenterQuery,
+    hasFilters,
+    filterCenters,
+    queryCenters
+};
@@ -0,0 +1,138 @@
+// Saved column-mapping profiles for CSV imports. A profile maps the headers
+// of a broker's spreadsheet to the import columns, e.g.
+// { "Property Name": "shopping_center_name", "Suite #": "tenant_suite_number" },
+// so files can be imported as-is. Headers are matched ignoring case and
+// surrounding whitespace; unmapped headers pass through unchanged.
+
+const IMPORT_COLUMNS = [
+    'shopping_center_name',
+    'center_type',
+    'address_street',
+    'address_city',
+    'address_state',
+    'address_zip',
+    'county',
+    'municipality',
+    'owner',
+    'property_manager',
+    'total_gla',
+    'google_place_id',
+    'tenant_name',
+    'tenant_suite_number',
+    'square_footage',
+    'retail_category',
+    'space_type',
+    'base_rent',
+    'rent_unit',
+    'lease_start',
+    'lease_end',
+    'escalation_type',
+    'escalation_value',
+    'escalation_frequency_months',
+    'renewal_options',
+    'renewal_option_years',
+    'lease_type',
+    'cam_per_sf',
+    'taxes_per_sf',
+    'insurance_per_sf'
+];
+
+function mappingKey(name) {
+    return String(name).toLowerCase().trim();
+}
+
+// Profile body schema (see schema.js)
+const MAPPING_FIELDS = {
+    name: { type: 'string', maxLength: 100, description: 'Profile name; taken from the path on PUT' },
+    columns: { type: 'object', required: true, description: 'Spreadsheet header -> import column' }
+};
+
+// Check the columns of a profile body already checked against MAPPING_FIELDS
+function validateMapping(body, { nameFromPath = null } = {}) {
+    const errors = [];
+
+    const name = nameFromPath || body.name;
+    if (!name) {
+        errors.push({ field: 'name', message: 'name is required' });
+    }
+
+    const columns = body.columns;
+    if (Object.keys(columns).length === 0) {
+        errors.push({ field: 'columns', message: 'columns must map spreadsheet headers to import columns' });
+    } else {
+        const targets = new Set();
+        for (const [header, target] of Object.entries(columns)) {
+            if (!IMPORT_COLUMNS.includes(target)) {
+                errors.push({ field: `columns.${header}`, message: `${target} is not an import column` });
+            } else if (targets.has(target)) {
+                errors.push({ field: `columns.${header}`, message: `${target} is mapped more than once` });
+            }
+            targets.add(target);
+        }
+    }
+
+    if (errors.length > 0) {
+        return { value: null, errors };
+    }
+    return { value: { name: name.trim(), columns }, errors };
+}
+
+// Rename the columns of parsed records according to a profile
+function applyMapping(records, mapping) {
+    if (!mapping) {
+        return records;
+    }
+
+    const lookup = new Map(Object.entries(mapping.columns).map(([header, target]) => [mappingKey(header), target]));
+
+    return records.map(({ record, line }) => {
+        const mapped = {};
+        for (const [header, value] of Object.entries(record)) {
+            const target = lookup.get(mappingKey(header)) || header;
+            // A mapped column wins over an unmapped header of the same name
+            if (!(target in mapped) || lookup.has(mappingKey(header))) {
+                mapped[target] = value;
+            }
+        }
+        return { record: mapped, line };
+    });
+}
+
+function createMappingRepository(store) {
+    const mappings = store.collection('column_mappings'); // key: lower-cased name
+
+    return {
+        list() {
+            return Array.from(mappings.values()).sort((a, b) => a.name.localeCompare(b.name));
+        },
+
+        get(name) {
+            return mappings.get(mappingKey(name)) || null;
+        },
+
+        save({ name, columns }) {
+            const existing = mappings.get(mappingKey(name));
+            const now = new Date().toISOString();
+            const mapping = {
+                name,
+                columns,
+                created_at: existing ? existing.created_at : now,
+                updated_at: now
+            };
+            mappings.set(mappingKey(name), mapping);
+            return mapping;
+        },
+
+        delete(name) {
+            return mappings.delete(mappingKey(name));
+        }
+    };
+}
+
+module.exports = {
+    IMPORT_COLUMNS,
+    MAPPING_FIELDS,
+    validateMapping,
+    applyMapping,
+    createMappingRepository
+};
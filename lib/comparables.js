@@ -0,0 +1,289 @@
+const turf = require('@turf/turf');
+const { centerOccupancy, tenantMix } = require('./occupancy');
+const { MAX_RING_MILES } = require('./trade-area');
+
+// Comparable centers: every other center is scored on how closely it matches
+// a subject center's type, size, location and ring demographics, and the
+// subject is benchmarked against the best matches.
+//
+// Each attribute gives a similarity between 0 and 1, and the score is their
+// weighted average as a percentage. Attributes the subject itself lacks
+// (no center_type, no size, no coordinates) are left out of the score for
+// every candidate; a candidate missing one scores 0 on it.
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+const MAX_DISTANCE_MILES = 500;
+
+const ATTRIBUTES = ['center_type', 'gla', 'distance', 'demographics'];
+
+// Ring demographics compared between centers and shown in profiles
+const DEMOGRAPHIC_METRICS = [
+    'total_population',
+    'total_households',
+    'median_household_income',
+    'per_capita_income',
+    'bachelors_degree_percent',
+    'households_200k_percent'
+];
+
+// Center figures the subject is benchmarked on, besides demographics
+const CENTER_METRICS = ['vacancy_rate_by_count', 'vacancy_rate_by_sf', 'average_rent_per_sf'];
+
+const weight = description => ({ type: 'number', min: 0, max: 10, default: 1, description });
+
+const COMPARABLES_QUERY = {
+    type_weight: weight('Weight of a matching center_type'),
+    gla_weight: weight('Weight of a similar size (total_gla, or the space footage when it is missing)'),
+    distance_weight: weight('Weight of nearness'),
+    demographics_weight: weight('Weight of similar ring demographics'),
+    distance_scale: { type: 'number', min: 0.1, max: MAX_DISTANCE_MILES, default: 25, description: 'Miles at which distance similarity falls to 0' },
+    max_distance: { type: 'number', min: 0, max: MAX_DISTANCE_MILES, description: 'Only compare centers within this many miles' },
+    same_type: { type: 'boolean', default: false, description: 'Only compare centers of the same center_type' },
+    ring: { type: 'number', min: 0.1, max: MAX_RING_MILES, default: 3, description: 'Ring radius in miles for demographics' },
+    limit: { type: 'integer', min: 1, max: MAX_LIMIT, default: DEFAULT_LIMIT }
+};
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const lower = value => String(value ?? '').toLowerCase().trim();
+
+// Take the query as checked against COMPARABLES_QUERY. Returns { value } or
+// { errors }.
+function parseComparablesQuery(query) {
+    const weights = {
+        center_type: query.type_weight,
+        gla: query.gla_weight,
+        distance: query.distance_weight,
+        demographics: query.demographics_weight
+    };
+    if (Object.values(weights).every(value => value === 0)) {
+        return { errors: [{ field: 'type_weight', message: 'At least one weight must be above 0' }] };
+    }
+
+    return {
+        value: {
+            weights,
+            distanceScale: query.distance_scale,
+            maxDistance: query.max_distance ?? null,
+            sameType: query.same_type,
+            ring: query.ring,
+            limit: query.limit
+        }
+    };
+}
+
+function hasCoordinates(center) {
+    return typeof center.latitude === 'number' && typeof center.longitude === 'number';
+}
+
+function distanceMiles(a, b) {
+    return turf.distance([a.longitude, a.latitude], [b.longitude, b.latitude], { units: 'miles' });
+}
+
+// The center's size: total_gla, or the footage of its spaces when there is none
+function centerSize(center, occupancy) {
+    if (typeof center.total_gla === 'number' && center.total_gla > 0) {
+        return center.total_gla;
+    }
+    return occupancy.total_sf > 0 ? occupancy.total_sf : null;
+}
+
+// Smaller over larger: 1 for equal values, towards 0 as they diverge
+function closeness(a, b) {
+    if (typeof a !== 'number' || typeof b !== 'number') {
+        return null;
+    }
+    if (a <= 0 || b <= 0) {
+        return a === b ? 1 : 0;
+    }
+    return Math.min(a, b) / Math.max(a, b);
+}
+
+// A center's figures for comparison. `demographics` is its ring
+// demographics, or null.
+function centerProfile(center, spaces, demographics = null) {
+    const occupancy = centerOccupancy(center, spaces);
+    return {
+        id: center.id,
+        name: center.name,
+        center_type: center.center_type || null,
+        total_gla: center.total_gla ?? null,
+        size_sf: centerSize(center, occupancy),
+        address_city: center.address_city || null,
+        address_state: center.address_state || null,
+        county: center.county || null,
+        latitude: center.latitude ?? null,
+        longitude: center.longitude ?? null,
+        total_spaces: occupancy.total_spaces,
+        vacancy_rate_by_count: occupancy.vacancy_rate_by_count,
+        vacancy_rate_by_sf: occupancy.vacancy_rate_by_sf,
+        average_rent_per_sf: occupancy.rent_roll.average_rent_per_sf,
+        tenant_mix: tenantMix(spaces),
+        demographics: demographics
+            ? Object.fromEntries(DEMOGRAPHIC_METRICS.map(metric => [metric, demographics[metric] ?? null]))
+            : null
+    };
+}
+
+// Attributes that can't count towards any score, with the reason
+function unusableAttributes(subject, { demographicsAvailable }) {
+    const unusable = [];
+    if (!subject.center_type) {
+        unusable.push({ attribute: 'center_type', reason: 'Subject has no center_type' });
+    }
+    if (subject.size_sf === null) {
+        unusable.push({ attribute: 'gla', reason: 'Subject has no total_gla or space footage' });
+    }
+    if (!hasCoordinates(subject)) {
+        unusable.push({ attribute: 'distance', reason: 'Subject has no coordinates' });
+        unusable.push({ attribute: 'demographics', reason: 'Subject has no coordinates' });
+    } else if (!demographicsAvailable) {
+        unusable.push({ attribute: 'demographics', reason: 'Census demographics are not available' });
+    }
+    return unusable;
+}
+
+// Similarity of a candidate to the subject on each usable attribute
+function similarities(subject, candidate, distance, { distanceScale }) {
+    const demographic = DEMOGRAPHIC_METRICS
+        .map(metric => closeness(subject.demographics?.[metric], candidate.demographics?.[metric]))
+        .filter(value => value !== null);
+
+    return {
+        center_type: candidate.center_type && lower(candidate.center_type) === lower(subject.center_type) ? 1 : 0,
+        gla: closeness(subject.size_sf, candidate.size_sf) ?? 0,
+        distance: distance === null ? 0 : Math.max(0, 1 - distance / distanceScale),
+        demographics: demographic.length > 0 ? demographic.reduce((sum, value) => sum + value, 0) / demographic.length : 0
+    };
+}
+
+// Score and rank candidate profiles against the subject profile. `params`
+// comes from parseComparablesQuery; attributes in `unusable` are dropped.
+// Returns { weights, comparables, candidates_considered }.
+function rankComparables(subject, candidates, params, unusable) {
+    const weights = {};
+    for (const attribute of ATTRIBUTES) {
+        const usable = !unusable.some(entry => entry.attribute === attribute);
+        weights[attribute] = usable ? params.weights[attribute] : 0;
+    }
+    const totalWeight = Object.values(weights).reduce((sum, value) => sum + value, 0);
+
+    const considered = candidates
+        .filter(candidate => candidate.id !== subject.id)
+        .filter(candidate => !params.sameType || lower(candidate.center_type) === lower(subject.center_type))
+        .map(candidate => ({
+            candidate,
+            distance: hasCoordinates(subject) && hasCoordinates(candidate) ? distanceMiles(subject, candidate) : null
+        }))
+        .filter(({ distance }) => params.maxDistance === null || (distance !== null && distance <= params.maxDistance));
+
+    const comparables = considered
+        .map(({ candidate, distance }) => {
+            const parts = similarities(subject, candidate, distance, params);
+            const score = totalWeight > 0
+                ? ATTRIBUTES.reduce((sum, attribute) => sum + weights[attribute] * parts[attribute], 0) / totalWeight
+                : 0;
+            return {
+                ...candidate,
+                distance_miles: distance === null ? null : round(distance, 2),
+                similarity: {
+                    score: round(score * 100),
+                    attributes: Object.fromEntries(ATTRIBUTES
+                        .filter(attribute => weights[attribute] > 0)
+                        .map(attribute => [attribute, round(parts[attribute], 3)]))
+                }
+            };
+        })
+        .sort((a, b) => b.similarity.score - a.similarity.score
+            || (a.distance_miles ?? Infinity) - (b.distance_miles ?? Infinity)
+            || a.name.localeCompare(b.name))
+        .slice(0, params.limit);
+
+    return { weights, comparables, candidates_considered: considered.length };
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// The subject's value next to the comparables' average and median
+function benchmarkMetric(subjectValue, values) {
+    const known = values.filter(value => typeof value === 'number');
+    if (known.length === 0) {
+        return { subject: subjectValue ?? null, comparables_average: null, comparables_median: null, difference_from_median: null, comparables_with_value: 0 };
+    }
+
+    const middle = median(known);
+    return {
+        subject: subjectValue ?? null,
+        comparables_average: round(known.reduce((sum, value) => sum + value, 0) / known.length, 2),
+        comparables_median: round(middle, 2),
+        difference_from_median: typeof subjectValue === 'number' ? round(subjectValue - middle, 2) : null,
+        comparables_with_value: known.length
+    };
+}
+
+// Share of leased footage per retail category, for the subject and on
+// average across the comparables (a comparable without the category counts
+// as 0%). Comparables with no leased footage are left out of the average.
+function benchmarkTenantMix(subject, comparables) {
+    const share = (profile, category) => {
+        const entry = profile.tenant_mix.find(mix => mix.category === category);
+        return entry ? entry.percent_of_leased_sf ?? 0 : 0;
+    };
+    const sized = comparables.filter(profile => profile.tenant_mix.some(mix => mix.square_feet > 0));
+    const categories = new Set([subject, ...sized].flatMap(profile => profile.tenant_mix.map(mix => mix.category)));
+
+    return Array.from(categories)
+        .map(category => {
+            const subjectPercent = share(subject, category);
+            const average = sized.length > 0
+                ? round(sized.reduce((sum, profile) => sum + share(profile, category), 0) / sized.length)
+                : null;
+            return {
+                category,
+                subject_percent: subjectPercent,
+                comparables_average_percent: average,
+                difference: average === null ? null : round(subjectPercent - average)
+            };
+        })
+        .sort((a, b) => Math.max(b.subject_percent, b.comparables_average_percent ?? 0)
+            - Math.max(a.subject_percent, a.comparables_average_percent ?? 0) || a.category.localeCompare(b.category));
+}
+
+// Subject against comparables on vacancy, rent, demographics and tenant mix
+function benchmark(subject, comparables) {
+    const metrics = {};
+    for (const metric of CENTER_METRICS) {
+        metrics[metric] = benchmarkMetric(subject[metric], comparables.map(profile => profile[metric]));
+    }
+
+    const demographics = {};
+    if (subject.demographics) {
+        for (const metric of DEMOGRAPHIC_METRICS) {
+            demographics[metric] = benchmarkMetric(
+                subject.demographics[metric],
+                comparables.map(profile => profile.demographics?.[metric])
+            );
+        }
+    }
+
+    return {
+        ...metrics,
+        demographics: subject.demographics ? demographics : null,
+        tenant_mix: benchmarkTenantMix(subject, comparables)
+    };
+}
+
+module.exports = {
+    COMPARABLES_QUERY,
+    DEMOGRAPHIC_METRICS,
+    parseComparablesQuery,
+    centerProfile,
+    unusableAttributes,
+    rankComparables,
+    benchmark
+};
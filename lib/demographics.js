@@ -0,0 +1,542 @@
+// ACS variable definitions and the aggregation of block group estimates into
+// trade-area figures.
+//
+// Every figure is a variable of one of three types, and is aggregated by
+// its type:
+//
+// - count: one or more ACS estimates, summed across block groups (and
+//   optionally less others, e.g. residents less commuters)
+// - median: interpolated from a bracketed distribution (household income
+//   from B19001), or, where ACS publishes no usable distribution, the
+//   block group medians averaged by their universe (median age, home value)
+// - ratio: one variable over another, either a share of a universe that
+//   contains it (reported as a percentage) or a plain ratio (per capita
+//   income, persons per household)
+//
+// Margins of error follow the Census Bureau's guidance for derived
+// estimates ("Understanding and Using ACS Data", ch. 8): sums use the root
+// of summed squared MOEs, proportions and ratios use the approximation
+// formulas, and the interpolated median takes its MOE from the distribution
+// as well.
+//
+// Variables are grouped into named profiles, which can be requested one or
+// several at a time.
+
+// Household income brackets (B19001). The top bracket is open ended.
+const INCOME_BRACKETS = [
+    { name: 'income_under_10k', variable: 'B19001_002', min: 0, max: 10000 },
+    { name: 'income_10k_15k', variable: 'B19001_003', min: 10000, max: 15000 },
+    { name: 'income_15k_20k', variable: 'B19001_004', min: 15000, max: 20000 },
+    { name: 'income_20k_25k', variable: 'B19001_005', min: 20000, max: 25000 },
+    { name: 'income_25k_30k', variable: 'B19001_006', min: 25000, max: 30000 },
+    { name: 'income_30k_35k', variable: 'B19001_007', min: 30000, max: 35000 },
+    { name: 'income_35k_40k', variable: 'B19001_008', min: 35000, max: 40000 },
+    { name: 'income_40k_45k', variable: 'B19001_009', min: 40000, max: 45000 },
+    { name: 'income_45k_50k', variable: 'B19001_010', min: 45000, max: 50000 },
+    { name: 'income_50k_60k', variable: 'B19001_011', min: 50000, max: 60000 },
+    { name: 'income_60k_75k', variable: 'B19001_012', min: 60000, max: 75000 },
+    { name: 'income_75k_100k', variable: 'B19001_013', min: 75000, max: 100000 },
+    { name: 'income_100k_125k', variable: 'B19001_014', min: 100000, max: 125000 },
+    { name: 'income_125k_150k', variable: 'B19001_015', min: 125000, max: 150000 },
+    { name: 'income_150k_200k', variable: 'B19001_016', min: 150000, max: 200000 },
+    { name: 'income_200k_plus', variable: 'B19001_017', min: 200000, max: null }
+];
+
+// Design factor for B19001, used for the standard error of the median
+const INCOME_DESIGN_FACTOR = 1.5;
+
+// z-score for the 90% confidence level the ACS publishes MOEs at
+const Z_90 = 1.645;
+
+const count = (...codes) => ({ type: 'count', codes });
+const share = (numerator, denominator) => ({ type: 'ratio', numerator, denominator, percent: true, digits: 1 });
+
+// B01001 (sex by age) rows for an age band, men and women. Male rows are
+// 003-025 and the matching female rows 24 further on.
+function ageBand(firstRow, lastRow) {
+    const codes = [];
+    for (let row = firstRow; row <= lastRow; row++) {
+        codes.push(`B01001_${String(row).padStart(3, '0')}`, `B01001_${String(row + 24).padStart(3, '0')}`);
+    }
+    return { type: 'count', codes };
+}
+
+// Every variable by name. Counts list their ACS estimate codes (without the
+// E/M suffix); medians and ratios refer to other variables by name.
+const VARIABLES = {
+    // Population and households
+    total_population: count('B01003_001'),
+    population_in_households: count('B25008_001'),
+    total_households: count('B19001_001'),
+    total_housing_units: count('B25001_001'),
+    occupied_housing_units: count('B25003_001'),
+    owner_occupied_housing: count('B25003_002'),
+    owner_occupied_percent: share('owner_occupied_housing', 'occupied_housing_units'),
+    average_household_size: { type: 'ratio', numerator: 'population_in_households', denominator: 'total_households', digits: 2 },
+
+    // Income. B19313 is aggregate income of all residents, B19025 of households.
+    ...Object.fromEntries(INCOME_BRACKETS.map(bracket => [bracket.name, count(bracket.variable)])),
+    aggregate_income: count('B19313_001'),
+    aggregate_household_income: count('B19025_001'),
+    median_household_income: {
+        type: 'median',
+        brackets: INCOME_BRACKETS.map(({ name, min, max }) => ({ variable: name, min, max })),
+        universe: 'total_households',
+        designFactor: INCOME_DESIGN_FACTOR
+    },
+    per_capita_income: { type: 'ratio', numerator: 'aggregate_income', denominator: 'total_population' },
+    average_household_income: { type: 'ratio', numerator: 'aggregate_household_income', denominator: 'total_households' },
+    households_100k_plus: count('B19001_014', 'B19001_015', 'B19001_016', 'B19001_017'),
+    households_100k_percent: share('households_100k_plus', 'total_households'),
+    households_200k_plus: count('B19001_017'),
+    households_200k_percent: share('households_200k_plus', 'total_households'),
+    median_home_value: { type: 'median', code: 'B25077_001', universe: 'owner_occupied_housing' },
+
+    // Education
+    population_25_plus: count('B15003_001'),
+    bachelors_degree_plus: count('B15003_022', 'B15003_023', 'B15003_024', 'B15003_025'),
+    bachelors_degree_percent: share('bachelors_degree_plus', 'population_25_plus'),
+
+    // Work and commuting. B08303 counts workers who did not work from home.
+    workers_16_plus: count('B08301_001'),
+    work_from_home: count('B08301_021'),
+    work_from_home_percent: share('work_from_home', 'workers_16_plus'),
+    commuters: count('B08303_001'),
+    commute_30_plus_minutes: count('B08303_008', 'B08303_009', 'B08303_010', 'B08303_011', 'B08303_012', 'B08303_013'),
+    commute_30_plus_percent: share('commute_30_plus_minutes', 'commuters'),
+    // Residents who stay in the area during the workday. Inbound workers are
+    // not counted: ACS does not publish place-of-work counts by block group.
+    daytime_population: { type: 'count', codes: ['B01003_001'], subtract: ['B08303_001'] },
+
+    // Age
+    median_age: { type: 'median', code: 'B01002_001', universe: 'total_population', digits: 1 },
+    population_under_18: ageBand(3, 6),
+    population_under_18_percent: share('population_under_18', 'total_population'),
+    population_18_34: ageBand(7, 12),
+    population_18_34_percent: share('population_18_34', 'total_population'),
+    population_35_54: ageBand(13, 16),
+    population_35_54_percent: share('population_35_54', 'total_population'),
+    population_55_64: ageBand(17, 19),
+    population_55_64_percent: share('population_55_64', 'total_population'),
+    population_65_plus: ageBand(20, 25),
+    population_65_plus_percent: share('population_65_plus', 'total_population'),
+
+    // Household size (B11016: family households, then nonfamily)
+    households_1_person: count('B11016_010'),
+    households_1_person_percent: share('households_1_person', 'total_households'),
+    households_2_person: count('B11016_003', 'B11016_011'),
+    households_2_person_percent: share('households_2_person', 'total_households'),
+    households_3_4_person: count('B11016_004', 'B11016_005', 'B11016_012', 'B11016_013'),
+    households_3_4_person_percent: share('households_3_4_person', 'total_households'),
+    households_5_plus_person: count('B11016_006', 'B11016_007', 'B11016_008', 'B11016_014', 'B11016_015', 'B11016_016'),
+    households_5_plus_person_percent: share('households_5_plus_person', 'total_households'),
+
+    // Race and Hispanic origin (B03002)
+    white_non_hispanic: count('B03002_003'),
+    white_non_hispanic_percent: share('white_non_hispanic', 'total_population'),
+    black_non_hispanic: count('B03002_004'),
+    black_non_hispanic_percent: share('black_non_hispanic', 'total_population'),
+    asian_non_hispanic: count('B03002_006'),
+    asian_non_hispanic_percent: share('asian_non_hispanic', 'total_population'),
+    other_non_hispanic: count('B03002_005', 'B03002_007', 'B03002_008', 'B03002_009'),
+    other_non_hispanic_percent: share('other_non_hispanic', 'total_population'),
+    hispanic_latino: count('B03002_012'),
+    hispanic_latino_percent: share('hispanic_latino', 'total_population'),
+
+    // Vehicles available (B25044: owner households, then renters)
+    households_no_vehicle: count('B25044_003', 'B25044_010'),
+    households_no_vehicle_percent: share('households_no_vehicle', 'occupied_housing_units'),
+    households_1_vehicle: count('B25044_004', 'B25044_011'),
+    households_1_vehicle_percent: share('households_1_vehicle', 'occupied_housing_units'),
+    households_2_vehicles: count('B25044_005', 'B25044_012'),
+    households_2_vehicles_percent: share('households_2_vehicles', 'occupied_housing_units'),
+    households_3_plus_vehicles: count('B25044_006', 'B25044_007', 'B25044_008', 'B25044_013', 'B25044_014', 'B25044_015'),
+    households_3_plus_vehicles_percent: share('households_3_plus_vehicles', 'occupied_housing_units'),
+    aggregate_vehicles: count('B25046_001'),
+    vehicles_per_household: { type: 'ratio', numerator: 'aggregate_vehicles', denominator: 'occupied_housing_units', digits: 2 }
+};
+
+// Named variable sets, in response order
+const PROFILES = {
+    retail_core: {
+        label: 'Retail core',
+        variables: [
+            'total_population', 'total_households', 'total_housing_units',
+            'median_household_income', 'per_capita_income', 'average_household_size', 'daytime_population',
+            'households_200k_plus', 'households_200k_percent',
+            'occupied_housing_units', 'owner_occupied_housing', 'owner_occupied_percent',
+            'population_25_plus', 'bachelors_degree_plus', 'bachelors_degree_percent',
+            'workers_16_plus', 'work_from_home', 'work_from_home_percent',
+            'commute_30_plus_minutes', 'commute_30_plus_percent'
+        ]
+    },
+    age_household: {
+        label: 'Age & household',
+        variables: [
+            'total_population', 'median_age',
+            'population_under_18', 'population_under_18_percent',
+            'population_18_34', 'population_18_34_percent',
+            'population_35_54', 'population_35_54_percent',
+            'population_55_64', 'population_55_64_percent',
+            'population_65_plus', 'population_65_plus_percent',
+            'total_households', 'average_household_size',
+            'households_1_person', 'households_1_person_percent',
+            'households_2_person', 'households_2_person_percent',
+            'households_3_4_person', 'households_3_4_person_percent',
+            'households_5_plus_person', 'households_5_plus_person_percent'
+        ]
+    },
+    race_ethnicity: {
+        label: 'Race & ethnicity',
+        variables: [
+            'total_population',
+            'white_non_hispanic', 'white_non_hispanic_percent',
+            'black_non_hispanic', 'black_non_hispanic_percent',
+            'asian_non_hispanic', 'asian_non_hispanic_percent',
+            'other_non_hispanic', 'other_non_hispanic_percent',
+            'hispanic_latino', 'hispanic_latino_percent'
+        ]
+    },
+    affluence: {
+        label: 'Affluence & spending power',
+        variables: [
+            'total_households', 'median_household_income', 'average_household_income', 'per_capita_income',
+            'aggregate_household_income',
+            'households_100k_plus', 'households_100k_percent',
+            'households_200k_plus', 'households_200k_percent',
+            'median_home_value', 'owner_occupied_percent', 'bachelors_degree_percent'
+        ]
+    },
+    mobility: {
+        label: 'Vehicles & commuting',
+        variables: [
+            'occupied_housing_units',
+            'households_no_vehicle', 'households_no_vehicle_percent',
+            'households_1_vehicle', 'households_1_vehicle_percent',
+            'households_2_vehicles', 'households_2_vehicles_percent',
+            'households_3_plus_vehicles', 'households_3_plus_vehicles_percent',
+            'vehicles_per_household',
+            'workers_16_plus', 'work_from_home_percent', 'commute_30_plus_percent'
+        ]
+    }
+};
+
+const DEFAULT_PROFILES = ['retail_core'];
+
+// First ACS 5-year release with block groups in the Census Data API
+const FIRST_ACS_YEAR = 2013;
+
+// Query parameters that pick the ACS vintage and variable profiles
+const ACS_QUERY = {
+    year: {
+        type: 'integer',
+        min: FIRST_ACS_YEAR,
+        max: new Date().getFullYear(),
+        description: 'ACS 5-year vintage (default: CENSUS_ACS_YEAR)'
+    },
+    profile: {
+        type: 'list',
+        enum: Object.keys(PROFILES),
+        description: `Variable profiles, comma-separated (default: ${DEFAULT_PROFILES.join(',')})`
+    }
+};
+
+// Figures compared between two ACS vintages. Incomes are in each vintage's
+// own (nominal) dollars.
+const GROWTH_VARIABLES = ['total_population', 'total_households', 'median_household_income', 'per_capita_income'];
+
+// Names of the variables in the given profiles, in order and without repeats
+function profileVariables(profiles = DEFAULT_PROFILES) {
+    return Array.from(new Set(profiles.flatMap(name => PROFILES[name].variables)));
+}
+
+// ACS codes (without suffix) a variable is computed from
+function variableCodes(name, seen = new Set()) {
+    if (seen.has(name)) return [];
+    seen.add(name);
+
+    const variable = VARIABLES[name];
+    switch (variable.type) {
+        case 'count':
+            return [...variable.codes, ...(variable.subtract || [])];
+        case 'median':
+            return variable.brackets
+                ? [...variable.brackets.flatMap(bracket => variableCodes(bracket.variable, seen)), ...variableCodes(variable.universe, seen)]
+                : [variable.code, ...variableCodes(variable.universe, seen)];
+        default:
+            return [...variableCodes(variable.numerator, seen), ...variableCodes(variable.denominator, seen)];
+    }
+}
+
+// Every estimate and MOE code to request from the Census API for the profiles
+function censusVariables(profiles = DEFAULT_PROFILES) {
+    const codes = new Set(profileVariables(profiles).flatMap(name => variableCodes(name)));
+    return Array.from(codes).flatMap(code => [`${code}E`, `${code}M`]);
+}
+
+// Turn one block group's raw Census values (code -> string) into estimates
+// and MOEs by ACS code. Negative values are ACS annotation sentinels: missing
+// estimates count as 0, and "controlled" MOEs (-555555555) mean no error.
+function parseBlockGroup(rawValues) {
+    const estimates = {};
+    const moes = {};
+
+    for (const [variable, value] of Object.entries(rawValues)) {
+        const code = variable.slice(0, -1);
+        const number = parseFloat(value);
+        const target = variable.endsWith('E') ? estimates : moes;
+        target[code] = isNaN(number) || number < 0 ? 0 : number;
+    }
+
+    return { estimates, moes };
+}
+
+// Weighted sum of one variable across block groups. Zero estimates all share
+// the same MOE, so only the largest of them is counted.
+function sumVariable(entries, name) {
+    let estimate = 0;
+    let squaredMoe = 0;
+    let largestZeroMoe = 0;
+
+    for (const { demographics, weight } of entries) {
+        const value = (demographics.estimates[name] || 0) * weight;
+        const moe = (demographics.moes[name] || 0) * weight;
+        estimate += value;
+        if (!demographics.estimates[name]) {
+            largestZeroMoe = Math.max(largestZeroMoe, moe);
+        } else {
+            squaredMoe += moe * moe;
+        }
+    }
+
+    return { estimate, moe: Math.sqrt(squaredMoe + largestZeroMoe * largestZeroMoe) };
+}
+
+// Sum of several already-aggregated estimates
+function combine(...parts) {
+    return {
+        estimate: parts.reduce((sum, part) => sum + part.estimate, 0),
+        moe: Math.sqrt(parts.reduce((sum, part) => sum + part.moe * part.moe, 0))
+    };
+}
+
+// Share of numerator in a universe that contains it, as a percentage
+function proportion(numerator, denominator) {
+    if (denominator.estimate <= 0) {
+        return { estimate: 0, moe: 0 };
+    }
+
+    const p = numerator.estimate / denominator.estimate;
+    let radicand = numerator.moe ** 2 - p * p * denominator.moe ** 2;
+    if (radicand < 0) {
+        // Fall back to the ratio formula, as the Census guidance advises
+        radicand = numerator.moe ** 2 + p * p * denominator.moe ** 2;
+    }
+
+    return { estimate: p * 100, moe: (Math.sqrt(radicand) / denominator.estimate) * 100 };
+}
+
+// Ratio of two estimates where the numerator is not a subset of the
+// denominator (per-capita income, persons per household)
+function ratio(numerator, denominator) {
+    if (denominator.estimate <= 0) {
+        return { estimate: 0, moe: 0 };
+    }
+
+    const r = numerator.estimate / denominator.estimate;
+    return {
+        estimate: r,
+        moe: Math.sqrt(numerator.moe ** 2 + r * r * denominator.moe ** 2) / denominator.estimate
+    };
+}
+
+// Income at a given percentile of a bracketed distribution, interpolated
+// linearly within the bracket. Percentiles landing in the open-ended top
+// bracket return its lower bound.
+function percentileFromBrackets(brackets, percentile) {
+    const total = brackets.reduce((sum, bracket) => sum + bracket.count, 0);
+    const target = (total * percentile) / 100;
+    let cumulative = 0;
+
+    for (const bracket of brackets) {
+        if (bracket.count > 0 && cumulative + bracket.count >= target) {
+            if (bracket.max === null) {
+                return { value: bracket.min, topCoded: true };
+            }
+            const share = (target - cumulative) / bracket.count;
+            return { value: bracket.min + share * (bracket.max - bracket.min), topCoded: false };
+        }
+        cumulative += bracket.count;
+    }
+
+    const last = brackets[brackets.length - 1];
+    return { value: last.min, topCoded: last.max === null };
+}
+
+// Median of a bracketed distribution (household income from B19001 by
+// default), with a 90% MOE derived from the confidence interval around the
+// 50th percentile
+function medianFromBrackets(brackets, universe, designFactor = INCOME_DESIGN_FACTOR) {
+    if (universe <= 0 || brackets.every(bracket => bracket.count === 0)) {
+        return { estimate: 0, moe: 0, topCoded: false };
+    }
+
+    const median = percentileFromBrackets(brackets, 50);
+    const standardError = designFactor * Math.sqrt((99 / universe) * 50 * 50);
+    const lower = percentileFromBrackets(brackets, Math.max(0, 50 - Z_90 * standardError));
+    const upper = percentileFromBrackets(brackets, Math.min(100, 50 + Z_90 * standardError));
+
+    return {
+        estimate: median.value,
+        moe: (upper.value - lower.value) / 2,
+        topCoded: median.topCoded
+    };
+}
+
+// Block group medians averaged by the size of their universe (its weighted
+// count in each block group). Block groups without a published median are
+// left out. An approximation, used where ACS has no distribution to
+// interpolate from.
+function weightedMedian(entries, code, universeCodes) {
+    let total = 0;
+    let weightedSum = 0;
+    let squaredMoe = 0;
+
+    for (const { demographics, weight } of entries) {
+        const median = demographics.estimates[code] || 0;
+        if (median <= 0) continue;
+
+        const size = universeCodes.reduce((sum, universeCode) => sum + (demographics.estimates[universeCode] || 0), 0) * weight;
+        total += size;
+        weightedSum += size * median;
+        squaredMoe += (size * (demographics.moes[code] || 0)) ** 2;
+    }
+
+    return total > 0
+        ? { estimate: weightedSum / total, moe: Math.sqrt(squaredMoe) / total }
+        : { estimate: 0, moe: 0 };
+}
+
+const round = (value, digits = 0) => {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+};
+
+// Write an estimate and its MOE to the result under name / name_moe
+function put(result, name, { estimate, moe }, digits = 0) {
+    result[name] = round(estimate, digits);
+    result[`${name}_moe`] = round(moe, digits);
+}
+
+// Aggregate block groups into trade-area demographics for the given
+// profiles. Each entry is { geoid, weight, demographics } where demographics
+// came from parseBlockGroup and weight is the share of the block group inside
+// the trade area, which scales its counts and MOEs.
+function aggregateDemographics(blockGroupDemographics, radiusMiles, profiles = DEFAULT_PROFILES) {
+    const valid = blockGroupDemographics.filter(entry => entry.demographics !== null);
+    const computed = new Map();
+
+    function evaluate(name) {
+        if (computed.has(name)) {
+            return computed.get(name);
+        }
+
+        const variable = VARIABLES[name];
+        let value;
+        if (variable.type === 'count') {
+            const added = combine(...variable.codes.map(code => sumVariable(valid, code)));
+            const subtracted = combine(...(variable.subtract || []).map(code => sumVariable(valid, code)));
+            value = {
+                estimate: Math.max(0, added.estimate - subtracted.estimate),
+                moe: Math.sqrt(added.moe ** 2 + subtracted.moe ** 2)
+            };
+        } else if (variable.type === 'median' && variable.brackets) {
+            const brackets = variable.brackets.map(bracket => ({ ...bracket, count: evaluate(bracket.variable).estimate }));
+            value = medianFromBrackets(brackets, evaluate(variable.universe).estimate, variable.designFactor);
+        } else if (variable.type === 'median') {
+            value = weightedMedian(valid, variable.code, variableCodes(variable.universe));
+        } else {
+            value = (variable.percent ? proportion : ratio)(evaluate(variable.numerator), evaluate(variable.denominator));
+        }
+
+        computed.set(name, value);
+        return value;
+    }
+
+    const result = { radius: radiusMiles };
+
+    for (const name of profileVariables(profiles)) {
+        const value = evaluate(name);
+        put(result, name, value, VARIABLES[name].digits || 0);
+        if (value.topCoded !== undefined) {
+            result[`${name}_top_coded`] = value.topCoded;
+        }
+    }
+
+    result.block_groups_analyzed = valid.length;
+    result.block_groups = valid.map(({ geoid, weight }) => ({ geoid, weight: round(weight, 3) }));
+
+    return result;
+}
+
+// Whether a variable is a count (so it adds up across areas) rather than a
+// median or ratio
+function isCountVariable(name) {
+    return VARIABLES[name] !== undefined && VARIABLES[name].type === 'count';
+}
+
+// Change between the same area's demographics in two ACS vintages. A change
+// is significant at 90% when it exceeds the MOE of the difference. ACS
+// 5-year periods less than five years apart share sample years, which the
+// Census Bureau advises against comparing.
+function vintageGrowth(earlier, later, fromYear, toYear) {
+    const years = toYear - fromYear;
+    const growth = {};
+
+    for (const name of GROWTH_VARIABLES) {
+        const from = earlier[name];
+        const to = later[name];
+        const change = to - from;
+        const changeMoe = Math.sqrt((earlier[`${name}_moe`] || 0) ** 2 + (later[`${name}_moe`] || 0) ** 2);
+
+        growth[name] = {
+            from,
+            to,
+            change: round(change, 2),
+            change_moe: round(changeMoe, 2),
+            significant: Math.abs(change) > changeMoe,
+            percent_change: from > 0 ? round((change / from) * 100, 1) : null,
+            annual_growth_percent: from > 0 && to > 0 && years > 0
+                ? round(((to / from) ** (1 / years) - 1) * 100, 2)
+                : null
+        };
+    }
+
+    return {
+        from_year: fromYear,
+        to_year: toYear,
+        overlapping_periods: Math.abs(years) < 5,
+        block_groups_analyzed: { from: earlier.block_groups_analyzed, to: later.block_groups_analyzed },
+        growth
+    };
+}
+
+module.exports = {
+    INCOME_BRACKETS,
+    VARIABLES,
+    PROFILES,
+    DEFAULT_PROFILES,
+    ACS_QUERY,
+    GROWTH_VARIABLES,
+    profileVariables,
+    censusVariables,
+    parseBlockGroup,
+    sumVariable,
+    proportion,
+    ratio,
+    percentileFromBrackets,
+    medianFromBrackets,
+    aggregateDemographics,
+    isCountVariable,
+    vintageGrowth
+};
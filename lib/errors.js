@@ -0,0 +1,77 @@
+const { logger } = require('./logger');
+
+// Error responses. Every error the API sends has the same shape:
+//
+//   {
+//     "error": "Invalid request",        human-readable message
+//     "code": "invalid_request",         stable code to branch on
+//     "details": [                        may be empty
+//       { "field": "radius", "in": "query", "message": "radius must be at most 25" }
+//     ]
+//   }
+//
+// `field` is null for problems that aren't tied to one field, and `in` (path,
+// query or body) is given for request validation errors.
+
+const ERROR_CODES = {
+    400: 'invalid_request',
+    401: 'authentication_required',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    413: 'payload_too_large',
+    422: 'unprocessable',
+    500: 'internal_error',
+    502: 'upstream_error',
+    503: 'service_unavailable'
+};
+
+// details may be a list of { field, message } or a single message
+function errorBody(status, message, { code = null, details = [] } = {}) {
+    const list = typeof details === 'string' ? [{ field: null, message: details }] : details;
+    return {
+        error: message,
+        code: code || ERROR_CODES[status] || 'error',
+        details: list.map(detail => ({ field: null, ...detail }))
+    };
+}
+
+// Send an error response. Options: code, details, plus any extra top-level
+// fields worth returning with it.
+function sendError(res, status, message, { code, details, ...extra } = {}) {
+    return res.status(status).json({ ...errorBody(status, message, { code, details }), ...extra });
+}
+
+// Text with the values of any `key=` query parameters blanked out, so that
+// upstream errors, which often quote the URL requested, can be shown or
+// logged without the API keys in it
+function redactKeys(text) {
+    return String(text).replace(/([?&]key=)[^&\s]*/gi, '$1[redacted]');
+}
+
+// Last-resort Express error handler: malformed JSON bodies, oversized
+// uploads and anything a route let escape
+function errorHandler(error, req, res, next) {
+    if (res.headersSent) {
+        return next(error);
+    }
+    if (error.type === 'entity.parse.failed') {
+        return sendError(res, 400, 'Malformed JSON body', { code: 'malformed_json', details: error.message });
+    }
+    if (error.type === 'entity.too.large' || error.code === 'LIMIT_FILE_SIZE') {
+        return sendError(res, 413, 'Request body too large', { details: error.message });
+    }
+    if (error.name === 'MulterError') {
+        return sendError(res, 400, 'Invalid upload', { details: [{ field: error.field || null, message: error.message }] });
+    }
+    logger.error('Unhandled error', { error });
+    sendError(res, 500, 'Internal server error', { details: error.message });
+}
+
+module.exports = {
+    ERROR_CODES,
+    errorBody,
+    sendError,
+    redactKeys,
+    errorHandler
+};
@@ -0,0 +1,121 @@
+const { v4: uuidv4 } = require('uuid');
+const { currentAuditContext, diffRecords } = require('./audit');
+const { logger } = require('./logger');
+
+// In-process event bus for portfolio changes. The repository reports every
+// create, update and delete of a center or tenant space, and import jobs
+// report when they finish; each becomes one or more events handed to every
+// subscriber (webhooks.js delivers them to outside systems).
+//
+// Besides the plain record events, space changes raise leasing events: a
+// suite going vacant, a suite being leased (a new tenant moving in) and a
+// brand opening its first space in a center.
+
+const EVENT_TYPES = [
+    'shopping_center.created',
+    'shopping_center.updated',
+    'shopping_center.deleted',
+    'space.created',
+    'space.updated',
+    'space.deleted',
+    'space.vacated',
+    'space.leased',
+    'brand.new_location',
+    'import.completed',
+    'import.failed'
+];
+
+function isOccupied(space) {
+    return Boolean(space) && space.tenant_name !== 'Vacant';
+}
+
+// Events for one change to a center or space. `before` is null for creates
+// and `after` for deletes; updates that change nothing raise none.
+// `newBrandLocation` says the space brings its brand to the center for the
+// first time.
+function changeEvents(entity, before, after, { newBrandLocation = false } = {}) {
+    const action = before ? (after ? 'updated' : 'deleted') : 'created';
+    const changes = diffRecords(before, after);
+    if (action === 'updated' && Object.keys(changes).length === 0) {
+        return [];
+    }
+
+    if (entity === 'shopping_center') {
+        return [{ type: `shopping_center.${action}`, data: { shopping_center: after || before, changes } }];
+    }
+
+    const space = after || before;
+    const events = [{ type: `space.${action}`, data: { space, changes } }];
+    const tenantChanged = before && after && before.tenant_name !== after.tenant_name;
+
+    if (isOccupied(before) && after && !isOccupied(after)) {
+        events.push({ type: 'space.vacated', data: { space, previous_tenant: before.tenant_name } });
+    }
+    if (isOccupied(after) && (!before || !isOccupied(before) || tenantChanged)) {
+        events.push({ type: 'space.leased', data: { space, previous_tenant: isOccupied(before) ? before.tenant_name : null } });
+    }
+    if (newBrandLocation && isOccupied(after)) {
+        events.push({ type: 'brand.new_location', data: { brand: after.brand, space } });
+    }
+    return events;
+}
+
+function createEventBus() {
+    const listeners = new Set();
+
+    const bus = {
+        // Raise an event. `workspace` is the id of the workspace it happened
+        // in, `center` the center it concerns, if any, and `brand` the brand
+        // slug. The actor and source come from the audit context of the work
+        // that raised it.
+        publish(type, data, { workspace = null, center = null, brand = null } = {}) {
+            const { actor, source } = currentAuditContext();
+            const event = {
+                id: uuidv4(),
+                type,
+                occurred_at: new Date().toISOString(),
+                workspace_id: workspace,
+                shopping_center_id: center ? center.id : null,
+                shopping_center_name: center ? center.name : null,
+                county: center ? center.county || null : null,
+                brand,
+                actor,
+                source,
+                data
+            };
+
+            // A failing subscriber must not fail the change that raised the event
+            for (const listener of listeners) {
+                try {
+                    listener(event);
+                } catch (error) {
+                    logger.error('Event listener error', { event_type: type, error });
+                }
+            }
+            return event;
+        },
+
+        // Raise the events for a change to a center or space (see changeEvents)
+        recordChange(entity, before, after, { workspace = null, center = null, newBrandLocation = false } = {}) {
+            const record = after || before;
+            const brand = entity === 'tenant' ? record.brand || null : null;
+            for (const { type, data } of changeEvents(entity, before, after, { newBrandLocation })) {
+                bus.publish(type, data, { workspace, center, brand });
+            }
+        },
+
+        // Call `listener(event)` for every event. Returns an unsubscribe function.
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+    };
+
+    return bus;
+}
+
+module.exports = {
+    EVENT_TYPES,
+    changeEvents,
+    createEventBus
+};
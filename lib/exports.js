@@ -0,0 +1,224 @@
+const { drained, writeWorkbook } = require('./xlsx');
+const { LIST_FIELDS } = require('./center-query');
+const { classifySpace } = require('./occupancy');
+const { annualBaseRent } = require('./leases');
+
+// Data exports: the flat CSV the importer reads back, XLSX workbooks, GeoJSON
+// for GIS tools and per-center tenant rosters. Everything is written to the
+// response as it is produced rather than built up in memory first.
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'geojson'];
+const ROSTER_FORMATS = ['csv', 'xlsx', 'json'];
+
+const CONTENT_TYPES = {
+    csv: 'text/csv',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    geojson: 'application/geo+json',
+    json: 'application/json'
+};
+
+// Flat export columns, in the layout the CSV import expects. Center values
+// come from the center; `shopping_center_name` falls back to the copy on the
+// space, so spaces whose center is missing still export.
+const FLAT_CENTER_COLUMNS = [
+    'center_type', 'address_street', 'address_city', 'address_state', 'address_zip',
+    'county', 'municipality', 'owner', 'property_manager', 'total_gla'
+];
+const FLAT_SPACE_COLUMNS = [
+    'tenant_name', 'tenant_suite_number', 'square_footage', 'retail_category', 'base_rent',
+    'space_type', 'rent_unit', 'lease_start', 'lease_end', 'lease_type', 'escalation_type',
+    'escalation_value', 'escalation_frequency_months', 'renewal_options', 'renewal_option_years',
+    'cam_per_sf', 'taxes_per_sf', 'insurance_per_sf'
+];
+const FLAT_COLUMNS = ['shopping_center_name', ...FLAT_CENTER_COLUMNS, ...FLAT_SPACE_COLUMNS];
+
+// Roster columns: [header, value of a space]
+const ROSTER_COLUMNS = [
+    ['space_id', space => space.id],
+    ['suite_number', space => space.tenant_suite_number],
+    ['tenant_name', space => space.tenant_name],
+    ['brand', space => space.brand],
+    ['retail_category', space => space.retail_category],
+    ['space_type', space => classifySpace(space)],
+    ['square_footage', space => space.square_footage],
+    ['base_rent', space => space.base_rent],
+    ['rent_unit', space => space.rent_unit || 'per_sf_year'],
+    ['annual_base_rent', space => annualBaseRent(space)],
+    ...FLAT_SPACE_COLUMNS.slice(FLAT_SPACE_COLUMNS.indexOf('lease_start'))
+        .map(field => [field, space => space[field]])
+];
+
+const TENANT_SHEET_COLUMNS = [
+    ['shopping_center_id', space => space.shopping_center_id],
+    ['shopping_center_name', space => space.shopping_center_name],
+    ...ROSTER_COLUMNS
+];
+
+// Trade-area figures added to GeoJSON features when demographics are asked for
+const DEMOGRAPHIC_PROPERTIES = [
+    'total_population',
+    'total_households',
+    'median_household_income',
+    'per_capita_income',
+    'daytime_population',
+    'households_200k_percent',
+    'owner_occupied_percent',
+    'bachelors_degree_percent'
+];
+
+function escapeCSV(value) {
+    if (value === null || value === undefined) return '';
+    const stringValue = String(value);
+    if (stringValue.includes(',') || stringValue.includes('"') || stringValue.includes('\n')) {
+        return `"${stringValue.replace(/"/g, '""')}"`;
+    }
+    return stringValue;
+}
+
+// Write text in batches, waiting whenever the output asks us to
+function createBufferedWriter(output, batchSize = 64 * 1024) {
+    let pending = '';
+    return {
+        async write(text) {
+            pending += text;
+            if (pending.length >= batchSize) {
+                await this.flush();
+            }
+        },
+        async flush() {
+            const text = pending;
+            pending = '';
+            if (text && !output.write(text)) {
+                await drained(output);
+            }
+        }
+    };
+}
+
+// Write a CSV with a header row. `rows` is an iterable of value arrays.
+async function writeCsv(output, columns, rows) {
+    const writer = createBufferedWriter(output);
+    await writer.write(columns.map(escapeCSV).join(',') + '\n');
+    for await (const values of rows) {
+        await writer.write(values.map(escapeCSV).join(',') + '\n');
+    }
+    await writer.flush();
+}
+
+// Write a GeoJSON FeatureCollection from an iterable of features
+async function writeFeatureCollection(output, features) {
+    const writer = createBufferedWriter(output);
+    await writer.write('{"type":"FeatureCollection","features":[');
+    let first = true;
+    for await (const feature of features) {
+        await writer.write((first ? '' : ',') + JSON.stringify(feature));
+        first = false;
+    }
+    await writer.write(']}');
+    await writer.flush();
+}
+
+// GeoJSON feature for a center list row. Centers without coordinates keep
+// their properties with a null geometry.
+function centerFeature(row, demographics = null) {
+    const { latitude, longitude, ...properties } = row;
+    if (demographics) {
+        properties.demographics_radius_miles = demographics.radius;
+        for (const name of DEMOGRAPHIC_PROPERTIES) {
+            properties[name] = demographics[name] ?? null;
+        }
+    }
+    return {
+        type: 'Feature',
+        id: row.id,
+        geometry: typeof latitude === 'number' && typeof longitude === 'number'
+            ? { type: 'Point', coordinates: [longitude, latitude] }
+            : null,
+        properties
+    };
+}
+
+function flatRow(center, space) {
+    return [
+        center ? center.name : space.shopping_center_name,
+        ...FLAT_CENTER_COLUMNS.map(field => (center ? center[field] : null)),
+        ...FLAT_SPACE_COLUMNS.map(field => space[field])
+    ];
+}
+
+// Export centers (list rows, in order) and their spaces.
+//
+//   spacesByCenter - center id -> spaces
+//   getCenter      - center id -> stored center
+//   orphans        - spaces whose center no longer exists, added at the end
+//   demographics   - center id -> trade-area demographics (GeoJSON only)
+async function writeCenterExport(output, format, { rows, spacesByCenter, getCenter, orphans = [], demographics = null }) {
+    const spacesOf = row => spacesByCenter.get(row.id) || [];
+
+    if (format === 'csv') {
+        await writeCsv(output, FLAT_COLUMNS, (function* () {
+            for (const row of rows) {
+                const center = getCenter(row.id);
+                for (const space of spacesOf(row)) {
+                    yield flatRow(center, space);
+                }
+            }
+            for (const space of orphans) {
+                yield flatRow(null, space);
+            }
+        })());
+    } else if (format === 'xlsx') {
+        await writeWorkbook(output, [
+            {
+                name: 'Centers',
+                columns: LIST_FIELDS,
+                rows: rows.map(row => LIST_FIELDS.map(field => row[field]))
+            },
+            {
+                name: 'Tenants',
+                columns: TENANT_SHEET_COLUMNS.map(([header]) => header),
+                rows: (function* () {
+                    for (const space of [...rows.flatMap(spacesOf), ...orphans]) {
+                        yield TENANT_SHEET_COLUMNS.map(([, value]) => value(space));
+                    }
+                })()
+            }
+        ]);
+    } else if (format === 'geojson') {
+        await writeFeatureCollection(output, (function* () {
+            for (const row of rows) {
+                yield centerFeature(row, demographics ? demographics.get(row.id) : null);
+            }
+        })());
+    } else {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+}
+
+// Tenant roster of one center
+async function writeRoster(output, format, center, spaces) {
+    const columns = ROSTER_COLUMNS.map(([header]) => header);
+    const rows = spaces.map(space => ROSTER_COLUMNS.map(([, value]) => value(space)));
+
+    if (format === 'csv') {
+        await writeCsv(output, columns, rows);
+    } else if (format === 'xlsx') {
+        // Sheet names are capped at 31 characters and can't hold some symbols
+        const name = String(center.name).replace(/[\\/?*[\]:]/g, ' ').slice(0, 31).trim() || 'Roster';
+        await writeWorkbook(output, [{ name, columns, rows }]);
+    } else if (format === 'json') {
+        const data = rows.map(values => Object.fromEntries(columns.map((column, index) => [column, values[index] ?? null])));
+        output.write(JSON.stringify({ shopping_center_id: center.id, shopping_center_name: center.name, count: data.length, data }));
+    } else {
+        throw new Error(`Unknown roster format: ${format}`);
+    }
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    ROSTER_FORMATS,
+    CONTENT_TYPES,
+    escapeCSV,
+    writeCenterExport,
+    writeRoster
+};
@@ -0,0 +1,331 @@
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const { logger } = require('./logger');
+
+// Address geocoding behind a provider chain. Each provider is tried in order
+// until one finds the address:
+//
+//   - local:  a lookup table of known addresses loaded from a CSV file
+//   - google: the Google Geocoding API (needs GOOGLE_MAPS_API_KEY)
+//   - census: the free Census Bureau geocoder (US addresses only)
+//
+// Results are cached by normalized address, in a cache shared by every
+// workspace. Manual coordinates set through the API are kept apart, in the
+// workspace's `geocode_overrides` collection passed as `overrides`, and win
+// over the cache and the providers.
+
+const DEFAULT_PROVIDERS = 'local,google,census';
+const DEFAULT_LOOKUP_FILE = path.join('geodata', 'geocode_lookup.csv');
+const DEFAULT_CACHE_TTL_DAYS = 180;
+
+const STREET_ABBREVIATIONS = {
+    STREET: 'ST',
+    AVENUE: 'AVE',
+    ROAD: 'RD',
+    BOULEVARD: 'BLVD',
+    DRIVE: 'DR',
+    LANE: 'LN',
+    PIKE: 'PK',
+    HIGHWAY: 'HWY',
+    PARKWAY: 'PKWY',
+    COURT: 'CT',
+    PLACE: 'PL',
+    CIRCLE: 'CIR',
+    SUITE: 'STE',
+    NORTH: 'N',
+    SOUTH: 'S',
+    EAST: 'E',
+    WEST: 'W'
+};
+
+function formatAddress(address) {
+    return `${address.street}, ${address.city}, ${address.state} ${address.zip || ''}`.trim();
+}
+
+// Canonical form of an address used as the cache key: upper case, no
+// punctuation, common street words abbreviated, 5-digit ZIP
+function normalizeAddress(address) {
+    const words = value => String(value || '')
+        .toUpperCase()
+        .replace(/[.,#]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(word => STREET_ABBREVIATIONS[word] || word)
+        .join(' ');
+
+    const zip = String(address.zip || '').trim().slice(0, 5);
+    return [words(address.street), words(address.city), words(address.state), zip].join('|');
+}
+
+async function getFetch() {
+    return import('node-fetch').then(mod => mod.default);
+}
+
+// Providers take an address and resolve to a result or null. Their
+// check() makes a request that costs no quota, for the readiness check, and
+// throws when the service doesn't answer or refuses the key.
+
+function googleProvider({
+    apiKey = process.env.GOOGLE_MAPS_API_KEY,
+    baseUrl = process.env.GOOGLE_GEOCODING_URL || 'https://maps.googleapis.com/maps/api/geocode/json'
+} = {}) {
+    // Fetch errors quote the URL, key and all, so they are replaced
+    async function request(address) {
+        const fetch = await getFetch();
+        try {
+            const response = await fetch(`${baseUrl}?address=${encodeURIComponent(address)}&key=${apiKey}`);
+            return await response.json();
+        } catch (error) {
+            throw new Error(`Google geocoder request to ${baseUrl} failed: ${error.code || error.type || 'network error'}`);
+        }
+    }
+
+    return {
+        name: 'google',
+        enabled: Boolean(apiKey),
+        async geocode(address) {
+            const data = await request(formatAddress(address));
+
+            if (data.status === 'OK' && data.results.length > 0) {
+                const result = data.results[0];
+                return {
+                    latitude: result.geometry.location.lat,
+                    longitude: result.geometry.location.lng,
+                    google_place_id: result.place_id,
+                    matched_address: result.formatted_address || null
+                };
+            }
+            if (data.status !== 'ZERO_RESULTS') {
+                throw new Error(`Google geocoder returned ${data.status}`);
+            }
+            return null;
+        },
+        // An empty address is refused as INVALID_REQUEST, but only once the
+        // key has been accepted
+        async check() {
+            const data = await request('');
+            if (!['INVALID_REQUEST', 'ZERO_RESULTS', 'OK'].includes(data.status)) {
+                throw new Error(`Google geocoder returned ${data.status}${data.error_message ? `: ${data.error_message}` : ''}`);
+            }
+        }
+    };
+}
+
+function censusProvider({
+    baseUrl = process.env.CENSUS_GEOCODER_URL || 'https://geocoding.geo.census.gov/geocoder',
+    benchmark = 'Public_AR_Current'
+} = {}) {
+    return {
+        name: 'census',
+        enabled: true,
+        async geocode(address) {
+            const fetch = await getFetch();
+            const response = await fetch(
+                `${baseUrl}/locations/onelineaddress?address=${encodeURIComponent(formatAddress(address))}&benchmark=${benchmark}&format=json`
+            );
+            if (!response.ok) {
+                throw new Error(`Census geocoder request failed: ${response.status}`);
+            }
+
+            const data = await response.json();
+            const match = data.result && data.result.addressMatches && data.result.addressMatches[0];
+            if (!match) {
+                return null;
+            }
+            return {
+                latitude: match.coordinates.y,
+                longitude: match.coordinates.x,
+                matched_address: match.matchedAddress || null
+            };
+        },
+        async check() {
+            const fetch = await getFetch();
+            const response = await fetch(`${baseUrl}/benchmarks?format=json`);
+            if (!response.ok) {
+                throw new Error(`Census geocoder request failed: ${response.status}`);
+            }
+        }
+    };
+}
+
+// Lookup table CSV: either an `address` column holding the one-line address
+// or street/city/state/zip columns, plus latitude and longitude
+function localProvider({ filePath = process.env.GEOCODER_LOOKUP_FILE || DEFAULT_LOOKUP_FILE } = {}) {
+    const table = new Map();
+
+    if (fs.existsSync(filePath)) {
+        const rows = parse(fs.readFileSync(filePath, 'utf8'), { columns: true, skip_empty_lines: true, trim: true, bom: true });
+        for (const row of rows) {
+            const latitude = parseFloat(row.latitude);
+            const longitude = parseFloat(row.longitude);
+            if (isNaN(latitude) || isNaN(longitude)) continue;
+
+            let address = row;
+            if (row.address) {
+                const [street = '', city = '', stateZip = ''] = row.address.split(',').map(part => part.trim());
+                const [state = '', zip = ''] = stateZip.split(/\s+/);
+                address = { street, city, state, zip };
+            }
+            table.set(normalizeAddress({
+                street: address.street || address.address_street,
+                city: address.city || address.address_city,
+                state: address.state || address.address_state,
+                zip: address.zip || address.address_zip
+            }), { latitude, longitude });
+        }
+    }
+
+    return {
+        name: 'local',
+        enabled: table.size > 0,
+        size: table.size,
+        async geocode(address) {
+            return table.get(normalizeAddress(address)) || null;
+        },
+        async check() {
+            return { detail: `${table.size} addresses` };
+        }
+    };
+}
+
+const PROVIDER_FACTORIES = {
+    google: googleProvider,
+    census: censusProvider,
+    local: localProvider
+};
+
+function createProviders(names = process.env.GEOCODER_PROVIDERS || DEFAULT_PROVIDERS) {
+    return names.split(',').map(name => name.trim()).filter(Boolean).map(name => {
+        const factory = PROVIDER_FACTORIES[name];
+        if (!factory) {
+            throw new Error(`Unknown geocoding provider: ${name}`);
+        }
+        return factory();
+    });
+}
+
+function createGeocoder({
+    providers = createProviders(),
+    cache = null,
+    cacheTtlMs = (parseFloat(process.env.GEOCODER_CACHE_TTL_DAYS) || DEFAULT_CACHE_TTL_DAYS) * 24 * 60 * 60 * 1000,
+    batchConcurrency = parseInt(process.env.GEOCODER_BATCH_CONCURRENCY) || 5
+} = {}) {
+    const active = providers.filter(provider => provider.enabled);
+    const stats = { lookups: 0, cache_hits: 0, provider_calls: 0, failures: 0, providers: {} };
+    for (const provider of active) {
+        stats.providers[provider.name] = { calls: 0, matches: 0, errors: 0 };
+    }
+
+    // Geocode one address. `overrides` is the collection of hand-entered
+    // coordinates to look in first (see setManual); the shared cache only
+    // holds provider results.
+    async function geocode(address, { overrides = null } = {}) {
+        stats.lookups++;
+        const key = normalizeAddress(address);
+
+        const manual = overrides && overrides.get(key);
+        if (manual) {
+            stats.cache_hits++;
+            return manual.result;
+        }
+
+        if (cache) {
+            const cached = cache.get(key);
+            if (cached && cached.source !== 'manual' && Date.now() - cached.cached_at < cacheTtlMs) {
+                stats.cache_hits++;
+                return cached.result;
+            }
+        }
+
+        for (const provider of active) {
+            const providerStats = stats.providers[provider.name];
+            try {
+                stats.provider_calls++;
+                providerStats.calls++;
+                const found = await provider.geocode(address);
+                if (found) {
+                    providerStats.matches++;
+                    const result = { ...found, source: provider.name };
+                    if (cache) {
+                        cache.set(key, { source: provider.name, cached_at: Date.now(), result });
+                    }
+                    return result;
+                }
+            } catch (error) {
+                providerStats.errors++;
+                logger.warn('Geocoding error', { provider: provider.name, error: error.message });
+            }
+        }
+
+        stats.failures++;
+        return null;
+    }
+
+    // Geocode many addresses with a bounded number of lookups in flight.
+    // Duplicate addresses are looked up once. Results line up with the input.
+    async function geocodeBatch(addresses, options = {}) {
+        const pending = new Map();
+        const unique = [];
+        for (const address of addresses) {
+            const key = normalizeAddress(address);
+            if (!pending.has(key)) {
+                pending.set(key, null);
+                unique.push({ key, address });
+            }
+        }
+
+        let next = 0;
+        async function worker() {
+            while (next < unique.length) {
+                const { key, address } = unique[next++];
+                pending.set(key, await geocode(address, options));
+            }
+        }
+        await Promise.all(Array.from({ length: Math.min(batchConcurrency, unique.length) }, worker));
+
+        return addresses.map(address => pending.get(normalizeAddress(address)));
+    }
+
+    // Pin an address to hand-entered coordinates in an overrides collection.
+    // Overrides belong to one workspace, so they never go in the shared cache.
+    function setManual(address, latitude, longitude, overrides) {
+        const result = { latitude, longitude, source: 'manual' };
+        overrides.set(normalizeAddress(address), { source: 'manual', cached_at: Date.now(), result });
+        return result;
+    }
+
+    // Check every provider in use; see the providers' check()
+    function providerChecks() {
+        return active.map(provider => ({ name: provider.name, run: () => provider.check() }));
+    }
+
+    return {
+        providers: active.map(provider => provider.name),
+        stats,
+        providerChecks,
+        geocode,
+        geocodeBatch,
+        setManual
+    };
+}
+
+// The address of a shopping center in the form providers expect
+function centerAddress(center) {
+    return {
+        street: center.address_street,
+        city: center.address_city,
+        state: center.address_state,
+        zip: center.address_zip
+    };
+}
+
+module.exports = {
+    createGeocoder,
+    createProviders,
+    googleProvider,
+    censusProvider,
+    localProvider,
+    normalizeAddress,
+    centerAddress
+};
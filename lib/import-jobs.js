@@ -0,0 +1,154 @@
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('./logger');
+
+// Background CSV import jobs. Jobs run one at a time, in submission order, so
+// two uploads never interleave their writes. Job records (status, progress,
+// stats and the per-row error report) are kept in the store; the uploaded
+// file itself only lives in memory until its job finishes.
+
+// Cap on stored row errors per job, so one broken file can't bloat the store
+const MAX_STORED_ERRORS = 10000;
+
+// Finished jobs kept in the store
+const MAX_FINISHED_JOBS = 200;
+
+// `run(input, options)` does the work of one job; `onFinished(job)`, if
+// given, is told about each job that completes or fails.
+function createImportJobManager({ store, run, onFinished = null }) {
+    const jobs = store.collection('import_jobs');
+    const queue = [];
+    let running = false;
+
+    // Jobs that were queued or running when the process stopped won't resume:
+    // their file is gone
+    function recoverInterrupted() {
+        for (const job of Array.from(jobs.values())) {
+            if (job.status === 'queued' || job.status === 'running') {
+                jobs.set(job.id, {
+                    ...job,
+                    status: 'failed',
+                    error: 'Interrupted by a server restart - upload the file again',
+                    finished_at: new Date().toISOString()
+                });
+            }
+        }
+    }
+
+    function update(id, changes) {
+        const job = { ...jobs.get(id), ...changes };
+        jobs.set(id, job);
+        return job;
+    }
+
+    function pruneFinished() {
+        const finished = Array.from(jobs.values())
+            .filter(job => job.status === 'completed' || job.status === 'failed')
+            .sort((a, b) => b.created_at.localeCompare(a.created_at));
+        for (const job of finished.slice(MAX_FINISHED_JOBS)) {
+            jobs.delete(job.id);
+        }
+    }
+
+    async function processQueue() {
+        if (running) return;
+        running = true;
+
+        while (queue.length > 0) {
+            const { id, input, resolve } = queue.shift();
+            update(id, { status: 'running', started_at: new Date().toISOString() });
+
+            try {
+                const { stats, errors } = await run(input, {
+                    job: jobs.get(id),
+                    dryRun: jobs.get(id).dry_run,
+                    setTotal: total => update(id, { total_rows: total }),
+                    onProgress: processed => {
+                        const job = jobs.get(id);
+                        update(id, {
+                            processed_rows: processed,
+                            progress_percent: job.total_rows > 0 ? Math.round((processed / job.total_rows) * 100) : 100
+                        });
+                    }
+                });
+
+                update(id, {
+                    status: 'completed',
+                    finished_at: new Date().toISOString(),
+                    progress_percent: 100,
+                    stats,
+                    error_count: errors.length,
+                    errors: errors.slice(0, MAX_STORED_ERRORS),
+                    errors_truncated: errors.length > MAX_STORED_ERRORS
+                });
+            } catch (error) {
+                logger.error('Import job failed', { job_id: id, error });
+                update(id, {
+                    status: 'failed',
+                    finished_at: new Date().toISOString(),
+                    error: error.message
+                });
+            }
+
+            pruneFinished();
+            if (onFinished) {
+                onFinished(jobs.get(id));
+            }
+            resolve(jobs.get(id));
+        }
+
+        running = false;
+    }
+
+    // Queue an import. Returns the job record right away, plus a promise that
+    // settles with the finished job.
+    function submit({ filename, dryRun = false, mode = 'update', mapping = null, submittedBy = null, input }) {
+        const job = {
+            id: uuidv4(),
+            filename,
+            submitted_by: submittedBy,
+            dry_run: dryRun,
+            mode,
+            mapping,
+            status: 'queued',
+            created_at: new Date().toISOString(),
+            started_at: null,
+            finished_at: null,
+            total_rows: null,
+            processed_rows: 0,
+            progress_percent: 0,
+            stats: null,
+            error_count: 0,
+            errors: [],
+            errors_truncated: false,
+            error: null
+        };
+        jobs.set(job.id, job);
+
+        const finished = new Promise(resolve => queue.push({ id: job.id, input, resolve }));
+        setImmediate(processQueue);
+
+        return { job, finished };
+    }
+
+    return {
+        recoverInterrupted,
+        submit,
+        get(id) {
+            return jobs.get(id) || null;
+        },
+        list() {
+            return Array.from(jobs.values()).sort((a, b) => b.created_at.localeCompare(a.created_at));
+        }
+    };
+}
+
+// Job record without the full error list, for status responses
+function summarizeJob(job) {
+    const { errors, ...summary } = job;
+    return summary;
+}
+
+module.exports = {
+    createImportJobManager,
+    summarizeJob
+};
@@ -0,0 +1,406 @@
+const csv = require('csv-parse');
+const { MemoryStore } = require('./storage');
+const { createRepository, createTenantKey, isUnnumberedVacancy } = require('./repository');
+const { SPACE_TYPES, normalizeSpaceType } = require('./occupancy');
+const { createBrandRegistry } = require('./brands');
+const { RENT_UNITS, ESCALATION_TYPES, LEASE_TYPES, normalizeDate } = require('./leases');
+const { checkValue } = require('./schema');
+const { CENTER_FIELDS, TENANT_FIELDS, DEFAULT_STATE } = require('./validation');
+const { logger } = require('./logger');
+
+// CSV import of shopping centers and tenant spaces. Rows are validated one
+// by one; a rejected row is reported with its row number, field and reason
+// and the rest of the file still imports. Existing records are upserted.
+
+// Normalize a cell to one of a set of values: lower-case, spaces and dashes
+// to underscores, then known spellings. Returns null for blanks and
+// undefined for anything unrecognized.
+function choice(values, spellings = {}) {
+    return raw => {
+        if (raw === undefined || raw === null || String(raw).trim() === '') {
+            return null;
+        }
+        const key = String(raw).trim().toLowerCase().replace(/[\s-]+/g, '_');
+        const value = spellings[key] || key;
+        return values.includes(value) ? value : undefined;
+    };
+}
+
+// Columns limited to a set of values, with their normalizers
+const CHOICE_COLUMNS = {
+    space_type: { values: SPACE_TYPES, normalize: normalizeSpaceType },
+    rent_unit: {
+        values: RENT_UNITS,
+        normalize: choice(RENT_UNITS, { psf: 'per_sf_year', per_sf: 'per_sf_year', annually: 'annual', yearly: 'annual', month: 'monthly' })
+    },
+    escalation_type: {
+        values: ESCALATION_TYPES,
+        normalize: choice(ESCALATION_TYPES, { fixed_percent: 'percent', fixed_amount: 'amount', flat: 'none' })
+    },
+    lease_type: {
+        values: LEASE_TYPES,
+        normalize: choice(LEASE_TYPES, { triple_net: 'nnn', modified: 'modified_gross', mg: 'modified_gross' })
+    }
+};
+
+// Yield to the event loop this often so progress can be read mid-import
+const YIELD_EVERY_ROWS = 100;
+
+// Parse CSV text into records, keeping the source line of each one
+async function parseCsv(csvData) {
+    const records = [];
+    const parser = csv.parse(csvData, {
+        columns: true,
+        skip_empty_lines: true,
+        trim: true,
+        info: true
+    });
+
+    for await (const { record, info } of parser) {
+        records.push({ record, line: info.lines });
+    }
+    return records;
+}
+
+function isNumeric(column) {
+    return ['integer', 'number'].includes(ROW_FIELDS[column]?.type);
+}
+
+function isBlank(raw) {
+    return raw === undefined || raw === null || String(raw).trim() === '';
+}
+
+// Typed value of a non-blank cell, or undefined when it can't be read.
+// Spreadsheets are given some leeway: "$1,200" is a number, "M/D/YYYY" a
+// date, "Triple Net" a lease type and "pa" a state.
+function cellValue(column, raw) {
+    const text = String(raw).trim();
+    if (isNumeric(column)) {
+        const cleaned = text.replace(/[$,\s]/g, '');
+        const value = Number(cleaned);
+        return cleaned !== '' && Number.isFinite(value) ? value : undefined;
+    }
+    if (CHOICE_COLUMNS[column]) {
+        return CHOICE_COLUMNS[column].normalize(text);
+    }
+    if (ROW_FIELDS[column]?.type === 'date') {
+        return normalizeDate(text);
+    }
+    if (column === 'address_state') {
+        return text.toUpperCase();
+    }
+    return text;
+}
+
+// Check one row against ROW_FIELDS. Returns a list of { field, message,
+// value } problems.
+function validateRow(record) {
+    const errors = [];
+
+    for (const [field, rule] of Object.entries(ROW_FIELDS)) {
+        const raw = record[field];
+        if (isBlank(raw)) {
+            if (rule.required) {
+                errors.push({ field, message: `${field} is required`, value: raw ?? '' });
+            }
+            continue;
+        }
+
+        const value = cellValue(field, raw);
+        let message = null;
+        if (value === undefined) {
+            if (isNumeric(field)) {
+                message = `${field} must be a number`;
+            } else if (CHOICE_COLUMNS[field]) {
+                message = `${field} must be one of ${CHOICE_COLUMNS[field].values.join(', ')}`;
+            } else {
+                message = `${field} must be a date (YYYY-MM-DD or M/D/YYYY)`;
+            }
+        } else {
+            message = checkValue(field, rule, value);
+        }
+        if (message) {
+            errors.push({ field, message, value: raw });
+        }
+    }
+
+    const start = normalizeDate(record.lease_start);
+    const end = normalizeDate(record.lease_end);
+    if (start && end && end < start) {
+        errors.push({ field: 'lease_end', message: 'lease_end cannot be before lease_start', value: record.lease_end });
+    }
+
+    return errors;
+}
+
+const IMPORT_MODES = ['update', 'skip', 'replace'];
+
+// Center columns a row can set, with the value used when a cell is blank
+const CENTER_COLUMNS = {
+    address_street: '',
+    address_city: '',
+    address_state: DEFAULT_STATE,
+    address_zip: '',
+    county: '',
+    municipality: '',
+    owner: '',
+    property_manager: '',
+    total_gla: null,
+    center_type: 'Not specified',
+    google_place_id: null
+};
+
+const ADDRESS_COLUMNS = ['address_street', 'address_city', 'address_state', 'address_zip'];
+
+const SPACE_COLUMNS = {
+    tenant_name: 'Unknown',
+    tenant_suite_number: '',
+    square_footage: null,
+    retail_category: null,
+    space_type: null,
+    base_rent: 0,
+    rent_unit: 'per_sf_year',
+    lease_start: null,
+    lease_end: null,
+    escalation_type: 'none',
+    escalation_value: null,
+    escalation_frequency_months: null,
+    renewal_options: null,
+    renewal_option_years: null,
+    lease_type: null,
+    cam_per_sf: null,
+    taxes_per_sf: null,
+    insurance_per_sf: null
+};
+
+// Rules for the columns a row can carry: the API's record rules (see
+// validation.js), except that a blank tenant_name means "Unknown"
+const ROW_FIELDS = {
+    shopping_center_name: CENTER_FIELDS.name,
+    ...Object.fromEntries(Object.keys(CENTER_COLUMNS).map(column => [column, CENTER_FIELDS[column]])),
+    ...Object.fromEntries(Object.keys(SPACE_COLUMNS).map(column => [column, TENANT_FIELDS[column]])),
+    tenant_name: { ...TENANT_FIELDS.tenant_name, required: false }
+};
+
+// Values a row gives for a set of columns. Blank cells are left out unless
+// `withDefaults`, in which case they take the column default.
+function rowValues(record, columns, withDefaults) {
+    const values = {};
+    for (const [column, fallback] of Object.entries(columns)) {
+        if (isBlank(record[column])) {
+            if (withDefaults) values[column] = fallback;
+            continue;
+        }
+        values[column] = cellValue(column, record[column]);
+    }
+    return values;
+}
+
+function changedFields(existing, values) {
+    return Object.keys(values).filter(field => existing[field] !== values[field]);
+}
+
+// Import parsed records into a repository, matching centers by name and
+// spaces by center + suite number (tenant name when a row has no suite, size
+// and order for vacant rows without one; see createTenantKey).
+// Each space's tenant name is normalized to a brand (see brands.js).
+//
+// Modes for records that already exist:
+//   update  - fields given in the file overwrite stored ones; blank cells keep
+//             the stored value (default)
+//   skip    - existing centers and spaces are left alone; only new ones are added
+//   replace - centers take the file's values, blank cells included, and any
+//             space of a center in the file that the file doesn't list is deleted
+//
+// options:
+//   mode              - one of IMPORT_MODES
+//   geocode(centers)  - geocode new centers and centers whose address changed;
+//                       resolves to the ones that failed (skipped when omitted)
+//   onProgress(done)  - called as rows are processed
+//   defaultState      - address_state for new centers whose rows leave it
+//                       blank (the workspace's default_state)
+async function importRecords(records, repository, { mode = 'update', geocode = null, onProgress = () => {}, defaultState = DEFAULT_STATE } = {}) {
+    const stats = {
+        rows_total: records.length,
+        rows_rejected: 0,
+        shopping_centers_created: 0,
+        shopping_centers_updated: 0,
+        spaces_created: 0,
+        spaces_updated: 0,
+        spaces_unchanged: 0,
+        spaces_deleted: 0,
+        tenants_created: 0,
+        duplicates_skipped: 0,
+        brands_created: 0,
+        spaces_pending_brand_review: 0,
+        geocoded_centers: 0,
+        errors: 0
+    };
+    const errors = [];
+    const centersToGeocode = new Map();
+    const seenCenters = new Map(); // center id -> ids of spaces listed in the file
+    const vacancies = new Map(); // center id + size -> vacant rows without a suite so far
+    const brands = createBrandRegistry(repository);
+    const centerColumns = { ...CENTER_COLUMNS, address_state: defaultState };
+
+    // Link a space's tenant name to its brand
+    function withBrand(values, existing = null) {
+        const tenantName = values.tenant_name ?? existing?.tenant_name;
+        const { brand, status } = brands.resolve(tenantName);
+        if (status === 'created') stats.brands_created++;
+        if (status === 'pending_review') stats.spaces_pending_brand_review++;
+        return { ...values, brand };
+    }
+
+    for (let index = 0; index < records.length; index++) {
+        const { record, line } = records[index];
+        // Spreadsheet row: the header is row 1
+        const row = index + 2;
+
+        try {
+            const rowErrors = validateRow(record);
+            if (rowErrors.length > 0) {
+                rowErrors.forEach(error => errors.push({ row, line, ...error }));
+                stats.rows_rejected++;
+                continue;
+            }
+
+            const centerName = record.shopping_center_name.trim();
+            let center = repository.getCenterByName(centerName);
+
+            if (!center) {
+                center = repository.createCenter({
+                    name: centerName,
+                    ...rowValues(record, centerColumns, true),
+                    latitude: null,
+                    longitude: null,
+                    geocode_source: null
+                });
+                stats.shopping_centers_created++;
+
+                // Geocoded in one batch once all rows are in
+                if (record.address_street && record.address_city) {
+                    centersToGeocode.set(center.id, center);
+                }
+            } else if (!seenCenters.has(center.id) && mode !== 'skip') {
+                // Center columns repeat on every row; the first row of a center wins
+                const values = rowValues(record, centerColumns, mode === 'replace');
+                const changed = changedFields(center, values);
+
+                if (changed.length > 0) {
+                    const addressChanged = changed.some(field => ADDRESS_COLUMNS.includes(field));
+                    const regeocode = addressChanged && center.geocode_source !== 'manual';
+                    center = repository.updateCenter(center.id, {
+                        ...center,
+                        ...values,
+                        ...(regeocode ? { latitude: null, longitude: null, geocode_source: null } : {})
+                    });
+                    stats.shopping_centers_updated++;
+
+                    if (regeocode && center.address_street && center.address_city) {
+                        centersToGeocode.set(center.id, center);
+                    }
+                }
+            }
+
+            if (!seenCenters.has(center.id)) {
+                seenCenters.set(center.id, new Set());
+            }
+
+            // Create or update the tenant/space record
+            const tenantName = record.tenant_name?.trim() || 'Unknown';
+            const suiteNumber = record.tenant_suite_number?.trim() || '';
+            const squareFootage = isBlank(record.square_footage) ? null : cellValue('square_footage', record.square_footage);
+            let ordinal = 1;
+            if (isUnnumberedVacancy(tenantName, suiteNumber)) {
+                const size = `${center.id}::${squareFootage ?? ''}`;
+                ordinal = (vacancies.get(size) || 0) + 1;
+                vacancies.set(size, ordinal);
+            }
+            const tenantKey = createTenantKey(center.name, tenantName, suiteNumber, { squareFootage, ordinal });
+            const existing = repository.findTenantByKey(center, tenantKey);
+            let space = null;
+
+            if (!existing) {
+                space = repository.createTenant(center, withBrand(rowValues(record, SPACE_COLUMNS, true)));
+                stats.spaces_created++;
+
+                if (tenantName !== 'Vacant') {
+                    stats.tenants_created++;
+                }
+            } else if (mode === 'skip') {
+                space = existing;
+                stats.duplicates_skipped++;
+            } else {
+                const values = withBrand(rowValues(record, SPACE_COLUMNS, mode === 'replace'), existing);
+                if (changedFields(existing, values).length > 0) {
+                    space = repository.updateTenant(center, existing.id, { ...existing, ...values });
+                    stats.spaces_updated++;
+                } else {
+                    space = existing;
+                    stats.spaces_unchanged++;
+                }
+            }
+
+            seenCenters.get(center.id).add(space.id);
+        } catch (error) {
+            logger.error('Error processing record', { row, error });
+            errors.push({ row, line, field: null, message: error.message, value: null });
+            stats.rows_rejected++;
+        }
+
+        if ((index + 1) % YIELD_EVERY_ROWS === 0) {
+            onProgress(index + 1);
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    }
+    onProgress(records.length);
+
+    // Replace mode: the file is the full rent roll for each center it lists
+    if (mode === 'replace') {
+        for (const [centerId, listed] of seenCenters.entries()) {
+            const center = repository.getCenterById(centerId);
+            for (const space of repository.listTenantsForCenter(center)) {
+                if (!listed.has(space.id)) {
+                    repository.deleteTenant(center, space.id);
+                    stats.spaces_deleted++;
+                }
+            }
+        }
+    }
+
+    if (geocode && centersToGeocode.size > 0) {
+        const notGeocoded = await geocode(Array.from(centersToGeocode.values()));
+        stats.geocoded_centers = centersToGeocode.size - notGeocoded.length;
+    }
+
+    stats.errors = stats.rows_rejected;
+    return { stats, errors };
+}
+
+// Run an import against a throwaway copy of the data, to preview what a
+// real import would do without changing anything
+async function previewImport(records, repository, options = {}) {
+    const scratch = new MemoryStore();
+    for (const name of ['shopping_centers', 'tenants', 'brands', 'brand_reviews']) {
+        const collection = scratch.collection(name);
+        const copy = JSON.parse(JSON.stringify(Array.from(repository.store.collection(name).entries())));
+        for (const [key, value] of copy) {
+            collection.set(key, value);
+        }
+    }
+
+    return importRecords(records, createRepository(scratch), {
+        mode: options.mode,
+        onProgress: options.onProgress,
+        defaultState: options.defaultState
+    });
+}
+
+module.exports = {
+    IMPORT_MODES,
+    parseCsv,
+    validateRow,
+    importRecords,
+    previewImport
+};
@@ -0,0 +1,298 @@
+// Lease terms for tenant spaces: rent units, escalations, expirations and
+// rent projections.
+//
+// base_rent is the space's current (in-place) rent, quoted in its rent_unit.
+// Spaces stored before rent units existed have none and are read as
+// per_sf_year, the usual rent roll quote.
+
+const RENT_UNITS = ['per_sf_year', 'per_sf_month', 'annual', 'monthly'];
+const ESCALATION_TYPES = ['none', 'percent', 'amount'];
+const LEASE_TYPES = ['nnn', 'gross', 'modified_gross'];
+
+const DEFAULT_RENT_UNIT = 'per_sf_year';
+const DEFAULT_ESCALATION_MONTHS = 12;
+
+// Recovery charges, each annual $ per sf
+const RECOVERY_FIELDS = ['cam_per_sf', 'taxes_per_sf', 'insurance_per_sf'];
+
+const MAX_PROJECTION_MONTHS = 240;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+function hasSquareFootage(space) {
+    return typeof space.square_footage === 'number' && space.square_footage > 0;
+}
+
+function isOccupied(space) {
+    return space.tenant_name !== 'Vacant';
+}
+
+// Annual rent for a rent amount in a given unit, or null when it can't be
+// worked out (per-sf rent on a space of unknown size)
+function annualize(amount, unit, space) {
+    switch (unit || DEFAULT_RENT_UNIT) {
+        case 'per_sf_year':
+            return hasSquareFootage(space) ? amount * space.square_footage : null;
+        case 'per_sf_month':
+            return hasSquareFootage(space) ? amount * 12 * space.square_footage : null;
+        case 'annual':
+            return amount;
+        case 'monthly':
+            return amount * 12;
+        default:
+            return null;
+    }
+}
+
+// A space's current annual base rent, or null if it pays none or it can't
+// be worked out
+function annualBaseRent(space) {
+    if (!(space.base_rent > 0)) {
+        return null;
+    }
+    return annualize(space.base_rent, space.rent_unit, space);
+}
+
+// Annual CAM, taxes and insurance, or null without recovery charges or size
+function annualRecoveries(space) {
+    if (!hasSquareFootage(space)) {
+        return null;
+    }
+    const perSf = RECOVERY_FIELDS.reduce((sum, field) => sum + (space[field] > 0 ? space[field] : 0), 0);
+    return perSf > 0 ? perSf * space.square_footage : null;
+}
+
+// Parse a YYYY-MM-DD string as a UTC date, or null
+function parseDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return null;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function addMonths(date, months) {
+    const result = new Date(date.getTime());
+    result.setUTCMonth(result.getUTCMonth() + months);
+    return result;
+}
+
+// Normalize a spreadsheet date (YYYY-MM-DD, M/D/YYYY or M/D/YY) to
+// YYYY-MM-DD. Returns null for blanks and undefined when unreadable.
+function normalizeDate(value) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+        return null;
+    }
+    const text = String(value).trim();
+    let iso = null;
+
+    if (/^\d{4}-\d{1,2}-\d{1,2}$/.test(text)) {
+        const [year, month, day] = text.split('-').map(Number);
+        iso = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    } else if (/^\d{1,2}\/\d{1,2}\/(\d{2}|\d{4})$/.test(text)) {
+        const [month, day, rawYear] = text.split('/').map(Number);
+        const year = rawYear < 100 ? 2000 + rawYear : rawYear;
+        iso = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    const date = parseDate(iso);
+    // Reject dates that rolled over, e.g. 2024-02-31
+    return date && date.toISOString().slice(0, 10) === iso ? iso : undefined;
+}
+
+// How many escalations fall after `from` and on or before `to`. Escalations
+// fall on anniversaries of lease_start, every escalation_frequency_months;
+// without a start date they are counted from `from`.
+function escalationsBetween(space, from, to) {
+    const frequency = space.escalation_frequency_months > 0 ? space.escalation_frequency_months : DEFAULT_ESCALATION_MONTHS;
+    const origin = parseDate(space.lease_start) || from;
+
+    // Escalations that have fallen by `date`: whole periods since the origin
+    const fallenBy = date => {
+        const months = (date.getUTCFullYear() - origin.getUTCFullYear()) * 12
+            + (date.getUTCMonth() - origin.getUTCMonth())
+            - (date.getUTCDate() < origin.getUTCDate() ? 1 : 0);
+        return Math.max(0, Math.floor(months / frequency));
+    };
+    return Math.max(0, fallenBy(to) - fallenBy(from));
+}
+
+// Annual base rent in force on `date`, stepping the current rent up by the
+// escalations between `today` and then
+function annualRentAt(space, date, today) {
+    if (!(space.base_rent > 0)) {
+        return null;
+    }
+
+    let rent = space.base_rent;
+    const type = space.escalation_type || 'none';
+    if (type !== 'none' && space.escalation_value > 0 && date > today) {
+        const steps = escalationsBetween(space, today, date);
+        if (type === 'percent') {
+            rent *= (1 + space.escalation_value / 100) ** steps;
+        } else if (type === 'amount') {
+            rent += space.escalation_value * steps;
+        }
+    }
+    return annualize(rent, space.rent_unit, space);
+}
+
+// Whether the lease is in force on `date`. Without dates, a tenant is
+// assumed to stay. With `assumeRenewals`, renewal options extend the term.
+function leaseActiveOn(space, date, { assumeRenewals = false } = {}) {
+    const start = parseDate(space.lease_start);
+    if (start && date < start) {
+        return false;
+    }
+
+    const end = parseDate(space.lease_end);
+    if (!end) {
+        return true;
+    }
+
+    let lastDay = end;
+    if (assumeRenewals && space.renewal_options > 0 && space.renewal_option_years > 0) {
+        lastDay = addMonths(end, Math.round(space.renewal_options * space.renewal_option_years * 12));
+    }
+    return date <= lastDay;
+}
+
+// Lease expiration schedule for a set of centers. `entries` is a list of
+// { center, spaces }. Occupied spaces are bucketed by the year their lease
+// ends; leases already past their end date (holdovers) and leases without an
+// end date get buckets of their own. Shares are of total GLA (total_gla
+// where known, otherwise the space square footage on file) and of current
+// annual base rent.
+function expirationSchedule(entries, { years = 10, today = new Date() } = {}) {
+    const currentYear = today.getUTCFullYear();
+    const bucket = label => ({ year: label, spaces: 0, square_feet: 0, annual_base_rent: 0 });
+    const byYear = new Map();
+    for (let year = currentYear; year < currentYear + years; year++) {
+        byYear.set(year, bucket(year));
+    }
+    const holdover = bucket('expired');
+    const beyond = bucket(`${currentYear + years}+`);
+    const noEndDate = bucket('no_end_date');
+
+    let totalGla = 0;
+    let totalRent = 0;
+
+    for (const { center, spaces } of entries) {
+        const spaceSf = spaces.filter(hasSquareFootage).reduce((sum, space) => sum + space.square_footage, 0);
+        totalGla += center.total_gla > 0 ? center.total_gla : spaceSf;
+
+        for (const space of spaces) {
+            if (!isOccupied(space)) continue;
+
+            const rent = annualBaseRent(space) || 0;
+            totalRent += rent;
+
+            const end = parseDate(space.lease_end);
+            let target = noEndDate;
+            if (end && end < today) {
+                target = holdover;
+            } else if (end) {
+                target = byYear.get(end.getUTCFullYear()) || beyond;
+            }
+
+            target.spaces++;
+            target.square_feet += hasSquareFootage(space) ? space.square_footage : 0;
+            target.annual_base_rent += rent;
+        }
+    }
+
+    const withShares = item => ({
+        ...item,
+        annual_base_rent: round(item.annual_base_rent),
+        percent_of_gla: totalGla > 0 ? round((item.square_feet / totalGla) * 100, 1) : null,
+        percent_of_rent: totalRent > 0 ? round((item.annual_base_rent / totalRent) * 100, 1) : null
+    });
+
+    // Running totals through each year, starting with leases already expired
+    let cumulativeSf = holdover.square_feet;
+    let cumulativeRent = holdover.annual_base_rent;
+    const schedule = Array.from(byYear.values()).map(item => {
+        cumulativeSf += item.square_feet;
+        cumulativeRent += item.annual_base_rent;
+        return {
+            ...withShares(item),
+            cumulative_percent_of_gla: totalGla > 0 ? round((cumulativeSf / totalGla) * 100, 1) : null,
+            cumulative_percent_of_rent: totalRent > 0 ? round((cumulativeRent / totalRent) * 100, 1) : null
+        };
+    });
+
+    return {
+        as_of: today.toISOString().slice(0, 10),
+        total_gla: totalGla,
+        total_annual_base_rent: round(totalRent),
+        expired: withShares(holdover),
+        schedule,
+        later: withShares(beyond),
+        no_end_date: withShares(noEndDate)
+    };
+}
+
+// Projected rent for a set of spaces, month by month over `months` from the
+// start of the current month, totalled by calendar year. Leases end at
+// lease_end (extended by their options with `assumeRenewals`); space left
+// vacant is assumed to stay vacant.
+function projectRent(spaces, { months = 60, assumeRenewals = false, today = new Date() } = {}) {
+    const start = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1));
+    const years = new Map();
+    let totalBase = 0;
+    let totalRecoveries = 0;
+
+    const occupied = spaces.filter(isOccupied);
+    for (let offset = 0; offset < months; offset++) {
+        const month = addMonths(start, offset);
+        const year = month.getUTCFullYear();
+        if (!years.has(year)) {
+            years.set(year, { year, months: 0, base_rent: 0, recoveries: 0 });
+        }
+        const period = years.get(year);
+        period.months++;
+
+        for (const space of occupied) {
+            if (!leaseActiveOn(space, month, { assumeRenewals })) continue;
+            const base = annualRentAt(space, month, today);
+            const recoveries = annualRecoveries(space);
+            if (base) period.base_rent += base / 12;
+            if (recoveries) period.recoveries += recoveries / 12;
+        }
+    }
+
+    const periods = Array.from(years.values()).map(period => {
+        totalBase += period.base_rent;
+        totalRecoveries += period.recoveries;
+        return {
+            ...period,
+            base_rent: round(period.base_rent),
+            recoveries: round(period.recoveries),
+            total: round(period.base_rent + period.recoveries)
+        };
+    });
+
+    return {
+        start: start.toISOString().slice(0, 10),
+        months,
+        assume_renewals: assumeRenewals,
+        periods,
+        total_base_rent: round(totalBase),
+        total_recoveries: round(totalRecoveries),
+        total: round(totalBase + totalRecoveries)
+    };
+}
+
+module.exports = {
+    RENT_UNITS,
+    ESCALATION_TYPES,
+    LEASE_TYPES,
+    MAX_PROJECTION_MONTHS,
+    annualBaseRent,
+    annualRecoveries,
+    normalizeDate,
+    annualRentAt,
+    leaseActiveOn,
+    expirationSchedule,
+    projectRent
+};
@@ -0,0 +1,87 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logging: one JSON object per line, with the time, level and
+// message plus any fields given. Fields set with runWithLogContext (the
+// request id, for one) are added to every line logged by the work they wrap.
+//
+// LOG_LEVEL picks the lowest level written (debug, info, warn, error or
+// silent; default info). LOG_FORMAT=text writes plain lines instead, for
+// reading in a terminal.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const logContext = new AsyncLocalStorage();
+
+// Run `fn` with fields added to everything it logs
+function runWithLogContext(fields, fn) {
+    return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+// Errors don't survive JSON.stringify; keep what helps find the cause
+function serializeError(error) {
+    if (!(error instanceof Error)) {
+        return error;
+    }
+    const serialized = { name: error.name, message: error.message };
+    if (error.code !== undefined) serialized.code = error.code;
+    if (error.status !== undefined) serialized.status = error.status;
+    if (error.cause) serialized.cause = error.cause.message || String(error.cause);
+    serialized.stack = error.stack;
+    return serialized;
+}
+
+function textLine(entry) {
+    const { time, level, msg, ...fields } = entry;
+    const rest = Object.entries(fields)
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join(' ');
+    return `${time} ${level.toUpperCase()} ${msg}${rest ? ` ${rest}` : ''}`;
+}
+
+function createLogger({
+    level = process.env.LOG_LEVEL || 'info',
+    format = process.env.LOG_FORMAT || 'json',
+    write = line => process.stdout.write(line + '\n'),
+    fields = {}
+} = {}) {
+    if (!(level in LEVELS)) {
+        throw new Error(`Unknown log level: ${level}`);
+    }
+    const threshold = LEVELS[level];
+
+    // Lines written at each level, for the metrics
+    const counts = { debug: 0, info: 0, warn: 0, error: 0 };
+
+    function log(entryLevel, msg, data = {}) {
+        counts[entryLevel]++;
+        if (LEVELS[entryLevel] < threshold) {
+            return;
+        }
+
+        const entry = { time: new Date().toISOString(), level: entryLevel, msg, ...fields, ...logContext.getStore() };
+        for (const [key, value] of Object.entries(data)) {
+            entry[key] = serializeError(value);
+        }
+        write(format === 'text' ? textLine(entry) : JSON.stringify(entry));
+    }
+
+    return {
+        level,
+        counts,
+        debug: (msg, data) => log('debug', msg, data),
+        info: (msg, data) => log('info', msg, data),
+        warn: (msg, data) => log('warn', msg, data),
+        error: (msg, data) => log('error', msg, data)
+    };
+}
+
+// The process-wide logger
+const logger = createLogger();
+
+module.exports = {
+    LEVELS,
+    logger,
+    createLogger,
+    runWithLogContext,
+    serializeError
+};
@@ -0,0 +1,136 @@
+// Prometheus metrics, rendered in the text exposition format (version
+// 0.0.4) for GET /metrics. Counters and histograms are updated as things
+// happen; metrics given a `collect` function read their values when scraped,
+// from stats other modules already keep.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Request latency buckets, in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+// Label values in the order the metric declares them, so that the same
+// labels given in another order find the same series
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+}
+
+function pickLabels(labelNames, labels) {
+    return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+}
+
+function createRegistry({ prefix = '' } = {}) {
+    const metrics = [];
+
+    function register(type, { name, help, labels = [], collect = null }) {
+        const metric = { type, name: prefix + name, help, labelNames: labels, collect, series: new Map() };
+        metrics.push(metric);
+        return metric;
+    }
+
+    // The series for some labels, created on first use
+    function series(metric, labels, create) {
+        const key = seriesKey(metric.labelNames, labels);
+        if (!metric.series.has(key)) {
+            metric.series.set(key, { labels: pickLabels(metric.labelNames, labels), ...create() });
+        }
+        return metric.series.get(key);
+    }
+
+    // Samples of a collected metric: `collect()` returns a number, or a list
+    // of { labels, value }
+    function collected(metric) {
+        const values = metric.collect();
+        return typeof values === 'number' ? [{ labels: {}, value: values }] : values;
+    }
+
+    function renderMetric(metric) {
+        const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+
+        if (metric.collect) {
+            for (const { labels = {}, value } of collected(metric)) {
+                lines.push(`${metric.name}${formatLabels(labels)} ${formatValue(value)}`);
+            }
+        } else if (metric.type === 'histogram') {
+            for (const { labels, buckets, sum, count } of metric.series.values()) {
+                metric.buckets.forEach((bound, index) => {
+                    lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${buckets[index]}`);
+                });
+                lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+                lines.push(`${metric.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+                lines.push(`${metric.name}_count${formatLabels(labels)} ${count}`);
+            }
+        } else {
+            for (const { labels, value } of metric.series.values()) {
+                lines.push(`${metric.name}${formatLabels(labels)} ${formatValue(value)}`);
+            }
+        }
+        return lines.join('\n');
+    }
+
+    return {
+        // A counter; `inc(labels, by)` adds to it
+        counter(options) {
+            const metric = register('counter', options);
+            return {
+                inc(labels = {}, by = 1) {
+                    series(metric, labels, () => ({ value: 0 })).value += by;
+                }
+            };
+        },
+
+        // A gauge; `set(labels, value)` sets it
+        gauge(options) {
+            const metric = register('gauge', options);
+            return {
+                set(labels = {}, value) {
+                    series(metric, labels, () => ({ value: 0 })).value = value;
+                }
+            };
+        },
+
+        // A histogram; `observe(labels, value)` records one value
+        histogram({ buckets = DEFAULT_BUCKETS, ...options }) {
+            const metric = register('histogram', options);
+            metric.buckets = [...buckets].sort((a, b) => a - b);
+            return {
+                observe(labels = {}, value) {
+                    const entry = series(metric, labels, () => ({ buckets: metric.buckets.map(() => 0), sum: 0, count: 0 }));
+                    metric.buckets.forEach((bound, index) => {
+                        if (value <= bound) entry.buckets[index]++;
+                    });
+                    entry.sum += value;
+                    entry.count++;
+                }
+            };
+        },
+
+        // Every metric in the text format
+        render() {
+            return metrics.map(renderMetric).join('\n') + '\n';
+        }
+    };
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    DEFAULT_BUCKETS,
+    createRegistry
+};
@@ -0,0 +1,296 @@
+const { annualBaseRent } = require('./leases');
+
+// Space-level occupancy, vacancy and rent analytics. Vacancy is measured by
+// square footage as well as by space count, so a dark anchor box weighs more
+// than an empty inline suite. Rents are annualized from each space's
+// rent_unit (see leases.js).
+
+const SPACE_TYPES = ['anchor', 'junior_anchor', 'inline', 'pad'];
+
+// Size bands used when a space has no space_type of its own. Pads are
+// freestanding outparcels and can't be told apart by size, so they must be
+// tagged explicitly.
+const ANCHOR_MIN_SF = 20000;
+const JUNIOR_ANCHOR_MIN_SF = 10000;
+
+// Spaces within this share of total_gla count as matching it
+const GLA_TOLERANCE = 0.05;
+
+const PORTFOLIO_GROUPS = ['county', 'municipality', 'owner', 'center_type'];
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+function percent(part, whole) {
+    return whole > 0 ? round((part / whole) * 100, 1) : null;
+}
+
+function isVacant(space) {
+    return space.tenant_name === 'Vacant';
+}
+
+function hasSquareFootage(space) {
+    return typeof space.square_footage === 'number' && space.square_footage > 0;
+}
+
+// Normalize "Junior Anchor", "junior-anchor" etc. to a SPACE_TYPES value.
+// Returns null for blanks and undefined for anything unrecognized.
+function normalizeSpaceType(value) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+        return null;
+    }
+    const type = String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+    return SPACE_TYPES.includes(type) ? type : undefined;
+}
+
+// The space's own space_type, or one inferred from its size
+function classifySpace(space) {
+    const explicit = normalizeSpaceType(space.space_type);
+    if (explicit) {
+        return explicit;
+    }
+    if (!hasSquareFootage(space)) {
+        return 'unclassified';
+    }
+    if (space.square_footage >= ANCHOR_MIN_SF) {
+        return 'anchor';
+    }
+    if (space.square_footage >= JUNIOR_ANCHOR_MIN_SF) {
+        return 'junior_anchor';
+    }
+    return 'inline';
+}
+
+// Running totals for a set of spaces
+function emptyTotals() {
+    return {
+        total_spaces: 0,
+        vacant_spaces: 0,
+        occupied_spaces: 0,
+        total_sf: 0,
+        leased_sf: 0,
+        vacant_sf: 0,
+        spaces_missing_sf: 0
+    };
+}
+
+function addSpace(totals, space) {
+    const vacant = isVacant(space);
+    totals.total_spaces++;
+    totals[vacant ? 'vacant_spaces' : 'occupied_spaces']++;
+
+    if (!hasSquareFootage(space)) {
+        totals.spaces_missing_sf++;
+        return;
+    }
+    totals.total_sf += space.square_footage;
+    totals[vacant ? 'vacant_sf' : 'leased_sf'] += space.square_footage;
+}
+
+function withRates(totals) {
+    return {
+        ...totals,
+        vacancy_rate_by_count: percent(totals.vacant_spaces, totals.total_spaces),
+        vacancy_rate_by_sf: percent(totals.vacant_sf, totals.total_sf)
+    };
+}
+
+// Compare the space square footage on file with the center's total_gla
+function glaCheck(totalGla, spaceSf, leasedSf) {
+    if (typeof totalGla !== 'number' || totalGla <= 0) {
+        return { status: 'no_total_gla', total_gla: null, space_sf: spaceSf, difference_sf: null };
+    }
+
+    const difference = spaceSf - totalGla;
+    let status = 'matches';
+    if (difference > totalGla * GLA_TOLERANCE) {
+        status = 'spaces_exceed_gla';
+    } else if (difference < -totalGla * GLA_TOLERANCE) {
+        status = 'spaces_below_gla';
+    }
+
+    return {
+        status,
+        total_gla: totalGla,
+        space_sf: spaceSf,
+        difference_sf: difference,
+        difference_percent: percent(difference, totalGla),
+        // Occupancy of the whole center, treating GLA missing from the rent
+        // roll as unleased
+        leased_percent_of_gla: percent(leasedSf, totalGla)
+    };
+}
+
+// Rent metrics for occupied spaces with a rent. Rent per sf only counts
+// spaces whose size is known.
+function rentMetrics(spaces) {
+    const byCategory = new Map();
+    const roll = { annual_base_rent: 0, rent_paying_sf: 0, rent_paying_spaces: 0, occupied_spaces_without_rent: 0 };
+    let sizedRent = 0;
+
+    for (const space of spaces) {
+        if (isVacant(space)) continue;
+
+        const annualRent = annualBaseRent(space);
+        if (annualRent === null) {
+            roll.occupied_spaces_without_rent++;
+            continue;
+        }
+
+        const sized = hasSquareFootage(space);
+        roll.annual_base_rent += annualRent;
+        roll.rent_paying_spaces++;
+        if (sized) {
+            roll.rent_paying_sf += space.square_footage;
+            sizedRent += annualRent;
+        }
+
+        const category = space.retail_category || 'Uncategorized';
+        if (!byCategory.has(category)) {
+            byCategory.set(category, { category, spaces: 0, square_feet: 0, annual_base_rent: 0, sized_rent: 0 });
+        }
+        const entry = byCategory.get(category);
+        entry.spaces++;
+        entry.annual_base_rent += annualRent;
+        if (sized) {
+            entry.square_feet += space.square_footage;
+            entry.sized_rent += annualRent;
+        }
+    }
+
+    const categories = Array.from(byCategory.values())
+        .map(({ sized_rent: categorySizedRent, ...entry }) => ({
+            ...entry,
+            annual_base_rent: round(entry.annual_base_rent),
+            // Weighted by size, so big boxes count for their footprint
+            average_rent_per_sf: entry.square_feet > 0 ? round(categorySizedRent / entry.square_feet) : null
+        }))
+        .sort((a, b) => b.square_feet - a.square_feet);
+
+    return {
+        rent_roll: {
+            ...roll,
+            annual_base_rent: round(roll.annual_base_rent),
+            monthly_base_rent: round(roll.annual_base_rent / 12),
+            average_rent_per_sf: roll.rent_paying_sf > 0 ? round(sizedRent / roll.rent_paying_sf) : null
+        },
+        rent_by_category: categories
+    };
+}
+
+// Occupied spaces by retail_category, with each category's share of the
+// leased square footage
+function tenantMix(spaces) {
+    const byCategory = new Map();
+    let leasedSf = 0;
+
+    for (const space of spaces) {
+        if (isVacant(space)) continue;
+
+        const category = space.retail_category || 'Uncategorized';
+        if (!byCategory.has(category)) {
+            byCategory.set(category, { category, spaces: 0, square_feet: 0 });
+        }
+        const entry = byCategory.get(category);
+        entry.spaces++;
+        if (hasSquareFootage(space)) {
+            entry.square_feet += space.square_footage;
+            leasedSf += space.square_footage;
+        }
+    }
+
+    return Array.from(byCategory.values())
+        .map(entry => ({ ...entry, percent_of_leased_sf: percent(entry.square_feet, leasedSf) }))
+        .sort((a, b) => b.square_feet - a.square_feet || b.spaces - a.spaces || a.category.localeCompare(b.category));
+}
+
+// Totals per space type, with every type present so clients can rely on the keys
+function bySpaceType(spaces) {
+    const types = {};
+    for (const type of [...SPACE_TYPES, 'unclassified']) {
+        types[type] = emptyTotals();
+    }
+    for (const space of spaces) {
+        addSpace(types[classifySpace(space)], space);
+    }
+
+    const result = {};
+    for (const [type, totals] of Object.entries(types)) {
+        result[type] = withRates(totals);
+    }
+    return result;
+}
+
+// Occupancy, vacancy and rent stats for one center
+function centerOccupancy(center, spaces) {
+    const totals = emptyTotals();
+    spaces.forEach(space => addSpace(totals, space));
+
+    return {
+        ...withRates(totals),
+        gla_check: glaCheck(center.total_gla, totals.total_sf, totals.leased_sf),
+        by_space_type: bySpaceType(spaces),
+        ...rentMetrics(spaces)
+    };
+}
+
+// Stats for a set of centers taken together. `entries` is a list of
+// { center, spaces }.
+function combinedOccupancy(entries) {
+    const allSpaces = entries.flatMap(entry => entry.spaces);
+    const totals = emptyTotals();
+    allSpaces.forEach(space => addSpace(totals, space));
+
+    const centersWithGla = entries.filter(({ center }) => typeof center.total_gla === 'number' && center.total_gla > 0);
+    const totalGla = centersWithGla.reduce((sum, { center }) => sum + center.total_gla, 0);
+    const leasedInCentersWithGla = centersWithGla
+        .flatMap(entry => entry.spaces)
+        .filter(space => !isVacant(space) && hasSquareFootage(space))
+        .reduce((sum, space) => sum + space.square_footage, 0);
+
+    return {
+        centers: entries.length,
+        ...withRates(totals),
+        total_gla: totalGla,
+        centers_without_gla: entries.length - centersWithGla.length,
+        leased_percent_of_gla: percent(leasedInCentersWithGla, totalGla),
+        gla_mismatches: entries.filter(({ center, spaces }) => {
+            const status = centerOccupancy(center, spaces).gla_check.status;
+            return status === 'spaces_exceed_gla' || status === 'spaces_below_gla';
+        }).length,
+        by_space_type: bySpaceType(allSpaces),
+        ...rentMetrics(allSpaces)
+    };
+}
+
+// Portfolio rollup, optionally broken down by a center field
+function portfolioOccupancy(entries, groupBy = null) {
+    const result = { portfolio: combinedOccupancy(entries) };
+
+    if (groupBy) {
+        const groups = new Map();
+        for (const entry of entries) {
+            const value = entry.center[groupBy] || 'Not specified';
+            if (!groups.has(value)) {
+                groups.set(value, []);
+            }
+            groups.get(value).push(entry);
+        }
+
+        result.group_by = groupBy;
+        result.groups = Array.from(groups.entries())
+            .map(([value, groupEntries]) => ({ [groupBy]: value, ...combinedOccupancy(groupEntries) }))
+            .sort((a, b) => b.total_sf - a.total_sf || String(a[groupBy]).localeCompare(String(b[groupBy])));
+    }
+
+    return result;
+}
+
+module.exports = {
+    SPACE_TYPES,
+    PORTFOLIO_GROUPS,
+    normalizeSpaceType,
+    classifySpace,
+    centerOccupancy,
+    tenantMix,
+    portfolioOccupancy
+};
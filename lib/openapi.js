@@ -0,0 +1,187 @@
+// OpenAPI 3 description of the API, built from the routes themselves: each
+// route's validateRequest spec gives its summary and parameters, and its
+// requireRole middleware the role it needs. Routes registered without a spec
+// are listed with their path and method only.
+
+const ERROR_RESPONSE = {
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+};
+
+const ERROR_SCHEMA = {
+    type: 'object',
+    required: ['error', 'code', 'details'],
+    properties: {
+        error: { type: 'string', description: 'Human-readable message' },
+        code: { type: 'string', description: 'Stable error code, e.g. invalid_request or not_found' },
+        details: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    field: { type: 'string', nullable: true },
+                    in: { type: 'string', enum: ['path', 'query', 'body'] },
+                    message: { type: 'string' }
+                }
+            }
+        }
+    }
+};
+
+const TYPE_SCHEMAS = {
+    string: { type: 'string' },
+    integer: { type: 'integer' },
+    number: { type: 'number' },
+    boolean: { type: 'boolean' },
+    date: { type: 'string', format: 'date' },
+    timestamp: { type: 'string', format: 'date-time' },
+    list: { type: 'array', items: { type: 'string' } },
+    object: { type: 'object' }
+};
+
+// JSON Schema for one field rule (see schema.js)
+function ruleSchema(rule) {
+    const schema = JSON.parse(JSON.stringify(TYPE_SCHEMAS[rule.type] || { type: 'string' }));
+    if (rule.enum) {
+        (rule.type === 'list' ? schema.items : schema).enum = rule.enum;
+    }
+    if (rule.min !== undefined) schema.minimum = rule.min;
+    if (rule.max !== undefined) schema.maximum = rule.max;
+    if (rule.maxLength !== undefined) schema.maxLength = rule.maxLength;
+    if (rule.pattern) schema.pattern = rule.pattern.source;
+    if (rule.nullable) schema.nullable = true;
+    if (rule.default !== undefined) schema.default = rule.default;
+    if (rule.description) schema.description = rule.description;
+    return schema;
+}
+
+function objectSchema(fields) {
+    const required = Object.keys(fields).filter(field => fields[field].required);
+    return {
+        type: 'object',
+        properties: Object.fromEntries(Object.entries(fields).map(([field, rule]) => [field, ruleSchema(rule)])),
+        ...(required.length > 0 ? { required } : {}),
+        additionalProperties: false
+    };
+}
+
+function parameters(location, fields = {}) {
+    return Object.entries(fields).map(([name, rule]) => ({
+        name,
+        in: location,
+        required: location === 'path' || Boolean(rule.required),
+        ...(rule.description ? { description: rule.description } : {}),
+        schema: ruleSchema({ ...rule, description: undefined }),
+        // Lists are sent comma-separated: ?tenant=Target,Aldi
+        ...(rule.type === 'list' ? { style: 'form', explode: false } : {})
+    }));
+}
+
+// Request body of a route. Bodies shared by several routes (`named`) are
+// referenced from components rather than repeated.
+function requestBody(spec, method, named) {
+    if (spec.upload) {
+        return {
+            required: true,
+            content: {
+                'multipart/form-data': {
+                    schema: {
+                        type: 'object',
+                        required: [spec.upload.field],
+                        properties: {
+                            [spec.upload.field]: { type: 'string', format: 'binary', description: spec.upload.description }
+                        }
+                    }
+                }
+            }
+        };
+    }
+    if (spec.rawBody) {
+        return { required: true, description: spec.rawBody, content: { 'application/json': { schema: { type: 'object' } } } };
+    }
+    if (!spec.body) {
+        return null;
+    }
+
+    let schema;
+    if (method === 'patch') {
+        // Partial update: any of the fields, none required
+        const { required, ...partial } = objectSchema(spec.body);
+        schema = partial;
+    } else {
+        const name = Object.keys(named).find(key => named[key] === spec.body);
+        schema = name ? { $ref: `#/components/schemas/${name}` } : objectSchema(spec.body);
+    }
+    return { required: true, content: { 'application/json': { schema } } };
+}
+
+function operation(path, method, handlers, named) {
+    const spec = (handlers.find(handler => handler.spec) || {}).spec || {};
+    const role = (handlers.find(handler => handler.requiredRole) || {}).requiredRole;
+    const isApi = path.startsWith('/api/');
+
+    const op = {};
+    if (spec.summary) op.summary = spec.summary;
+    const description = [spec.description, isApi ? `Requires the ${role || 'read_only'} role.` : null].filter(Boolean);
+    if (description.length > 0) op.description = description.join('\n\n');
+    op.tags = [isApi ? path.split('/')[2] : 'service'];
+
+    const params = [...parameters('path', spec.params), ...parameters('query', spec.query)];
+    if (params.length > 0) op.parameters = params;
+
+    const body = requestBody(spec, method, named);
+    if (body) op.requestBody = body;
+
+    op.responses = { '2XX': { description: 'Success' } };
+    if (params.length > 0 || body) {
+        op.responses['400'] = { description: 'Invalid request', ...ERROR_RESPONSE };
+    }
+    if (isApi) {
+        op.security = [{ bearerAuth: [] }, { apiKeyHeader: [] }];
+        op['x-required-role'] = role || 'read_only';
+        op.responses['401'] = { description: 'No valid API key or session token', ...ERROR_RESPONSE };
+        if (role) {
+            op.responses['403'] = { description: `Requires the ${role} role`, ...ERROR_RESPONSE };
+        }
+    }
+    op.responses.default = { description: 'Error', ...ERROR_RESPONSE };
+    return op;
+}
+
+// Build the spec from an Express app's routes.
+//
+//   info    - OpenAPI info object (title, version, ...)
+//   schemas - name -> field schema, for bodies shared by several routes
+function buildOpenApiSpec(app, { info, schemas = {} }) {
+    const paths = {};
+
+    for (const layer of app._router.stack) {
+        if (!layer.route || typeof layer.route.path !== 'string') continue;
+        const path = layer.route.path.replace(/\/$/, '').replace(/:(\w+)/g, '{$1}') || '/';
+        const handlers = layer.route.stack.map(routeLayer => routeLayer.handle);
+
+        for (const method of Object.keys(layer.route.methods)) {
+            paths[path] = paths[path] || {};
+            paths[path][method] = operation(path, method, handlers, schemas);
+        }
+    }
+
+    return {
+        openapi: '3.0.3',
+        info,
+        paths,
+        components: {
+            schemas: {
+                Error: ERROR_SCHEMA,
+                ...Object.fromEntries(Object.entries(schemas).map(([name, fields]) => [name, objectSchema(fields)]))
+            },
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', description: 'API key or session token' },
+                apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+            }
+        }
+    };
+}
+
+module.exports = {
+    buildOpenApiSpec
+};
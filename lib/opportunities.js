@@ -0,0 +1,247 @@
+const { tenantMix, classifySpace } = require('./occupancy');
+const { slugify, cleanTenantName, isUnbranded } = require('./brands');
+const { MAX_RING_MILES } = require('./trade-area');
+const { MAX_RADIUS_MILES } = require('./proximity');
+
+// Retail gap analysis for one center: which retail categories it is short
+// of compared with its peers (the other centers of its center_type), and
+// which brands at nearby peers it lacks, matched to its vacant suites.
+//
+// Category score (0-100) = presence x gap x support, where
+//   presence - share of peers with the category
+//   gap      - how far the center's share of leased sf falls short of the
+//              peer average, as a fraction of that average (1 = missing)
+//   support  - how the center's trade area compares with those of the peers
+//              that have the category, on households and median household
+//              income (1 = at least as strong); left out without demographics
+//
+// Brand score (0-100) is a weighted average of how many nearby peers have
+// the brand, the score of its category, and how well its usual space size
+// fits a vacant suite here.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Trade-area figures a category's support is measured on
+const SUPPORT_METRICS = ['total_households', 'median_household_income'];
+
+const BRAND_WEIGHTS = { prevalence: 0.4, category: 0.3, fit: 0.3 };
+
+// Candidate brands listed for each vacant suite
+const SUITE_CANDIDATES = 3;
+
+const OPPORTUNITIES_QUERY = {
+    radius: { type: 'number', min: 0.1, max: MAX_RADIUS_MILES, default: 25, description: 'Miles around the center that peers count as nearby, for brands' },
+    ring: { type: 'number', min: 0.1, max: MAX_RING_MILES, default: 3, description: 'Ring radius in miles for trade-area demographics' },
+    limit: { type: 'integer', min: 1, max: MAX_LIMIT, default: DEFAULT_LIMIT, description: 'Most brands to list' }
+};
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function isVacant(space) {
+    return space.tenant_name === 'Vacant';
+}
+
+// Brands are told apart by their slug, or by the cleaned name for spaces not
+// linked to one
+function brandKey(space) {
+    return space.brand || slugify(cleanTenantName(space.tenant_name));
+}
+
+// Smaller over larger, or null if either is unknown
+function sizeFit(a, b) {
+    return a > 0 && b > 0 ? Math.min(a, b) / Math.max(a, b) : null;
+}
+
+// Share of leased sf for each category at one center
+function categoryShares(spaces) {
+    return new Map(tenantMix(spaces).map(mix => [mix.category, mix]));
+}
+
+// How the center's trade area compares with those of the peers hosting a
+// category. Null when there is nothing to compare.
+function tradeAreaSupport(subjectDemographics, hosts) {
+    if (!subjectDemographics) {
+        return null;
+    }
+
+    const ratios = [];
+    for (const metric of SUPPORT_METRICS) {
+        const values = hosts
+            .map(peer => peer.demographics && peer.demographics[metric])
+            .filter(value => typeof value === 'number' && value > 0);
+        if (values.length > 0) {
+            ratios.push(Math.min(1, (subjectDemographics[metric] || 0) / median(values)));
+        }
+    }
+    return ratios.length > 0 ? ratios.reduce((sum, value) => sum + value, 0) / ratios.length : null;
+}
+
+// Categories the center is short of, best opportunities first. `peers` is a
+// list of { center, spaces, demographics }.
+function categoryGaps(subject, peers) {
+    const subjectShares = categoryShares(subject.spaces);
+    const leasing = peers
+        .filter(peer => peer.spaces.some(space => !isVacant(space)))
+        .map(peer => ({ ...peer, shares: categoryShares(peer.spaces) }));
+    const categories = new Set(leasing.flatMap(peer => Array.from(peer.shares.keys())));
+
+    const gaps = [];
+    for (const category of categories) {
+        const hosts = leasing.filter(peer => peer.shares.has(category));
+        const peerAverage = leasing.reduce((sum, peer) => sum + (peer.shares.get(category)?.percent_of_leased_sf || 0), 0) / leasing.length;
+        const own = subjectShares.get(category);
+        const subjectPercent = own ? own.percent_of_leased_sf || 0 : 0;
+        if (own && subjectPercent >= peerAverage) continue;
+
+        const presence = hosts.length / leasing.length;
+        const gap = own ? (peerAverage > 0 ? (peerAverage - subjectPercent) / peerAverage : 0) : 1;
+        const support = tradeAreaSupport(subject.demographics, hosts);
+
+        gaps.push({
+            category,
+            missing: !own,
+            subject_spaces: own ? own.spaces : 0,
+            subject_percent: subjectPercent,
+            peer_average_percent: round(peerAverage),
+            peer_presence_percent: round(presence * 100),
+            peers_with_category: hosts.length,
+            trade_area_support: support === null ? null : round(support, 2),
+            score: round(presence * gap * (support ?? 1) * 100)
+        });
+    }
+
+    return gaps.sort((a, b) => b.score - a.score || a.category.localeCompare(b.category));
+}
+
+// Brands at nearby peers that the center doesn't have, with where they are,
+// their usual category and size. `brandNames` maps slugs to display names.
+function missingBrands(subject, nearbyPeers, brandNames) {
+    const present = new Set(subject.spaces.filter(space => !isUnbranded(space.tenant_name)).map(brandKey));
+    const found = new Map();
+
+    for (const peer of nearbyPeers) {
+        for (const space of peer.spaces) {
+            if (isUnbranded(space.tenant_name)) continue;
+            const key = brandKey(space);
+            if (!key || present.has(key)) continue;
+
+            if (!found.has(key)) {
+                found.set(key, { key, name: brandNames.get(key) || space.tenant_name, centers: new Map(), categories: new Map(), sizes: [] });
+            }
+            const brand = found.get(key);
+            brand.centers.set(peer.center.id, { id: peer.center.id, name: peer.center.name, distance_miles: typeof peer.distance_miles === 'number' ? round(peer.distance_miles, 2) : null });
+            if (space.retail_category) {
+                brand.categories.set(space.retail_category, (brand.categories.get(space.retail_category) || 0) + 1);
+            }
+            if (space.square_footage > 0) {
+                brand.sizes.push(space.square_footage);
+            }
+        }
+    }
+
+    return Array.from(found.values()).map(brand => {
+        const centers = Array.from(brand.centers.values())
+            .sort((a, b) => (a.distance_miles ?? Infinity) - (b.distance_miles ?? Infinity) || a.name.localeCompare(b.name));
+        const category = Array.from(brand.categories.entries()).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0];
+        return {
+            brand: brand.key,
+            name: brand.name,
+            category: category ? category[0] : null,
+            typical_square_footage: brand.sizes.length > 0 ? Math.round(median(brand.sizes)) : null,
+            nearby_centers: centers.length,
+            nearest_miles: centers[0].distance_miles,
+            centers
+        };
+    });
+}
+
+// Weighted brand score for one suite (or none). Components that can't be
+// measured are left out.
+function brandScore(parts) {
+    let total = 0;
+    let weight = 0;
+    for (const [component, value] of Object.entries(parts)) {
+        if (value === null) continue;
+        total += BRAND_WEIGHTS[component] * value;
+        weight += BRAND_WEIGHTS[component];
+    }
+    return weight > 0 ? round((total / weight) * 100) : 0;
+}
+
+// The whole analysis. `subject` and each peer are { center, spaces,
+// demographics }; nearby peers also carry distance_miles.
+function findOpportunities({ subject, peers, nearbyPeers, brandNames, limit }) {
+    const categories = categoryGaps(subject, peers);
+    const categoryScores = new Map(categories.map(gap => [gap.category, gap.score / 100]));
+
+    const vacantSuites = subject.spaces
+        .filter(isVacant)
+        .map(space => ({
+            space_id: space.id,
+            suite_number: space.tenant_suite_number ?? null,
+            square_footage: space.square_footage ?? null,
+            space_type: classifySpace(space)
+        }));
+    const sizedSuites = vacantSuites.filter(suite => suite.square_footage > 0);
+
+    const prospects = missingBrands(subject, nearbyPeers, brandNames);
+    const scoreFor = (brand, suite) => brandScore({
+        prevalence: nearbyPeers.length > 0 ? brand.nearby_centers / nearbyPeers.length : 0,
+        category: brand.category ? categoryScores.get(brand.category) || 0 : 0,
+        fit: suite ? sizeFit(brand.typical_square_footage, suite.square_footage) : null
+    });
+
+    const brands = prospects
+        .map(brand => {
+            const fits = sizedSuites
+                .map(suite => ({ suite, fit: sizeFit(brand.typical_square_footage, suite.square_footage) }))
+                .filter(entry => entry.fit !== null)
+                .sort((a, b) => b.fit - a.fit);
+            const best = fits[0] || null;
+            return {
+                ...brand,
+                best_suite: best
+                    ? { space_id: best.suite.space_id, suite_number: best.suite.suite_number, square_footage: best.suite.square_footage, fit: round(best.fit, 2) }
+                    : null,
+                score: scoreFor(brand, best && best.suite)
+            };
+        })
+        .sort((a, b) => b.score - a.score || b.nearby_centers - a.nearby_centers || a.name.localeCompare(b.name));
+
+    const suites = vacantSuites
+        .map(suite => {
+            const candidates = prospects
+                .map(brand => ({
+                    brand: brand.brand,
+                    name: brand.name,
+                    category: brand.category,
+                    fit: suite.square_footage > 0 && brand.typical_square_footage
+                        ? round(sizeFit(brand.typical_square_footage, suite.square_footage), 2)
+                        : null,
+                    score: scoreFor(brand, suite.square_footage > 0 ? suite : null)
+                }))
+                .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+                .slice(0, SUITE_CANDIDATES);
+            return { ...suite, score: candidates.length > 0 ? candidates[0].score : 0, candidates };
+        })
+        .sort((a, b) => b.score - a.score || (b.square_footage || 0) - (a.square_footage || 0));
+
+    return {
+        categories,
+        brands: brands.slice(0, limit),
+        brands_found: brands.length,
+        vacant_suites: suites
+    };
+}
+
+module.exports = {
+    OPPORTUNITIES_QUERY,
+    findOpportunities
+};
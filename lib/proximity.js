@@ -0,0 +1,202 @@
+const { GridIndex } = require('./spatial-index');
+const { spaceIsTenant } = require('./brands');
+
+// Proximity search over shopping centers: radius and bounding-box lookups
+// backed by a grid index, and co-tenancy search ("centers with a Target but
+// no Aldi within 10 miles").
+
+const MAX_RADIUS_MILES = 100;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// Spatial index of every geocoded center. It is rebuilt lazily, on the first
+// query after the centers change, rather than kept in step with each write;
+// imports touch many centers at once and queries are far rarer than writes.
+function createCenterIndex(repository) {
+    const index = new GridIndex({ cellSizeDegrees: 0.1 });
+    let builtVersion = null;
+
+    function sync() {
+        if (builtVersion === repository.centersVersion()) {
+            return;
+        }
+        index.clear();
+        for (const center of repository.listCenters()) {
+            if (typeof center.latitude === 'number' && typeof center.longitude === 'number') {
+                index.insert(center.id, center.latitude, center.longitude, center);
+            }
+        }
+        builtVersion = repository.centersVersion();
+    }
+
+    return {
+        get size() {
+            sync();
+            return index.size;
+        },
+
+        // Centers within radiusMiles, nearest first: [{ center, distance_miles }]
+        nearby(latitude, longitude, radiusMiles) {
+            sync();
+            return index.queryRadius(latitude, longitude, radiusMiles)
+                .map(entry => ({ center: entry.item, distance_miles: entry.distance_miles }));
+        },
+
+        // Centers inside a bounding box
+        inBBox(south, west, north, east) {
+            sync();
+            return index.queryBBox(south, west, north, east).map(entry => entry.item);
+        }
+    };
+}
+
+// Query schemas (see schema.js). Checks that need more than one parameter
+// are left to the parsers below.
+const LIMIT = { type: 'integer', min: 1, max: MAX_LIMIT, default: DEFAULT_LIMIT };
+const FILTERS = {
+    tenant: { type: 'list', description: 'Only centers with one of these tenants (comma-separated)' },
+    category: { type: 'list', description: 'Only centers with a tenant in one of these retail categories' }
+};
+const POINT = {
+    lat: { type: 'number', min: -90, max: 90 },
+    lng: { type: 'number', min: -180, max: 180 },
+    radius: { type: 'number', min: 0, max: MAX_RADIUS_MILES, description: 'Miles' }
+};
+
+const NEARBY_QUERY = {
+    lat: { ...POINT.lat, required: true },
+    lng: { ...POINT.lng, required: true },
+    radius: { ...POINT.radius, required: true },
+    ...FILTERS,
+    limit: LIMIT
+};
+
+const BBOX_QUERY = {
+    west: { type: 'number', min: -180, max: 180, required: true },
+    south: { type: 'number', min: -90, max: 90, required: true },
+    east: { type: 'number', min: -180, max: 180, required: true },
+    north: { type: 'number', min: -90, max: 90, required: true },
+    ...FILTERS,
+    limit: LIMIT
+};
+
+const CO_TENANCY_QUERY = {
+    has: { type: 'list', description: 'Tenants a center must have' },
+    lacks: { type: 'list', description: 'Tenants that must not be at (or near) the center' },
+    lacks_radius: { type: 'number', min: 0, max: MAX_RADIUS_MILES, default: 0, description: 'Miles around the center to check lacks within' },
+    ...POINT,
+    limit: LIMIT
+};
+
+const nameList = (names = []) => names.map(name => name.toLowerCase());
+
+// The parsers take the query as checked against the schemas above and
+// return { value } or { errors }.
+
+// GET /nearby: lat, lng, radius, plus optional tenant/category filters
+function parseNearbyQuery(query) {
+    return {
+        value: {
+            lat: query.lat,
+            lng: query.lng,
+            radius: query.radius,
+            tenants: nameList(query.tenant),
+            categories: nameList(query.category),
+            limit: query.limit
+        }
+    };
+}
+
+// GET /bbox: west, south, east, north, as in a map viewport
+function parseBBoxQuery(query) {
+    if (query.south > query.north || query.west > query.east) {
+        return { errors: [{ field: null, message: 'south must not exceed north and west must not exceed east' }] };
+    }
+    return {
+        value: {
+            west: query.west,
+            south: query.south,
+            east: query.east,
+            north: query.north,
+            tenants: nameList(query.tenant),
+            categories: nameList(query.category),
+            limit: query.limit
+        }
+    };
+}
+
+// GET /co-tenancy: has, lacks, lacks_radius and an optional lat/lng/radius
+// area, which must be given whole or not at all
+function parseCoTenancyQuery(query) {
+    const errors = [];
+    const given = Object.keys(POINT).filter(param => query[param] !== undefined);
+    if (given.length > 0 && given.length < Object.keys(POINT).length) {
+        for (const param of Object.keys(POINT).filter(name => !given.includes(name))) {
+            errors.push({ field: param, message: `${param} is required with ${given.join(', ')}` });
+        }
+    }
+    const value = {
+        point: given.length > 0 ? { lat: query.lat, lng: query.lng, radius: query.radius } : null,
+        has: nameList(query.has),
+        lacks: nameList(query.lacks),
+        lacksRadius: query.lacks_radius,
+        limit: query.limit
+    };
+    if (value.has.length === 0 && value.lacks.length === 0) {
+        errors.push({ field: 'has', message: 'Give at least one tenant in has or lacks' });
+    }
+    return errors.length > 0 ? { errors } : { value };
+}
+
+function hasTenant(spaces, name) {
+    return spaces.some(space => spaceIsTenant(space, name));
+}
+
+// Spaces in a center matching tenant/category filters. Centers with no
+// matching space are left out; with no filters every center matches.
+function matchingSpaces(spaces, tenants, categories) {
+    if (tenants.length === 0 && categories.length === 0) {
+        return null;
+    }
+    return spaces.filter(space => space.tenant_name !== 'Vacant'
+        && (tenants.length === 0 || tenants.some(name => spaceIsTenant(space, name)))
+        && (categories.length === 0 || categories.includes(String(space.retail_category || '').toLowerCase().trim())));
+}
+
+// Centers that have every `has` tenant and where no `lacks` tenant is found
+// in the center itself or, with lacksRadius, in any center within that many
+// miles. `spacesByCenter` maps center id -> spaces.
+function coTenancySearch(centerIndex, candidates, spacesByCenter, { has, lacks, lacksRadius }) {
+    const results = [];
+
+    for (const candidate of candidates) {
+        const spaces = spacesByCenter.get(candidate.center.id) || [];
+        if (!has.every(name => hasTenant(spaces, name))) continue;
+
+        if (lacks.length > 0) {
+            const around = lacksRadius > 0 && typeof candidate.center.latitude === 'number'
+                ? centerIndex.nearby(candidate.center.latitude, candidate.center.longitude, lacksRadius)
+                : [{ center: candidate.center }];
+            const blocked = around.some(({ center }) =>
+                lacks.some(name => hasTenant(spacesByCenter.get(center.id) || [], name)));
+            if (blocked) continue;
+        }
+
+        results.push(candidate);
+    }
+
+    return results;
+}
+
+module.exports = {
+    MAX_RADIUS_MILES,
+    NEARBY_QUERY,
+    BBOX_QUERY,
+    CO_TENANCY_QUERY,
+    createCenterIndex,
+    parseNearbyQuery,
+    parseBBoxQuery,
+    parseCoTenancyQuery,
+    matchingSpaces,
+    coTenancySearch
+};
@@ -0,0 +1,89 @@
+// Readiness check for GET /health/ready: tests each dependency and says
+// whether the app can do its work.
+//
+// A check is { name, run, critical, degrades }. `run()` resolves when the
+// dependency works, optionally to { status: 'disabled', detail } when it is
+// turned off, and throws when it doesn't work. The outcome is:
+//   ready       - every check passed
+//   degraded    - a non-critical check failed or is disabled; `degraded`
+//                 lists what doesn't work (each check's `degrades`)
+//   unavailable - a critical check failed
+//
+// Checks run at the same time, each with a timeout, and the report is reused
+// for `cacheMs` so that frequent probes don't hammer the upstream services.
+// The report is public, so API keys are taken out of error messages.
+
+const { redactKeys } = require('./errors');
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.READY_CHECK_TIMEOUT_MS) || 5000;
+const DEFAULT_CACHE_MS = parseInt(process.env.READY_CHECK_CACHE_MS) || 15000;
+
+function withTimeout(promise, timeoutMs, name) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${name} check timed out after ${timeoutMs} ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function runCheck(check, timeoutMs) {
+    const started = Date.now();
+    try {
+        const result = (await withTimeout(Promise.resolve().then(check.run), timeoutMs, check.name)) || {};
+        return { status: result.status || 'ok', detail: result.detail || null, duration_ms: Date.now() - started };
+    } catch (error) {
+        return { status: 'error', error: redactKeys(error.message), duration_ms: Date.now() - started };
+    }
+}
+
+function createReadinessCheck(checks, { timeoutMs = DEFAULT_TIMEOUT_MS, cacheMs = DEFAULT_CACHE_MS } = {}) {
+    let last = null;
+    let running = null;
+
+    async function evaluate() {
+        const results = await Promise.all(checks.map(check => runCheck(check, timeoutMs)));
+
+        let status = 'ready';
+        const degraded = [];
+        const report = {};
+        checks.forEach((check, index) => {
+            const result = { ...results[index], critical: Boolean(check.critical) };
+            report[check.name] = result;
+            if (result.status === 'ok') return;
+
+            if (check.critical && result.status === 'error') {
+                status = 'unavailable';
+            } else if (status === 'ready') {
+                status = 'degraded';
+            }
+            if (check.degrades) {
+                degraded.push({ check: check.name, impact: check.degrades, reason: result.error || result.detail });
+            }
+        });
+
+        return { status, checked_at: new Date().toISOString(), checks: report, degraded };
+    }
+
+    // The latest report, checking again once it is older than cacheMs.
+    // Callers arriving during a check share it.
+    return async function readiness() {
+        if (last && Date.now() - last.at < cacheMs) {
+            return last.report;
+        }
+        if (!running) {
+            running = evaluate()
+                .then(report => {
+                    last = { at: Date.now(), report };
+                    return report;
+                })
+                .finally(() => {
+                    running = null;
+                });
+        }
+        return running;
+    };
+}
+
+module.exports = {
+    createReadinessCheck
+};
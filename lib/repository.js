@@ -0,0 +1,344 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Repository for shopping centers and tenant spaces. Routes go through this
+// interface instead of touching the underlying store, so the storage driver
+// can change without touching request handling.
+//
+// Both collections are keyed by record id. Tenant spaces point at their
+// center through shopping_center_id; shopping_center_name is kept alongside
+// for exports and is rewritten when a center is renamed.
+
+// Helper function to create shopping center key
+function createShoppingCenterKey(name) {
+    return name.toLowerCase().trim();
+}
+
+// Vacant spaces without a suite number have no name of their own
+function isUnnumberedVacancy(tenantName, suiteNumber) {
+    return tenantName === 'Vacant' && !(suiteNumber && suiteNumber.trim());
+}
+
+// Helper function to create the key that identifies a space within a center
+// on import: the suite number, or the tenant name for rows without one.
+// Vacant rows without a suite number are told apart by their square footage
+// and `ordinal`, their place among the center's vacancies of that size: the
+// second 2,000 sf vacancy in a file is the center's second one stored.
+function createTenantKey(centerName, tenantName, suiteNumber = '', { squareFootage = null, ordinal = 1 } = {}) {
+    const center = centerName.toLowerCase().trim();
+    if (suiteNumber && suiteNumber.trim()) {
+        return `${center}::suite::${suiteNumber.toLowerCase().trim()}`;
+    }
+    if (isUnnumberedVacancy(tenantName, suiteNumber)) {
+        return `${center}::vacant::${squareFootage ?? ''}::${ordinal}`;
+    }
+    return `${center}::tenant::${tenantName.toLowerCase().trim()}`;
+}
+
+// options:
+//   audit  - audit log (see audit.js) told about every create, update and
+//            delete; left out for scratch repositories such as dry runs
+//   events - event bus (see events.js) told about the same changes
+function createRepository(store, { audit = null, events = null } = {}) {
+    const shoppingCenters = store.collection('shopping_centers'); // key: center id, value: center object
+    const tenants = store.collection('tenants'); // key: tenant id, value: tenant object
+
+    // Lookups an import makes for every row, kept in maps: center ids by name
+    // key, space ids by center id and by center id + tenant key, and how many
+    // vacancies without a suite each center has of each size. The
+    // repository keeps them current as it creates and updates records; after
+    // any other change to the collections (a load, a rename, a delete) they
+    // are rebuilt on next use.
+    let indexes = null;
+    let indexedVersion = null;
+
+    function collectionsVersion() {
+        return `${shoppingCenters.version}:${tenants.version}`;
+    }
+
+    function indexCenter(center) {
+        const nameKey = createShoppingCenterKey(center.name);
+        if (!indexes.centersByName.has(nameKey)) {
+            indexes.centersByName.set(nameKey, center.id);
+        }
+        if (!indexes.spacesByCenter.has(center.id)) {
+            indexes.spacesByCenter.set(center.id, new Set());
+        }
+    }
+
+    function spaceKey(tenant, ordinal = 1) {
+        const center = shoppingCenters.get(tenant.shopping_center_id);
+        if (!center) {
+            return null;
+        }
+        const key = createTenantKey(center.name, tenant.tenant_name, tenant.tenant_suite_number,
+            { squareFootage: tenant.square_footage, ordinal });
+        return `${center.id}::${key}`;
+    }
+
+    // Index a space; vacancies without a suite are numbered in the order
+    // they were stored
+    function indexTenant(tenant) {
+        const spaces = indexes.spacesByCenter.get(tenant.shopping_center_id);
+        if (!spaces) {
+            return;
+        }
+        spaces.add(tenant.id);
+
+        let ordinal = 1;
+        if (isUnnumberedVacancy(tenant.tenant_name, tenant.tenant_suite_number)) {
+            const size = `${tenant.shopping_center_id}::${tenant.square_footage ?? ''}`;
+            ordinal = (indexes.vacancies.get(size) || 0) + 1;
+            indexes.vacancies.set(size, ordinal);
+        }
+        const key = spaceKey(tenant, ordinal);
+        if (!indexes.spacesByKey.has(key)) {
+            indexes.spacesByKey.set(key, tenant.id);
+        }
+    }
+
+    function lookups() {
+        if (!indexes || indexedVersion !== collectionsVersion()) {
+            indexes = { centersByName: new Map(), spacesByCenter: new Map(), spacesByKey: new Map(), vacancies: new Map() };
+            for (const center of shoppingCenters.values()) indexCenter(center);
+            for (const tenant of tenants.values()) indexTenant(tenant);
+            indexedVersion = collectionsVersion();
+        }
+        return indexes;
+    }
+
+    // Make a change to the collections. If the indexes were current, `update`
+    // brings them up to date with it (returning false when they need a rebuild).
+    function change(apply, update) {
+        const current = indexes !== null && indexedVersion === collectionsVersion();
+        apply();
+        if (current && update() !== false) {
+            indexedVersion = collectionsVersion();
+        }
+    }
+
+    // Whether a space brings its brand to its center for the first time
+    function isNewBrandLocation(before, after) {
+        if (!after || !after.brand || (before && before.brand === after.brand)) {
+            return false;
+        }
+        for (const id of lookups().spacesByCenter.get(after.shopping_center_id) || []) {
+            const tenant = tenants.get(id);
+            if (tenant.id !== after.id && tenant.brand === after.brand) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    function logChange(entity, before, after) {
+        if (audit) {
+            audit.record(entity, before, after);
+        }
+        if (events) {
+            const record = after || before;
+            events.recordChange(entity, before, after, {
+                center: entity === 'shopping_center' ? record : shoppingCenters.get(record.shopping_center_id) || null,
+                newBrandLocation: entity === 'tenant' && isNewBrandLocation(before, after)
+            });
+        }
+    }
+
+    // Data files written before records were keyed by id used the name-based
+    // keys and linked tenants to centers by name only. Re-key them in place.
+    function migrate() {
+        for (const [key, center] of Array.from(shoppingCenters.entries())) {
+            if (key !== center.id) {
+                shoppingCenters.delete(key);
+                shoppingCenters.set(center.id, center);
+            }
+        }
+
+        for (const tenant of tenants.values()) {
+            if (!tenant.shopping_center_id) {
+                const center = repository.getCenterByName(tenant.shopping_center_name);
+                tenant.shopping_center_id = center ? center.id : null;
+            }
+        }
+        for (const [key, tenant] of Array.from(tenants.entries())) {
+            if (key !== tenant.id) {
+                tenants.delete(key);
+            }
+            tenants.set(tenant.id, tenant);
+        }
+    }
+
+    const repository = {
+        store,
+
+        async load() {
+            await store.load();
+            migrate();
+        },
+
+        // For callers that load the store themselves
+        migrate,
+
+        // Shopping centers
+
+        listCenters() {
+            return Array.from(shoppingCenters.values());
+        },
+
+        countCenters() {
+            return shoppingCenters.size;
+        },
+
+        // Changes whenever any center is added, changed or removed
+        centersVersion() {
+            return shoppingCenters.version;
+        },
+
+        getCenterById(id) {
+            return shoppingCenters.get(id) || null;
+        },
+
+        getCenterByName(name) {
+            const id = lookups().centersByName.get(createShoppingCenterKey(name));
+            return id === undefined ? null : shoppingCenters.get(id);
+        },
+
+        hasCenterNamed(name) {
+            return this.getCenterByName(name) !== null;
+        },
+
+        createCenter(fields) {
+            const center = { id: uuidv4(), ...fields };
+            change(() => shoppingCenters.set(center.id, center), () => indexCenter(center));
+            logChange('shopping_center', null, center);
+            return center;
+        },
+
+        // Replace a center's fields, keeping its id. Tenants follow a rename
+        // because they are linked by id; their denormalized name is updated.
+        updateCenter(id, fields) {
+            const existing = shoppingCenters.get(id);
+            if (!existing) {
+                return null;
+            }
+
+            const center = { ...fields, id };
+            // A rename changes the center's name key and its spaces' keys
+            change(() => shoppingCenters.set(id, center), () => center.name === existing.name);
+            logChange('shopping_center', existing, center);
+
+            if (center.name !== existing.name) {
+                for (const tenant of this.listTenantsForCenter(center)) {
+                    tenants.set(tenant.id, { ...tenant, shopping_center_name: center.name });
+                }
+            }
+
+            return center;
+        },
+
+        // Delete a center along with all of its tenant spaces
+        deleteCenter(id) {
+            const center = shoppingCenters.get(id);
+            if (!center) {
+                return null;
+            }
+
+            const removedTenants = this.listTenantsForCenter(center);
+            for (const tenant of removedTenants) {
+                tenants.delete(tenant.id);
+                logChange('tenant', tenant, null);
+            }
+            shoppingCenters.delete(id);
+            logChange('shopping_center', center, null);
+
+            return { center, tenants: removedTenants };
+        },
+
+        // Tenant spaces
+
+        listTenants() {
+            return Array.from(tenants.values());
+        },
+
+        countTenants() {
+            return tenants.size;
+        },
+
+        listTenantsForCenter(center) {
+            return Array.from(lookups().spacesByCenter.get(center.id) || [], id => tenants.get(id));
+        },
+
+        getTenant(center, tenantId) {
+            const tenant = tenants.get(tenantId);
+            return tenant && tenant.shopping_center_id === center.id ? tenant : null;
+        },
+
+        findTenantByKey(center, key) {
+            const id = lookups().spacesByKey.get(`${center.id}::${key}`);
+            return id === undefined ? null : tenants.get(id);
+        },
+
+        createTenant(center, fields) {
+            const tenant = {
+                id: uuidv4(),
+                shopping_center_id: center.id,
+                shopping_center_name: center.name,
+                ...fields
+            };
+            change(() => tenants.set(tenant.id, tenant), () => indexTenant(tenant));
+            logChange('tenant', null, tenant);
+            return tenant;
+        },
+
+        updateTenant(center, tenantId, fields) {
+            const existing = this.getTenant(center, tenantId);
+            if (!existing) {
+                return null;
+            }
+
+            const tenant = {
+                ...fields,
+                id: tenantId,
+                shopping_center_id: center.id,
+                shopping_center_name: center.name
+            };
+            // A space whose key changes may have been the one found by its old key
+            change(() => tenants.set(tenantId, tenant), () => spaceKey(tenant) === spaceKey(existing));
+            logChange('tenant', existing, tenant);
+            return tenant;
+        },
+
+        deleteTenant(center, tenantId) {
+            const tenant = this.getTenant(center, tenantId);
+            if (!tenant) {
+                return null;
+            }
+            // Deleting a vacancy without a suite renumbers the ones after it
+            change(() => tenants.delete(tenantId), () => {
+                indexes.spacesByCenter.get(center.id).delete(tenantId);
+                return !isUnnumberedVacancy(tenant.tenant_name, tenant.tenant_suite_number)
+                    && indexes.spacesByKey.get(spaceKey(tenant)) !== tenantId;
+            });
+            logChange('tenant', tenant, null);
+            return tenant;
+        },
+
+        // Persistence
+
+        flush() {
+            return store.flush();
+        },
+
+        close() {
+            return store.close();
+        }
+    };
+
+    return repository;
+}
+
+module.exports = {
+    createRepository,
+    createShoppingCenterKey,
+    createTenantKey,
+    isUnnumberedVacancy
+};
@@ -0,0 +1,241 @@
+const { normalizeDate } = require('./leases');
+const { sendError } = require('./errors');
+
+// Small schema validator shared by JSON bodies, path parameters, query
+// strings and CSV rows. A schema is an object of field rules:
+//
+//   type        - string, integer, number, boolean, date (YYYY-MM-DD),
+//                 timestamp (a date or ISO timestamp, read as an ISO
+//                 timestamp; a bare date means the end of that day UTC),
+//                 list (of strings; comma-separated in query strings) or
+//                 object (any JSON object, checked by the route)
+//   required    - must be present
+//   nullable    - may be null (bodies only)
+//   default     - used when the field is left out
+//   min, max    - bounds for numbers
+//   maxLength   - for strings
+//   enum        - allowed values (each item, for lists)
+//   pattern     - regular expression a non-empty string must match
+//   message     - finishes the sentence "<field> ..." when the pattern or
+//                 enum doesn't match
+//   normalize   - applied to strings after trimming, e.g. to upper-case
+//   description - for the OpenAPI spec
+//
+// Path and query values arrive as strings and are coerced to the rule's
+// type first; JSON bodies must already have the right types.
+
+const TRUE_VALUES = ['true', '1', 'yes'];
+const FALSE_VALUES = ['false', '0', 'no'];
+
+// Check a typed value against a rule. Returns an error message or null.
+function checkValue(field, rule, value) {
+    if (value === null) {
+        return rule.nullable ? null : `${field} cannot be null`;
+    }
+
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') {
+                return `${field} must be a string`;
+            }
+            if (rule.required && value.trim() === '') {
+                return `${field} cannot be empty`;
+            }
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                return `${field} must be at most ${rule.maxLength} characters`;
+            }
+            if (rule.pattern && value !== '' && !rule.pattern.test(value)) {
+                return `${field} ${rule.message}`;
+            }
+            break;
+        case 'integer':
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                return `${field} must be a number`;
+            }
+            if (rule.type === 'integer' && !Number.isInteger(value)) {
+                return `${field} must be a whole number`;
+            }
+            if (rule.min !== undefined && value < rule.min) {
+                return `${field} must be at least ${rule.min}`;
+            }
+            if (rule.max !== undefined && value > rule.max) {
+                return `${field} must be at most ${rule.max}`;
+            }
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                return `${field} must be true or false`;
+            }
+            break;
+        case 'date':
+            if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || !normalizeDate(value)) {
+                return `${field} must be a date (YYYY-MM-DD)`;
+            }
+            break;
+        case 'timestamp':
+            if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+                return `${field} must be a date (YYYY-MM-DD) or ISO timestamp`;
+            }
+            break;
+        case 'list':
+            if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || item.trim() === '')) {
+                return `${field} must be a list of names`;
+            }
+            break;
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                return `${field} must be an object`;
+            }
+            break;
+    }
+
+    if (rule.enum) {
+        const values = Array.isArray(value) ? value : [value];
+        const invalid = values.find(item => item !== '' && !rule.enum.includes(item));
+        if (invalid !== undefined) {
+            return rule.message ? `${field} ${rule.message}` : `${field} must be one of ${rule.enum.join(', ')}`;
+        }
+    }
+
+    return null;
+}
+
+// Convert a path or query string to the rule's type. Numbers and booleans
+// that don't parse are left as strings for checkValue to report.
+function coerceValue(rule, raw) {
+    if (Array.isArray(raw)) {
+        // ?a=1&a=2: the last one wins, except for lists
+        return rule.type === 'list' ? raw.flatMap(item => coerceValue(rule, item)) : coerceValue(rule, raw[raw.length - 1]);
+    }
+    const text = String(raw).trim();
+
+    switch (rule.type) {
+        case 'integer':
+        case 'number': {
+            const value = Number(text);
+            return text !== '' && Number.isFinite(value) ? value : text;
+        }
+        case 'boolean':
+            if (TRUE_VALUES.includes(text.toLowerCase())) return true;
+            if (FALSE_VALUES.includes(text.toLowerCase())) return false;
+            return text;
+        case 'timestamp': {
+            const time = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T23:59:59.999Z` : text);
+            return Number.isNaN(time) ? text : new Date(time).toISOString();
+        }
+        case 'list':
+            return text.split(',').map(item => item.trim()).filter(Boolean);
+        default:
+            return text;
+    }
+}
+
+// Validate an object against a schema. Returns { value, errors }, where
+// errors are { field, message } and value is null if there are any.
+//
+// options:
+//   partial      - only check the fields given (PATCH); no required fields
+//                  or defaults
+//   coerce       - input is strings (path or query) to convert first; blank
+//                  values count as left out
+//   allowUnknown - ignore fields the schema doesn't list, rather than
+//                  rejecting them
+function validateObject(schema, input, { partial = false, coerce = false, allowUnknown = false } = {}) {
+    const errors = [];
+    const value = {};
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { value: null, errors: [{ field: null, message: 'Request body must be a JSON object' }] };
+    }
+
+    if (!allowUnknown) {
+        for (const key of Object.keys(input)) {
+            if (!schema[key]) {
+                errors.push({ field: key, message: `Unknown field ${key}` });
+            }
+        }
+    }
+
+    for (const [field, rule] of Object.entries(schema)) {
+        let given = input[field];
+        if (coerce && given !== undefined) {
+            given = given === '' ? undefined : coerceValue(rule, given);
+        }
+
+        if (given === undefined) {
+            if (!partial && rule.required) {
+                errors.push({ field, message: `${field} is required` });
+            } else if (!partial && 'default' in rule) {
+                value[field] = rule.default;
+            }
+            continue;
+        }
+
+        if (typeof given === 'string') {
+            given = given.trim();
+            if (rule.normalize && rule.type === 'string') {
+                given = rule.normalize(given);
+            }
+        }
+
+        const error = checkValue(field, rule, given);
+        if (error) {
+            errors.push({ field, message: error });
+        } else {
+            value[field] = given;
+        }
+    }
+
+    return { value: errors.length > 0 ? null : value, errors };
+}
+
+// Answer 400 for request problems found at `location` (path, query or body)
+function invalidRequest(res, location, errors) {
+    return sendError(res, 400, 'Invalid request', { details: errors.map(error => ({ ...error, in: location })) });
+}
+
+// Route middleware checking path parameters, the query string and the JSON
+// body against schemas. The checked values go to req.valid; problems are
+// answered with a 400 listing each one. The schemas, with `summary` and
+// `description`, also make up the route's entry in the OpenAPI spec. Routes
+// that check their own body can describe it with `rawBody`, and file uploads
+// with `upload: { field, description }`.
+//
+// Query strings may carry parameters the schema doesn't list; bodies may
+// not. PATCH bodies are checked as partial updates.
+function validateRequest(spec) {
+    const middleware = (req, res, next) => {
+        const details = [];
+        const valid = { params: {}, query: {}, body: {} };
+
+        for (const location of ['params', 'query', 'body']) {
+            const schema = spec[location];
+            if (!schema) continue;
+            const { value, errors } = validateObject(schema, req[location] || {}, {
+                coerce: location !== 'body',
+                allowUnknown: location !== 'body',
+                partial: location === 'body' && req.method === 'PATCH'
+            });
+            valid[location] = value;
+            const where = location === 'params' ? 'path' : location;
+            errors.forEach(error => details.push({ ...error, in: where }));
+        }
+
+        if (details.length > 0) {
+            return sendError(res, 400, 'Invalid request', { details });
+        }
+        req.valid = valid;
+        next();
+    };
+    middleware.spec = spec;
+    return middleware;
+}
+
+module.exports = {
+    checkValue,
+    coerceValue,
+    validateObject,
+    invalidRequest,
+    validateRequest
+};
@@ -0,0 +1,109 @@
+const geolib = require('geolib');
+
+const METERS_PER_MILE = 1609.34;
+
+// Uniform lat/lng grid index. Points are bucketed into fixed-size cells so
+// radius and bounding-box queries only look at nearby cells instead of
+// scanning every point.
+class GridIndex {
+    constructor({ cellSizeDegrees = 0.1 } = {}) {
+        this.cellSize = cellSizeDegrees;
+        this.cells = new Map(); // key: "row:col", value: Map of id -> entry
+        this.entries = new Map(); // key: id, value: { id, latitude, longitude, item, cell }
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    cellCoords(latitude, longitude) {
+        return [Math.floor(latitude / this.cellSize), Math.floor(longitude / this.cellSize)];
+    }
+
+    insert(id, latitude, longitude, item) {
+        this.remove(id);
+
+        const [row, col] = this.cellCoords(latitude, longitude);
+        const cell = `${row}:${col}`;
+        const entry = { id, latitude, longitude, item, cell };
+
+        if (!this.cells.has(cell)) {
+            this.cells.set(cell, new Map());
+        }
+        this.cells.get(cell).set(id, entry);
+        this.entries.set(id, entry);
+    }
+
+    remove(id) {
+        const entry = this.entries.get(id);
+        if (!entry) {
+            return false;
+        }
+
+        const bucket = this.cells.get(entry.cell);
+        bucket.delete(id);
+        if (bucket.size === 0) {
+            this.cells.delete(entry.cell);
+        }
+        this.entries.delete(id);
+        return true;
+    }
+
+    clear() {
+        this.cells.clear();
+        this.entries.clear();
+    }
+
+    // All entries whose point lies inside the box (inclusive)
+    queryBBox(minLat, minLng, maxLat, maxLng) {
+        const [minRow, minCol] = this.cellCoords(minLat, minLng);
+        const [maxRow, maxCol] = this.cellCoords(maxLat, maxLng);
+        const inBox = entry => entry.latitude >= minLat && entry.latitude <= maxLat
+            && entry.longitude >= minLng && entry.longitude <= maxLng;
+
+        const results = [];
+        const cellCount = (maxRow - minRow + 1) * (maxCol - minCol + 1);
+
+        // For very large boxes it is cheaper to walk the occupied cells
+        if (cellCount > this.cells.size) {
+            for (const bucket of this.cells.values()) {
+                for (const entry of bucket.values()) {
+                    if (inBox(entry)) results.push(entry);
+                }
+            }
+            return results;
+        }
+
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                const bucket = this.cells.get(`${row}:${col}`);
+                if (!bucket) continue;
+                for (const entry of bucket.values()) {
+                    if (inBox(entry)) results.push(entry);
+                }
+            }
+        }
+        return results;
+    }
+
+    // Entries within radiusMiles of a point, nearest first, with distance_miles
+    queryRadius(latitude, longitude, radiusMiles) {
+        const [southWest, northEast] = geolib.getBoundsOfDistance(
+            { latitude, longitude },
+            radiusMiles * METERS_PER_MILE
+        );
+
+        return this.queryBBox(southWest.latitude, southWest.longitude, northEast.latitude, northEast.longitude)
+            .map(entry => ({
+                ...entry,
+                distance_miles: geolib.getDistance({ latitude, longitude }, entry, 1) / METERS_PER_MILE
+            }))
+            .filter(entry => entry.distance_miles <= radiusMiles)
+            .sort((a, b) => a.distance_miles - b.distance_miles);
+    }
+}
+
+module.exports = {
+    GridIndex,
+    METERS_PER_MILE
+};
@@ -0,0 +1,231 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// A named set of records inside a store. Behaves like a Map, but tells the
+// owning store whenever it changes so the store can persist. `version` goes
+// up on every change, so derived data (indexes) can tell when it is stale.
+class Collection {
+    constructor(name, onChange) {
+        this.name = name;
+        this.records = new Map();
+        this.onChange = onChange;
+        this.version = 0;
+    }
+
+    get size() {
+        return this.records.size;
+    }
+
+    has(key) {
+        return this.records.has(key);
+    }
+
+    get(key) {
+        return this.records.get(key);
+    }
+
+    set(key, value) {
+        this.records.set(key, value);
+        this.version++;
+        this.onChange(this.name);
+        return this;
+    }
+
+    delete(key) {
+        const deleted = this.records.delete(key);
+        if (deleted) {
+            this.version++;
+            this.onChange(this.name);
+        }
+        return deleted;
+    }
+
+    clear() {
+        this.records.clear();
+        this.version++;
+        this.onChange(this.name);
+    }
+
+    keys() {
+        return this.records.keys();
+    }
+
+    values() {
+        return this.records.values();
+    }
+
+    entries() {
+        return this.records.entries();
+    }
+}
+
+// Volatile store: keeps everything in process memory. Used when persistence
+// is explicitly disabled (STORAGE_DRIVER=memory).
+class MemoryStore {
+    constructor() {
+        this.driver = 'memory';
+        this.collections = new Map();
+    }
+
+    collection(name) {
+        if (!this.collections.has(name)) {
+            this.collections.set(name, new Collection(name, () => this.markDirty()));
+        }
+        return this.collections.get(name);
+    }
+
+    markDirty() {}
+
+    async load() {}
+
+    async flush() {}
+
+    async close() {}
+
+    // Whether the store can keep data, for the readiness check
+    async check() {
+        return { detail: 'data is kept in memory only' };
+    }
+
+    toJSON() {
+        const snapshot = {};
+        for (const [name, collection] of this.collections.entries()) {
+            snapshot[name] = Array.from(collection.entries());
+        }
+        return snapshot;
+    }
+}
+
+// File-backed store: the whole dataset lives in memory and is written to a
+// single JSON file. Writes go to a temp file that is fsynced and renamed over
+// the target, so a crash mid-write leaves either the old or the new file on
+// disk, never a truncated one.
+class JsonFileStore extends MemoryStore {
+    constructor({ filePath, flushDelayMs = 250 }) {
+        super();
+        this.driver = 'json';
+        this.filePath = path.resolve(filePath);
+        this.flushDelayMs = flushDelayMs;
+        this.flushTimer = null;
+        this.writing = null;
+        this.dirty = false;
+    }
+
+    async load() {
+        let raw;
+        try {
+            raw = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return; // First run - nothing stored yet
+            }
+            throw error;
+        }
+
+        // Refuse to start on a corrupt file rather than silently overwriting it
+        let data;
+        try {
+            data = JSON.parse(raw);
+        } catch (error) {
+            throw new Error(`Data file ${this.filePath} is not valid JSON: ${error.message}`);
+        }
+
+        for (const [name, entries] of Object.entries(data.collections || {})) {
+            const collection = this.collection(name);
+            for (const [key, value] of entries) {
+                collection.records.set(key, value);
+            }
+            collection.version++;
+        }
+    }
+
+    markDirty() {
+        this.dirty = true;
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => {
+                this.flushTimer = null;
+                this.flush().catch(error => logger.error('Storage flush error', { error, file: this.filePath }));
+            }, this.flushDelayMs);
+        }
+    }
+
+    // Persist pending changes. Concurrent callers share the in-flight write and
+    // anything changed meanwhile is picked up by a follow-up write.
+    async flush() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+
+        while (this.writing || this.dirty) {
+            if (this.writing) {
+                await this.writing;
+                continue;
+            }
+            this.dirty = false;
+            this.writing = this.writeSnapshot().finally(() => {
+                this.writing = null;
+            });
+            try {
+                await this.writing;
+            } catch (error) {
+                this.dirty = true;
+                throw error;
+            }
+        }
+    }
+
+    async writeSnapshot() {
+        const payload = JSON.stringify({
+            saved_at: new Date().toISOString(),
+            collections: this.toJSON()
+        });
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        const handle = await fs.promises.open(tmpPath, 'w');
+        try {
+            await handle.writeFile(payload, 'utf8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.promises.rename(tmpPath, this.filePath);
+    }
+
+    async close() {
+        await this.flush();
+    }
+
+    // Pending changes must be writable and the data directory too
+    async check() {
+        await this.flush();
+        await fs.promises.access(path.dirname(this.filePath), fs.constants.W_OK);
+        return { detail: this.filePath };
+    }
+}
+
+// Pick a storage driver from configuration (defaults to the JSON file store)
+function createStore(options = {}) {
+    const driver = options.driver || process.env.STORAGE_DRIVER || 'json';
+
+    switch (driver) {
+        case 'memory':
+            return new MemoryStore();
+        case 'json':
+            return new JsonFileStore({
+                filePath: options.filePath || process.env.DATA_FILE || path.join('data', 'shopwindow.json'),
+                flushDelayMs: options.flushDelayMs
+            });
+        default:
+            throw new Error(`Unknown storage driver: ${driver}`);
+    }
+}
+
+module.exports = {
+    Collection,
+    MemoryStore,
+    JsonFileStore,
+    createStore
+};
@@ -0,0 +1,145 @@
+const turf = require('@turf/turf');
+const { VARIABLES, isCountVariable } = require('./demographics');
+
+// Trade area helpers: ring parsing, ring-over-ring deltas, portfolio
+// rankings and custom polygon trade areas.
+
+const DEFAULT_RINGS = [1, 3, 5];
+const MAX_RINGS = 6;
+const MAX_RING_MILES = 25;
+
+// Metrics each center is ranked on within the portfolio (higher ranks first),
+// when its profile includes them
+const RANKED_METRICS = [
+    'total_population',
+    'total_households',
+    'daytime_population',
+    'median_household_income',
+    'per_capita_income',
+    'bachelors_degree_percent',
+    'households_200k_percent'
+];
+
+// Parse "1,3,5" into sorted, de-duplicated ring radii. Returns
+// { rings } or { error }.
+function parseRings(value) {
+    if (value === undefined || value === '') {
+        return { rings: DEFAULT_RINGS };
+    }
+
+    const rings = String(value).split(',').map(part => parseFloat(part.trim()));
+    if (rings.some(ring => isNaN(ring) || ring <= 0 || ring > MAX_RING_MILES)) {
+        return { error: `rings must be comma-separated radii between 0 and ${MAX_RING_MILES} miles` };
+    }
+
+    const unique = Array.from(new Set(rings)).sort((a, b) => a - b);
+    if (unique.length > MAX_RINGS) {
+        return { error: `At most ${MAX_RINGS} rings can be requested` };
+    }
+    return { rings: unique };
+}
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Changes from each ring to the next larger one, for every variable in the
+// ring demographics. For counts the change is the figure for the annulus
+// between the rings; for medians and ratios it is the change in the value.
+function ringDeltas(ringResults) {
+    const deltas = [];
+
+    for (let i = 1; i < ringResults.length; i++) {
+        const inner = ringResults[i - 1];
+        const outer = ringResults[i];
+        const changes = {};
+        const metrics = Object.keys(inner.demographics).filter(name => VARIABLES[name] !== undefined);
+        metrics.sort((a, b) => isCountVariable(b) - isCountVariable(a));
+
+        for (const metric of metrics) {
+            const absolute = outer.demographics[metric] - inner.demographics[metric];
+            changes[metric] = {
+                absolute: round(absolute, 2),
+                percent: inner.demographics[metric] ? round((absolute / inner.demographics[metric]) * 100) : null
+            };
+        }
+
+        deltas.push({ from_radius: inner.radius, to_radius: outer.radius, changes });
+    }
+
+    return deltas;
+}
+
+// Rank one center's ring demographics against the same ring for every center
+// in the portfolio. `portfolio` is a list of demographics objects for that
+// ring, including the subject's own.
+function rankAgainstPortfolio(subject, portfolio) {
+    const rankings = {};
+
+    for (const metric of RANKED_METRICS.filter(name => typeof subject[name] === 'number')) {
+        const values = portfolio.map(demographics => demographics[metric]).filter(value => typeof value === 'number');
+        const higher = values.filter(value => value > subject[metric]).length;
+        // Other centers the subject matches or beats (it is in `values` itself)
+        const atOrBelow = values.filter(value => value <= subject[metric]).length - 1;
+
+        rankings[metric] = {
+            rank: higher + 1,
+            of: values.length,
+            percentile: values.length > 1 ? round((atOrBelow / (values.length - 1)) * 100, 0) : 100
+        };
+    }
+
+    return rankings;
+}
+
+// Accept a GeoJSON Polygon/MultiPolygon geometry, Feature, or a
+// FeatureCollection of polygons, and return a single polygon feature.
+// Returns { area } or { error }.
+function parseTradeAreaGeometry(body) {
+    if (!body || typeof body !== 'object') {
+        return { error: 'Request body must be a GeoJSON Polygon, MultiPolygon, Feature or FeatureCollection' };
+    }
+
+    let polygons;
+    if (body.type === 'FeatureCollection') {
+        polygons = (body.features || []).map(feature => feature && feature.geometry);
+    } else if (body.type === 'Feature') {
+        polygons = [body.geometry];
+    } else {
+        polygons = [body];
+    }
+
+    if (polygons.length === 0 || polygons.some(geometry => !geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type))) {
+        return { error: 'Trade area must be made of Polygon or MultiPolygon geometries' };
+    }
+
+    try {
+        let area = turf.feature(polygons[0]);
+        for (const geometry of polygons.slice(1)) {
+            area = turf.union(area, turf.feature(geometry));
+        }
+
+        const invalid = turf.getCoords(area).flat(area.geometry.type === 'MultiPolygon' ? 2 : 1)
+            .some(([lng, lat]) => !(lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180));
+        if (invalid) {
+            return { error: 'Trade area coordinates must be [longitude, latitude] pairs' };
+        }
+
+        const areaSqMiles = turf.area(area) / 2589988.11;
+        if (areaSqMiles > Math.PI * MAX_RING_MILES * MAX_RING_MILES) {
+            return { error: `Trade area cannot be larger than a ${MAX_RING_MILES}-mile radius` };
+        }
+
+        return { area, areaSqMiles };
+    } catch (error) {
+        return { error: `Invalid trade area geometry: ${error.message}` };
+    }
+}
+
+module.exports = {
+    DEFAULT_RINGS,
+    MAX_RING_MILES,
+    RANKED_METRICS,
+    parseRings,
+    ringDeltas,
+    rankAgainstPortfolio,
+    parseTradeAreaGeometry
+};
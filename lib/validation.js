@@ -0,0 +1,96 @@
+const { SPACE_TYPES } = require('./occupancy');
+const { RENT_UNITS, ESCALATION_TYPES, LEASE_TYPES } = require('./leases');
+
+// Field schemas for shopping center and tenant space records (see schema.js
+// for the rule format). The field set mirrors the CSV import record shape so
+// API-created records look the same as imported ones; the API checks request
+// bodies against these and the CSV importer checks its rows against them.
+
+// US states, DC and the territories, as USPS codes
+const STATE_CODES = [
+    'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS', 'KY',
+    'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC', 'ND',
+    'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY',
+    'DC', 'PR', 'VI', 'GU', 'AS', 'MP'
+];
+
+// State for centers given none, unless their workspace has another default
+// (see workspaces.js)
+const DEFAULT_STATE = 'PA';
+
+const MAX_TEXT_LENGTH = 500;
+
+const text = (extra = {}) => ({ type: 'string', maxLength: MAX_TEXT_LENGTH, default: '', ...extra });
+
+// Defaults are applied to fields left out of a create/replace, matching what
+// the CSV importer fills in
+const CENTER_FIELDS = {
+    name: { type: 'string', required: true, maxLength: MAX_TEXT_LENGTH },
+    address_street: text(),
+    address_city: text(),
+    // No default here: a center created without one gets its workspace's
+    // default_state
+    address_state: {
+        type: 'string',
+        maxLength: MAX_TEXT_LENGTH,
+        enum: STATE_CODES,
+        message: 'must be a US state or territory code',
+        normalize: value => value.toUpperCase(),
+        description: `Two-letter USPS state code; the workspace's default_state when left out`
+    },
+    address_zip: text({ pattern: /^\d{5}(-\d{4})?$/, message: 'must be a 5 or 9 digit ZIP code' }),
+    county: text(),
+    municipality: text(),
+    owner: text(),
+    property_manager: text(),
+    total_gla: { type: 'integer', min: 0, nullable: true, default: null, description: 'Gross leasable area, sf' },
+    center_type: text({ default: 'Not specified' }),
+    latitude: { type: 'number', min: -90, max: 90, nullable: true, default: null },
+    longitude: { type: 'number', min: -180, max: 180, nullable: true, default: null },
+    google_place_id: { type: 'string', nullable: true, default: null }
+};
+
+const TENANT_FIELDS = {
+    tenant_name: { type: 'string', required: true, maxLength: MAX_TEXT_LENGTH, description: '"Vacant" for an empty space' },
+    tenant_suite_number: text(),
+    square_footage: { type: 'integer', min: 0, nullable: true, default: null },
+    retail_category: { type: 'string', maxLength: MAX_TEXT_LENGTH, nullable: true, default: null },
+    space_type: { type: 'string', nullable: true, default: null, enum: SPACE_TYPES },
+    base_rent: { type: 'number', min: 0, default: 0, description: 'Current rent, in rent_unit' },
+    rent_unit: { type: 'string', enum: RENT_UNITS, default: 'per_sf_year' },
+    lease_start: { type: 'date', nullable: true, default: null },
+    lease_end: { type: 'date', nullable: true, default: null },
+    escalation_type: { type: 'string', enum: ESCALATION_TYPES, default: 'none' },
+    escalation_value: { type: 'number', min: 0, nullable: true, default: null },
+    escalation_frequency_months: { type: 'integer', min: 1, nullable: true, default: null },
+    renewal_options: { type: 'integer', min: 0, nullable: true, default: null },
+    renewal_option_years: { type: 'number', min: 0, nullable: true, default: null },
+    lease_type: { type: 'string', nullable: true, default: null, enum: LEASE_TYPES },
+    cam_per_sf: { type: 'number', min: 0, nullable: true, default: null },
+    taxes_per_sf: { type: 'number', min: 0, nullable: true, default: null },
+    insurance_per_sf: { type: 'number', min: 0, nullable: true, default: null }
+};
+
+// Hand-entered coordinates for a center: both are required and non-null
+const COORDINATE_FIELDS = {
+    latitude: { type: 'number', min: -90, max: 90, required: true },
+    longitude: { type: 'number', min: -180, max: 180, required: true }
+};
+
+// A lease can't end before it starts. `space` is the space as it will be
+// stored, so a PATCH to one date is checked against the other.
+function leaseDateErrors(space) {
+    if (space.lease_start && space.lease_end && space.lease_end < space.lease_start) {
+        return [{ field: 'lease_end', message: 'lease_end cannot be before lease_start' }];
+    }
+    return [];
+}
+
+module.exports = {
+    STATE_CODES,
+    DEFAULT_STATE,
+    CENTER_FIELDS,
+    TENANT_FIELDS,
+    COORDINATE_FIELDS,
+    leaseDateErrors
+};
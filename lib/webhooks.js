@@ -0,0 +1,395 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { EVENT_TYPES } = require('./events');
+const { slugify } = require('./brands');
+const { createLimiter } = require('./census-client');
+const { logger } = require('./logger');
+
+// Webhook subscriptions: outside systems (CRM, leasing tools) get portfolio
+// events (see events.js) POSTed to a URL of theirs as they happen.
+//
+// A subscription can narrow what it gets by event type, center, county and
+// brand; each filter left empty lets everything through, and an event must
+// pass all of them. Every request body is signed with the subscription's
+// secret, so receivers can check it came from us:
+//
+//   X-ShopWindow-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+//
+// Failed deliveries (network errors, timeouts, 408, 429 and 5xx answers) are
+// retried with exponential backoff; other answers fail the delivery at once.
+// Each subscription gets at most `maxConcurrent` requests at a time; the rest
+// wait their turn.
+// Every delivery and its attempts are kept in the `webhook_deliveries`
+// collection, which is the delivery log. It can live in a store of its own,
+// so that busy imports don't grow the main data file. Deliveries still
+// pending when the process stops are picked up again by resume().
+
+const SIGNATURE_HEADER = 'X-ShopWindow-Signature';
+
+// Signatures older than this are refused by verifySignature
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Finished deliveries kept in the store. The oldest are pruned once this
+// many more have finished.
+const MAX_FINISHED_DELIVERIES = 5000;
+const PRUNE_BATCH = 500;
+
+// Response body kept per attempt, for the log
+const MAX_RESPONSE_EXCERPT = 500;
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// Subscription request body (see schema.js). Filters are lists; brands are
+// given as slugs or names.
+const WEBHOOK_FIELDS = {
+    url: { type: 'string', required: true, maxLength: 2000, pattern: /^https?:\/\/\S+$/i, message: 'must be an http or https URL' },
+    description: { type: 'string', maxLength: 500 },
+    events: { type: 'list', enum: EVENT_TYPES, default: [], description: 'Event types to send; every type when empty' },
+    workspaces: { type: 'list', default: [], description: 'Only events in these workspaces' },
+    shopping_center_ids: { type: 'list', default: [], description: 'Only events for these centers' },
+    counties: { type: 'list', default: [], description: 'Only events for centers in these counties' },
+    brands: { type: 'list', default: [], description: 'Only events for spaces of these brands' },
+    active: { type: 'boolean', default: true, description: 'Inactive subscriptions get no events' }
+};
+
+const lower = value => String(value ?? '').toLowerCase().trim();
+
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Header value for a body sent now
+function signatureHeader(secret, body, now = Date.now()) {
+    const timestamp = Math.floor(now / 1000);
+    return `t=${timestamp},v1=${signPayload(secret, timestamp, body)}`;
+}
+
+// Whether a signature header is valid for a body, for receivers (and tests)
+function verifySignature(secret, header, body, { now = Date.now(), toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS } = {}) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.trim().split('=')));
+    const timestamp = Number(parts.t);
+    if (!Number.isInteger(timestamp) || !parts.v1 || Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+        return false;
+    }
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const given = Buffer.from(parts.v1);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Whether an event passes a subscription's filters
+function matchesWebhook(webhook, event) {
+    if (!webhook.active) return false;
+    if (webhook.events.length > 0 && !webhook.events.includes(event.type)) return false;
+    // Subscriptions from before workspaces have no workspace filter
+    const workspaces = webhook.workspaces || [];
+    if (workspaces.length > 0 && !workspaces.includes(event.workspace_id)) return false;
+    if (webhook.shopping_center_ids.length > 0 && !webhook.shopping_center_ids.includes(event.shopping_center_id)) return false;
+    if (webhook.counties.length > 0 && !webhook.counties.some(county => event.county && lower(county) === lower(event.county))) return false;
+    if (webhook.brands.length > 0 && !webhook.brands.includes(event.brand)) return false;
+    return true;
+}
+
+function isRetryable(statusCode) {
+    return statusCode === null || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+// Delivery record without the payload, for the log listing
+function summarizeDelivery(delivery) {
+    const { payload, ...summary } = delivery;
+    return summary;
+}
+
+// options (read from the environment by default):
+//   store       - where subscriptions are kept
+//   deliveryStore - where deliveries are kept (default: store)
+//   events      - event bus to subscribe to
+//   maxAttempts - attempts per delivery (WEBHOOK_MAX_ATTEMPTS, default 6)
+//   retryBaseMs - wait before the first retry, doubled after each one
+//                 (WEBHOOK_RETRY_BASE_MS, default 30 seconds)
+//   timeoutMs   - how long a receiver has to answer (WEBHOOK_TIMEOUT_MS,
+//                 default 10 seconds)
+//   maxConcurrent - requests in flight per subscription
+//                 (WEBHOOK_MAX_CONCURRENT, default 4)
+function createWebhookManager({ store, deliveryStore = store, events, ...options }) {
+    const webhooks = store.collection('webhooks'); // key: webhook id
+    const deliveries = deliveryStore.collection('webhook_deliveries'); // key: delivery id
+    const maxAttempts = options.maxAttempts || parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+    const retryBaseMs = options.retryBaseMs ?? (parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30000);
+    const timeoutMs = options.timeoutMs || parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+    const maxConcurrent = options.maxConcurrent || parseInt(process.env.WEBHOOK_MAX_CONCURRENT, 10) || 4;
+
+    const timers = new Map(); // delivery id -> pending attempt
+    const limiters = new Map(); // webhook id -> limiter for its requests
+    let finishedCount = null; // counted on first use, after the store has loaded
+    let closed = false;
+
+    // Subscription record without its secret, for responses
+    function publicWebhook(record) {
+        const { secret, ...rest } = record;
+        return rest;
+    }
+
+    function normalizeFilters(fields) {
+        const filters = { ...fields };
+        if (filters.brands) {
+            filters.brands = Array.from(new Set(filters.brands.map(slugify)));
+        }
+        return filters;
+    }
+
+    function updateDelivery(id, changes) {
+        const delivery = { ...deliveries.get(id), ...changes };
+        deliveries.set(id, delivery);
+        return delivery;
+    }
+
+    // Count a finished delivery, and once PRUNE_BATCH too many have finished
+    // drop the oldest
+    function pruneFinished() {
+        if (finishedCount === null) {
+            finishedCount = Array.from(deliveries.values()).filter(delivery => delivery.status !== 'pending').length;
+        } else {
+            finishedCount++;
+        }
+        if (finishedCount < MAX_FINISHED_DELIVERIES + PRUNE_BATCH) return;
+
+        const finished = Array.from(deliveries.values()).filter(delivery => delivery.status !== 'pending');
+        finished.sort((a, b) => b.created_at.localeCompare(a.created_at));
+        for (const delivery of finished.slice(MAX_FINISHED_DELIVERIES)) {
+            deliveries.delete(delivery.id);
+        }
+        finishedCount = Math.min(finished.length, MAX_FINISHED_DELIVERIES);
+    }
+
+    function limiterFor(webhookId) {
+        if (!limiters.has(webhookId)) {
+            limiters.set(webhookId, createLimiter(maxConcurrent));
+        }
+        return limiters.get(webhookId);
+    }
+
+    function schedule(id, delayMs) {
+        if (closed) return;
+        clearTimeout(timers.get(id));
+        const timer = setTimeout(() => {
+            timers.delete(id);
+            const delivery = deliveries.get(id);
+            if (!delivery) return;
+            limiterFor(delivery.webhook_id)(() => attempt(id))
+                .catch(error => logger.error('Webhook delivery error', { delivery_id: id, error }));
+        }, Math.max(0, delayMs));
+        timer.unref();
+        timers.set(id, timer);
+    }
+
+    // POST the payload once and record how it went
+    async function attempt(id) {
+        const delivery = deliveries.get(id);
+        const webhook = delivery && webhooks.get(delivery.webhook_id);
+        // Closed while waiting its turn: left pending for resume()
+        if (closed || !delivery || delivery.status !== 'pending') return;
+        if (!webhook) {
+            updateDelivery(id, { status: 'failed', next_attempt_at: null, completed_at: new Date().toISOString(), error: 'Webhook was deleted' });
+            return;
+        }
+
+        const body = JSON.stringify(delivery.payload);
+        const started = Date.now();
+        const record = { number: delivery.attempts.length + 1, attempted_at: new Date(started).toISOString(), status_code: null, error: null, duration_ms: null, response_excerpt: null };
+
+        // The receiver has timeoutMs to answer, body included
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+        try {
+            const fetch = await import('node-fetch').then(mod => mod.default);
+            const response = await fetch(delivery.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'ShopWindow-Webhooks',
+                    'X-ShopWindow-Event': delivery.event_type,
+                    'X-ShopWindow-Delivery': delivery.id,
+                    [SIGNATURE_HEADER]: signatureHeader(webhook.secret, body, started)
+                },
+                body,
+                signal: controller.signal
+            });
+            record.status_code = response.status;
+            record.response_excerpt = (await response.text()).slice(0, MAX_RESPONSE_EXCERPT);
+            if (!response.ok) {
+                record.error = `Receiver answered ${response.status}`;
+            }
+        } catch (error) {
+            record.error = error.name === 'AbortError' ? `No answer within ${timeoutMs} ms` : error.message;
+        } finally {
+            clearTimeout(timer);
+        }
+        record.duration_ms = Date.now() - started;
+
+        const attempts = [...delivery.attempts, record];
+        const succeeded = record.error === null;
+        const retry = !succeeded && isRetryable(record.status_code) && attempts.length < maxAttempts;
+
+        if (retry) {
+            const delayMs = retryBaseMs * 2 ** (attempts.length - 1);
+            updateDelivery(id, { attempts, next_attempt_at: new Date(Date.now() + delayMs).toISOString(), error: record.error });
+            schedule(id, delayMs);
+            return;
+        }
+
+        updateDelivery(id, {
+            attempts,
+            status: succeeded ? 'succeeded' : 'failed',
+            next_attempt_at: null,
+            completed_at: new Date().toISOString(),
+            error: record.error
+        });
+        pruneFinished();
+    }
+
+    // Queue a payload for one subscription
+    function enqueue(webhook, payload) {
+        const delivery = {
+            id: uuidv4(),
+            webhook_id: webhook.id,
+            event_id: payload.id,
+            event_type: payload.type,
+            url: webhook.url,
+            status: 'pending',
+            created_at: new Date().toISOString(),
+            next_attempt_at: new Date().toISOString(),
+            completed_at: null,
+            error: null,
+            attempts: [],
+            payload
+        };
+        deliveries.set(delivery.id, delivery);
+        schedule(delivery.id, 0);
+        return delivery;
+    }
+
+    const unsubscribe = events.subscribe(event => {
+        for (const webhook of webhooks.values()) {
+            if (matchesWebhook(webhook, event)) {
+                enqueue(webhook, event);
+            }
+        }
+    });
+
+    return {
+        publicWebhook,
+
+        list() {
+            return Array.from(webhooks.values())
+                .sort((a, b) => a.created_at.localeCompare(b.created_at))
+                .map(publicWebhook);
+        },
+
+        get(id) {
+            return webhooks.get(id) || null;
+        },
+
+        // Create a subscription. Its signing secret is returned here and never again.
+        create(fields, { createdBy = null } = {}) {
+            const record = {
+                id: uuidv4(),
+                ...normalizeFilters(fields),
+                secret: `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+                created_at: new Date().toISOString(),
+                created_by: createdBy,
+                updated_at: null
+            };
+            webhooks.set(record.id, record);
+            return record;
+        },
+
+        update(id, changes) {
+            const record = webhooks.get(id);
+            if (!record) {
+                return null;
+            }
+            const updated = { ...record, ...normalizeFilters(changes), updated_at: new Date().toISOString() };
+            webhooks.set(id, updated);
+            return publicWebhook(updated);
+        },
+
+        // Delete a subscription. Its pending deliveries fail when they come up;
+        // the log is kept.
+        remove(id) {
+            const record = webhooks.get(id);
+            if (!record) {
+                return null;
+            }
+            webhooks.delete(id);
+            limiters.delete(id);
+            return publicWebhook(record);
+        },
+
+        // Send a test event to one subscription, whatever its filters
+        ping(webhook) {
+            return enqueue(webhook, {
+                id: uuidv4(),
+                type: 'webhook.ping',
+                occurred_at: new Date().toISOString(),
+                workspace_id: null,
+                shopping_center_id: null,
+                shopping_center_name: null,
+                county: null,
+                brand: null,
+                actor: null,
+                source: { type: 'system' },
+                data: { webhook_id: webhook.id }
+            });
+        },
+
+        // A subscription's deliveries, newest first
+        deliveries(webhookId, { status = null, eventType = null } = {}) {
+            return Array.from(deliveries.values())
+                .filter(delivery => delivery.webhook_id === webhookId
+                    && (!status || delivery.status === status)
+                    && (!eventType || delivery.event_type === eventType))
+                .sort((a, b) => b.created_at.localeCompare(a.created_at));
+        },
+
+        getDelivery(id) {
+            return deliveries.get(id) || null;
+        },
+
+        // Send a past delivery's payload again, as a new delivery
+        redeliver(webhook, delivery) {
+            return enqueue(webhook, delivery.payload);
+        },
+
+        // Schedule deliveries left pending by a previous run
+        resume() {
+            let resumed = 0;
+            for (const delivery of deliveries.values()) {
+                if (delivery.status !== 'pending') continue;
+                schedule(delivery.id, Date.parse(delivery.next_attempt_at) - Date.now());
+                resumed++;
+            }
+            return resumed;
+        },
+
+        // Stop sending; pending deliveries stay pending for resume()
+        close() {
+            closed = true;
+            unsubscribe();
+            for (const timer of timers.values()) {
+                clearTimeout(timer);
+            }
+            timers.clear();
+        }
+    };
+}
+
+module.exports = {
+    SIGNATURE_HEADER,
+    DELIVERY_STATUSES,
+    WEBHOOK_FIELDS,
+    signatureHeader,
+    verifySignature,
+    matchesWebhook,
+    summarizeDelivery,
+    createWebhookManager
+};
@@ -0,0 +1,216 @@
+const { STATE_CODES, DEFAULT_STATE } = require('./validation');
+
+// Workspaces keep each client's data apart. Every workspace has its own
+// centers, spaces, brands, audit log, import jobs, column mappings and
+// hand-entered coordinates, in collections of its own: its services see the
+// store through scopedStore(), which prefixes collection names with the
+// workspace id. The default workspace uses the plain names, so data from
+// before workspaces is its data and needs no migration.
+//
+// API keys, webhooks and the geocode and Census caches are shared by all
+// workspaces. The geocode cache only holds provider results.
+
+const DEFAULT_WORKSPACE_ID = 'default';
+
+// Collections a workspace's services keep their records in
+const WORKSPACE_COLLECTIONS = [
+    'shopping_centers',
+    'tenants',
+    'audit_log',
+    'brands',
+    'brand_reviews',
+    'import_jobs',
+    'column_mappings',
+    'geocode_overrides'
+];
+
+const COPY_CONFLICTS = ['skip', 'replace'];
+
+// Per-workspace settings (see schema.js)
+const WORKSPACE_SETTINGS = {
+    default_state: {
+        type: 'string',
+        enum: STATE_CODES,
+        default: DEFAULT_STATE,
+        message: 'must be a US state or territory code',
+        normalize: value => value.toUpperCase(),
+        description: 'State given to centers created or imported without one'
+    }
+};
+
+// Workspace request bodies. The id goes in URLs and can't be changed.
+const WORKSPACE_UPDATE_FIELDS = {
+    name: { type: 'string', required: true, maxLength: 200 },
+    description: { type: 'string', maxLength: 500, default: '' },
+    settings: { type: 'object', default: {}, description: 'Workspace settings: default_state' }
+};
+
+const WORKSPACE_FIELDS = {
+    id: {
+        type: 'string',
+        required: true,
+        maxLength: 50,
+        pattern: /^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/,
+        message: 'must be lower-case letters, digits and dashes',
+        description: 'Identifier used in URLs'
+    },
+    ...WORKSPACE_UPDATE_FIELDS
+};
+
+const COPY_FIELDS = {
+    target_workspace: { type: 'string', required: true, description: 'Workspace to copy the centers into' },
+    shopping_center_ids: { type: 'list', required: true, description: 'Centers to copy' },
+    include_spaces: { type: 'boolean', default: true, description: 'Copy the tenant spaces too' },
+    on_conflict: { type: 'string', enum: COPY_CONFLICTS, default: 'skip', description: 'What to do when the target has a center of the same name' }
+};
+
+// The store as one workspace sees it
+function scopedStore(store, workspaceId) {
+    if (workspaceId === DEFAULT_WORKSPACE_ID) {
+        return store;
+    }
+
+    const prefix = `workspace:${workspaceId}:`;
+    return {
+        driver: store.driver,
+        workspaceId,
+        collection: name => store.collection(prefix + name),
+        // The shared store is loaded and closed once, by the app
+        load: async () => {},
+        flush: () => store.flush(),
+        close: async () => {}
+    };
+}
+
+// Workspace records, kept in the shared `workspaces` collection (key: id)
+function createWorkspaceRepository(store) {
+    const workspaces = store.collection('workspaces');
+
+    return {
+        list() {
+            return Array.from(workspaces.values()).sort((a, b) =>
+                (b.id === DEFAULT_WORKSPACE_ID) - (a.id === DEFAULT_WORKSPACE_ID) || a.name.localeCompare(b.name));
+        },
+
+        get(id) {
+            return workspaces.get(id) || null;
+        },
+
+        // The default workspace, created on first start
+        ensureDefault() {
+            if (!workspaces.has(DEFAULT_WORKSPACE_ID)) {
+                this.create({ id: DEFAULT_WORKSPACE_ID, name: 'Default', description: '', settings: {} });
+            }
+            return workspaces.get(DEFAULT_WORKSPACE_ID);
+        },
+
+        // `settings` must already be checked against WORKSPACE_SETTINGS
+        create({ id, name, description = '', settings = {} }, { createdBy = null } = {}) {
+            const record = {
+                id,
+                name,
+                description,
+                settings: { default_state: DEFAULT_STATE, ...settings },
+                created_at: new Date().toISOString(),
+                created_by: createdBy,
+                updated_at: null
+            };
+            workspaces.set(id, record);
+            return record;
+        },
+
+        // Settings are merged into the stored ones
+        update(id, { settings, ...changes }) {
+            const record = workspaces.get(id);
+            if (!record) {
+                return null;
+            }
+            const updated = {
+                ...record,
+                ...changes,
+                settings: { ...record.settings, ...settings },
+                updated_at: new Date().toISOString()
+            };
+            workspaces.set(id, updated);
+            return updated;
+        },
+
+        // Remove a workspace and every record in it
+        delete(id) {
+            const record = workspaces.get(id);
+            if (!record || id === DEFAULT_WORKSPACE_ID) {
+                return null;
+            }
+            const scoped = scopedStore(store, id);
+            for (const name of WORKSPACE_COLLECTIONS) {
+                scoped.collection(name).clear();
+            }
+            workspaces.delete(id);
+            return record;
+        }
+    };
+}
+
+// Copy centers, and optionally their spaces, from one workspace's repository
+// into another's. Copies get new ids and remember where they came from;
+// spaces are linked to brands in the target workspace by `resolveBrand`.
+// A center whose name is taken in the target is skipped, or with
+// `onConflict: 'replace'` overwrites the target center and its spaces.
+//
+// Returns { copied, skipped, not_found }.
+function copyCenters({ from, to, fromWorkspaceId, centerIds, includeSpaces = true, onConflict = 'skip', resolveBrand }) {
+    const result = { copied: [], skipped: [], not_found: [] };
+
+    for (const id of Array.from(new Set(centerIds))) {
+        const center = from.getCenterById(id);
+        if (!center) {
+            result.not_found.push(id);
+            continue;
+        }
+
+        const { id: sourceId, ...fields } = center;
+        const values = { ...fields, copied_from: { workspace_id: fromWorkspaceId, shopping_center_id: sourceId } };
+        let target = to.getCenterByName(center.name);
+
+        if (target && onConflict !== 'replace') {
+            result.skipped.push({ id, name: center.name, reason: 'A center of the same name exists in the target workspace', existing_id: target.id });
+            continue;
+        }
+
+        if (target) {
+            if (includeSpaces) {
+                for (const space of to.listTenantsForCenter(target)) {
+                    to.deleteTenant(target, space.id);
+                }
+            }
+            target = to.updateCenter(target.id, values);
+        } else {
+            target = to.createCenter(values);
+        }
+
+        let spaces = 0;
+        if (includeSpaces) {
+            for (const space of from.listTenantsForCenter(center)) {
+                const { id: spaceId, shopping_center_id: centerId, shopping_center_name: centerName, ...spaceFields } = space;
+                to.createTenant(target, { ...spaceFields, brand: resolveBrand(space.tenant_name) });
+                spaces++;
+            }
+        }
+
+        result.copied.push({ id, name: center.name, target_id: target.id, spaces_copied: spaces });
+    }
+
+    return result;
+}
+
+module.exports = {
+    DEFAULT_WORKSPACE_ID,
+    WORKSPACE_COLLECTIONS,
+    WORKSPACE_SETTINGS,
+    WORKSPACE_FIELDS,
+    WORKSPACE_UPDATE_FIELDS,
+    COPY_FIELDS,
+    scopedStore,
+    createWorkspaceRepository,
+    copyCenters
+};
@@ -0,0 +1,265 @@
+const zlib = require('zlib');
+const { once } = require('events');
+
+// Minimal streaming XLSX writer, enough for plain data exports: one header
+// row per sheet, string and number cells, no shared strings or formulas.
+//
+// An .xlsx file is a zip of XML parts. Entries are deflated as they are
+// written and sized in trailing data descriptors, so rows go out as they are
+// produced and no sheet is ever held in memory whole.
+
+const BATCH_SIZE = 64 * 1024;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer, previous = 0) {
+    let crc = previous ^ 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Wait until `output` takes writes again. Fails if it closes first, as a
+// response does when the client goes away.
+function drained(output) {
+    return new Promise((resolve, reject) => {
+        const onDrain = () => {
+            output.off('close', onClose);
+            resolve();
+        };
+        const onClose = () => {
+            output.off('drain', onDrain);
+            reject(new Error('Output closed before writing finished'));
+        };
+        output.once('drain', onDrain);
+        output.once('close', onClose);
+    });
+}
+
+// Zip date/time fields for a Date
+function dosTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// Write zip entries to a writable stream, waiting for it to drain
+function createZipWriter(output) {
+    const entries = [];
+    const { time, date } = dosTime(new Date());
+    let offset = 0;
+
+    async function write(buffer) {
+        offset += buffer.length;
+        if (!output.write(buffer)) {
+            await drained(output);
+        }
+    }
+
+    return {
+        // Add an entry whose content is an iterable (sync or async) of strings
+        async add(name, content) {
+            const fileName = Buffer.from(name, 'utf8');
+            const headerOffset = offset;
+
+            const header = Buffer.alloc(30);
+            header.writeUInt32LE(0x04034b50, 0);
+            header.writeUInt16LE(20, 4); // version needed
+            header.writeUInt16LE(0x0808, 6); // data descriptor follows; UTF-8 names
+            header.writeUInt16LE(8, 8); // deflate
+            header.writeUInt16LE(time, 10);
+            header.writeUInt16LE(date, 12);
+            header.writeUInt16LE(fileName.length, 26);
+            await write(Buffer.concat([header, fileName]));
+
+            let crc = 0;
+            let size = 0;
+            let compressedSize = 0;
+            const deflate = zlib.createDeflateRaw();
+            const pump = (async () => {
+                for await (const chunk of deflate) {
+                    compressedSize += chunk.length;
+                    await write(chunk);
+                }
+            })();
+            // Stop feeding the compressor if the output fails
+            pump.catch(error => deflate.destroy(error));
+
+            // Rows are small; hand them to the compressor in batches
+            let pending = '';
+            const feed = async () => {
+                const chunk = Buffer.from(pending, 'utf8');
+                pending = '';
+                crc = crc32(chunk, crc);
+                size += chunk.length;
+                if (!deflate.write(chunk)) {
+                    await once(deflate, 'drain');
+                }
+            };
+            for await (const text of content) {
+                pending += text;
+                if (pending.length >= BATCH_SIZE) {
+                    await feed();
+                }
+            }
+            if (pending) {
+                await feed();
+            }
+            deflate.end();
+            await pump;
+
+            const descriptor = Buffer.alloc(16);
+            descriptor.writeUInt32LE(0x08074b50, 0);
+            descriptor.writeUInt32LE(crc, 4);
+            descriptor.writeUInt32LE(compressedSize, 8);
+            descriptor.writeUInt32LE(size, 12);
+            await write(descriptor);
+
+            entries.push({ fileName, crc, size, compressedSize, headerOffset });
+        },
+
+        // Write the central directory
+        async finish() {
+            const directoryOffset = offset;
+            for (const entry of entries) {
+                const record = Buffer.alloc(46);
+                record.writeUInt32LE(0x02014b50, 0);
+                record.writeUInt16LE(20, 4); // version made by
+                record.writeUInt16LE(20, 6); // version needed
+                record.writeUInt16LE(0x0808, 8);
+                record.writeUInt16LE(8, 10);
+                record.writeUInt16LE(time, 12);
+                record.writeUInt16LE(date, 14);
+                record.writeUInt32LE(entry.crc, 16);
+                record.writeUInt32LE(entry.compressedSize, 20);
+                record.writeUInt32LE(entry.size, 24);
+                record.writeUInt16LE(entry.fileName.length, 28);
+                record.writeUInt32LE(entry.headerOffset, 42);
+                await write(Buffer.concat([record, entry.fileName]));
+            }
+
+            const end = Buffer.alloc(22);
+            end.writeUInt32LE(0x06054b50, 0);
+            end.writeUInt16LE(entries.length, 8);
+            end.writeUInt16LE(entries.length, 10);
+            end.writeUInt32LE(offset - directoryOffset, 12);
+            end.writeUInt32LE(directoryOffset, 16);
+            await write(end);
+        }
+    };
+}
+
+// Escape text for XML, dropping control characters XML can't carry
+function escapeXml(value) {
+    return String(value)
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Column letters for a zero-based index: 0 -> A, 26 -> AA
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function cell(value, ref, style) {
+    const styleAttr = style ? ` s="${style}"` : '';
+    if (value === null || value === undefined || value === '') {
+        return '';
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+    }
+    if (typeof value === 'boolean') {
+        return `<c r="${ref}"${styleAttr} t="b"><v>${value ? 1 : 0}</v></c>`;
+    }
+    return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function rowXml(values, rowNumber, style) {
+    const cells = values.map((value, index) => cell(value, `${columnName(index)}${rowNumber}`, style)).join('');
+    return `<row r="${rowNumber}">${cells}</row>`;
+}
+
+// Sheet XML, a row at a time. The header row is bold and frozen.
+async function* sheetXml({ columns, rows }) {
+    yield '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+        + `<sheetData>${rowXml(columns, 1, 1)}`;
+
+    let rowNumber = 1;
+    for await (const values of rows) {
+        yield rowXml(values, ++rowNumber);
+    }
+    yield '</sheetData></worksheet>';
+}
+
+function workbookParts(sheets) {
+    const sheetEntries = sheets.map((sheet, index) => ({ ...sheet, id: index + 1 }));
+    return {
+        '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+            + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+            + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+            + '<Default Extension="xml" ContentType="application/xml"/>'
+            + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+            + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+            + sheetEntries.map(({ id }) => `<Override PartName="/xl/worksheets/sheet${id}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+            + '</Types>',
+        '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+            + '</Relationships>',
+        'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+            + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+            + `<sheets>${sheetEntries.map(({ id, name }) => `<sheet name="${escapeXml(name)}" sheetId="${id}" r:id="rId${id}"/>`).join('')}</sheets>`
+            + '</workbook>',
+        'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + sheetEntries.map(({ id }) => `<Relationship Id="rId${id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${id}.xml"/>`).join('')
+            + `<Relationship Id="rId${sheetEntries.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+            + '</Relationships>',
+        // Style 0 is the default, style 1 bold (for headers)
+        'xl/styles.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+            + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+            + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+            + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+            + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+            + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+            + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+            + '</styleSheet>'
+    };
+}
+
+// Stream a workbook to `output`. Each sheet is { name, columns, rows }, where
+// rows is an iterable (sync or async) of value arrays in column order.
+async function writeWorkbook(output, sheets) {
+    const zip = createZipWriter(output);
+    for (const [name, xml] of Object.entries(workbookParts(sheets))) {
+        await zip.add(name, [xml]);
+    }
+    for (const [index, sheet] of sheets.entries()) {
+        await zip.add(`xl/worksheets/sheet${index + 1}.xml`, sheetXml(sheet));
+    }
+    await zip.finish();
+}
+
+module.exports = {
+    crc32,
+    drained,
+    writeWorkbook
+};
@@ -0,0 +1,183 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers/app');
+const { runWithAuditContext, diffRecords, createAuditLog, leasingActivity } = require('../lib/audit');
+const { MemoryStore } = require('../lib/storage');
+
+const CSV = [
+    'shopping_center_name,address_street,address_city,address_state,address_zip,tenant_name,tenant_suite_number,square_footage,base_rent,retail_category',
+    'Media Commons,1 State St,Media,PA,19063,Giant,1,50000,12,Grocery',
+    'Media Commons,1 State St,Media,PA,19063,Vacant,2,2000,,'
+].join('\n');
+
+// A moment strictly between the changes made before and after it
+async function pause() {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const now = new Date().toISOString();
+    await new Promise(resolve => setTimeout(resolve, 5));
+    return now;
+}
+
+test('diffs records field by field', () => {
+    const before = { id: 'a', tenant_name: 'Gap', base_rent: 20, shopping_center_name: 'Old Name' };
+    const after = { id: 'b', tenant_name: 'Gap', base_rent: 22, shopping_center_name: 'New Name', brand: 'gap' };
+    assert.deepEqual(diffRecords(before, after), {
+        base_rent: { from: 20, to: 22 },
+        brand: { from: null, to: 'gap' }
+    });
+    assert.deepEqual(diffRecords(null, { id: 'a', tenant_name: 'Gap' }), { tenant_name: { from: null, to: 'Gap' } });
+});
+
+test('audit log', async t => {
+    const audit = createAuditLog(new MemoryStore());
+    const center = { id: 'c-1', name: 'Media Commons' };
+    const space = { id: 's-1', shopping_center_id: 'c-1', tenant_name: 'Gap', tenant_suite_number: '1', square_footage: 4000, base_rent: 20 };
+
+    const beforeCreate = await pause();
+    runWithAuditContext({ actor: { id: 'k-1', name: 'Analyst' }, source: { type: 'api' } }, () => {
+        audit.record('shopping_center', null, center);
+        audit.record('tenant', null, space);
+    });
+    const afterCreate = await pause();
+    audit.record('tenant', space, { ...space, base_rent: 22 });
+    const afterRaise = await pause();
+    audit.record('tenant', { ...space, base_rent: 22 }, null);
+
+    await t.test('records who made each change and skips changes that change nothing', () => {
+        assert.equal(audit.record('tenant', space, { ...space }), null);
+
+        const entries = audit.forCenter('c-1');
+        assert.deepEqual(entries.map(entry => [entry.entity, entry.action]), [
+            ['shopping_center', 'create'],
+            ['tenant', 'create'],
+            ['tenant', 'update'],
+            ['tenant', 'delete']
+        ]);
+        assert.deepEqual(entries[0].actor, { id: 'k-1', name: 'Analyst' });
+        assert.deepEqual(entries[2].source, { type: 'system' });
+        assert.deepEqual(entries[2].changes, { base_rent: { from: 20, to: 22 } });
+        assert.equal(entries[3].snapshot, null);
+    });
+
+    await t.test('limits entries to a time window', () => {
+        assert.equal(audit.forCenter('c-1', { to: afterCreate }).length, 2);
+        assert.deepEqual(audit.forCenter('c-1', { from: afterCreate, to: afterRaise }).map(entry => entry.action), ['update']);
+        assert.equal(audit.startsAt('c-1'), audit.forCenter('c-1')[0].timestamp);
+        assert.equal(audit.startsAt('c-2'), null);
+    });
+
+    await t.test('rebuilds a center as it stood at a past time', () => {
+        assert.deepEqual(audit.stateAt('c-1', beforeCreate), { center: null, tenants: [] });
+
+        const created = audit.stateAt('c-1', afterCreate);
+        assert.equal(created.center.name, 'Media Commons');
+        assert.deepEqual(created.tenants.map(tenant => tenant.base_rent), [20]);
+
+        assert.deepEqual(audit.stateAt('c-1', afterRaise).tenants.map(tenant => tenant.base_rent), [22]);
+        assert.deepEqual(audit.stateAt('c-1', new Date().toISOString()).tenants, []);
+    });
+
+    await t.test('records a baseline only for records without history', () => {
+        const repository = {
+            listCenters: () => [center, { id: 'c-2', name: 'Twin Oaks' }],
+            listTenants: () => [space, { id: 's-2', shopping_center_id: 'c-2', tenant_name: 'Acme' }]
+        };
+        assert.equal(audit.recordBaseline(repository), 2);
+        assert.equal(audit.recordBaseline(repository), 0);
+        assert.deepEqual(audit.stateAt('c-2', new Date().toISOString()).tenants.map(tenant => tenant.tenant_name), ['Acme']);
+    });
+});
+
+test('leasing activity', async t => {
+    const at = minute => `2024-01-01T00:${String(minute).padStart(2, '0')}:00.000Z`;
+    const vacant = { tenant_name: 'Vacant', tenant_suite_number: '1', square_footage: 4000, base_rent: null };
+    const gap = { ...vacant, tenant_name: 'Gap', base_rent: 20 };
+    const entry = (minute, action, before, after) => ({
+        entity: 'tenant',
+        entity_id: 's-1',
+        timestamp: at(minute),
+        action,
+        source: { type: 'api' },
+        changes: diffRecords(before, after),
+        snapshot: after
+    });
+    const entries = [
+        entry(0, 'baseline', null, vacant),
+        entry(10, 'update', vacant, gap),
+        entry(20, 'update', gap, { ...gap, base_rent: 22 }),
+        entry(30, 'update', { ...gap, base_rent: 22 }, { ...gap, tenant_name: 'Old Navy', base_rent: 25 }),
+        entry(40, 'delete', { ...gap, tenant_name: 'Old Navy', base_rent: 25 }, null)
+    ];
+
+    await t.test('counts move-ins, move-outs and rent changes', () => {
+        const activity = leasingActivity(entries);
+        assert.deepEqual(activity.summary, { move_ins: 2, move_outs: 2, net_absorption_sf: 0, rent_changes: 1 });
+        assert.deepEqual(activity.move_ins.map(move => move.tenant_name), ['Gap', 'Old Navy']);
+        assert.deepEqual(activity.move_outs.map(move => move.tenant_name), ['Gap', 'Old Navy']);
+        assert.deepEqual(activity.rent_changes.map(change => [change.from, change.to, change.change_percent]), [[20, 22, 10]]);
+    });
+
+    await t.test('reads earlier entries but counts only those in the window', () => {
+        const activity = leasingActivity(entries, { from: at(15), to: at(35) });
+        assert.deepEqual(activity.summary, { move_ins: 1, move_outs: 1, net_absorption_sf: 0, rent_changes: 1 });
+        assert.equal(activity.move_outs[0].tenant_name, 'Gap');
+        assert.equal(activity.move_outs[0].base_rent, 22);
+    });
+});
+
+test('history routes', async t => {
+    const api = await createTestApp();
+    t.after(() => api.close());
+
+    await api.importCsv(CSV);
+    const center = (await api.request('GET', '/api/shopping-centers/')).body.data[0];
+    const spaces = (await api.request('GET', `/api/shopping-centers/${center.id}/tenants`)).body;
+    const suite = number => spaces.find(space => space.suite_number === number);
+
+    const afterImport = await pause();
+    await api.request('PATCH', `/api/shopping-centers/${center.id}/tenants/${suite('1').id}`, { body: { base_rent: 14 } });
+    await api.request('PATCH', `/api/shopping-centers/${center.id}/tenants/${suite('2').id}`, { body: { tenant_name: 'Salon', base_rent: 25 } });
+
+    await t.test('lists changes newest first, up to a time', async () => {
+        const history = await api.request('GET', `/api/shopping-centers/${center.id}/history`);
+        assert.equal(history.status, 200);
+        assert.equal(history.body.count, 5);
+        assert.equal(history.body.data[0].changes.tenant_name.to, 'Salon');
+        assert.equal(history.body.data[0].actor.id, 'bootstrap');
+        assert.equal(history.body.data[0].source.method, 'PATCH');
+
+        const before = await api.request('GET', `/api/shopping-centers/${center.id}/history?to=${afterImport}`);
+        assert.deepEqual(before.body.data.map(entry => entry.action), ['create', 'create', 'create']);
+        assert.equal(before.body.history_starts_at, history.body.data[4].timestamp);
+
+        const spacesOnly = await api.request('GET', `/api/shopping-centers/${center.id}/history?from=${afterImport}&entity=tenant`);
+        assert.equal(spacesOnly.body.count, 2);
+    });
+
+    await t.test('shows the spaces as they stood at a past time', async () => {
+        const then = await api.request('GET', `/api/shopping-centers/${center.id}/tenants?as_of=${afterImport}`);
+        assert.equal(then.status, 200);
+        assert.deepEqual(then.body.map(space => [space.tenant_name, space.base_rent]).sort(), [['Giant', 12], ['Vacant', 0]]);
+
+        const beforeAny = await api.request('GET', `/api/shopping-centers/${center.id}/tenants?as_of=2000-01-01`);
+        assert.equal(beforeAny.status, 404);
+        const history = await api.request('GET', `/api/shopping-centers/${center.id}/history`);
+        assert.equal(beforeAny.body.history_starts_at, history.body.history_starts_at);
+    });
+
+    await t.test('reports leasing activity over a period', async () => {
+        const activity = await api.request('GET', `/api/shopping-centers/${center.id}/leasing-activity?from=${afterImport}`);
+        assert.equal(activity.status, 200);
+        assert.deepEqual(activity.body.summary, { move_ins: 1, move_outs: 0, net_absorption_sf: 2000, rent_changes: 1 });
+        assert.equal(activity.body.move_ins[0].tenant_name, 'Salon');
+        assert.deepEqual([activity.body.rent_changes[0].from, activity.body.rent_changes[0].to], [12, 14]);
+
+        const earlier = await api.request('GET', `/api/shopping-centers/${center.id}/leasing-activity?to=${afterImport}`);
+        assert.deepEqual(earlier.body.summary, { move_ins: 1, move_outs: 0, net_absorption_sf: 50000, rent_changes: 0 });
+    });
+
+    await t.test('answers 404 for centers it has never seen', async () => {
+        assert.equal((await api.request('GET', '/api/shopping-centers/nowhere/history')).status, 404);
+        assert.equal((await api.request('GET', '/api/shopping-centers/nowhere/leasing-activity')).status, 404);
+    });
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAuth, createApiKeyRepository } = require('../lib/auth');
+const { MemoryStore } = require('../lib/storage');
+const { createTestApp } = require('./helpers/app');
+
+// Run the authenticate middleware on a request with a Bearer credential.
+// Resolves to req.auth, or to null when it answers 401.
+function authenticate(auth, credential) {
+    const req = { get: name => (name === 'authorization' ? `Bearer ${credential}` : undefined) };
+    const res = {
+        set() {},
+        status() {
+            return this;
+        },
+        json() {}
+    };
+    let identity = null;
+    auth.authenticate(req, res, () => {
+        identity = req.auth;
+    });
+    return identity;
+}
+
+test('bootstrap sessions end when ADMIN_API_KEY is unset', () => {
+    const apiKeys = createApiKeyRepository(new MemoryStore());
+    const withKey = createAuth(apiKeys, { disabled: false, bootstrapKey: 'bootstrap-key', jwtSecret: 'shared-secret' });
+    const admin = authenticate(withKey, 'bootstrap-key');
+    assert.equal(admin.id, 'bootstrap');
+
+    const { token } = withKey.issueToken(admin);
+    assert.equal(authenticate(withKey, token).role, 'admin');
+
+    // Same signing secret, after a restart without the key
+    const withoutKey = createAuth(apiKeys, { disabled: false, bootstrapKey: '', jwtSecret: 'shared-secret' });
+    assert.equal(authenticate(withoutKey, token), null);
+});
+
+test('bootstrap sessions end when ADMIN_API_KEY changes', () => {
+    const apiKeys = createApiKeyRepository(new MemoryStore());
+    const before = createAuth(apiKeys, { disabled: false, bootstrapKey: 'old-key', jwtSecret: 'shared-secret' });
+    const { token } = before.issueToken(authenticate(before, 'old-key'));
+
+    const restarted = createAuth(apiKeys, { disabled: false, bootstrapKey: 'old-key', jwtSecret: 'shared-secret' });
+    assert.equal(authenticate(restarted, token).role, 'admin');
+
+    const rotated = createAuth(apiKeys, { disabled: false, bootstrapKey: 'new-key', jwtSecret: 'shared-secret' });
+    assert.equal(authenticate(rotated, token), null);
+    assert.equal(authenticate(rotated, rotated.issueToken(authenticate(rotated, 'new-key')).token).role, 'admin');
+});
+
+test('API key changes that fail to save are reported', async t => {
+    const api = await createTestApp();
+    t.after(() => api.close());
+
+    const created = await api.request('POST', '/api/admin/api-keys', { body: { name: 'Reader', role: 'read_only' } });
+    api.store.flush = async () => { throw new Error('disk full'); };
+
+    const renamed = await api.request('PATCH', `/api/admin/api-keys/${created.body.id}`, { body: { name: 'Renamed' } });
+    assert.equal(renamed.status, 500);
+    assert.equal(renamed.body.error, 'Failed to update API key');
+    const revoked = await api.request('DELETE', `/api/admin/api-keys/${created.body.id}`);
+    assert.equal(revoked.status, 500);
+});
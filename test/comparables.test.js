@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers/app');
+
+const CSV = [
+    'shopping_center_name,center_type,address_street,address_city,address_state,address_zip,total_gla,tenant_name,tenant_suite_number,square_footage,base_rent,retail_category',
+    'Media Commons,Community Center,1 State St,Media,PA,19063,100000,Giant,1,50000,12,Grocery',
+    'Media Commons,Community Center,1 State St,Media,PA,19063,100000,Vacant,2,10000,,',
+    'Media Commons,Community Center,1 State St,Media,PA,19063,100000,Salon,3,2000,20,Services',
+    'Twin Oaks,Community Center,2 Oak Ave,Media,PA,19063,90000,Acme,1,45000,10,Grocery',
+    'Twin Oaks,Community Center,2 Oak Ave,Media,PA,19063,90000,Gap,2,5000,25,Apparel',
+    'Far Hills,Community Center,3 Hill Rd,Norristown,PA,19401,100000,Target,1,80000,8,General Merchandise',
+    'Far Hills,Community Center,3 Hill Rd,Norristown,PA,19401,100000,Vacant,2,20000,,',
+    'Corner Strip,Strip Center,4 Corner Ln,Media,PA,19063,12000,Wawa,1,5000,30,Convenience',
+    'No Location,Community Center,5 Lost Rd,Nowhere,PA,19000,95000,Vacant,1,95000,,'
+].join('\n');
+
+// Block groups are at 40,-75 / 40.01,-75 / 40,-74.98 / 40.2,-75 (see
+// fixtures/block_groups.csv)
+const BLOCK_GROUPS = [
+    { geoid: '421010001001', values: { total_population: [1000, 100], total_households: [400, 40] } },
+    { geoid: '421010001002', values: { total_population: [500, 50], total_households: [200, 20] } },
+    { geoid: '420910001001', values: { total_population: [250, 30], total_households: [100, 10] } },
+    { geoid: '421010002001', values: { total_population: [9000, 900], total_households: [3000, 300] } }
+];
+
+test('comparable centers', async t => {
+    const api = await createTestApp({
+        blockGroups: BLOCK_GROUPS,
+        googleAddresses: {
+            '1 State St, Media, PA 19063': { lat: 40, lng: -75 },
+            '2 Oak Ave, Media, PA 19063': { lat: 40.01, lng: -75 },
+            '3 Hill Rd, Norristown, PA 19401': { lat: 40.2, lng: -75 },
+            '4 Corner Ln, Media, PA 19063': { lat: 40, lng: -74.98 }
+        }
+    });
+    t.after(() => api.close());
+
+    const imported = await api.importCsv(CSV);
+    assert.equal(imported.body.details.rows_rejected, 0);
+    assert.equal(imported.body.details.geocoded_centers, 4);
+
+    const centers = (await api.request('GET', '/api/shopping-centers/')).body.data;
+    const idOf = name => centers.find(center => center.name === name).id;
+    const comparables = query => api.request('GET', `/api/shopping-centers/${idOf('Media Commons')}/comparables${query}`);
+
+    await t.test('ranks every other center on type, size, distance and demographics', async () => {
+        const response = await comparables('?ring=1');
+        assert.equal(response.status, 200);
+
+        const { subject, weights, candidates_considered: considered } = response.body;
+        assert.equal(subject.name, 'Media Commons');
+        assert.equal(subject.demographics.total_population, 1500);
+        assert.deepEqual(weights, { center_type: 1, gla: 1, distance: 1, demographics: 1 });
+        assert.equal(considered, 4);
+
+        const [best] = response.body.comparables;
+        assert.equal(best.name, 'Twin Oaks');
+        assert.equal(best.similarity.attributes.center_type, 1);
+        assert.equal(best.similarity.attributes.gla, 0.9);
+        // The same block groups fall within a mile of both centers
+        assert.equal(best.similarity.attributes.demographics, 1);
+        assert.equal(best.distance_miles, 0.69);
+
+        const scores = response.body.comparables.map(comparable => comparable.similarity.score);
+        assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+    });
+
+    await t.test('follows the weights', async () => {
+        const response = await comparables('?distance_weight=0&demographics_weight=0');
+        assert.deepEqual(
+            response.body.comparables.map(({ name, similarity }) => [name, similarity.score]),
+            [['Far Hills', 100], ['No Location', 97.5], ['Twin Oaks', 95], ['Corner Strip', 6]]
+        );
+        assert.deepEqual(Object.keys(response.body.comparables[0].similarity.attributes), ['center_type', 'gla']);
+    });
+
+    await t.test('filters by type and distance', async () => {
+        const response = await comparables('?same_type=true&max_distance=20');
+        assert.deepEqual(response.body.comparables.map(comparable => comparable.name).sort(), ['Far Hills', 'Twin Oaks']);
+    });
+
+    await t.test('benchmarks the subject against its comparables', async () => {
+        const { benchmark } = (await comparables('?same_type=true&max_distance=20')).body;
+
+        assert.deepEqual(benchmark.vacancy_rate_by_sf, {
+            subject: 16.1,
+            comparables_average: 10,
+            comparables_median: 10,
+            difference_from_median: 6.1,
+            comparables_with_value: 2
+        });
+        assert.equal(benchmark.average_rent_per_sf.subject, 12.31);
+        assert.equal(benchmark.average_rent_per_sf.comparables_median, 9.75);
+
+        const grocery = benchmark.tenant_mix.find(mix => mix.category === 'Grocery');
+        assert.deepEqual(grocery, { category: 'Grocery', subject_percent: 96.2, comparables_average_percent: 45, difference: 51.2 });
+        const apparel = benchmark.tenant_mix.find(mix => mix.category === 'Apparel');
+        assert.equal(apparel.subject_percent, 0);
+        assert.equal(apparel.comparables_average_percent, 5);
+    });
+
+    await t.test('leaves out what the subject cannot be compared on', async () => {
+        const response = await api.request('GET', `/api/shopping-centers/${idOf('No Location')}/comparables`);
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.weights, { center_type: 1, gla: 1, distance: 0, demographics: 0 });
+        assert.deepEqual(response.body.ignored_attributes.map(entry => entry.attribute), ['distance', 'demographics']);
+        assert.equal(response.body.subject.demographics, null);
+        assert.equal(response.body.comparables[0].name, 'Far Hills');
+    });
+
+    await t.test('rejects bad queries', async () => {
+        const zero = await comparables('?type_weight=0&gla_weight=0&distance_weight=0&demographics_weight=0');
+        assert.equal(zero.status, 400);
+
+        const noCoordinates = await api.request('GET', `/api/shopping-centers/${idOf('No Location')}/comparables?max_distance=5`);
+        assert.equal(noCoordinates.status, 422);
+
+        const nothing = await api.request('GET', `/api/shopping-centers/${idOf('No Location')}/comparables?type_weight=0&gla_weight=0`);
+        assert.equal(nothing.status, 422);
+        assert.equal(nothing.body.code, 'no_comparable_attributes');
+
+        const missing = await api.request('GET', '/api/shopping-centers/missing/comparables');
+        assert.equal(missing.status, 404);
+    });
+});
@@ -0,0 +1,355 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { INCOME_BRACKETS, sumVariable, proportion, ratio, medianFromBrackets } = require('../lib/demographics');
+const { createCensusClient } = require('../lib/census-client');
+const { MemoryStore } = require('../lib/storage');
+const { createTestApp } = require('./helpers/app');
+
+const entry = (estimate, moe, weight = 1) => ({
+    demographics: { estimates: { value: estimate }, moes: { value: moe } },
+    weight
+});
+
+const brackets = counts => INCOME_BRACKETS.map(bracket => ({ ...bracket, count: counts[bracket.name] || 0 }));
+
+test('aggregation math', async t => {
+    await t.test('sums weighted estimates and MOEs in quadrature', () => {
+        const { estimate, moe } = sumVariable([entry(1000, 100), entry(400, 80, 0.5)], 'value');
+        assert.equal(estimate, 1200);
+        assert.equal(moe.toFixed(2), Math.sqrt(100 ** 2 + 40 ** 2).toFixed(2));
+    });
+
+    await t.test('counts only the largest MOE among zero estimates', () => {
+        const { estimate, moe } = sumVariable([entry(100, 30), entry(0, 50), entry(0, 70)], 'value');
+        assert.equal(estimate, 100);
+        assert.equal(moe, Math.sqrt(30 ** 2 + 70 ** 2));
+    });
+
+    await t.test('derives proportions, falling back to the ratio formula', () => {
+        const share = proportion({ estimate: 50, moe: 20 }, { estimate: 100, moe: 10 });
+        assert.equal(share.estimate, 50);
+        assert.equal(share.moe, Math.sqrt(20 ** 2 - 0.25 * 10 ** 2));
+
+        // 5² - 0.9² × 30² is negative
+        const fallback = proportion({ estimate: 90, moe: 5 }, { estimate: 100, moe: 30 });
+        assert.equal(fallback.moe.toFixed(3), Math.sqrt(5 ** 2 + 0.81 * 30 ** 2).toFixed(3));
+
+        assert.deepEqual(proportion({ estimate: 5, moe: 1 }, { estimate: 0, moe: 0 }), { estimate: 0, moe: 0 });
+    });
+
+    await t.test('derives ratios', () => {
+        const perCapita = ratio({ estimate: 50000, moe: 5000 }, { estimate: 10, moe: 2 });
+        assert.equal(perCapita.estimate, 5000);
+        assert.equal(perCapita.moe.toFixed(2), (Math.sqrt(5000 ** 2 + 5000 ** 2 * 4) / 10).toFixed(2));
+    });
+
+    await t.test('interpolates the median within its income bracket', () => {
+        const median = medianFromBrackets(brackets({
+            income_40k_45k: 100,
+            income_50k_60k: 400,
+            income_60k_75k: 200
+        }), 700);
+
+        // The 350th household is 250 of 400 into the $50k-$60k bracket
+        assert.equal(median.estimate, 56250);
+        assert.equal(median.topCoded, false);
+        assert.ok(median.moe > 0);
+    });
+
+    await t.test('reports a median in the open top bracket as top-coded', () => {
+        const median = medianFromBrackets(brackets({ income_10k_15k: 10, income_200k_plus: 100 }), 110);
+        assert.equal(median.estimate, 200000);
+        assert.equal(median.topCoded, true);
+
+        assert.deepEqual(medianFromBrackets(brackets({}), 0), { estimate: 0, moe: 0, topCoded: false });
+    });
+});
+
+// Three block groups in two counties within 2 miles of 40,-75 (see
+// fixtures/block_groups.csv); a fourth, 14 miles north, is never counted.
+const BLOCK_GROUPS = [
+    {
+        geoid: '421010001001',
+        values: {
+            total_population: [1000, 100],
+            total_households: [400, 40],
+            income_50k_60k: [400, 60],
+            occupied_housing_units: [300, 30],
+            owner_occupied_housing: [150, 20]
+        }
+    },
+    {
+        geoid: '421010001002',
+        values: {
+            total_population: [500, 50],
+            total_households: [200, 20],
+            income_40k_45k: [100, 20],
+            income_60k_75k: [100, 20],
+            occupied_housing_units: [150, 15],
+            owner_occupied_housing: [75, 10]
+        }
+    },
+    {
+        geoid: '420910001001',
+        values: {
+            total_population: [250, 30],
+            total_households: [100, 10],
+            income_60k_75k: [100, 15],
+            occupied_housing_units: [50, 5],
+            owner_occupied_housing: [25, 5]
+        }
+    },
+    {
+        geoid: '421010002001',
+        values: { total_population: [9000, 900] }
+    }
+];
+
+test('demographics endpoint', async t => {
+    const api = await createTestApp({ blockGroups: BLOCK_GROUPS });
+    t.after(() => api.close());
+
+    await t.test('aggregates the block groups within the radius', async () => {
+        const response = await api.request('GET', '/api/demographics/40/-75/2');
+        assert.equal(response.status, 200);
+
+        const demographics = response.body;
+        assert.equal(demographics.block_groups_analyzed, 3);
+        assert.equal(demographics.total_population, 1750);
+        assert.equal(demographics.total_population_moe, Math.round(Math.sqrt(100 ** 2 + 50 ** 2 + 30 ** 2)));
+        assert.equal(demographics.total_households, 700);
+        assert.equal(demographics.median_household_income, 56250);
+        assert.equal(demographics.owner_occupied_percent, 50);
+
+        // One request per county and batch of variables, with the API key
+        const counties = new Set(api.stubs.census.requests.map(url => url.searchParams.get('in')));
+        assert.deepEqual([...counties].sort(), ['state:42 county:091 tract:*', 'state:42 county:101 tract:*']);
+        assert.ok(api.stubs.census.requests.every(url => url.searchParams.get('key') === 'test-census-key'));
+    });
+
+    await t.test('reuses cached Census responses', async () => {
+        const requestsBefore = api.stubs.census.requests.length;
+        const response = await api.request('GET', '/api/demographics/40/-75/1.5');
+        assert.equal(response.body.total_population, 1750);
+        assert.equal(api.stubs.census.requests.length, requestsBefore);
+    });
+
+    await t.test('answers an area without block groups', async () => {
+        const response = await api.request('GET', '/api/demographics/35/-100/1');
+        assert.equal(response.status, 200);
+        assert.equal(response.body.total_population, 0);
+        assert.equal(response.body.message, 'No census data available for this area');
+    });
+
+    await t.test('rejects an out-of-range radius', async () => {
+        const response = await api.request('GET', '/api/demographics/40/-75/0');
+        assert.equal(response.status, 400);
+        assert.equal(response.body.details[0].field, 'radius');
+    });
+});
+
+test('demographics endpoint retries a failing Census API', async t => {
+    const api = await createTestApp({ blockGroups: BLOCK_GROUPS, censusFailFirst: 3 });
+    t.after(() => api.close());
+
+    const response = await api.request('GET', '/api/demographics/40/-75/2');
+    assert.equal(response.status, 200);
+    assert.equal(response.body.total_population, 1750);
+
+    const failed = api.stubs.census.requests.length - new Set(api.stubs.census.requests.map(String)).size;
+    assert.equal(failed, 3);
+});
+
+test('demographics endpoint hides why the Census API failed', async t => {
+    const api = await createTestApp({ blockGroups: BLOCK_GROUPS, censusFailFirst: 100 });
+    t.after(() => api.close());
+
+    const response = await api.request('GET', '/api/demographics/40/-75/2');
+    assert.equal(response.status, 500);
+    assert.equal(response.body.error, 'Failed to fetch demographic data');
+    assert.deepEqual(response.body.details, []);
+    assert.doesNotMatch(JSON.stringify(response.body), /test-census-key/);
+});
+
+test('variable profiles and ACS vintages', async t => {
+    const api = await createTestApp({
+        censusYears: ['2018', '2023'],
+        blockGroups: [
+            {
+                geoid: '421010001001',
+                values: {
+                    total_population: [1000, 100],
+                    total_households: [400, 40],
+                    B01002_001: [30, 2],
+                    B01001_003: [100, 20],
+                    B01001_027: [100, 20],
+                    B11016_010: [100, 10],
+                    occupied_housing_units: [400, 40],
+                    B25044_006: [20, 5],
+                    B25044_007: [10, 4],
+                    B25044_008: [6, 3],
+                    B25044_013: [8, 3],
+                    B25044_015: [6, 3]
+                },
+                years: { 2018: { total_population: [800, 80], total_households: [350, 35] } }
+            },
+            {
+                geoid: '421010001002',
+                values: { total_population: [500, 50], total_households: [200, 20], B01002_001: [45, 3] }
+            }
+        ]
+    });
+    t.after(() => api.close());
+
+    await t.test('aggregates each variable by its type', async () => {
+        const response = await api.request('GET', '/api/demographics/40/-75/1?profile=age_household');
+        assert.equal(response.status, 200);
+
+        const demographics = response.body;
+        assert.deepEqual(demographics.profiles, ['age_household']);
+        // Medians without a distribution are averaged by population
+        assert.equal(demographics.median_age, 35);
+        // Counts sum men and women across block groups
+        assert.equal(demographics.population_under_18, 200);
+        // Ratios are shares of their universe
+        assert.equal(demographics.population_under_18_percent, 13.3);
+        assert.equal(demographics.households_1_person_percent, 16.7);
+        assert.equal(demographics.per_capita_income, undefined);
+    });
+
+    await t.test('combines profiles', async () => {
+        const response = await api.request('GET', '/api/demographics/40/-75/1?profile=race_ethnicity,mobility');
+        assert.ok('hispanic_latino_percent' in response.body);
+        assert.ok('vehicles_per_household' in response.body);
+        assert.equal(response.body.median_household_income, undefined);
+    });
+
+    await t.test('counts households with 5 or more vehicles among those with 3 or more', async () => {
+        const response = await api.request('GET', '/api/demographics/40/-75/1?profile=mobility');
+        assert.equal(response.body.households_3_plus_vehicles, 50);
+        assert.equal(response.body.households_3_plus_vehicles_percent, 12.5);
+    });
+
+    await t.test('reads the ACS year asked for', async () => {
+        const response = await api.request('GET', '/api/demographics/40/-75/1?year=2018');
+        assert.equal(response.body.acs_vintage, '2018');
+        assert.equal(response.body.total_population, 1300);
+        assert.ok(api.stubs.census.requests.some(url => url.pathname === '/data/2018/acs/acs5'));
+    });
+
+    await t.test('measures growth between two vintages', async () => {
+        const response = await api.request('GET', '/api/demographics/40/-75/1?compare_year=2018');
+        assert.equal(response.body.total_population, 1500);
+
+        const { growth } = response.body;
+        assert.equal(growth.from_year, 2018);
+        assert.equal(growth.to_year, 2023);
+        assert.equal(growth.overlapping_periods, false);
+        assert.deepEqual(
+            { ...growth.growth.total_population, change_moe: undefined },
+            { from: 1300, to: 1500, change: 200, change_moe: undefined, significant: true, percent_change: 15.4, annual_growth_percent: 2.9 }
+        );
+        assert.equal(growth.growth.total_households.percent_change, 9.1);
+    });
+
+    await t.test('rejects unknown profiles and unpublished years', async () => {
+        const profile = await api.request('GET', '/api/demographics/40/-75/1?profile=psychographics');
+        assert.equal(profile.status, 400);
+        assert.equal(profile.body.details[0].field, 'profile');
+
+        const same = await api.request('GET', '/api/demographics/40/-75/1?year=2023&compare_year=2023');
+        assert.equal(same.status, 400);
+
+        const unpublished = await api.request('GET', '/api/demographics/40/-75/1?year=2021');
+        assert.equal(unpublished.status, 422);
+        assert.equal(unpublished.body.code, 'acs_year_unavailable');
+    });
+
+    await t.test('applies to ring trade areas', async () => {
+        const created = await api.request('POST', '/api/shopping-centers/', { body: { name: 'Ring Center', latitude: 40, longitude: -75 } });
+        assert.equal(created.status, 201);
+
+        const response = await api.request('GET', `/api/shopping-centers/${created.body.id}/trade-area?rings=0.5,1&profile=age_household&compare_year=2018`);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.rings[1].demographics.median_age, 35);
+        assert.equal(response.body.rings[1].growth.growth.total_population.to, 1500);
+        // Counts change by the annulus, medians by their difference
+        assert.equal(response.body.deltas[0].changes.total_population.absolute, 500);
+        assert.equal(response.body.deltas[0].changes.median_age.absolute, 5);
+        assert.deepEqual(Object.keys(response.body.rings[0].portfolio_rankings), ['total_population', 'total_households']);
+    });
+});
+
+test('radius demographics memo forgets the least recently used', async t => {
+    const api = await createTestApp({ blockGroups: BLOCK_GROUPS, demographicsMemo: { maxEntries: 1 } });
+    t.after(() => api.close());
+
+    const created = await api.request('POST', '/api/shopping-centers/', { body: { name: 'Memo Center', latitude: 40, longitude: -75 } });
+    const tradeArea = rings => api.request('GET', `/api/shopping-centers/${created.body.id}/trade-area?rings=${rings}`);
+    const censusQueries = async () => {
+        const text = (await api.request('GET', '/metrics')).body;
+        return ['hits', 'misses'].reduce((sum, kind) =>
+            sum + Number(new RegExp(`^shopwindow_census_cache_${kind}_total (\\d+)$`, 'm').exec(text)[1]), 0);
+    };
+
+    await tradeArea('1');
+    const afterFirst = await censusQueries();
+    await tradeArea('1');
+    assert.equal(await censusQueries(), afterFirst);
+
+    // The 2 mile ring pushes the 1 mile ring out
+    await tradeArea('2');
+    const afterSecond = await censusQueries();
+    await tradeArea('1');
+    assert.ok(await censusQueries() > afterSecond);
+});
+
+test('Census client deletes expired responses', async () => {
+    const cache = new MemoryStore().collection('census_responses');
+    let status = 200;
+    const client = createCensusClient({
+        apiKey: 'test-census-key',
+        cache,
+        cacheTtlMs: 60000,
+        maxRetries: 0,
+        transport: async () => ({ status, retryAfter: null, body: '[["NAME"],["Somewhere"]]' })
+    });
+
+    cache.set('acs/acs5:2019:get=NAME', { fetched_at: 0, data: [] });
+    cache.set('acs/acs5:2023:get=B01003_001E', { fetched_at: Date.now(), data: [] });
+    assert.equal(client.sweepCache(), 1);
+    assert.deepEqual(Array.from(cache.keys()), ['acs/acs5:2023:get=B01003_001E']);
+
+    // An expired response is gone once read, even when the refetch fails
+    await client.query({ get: 'NAME' });
+    const [, key] = Array.from(cache.keys());
+    cache.set(key, { ...cache.get(key), fetched_at: 0 });
+    status = 400;
+    await assert.rejects(client.query({ get: 'NAME' }), /400/);
+    assert.equal(cache.has(key), false);
+});
+
+test('Census client gives up on a hung API without leaking the key', async t => {
+    const server = http.createServer(() => {});
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}/data`;
+    t.after(() => {
+        if (server.listening) {
+            server.closeAllConnections();
+            server.close();
+        }
+    });
+
+    const client = createCensusClient({ apiKey: 'CENSUSSECRET', baseUrl, maxRetries: 1, retryBaseMs: 1, timeoutMs: 50 });
+    const hung = await client.query({ get: 'NAME' }).catch(error => error);
+    assert.match(hung.message, /timed out after 50 ms/);
+    assert.doesNotMatch(hung.message, /CENSUSSECRET/);
+    assert.equal(client.stats.retries, 1);
+
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    const refused = await client.query({ get: 'NAME' }).catch(error => error);
+    assert.match(refused.message, /failed: ECONNREFUSED/);
+    assert.doesNotMatch(refused.message, /CENSUSSECRET/);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers/app');
+
+const IMPORT_CSV = [
+    'shopping_center_name,center_type,address_street,address_city,address_state,address_zip,county,owner,total_gla,tenant_name,tenant_suite_number,square_footage,base_rent,rent_unit,lease_start,lease_end,escalation_type,escalation_value,escalation_frequency_months',
+    '"Oak Plaza, East",Community Center,10 Oak Rd,Media,PA,19063,Delaware,"Oak ""Holdings"" LLC",60000,Acme,1,40000,9.5,per_sf_year,2020-01-01,2030-12-31,percent,3,12',
+    '"Oak Plaza, East",Community Center,10 Oak Rd,Media,PA,19063,Delaware,"Oak ""Holdings"" LLC",60000,Vacant,2,2500,,,,,,,',
+    '"Oak Plaza, East",Community Center,10 Oak Rd,Media,PA,19063,Delaware,"Oak ""Holdings"" LLC",60000,Nail Spa,3,1200,2200,monthly,2022-06-01,2027-05-31,amount,100,12',
+    'Pine Center,Strip Center,,,NJ,08002,Camden,,,Wawa,A,5000,120000,annual,,,,,'
+].join('\n');
+
+test('exports', async t => {
+    const api = await createTestApp({
+        blockGroups: [
+            { geoid: '421010001001', values: { total_population: [1000, 100], total_households: [400, 40] } },
+            { geoid: '421010001002', values: { total_population: [500, 50], total_households: [200, 20] } }
+        ]
+    });
+    t.after(() => api.close());
+
+    const imported = await api.importCsv(IMPORT_CSV);
+    assert.equal(imported.body.details.rows_rejected, 0);
+
+    await t.test('CSV export imports back to the same data', async () => {
+        const exported = await api.request('GET', '/api/export?format=csv');
+        assert.equal(exported.status, 200);
+        assert.match(exported.headers.get('content-type'), /^text\/csv/);
+        assert.equal(exported.headers.get('x-orphaned-spaces'), '0');
+
+        const copy = await createTestApp();
+        try {
+            const reimported = await copy.importCsv(exported.body);
+            assert.equal(reimported.body.details.rows_rejected, 0);
+            assert.equal(reimported.body.details.spaces_created, 4);
+
+            const reexported = await copy.request('GET', '/api/export?format=csv');
+            assert.equal(reexported.body, exported.body);
+        } finally {
+            await copy.close();
+        }
+    });
+
+    await t.test('re-importing an export changes nothing', async () => {
+        const exported = await api.request('GET', '/api/export');
+        const result = await api.importCsv(exported.body);
+
+        assert.equal(result.body.details.shopping_centers_updated, 0);
+        assert.equal(result.body.details.spaces_created, 0);
+        assert.equal(result.body.details.spaces_updated, 0);
+        assert.equal(result.body.details.spaces_unchanged, 4);
+    });
+
+    await t.test('filters apply to exports', async () => {
+        const exported = await api.request('GET', '/api/export?state=NJ');
+        const lines = exported.body.trim().split('\n');
+        assert.equal(lines.length, 2);
+        assert.match(lines[1], /^Pine Center,/);
+    });
+
+    await t.test('XLSX export is a workbook with Centers and Tenants sheets', async () => {
+        const exported = await api.request('GET', '/api/export?format=xlsx');
+        assert.equal(exported.status, 200);
+        assert.ok(exported.body.startsWith('PK'));
+        assert.ok(exported.body.includes('xl/worksheets/sheet1.xml'));
+        assert.ok(exported.body.includes('xl/worksheets/sheet2.xml'));
+    });
+
+    await t.test('GeoJSON export carries coordinates and trade-area demographics', async () => {
+        const list = (await api.request('GET', '/api/shopping-centers/?q=oak')).body.data;
+        await api.request('PUT', `/api/shopping-centers/${list[0].id}/coordinates`, { body: { latitude: 40, longitude: -75 } });
+
+        const exported = await api.request('GET', '/api/export?format=geojson&demographics_radius=1');
+        assert.equal(exported.status, 200);
+        const collection = exported.body;
+        assert.equal(collection.type, 'FeatureCollection');
+        assert.equal(collection.features.length, 2);
+
+        const [oak, pine] = collection.features;
+        assert.deepEqual(oak.geometry, { type: 'Point', coordinates: [-75, 40] });
+        assert.equal(oak.properties.total_population, 1500);
+        assert.equal(oak.properties.demographics_radius_miles, 1);
+        assert.equal(pine.geometry, null);
+        assert.equal('total_population' in pine.properties, false);
+    });
+
+    await t.test('rejects an unknown format', async () => {
+        const response = await api.request('GET', '/api/export?format=pdf');
+        assert.equal(response.status, 400);
+        assert.equal(response.body.details[0].field, 'format');
+    });
+});
@@ -0,0 +1,114 @@
+const path = require('path');
+
+// Request logs would bury the test output; LOG_LEVEL=info brings them back
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const { createApp } = require('../../app');
+const { MemoryStore, JsonFileStore } = require('../../lib/storage');
+const { createCensusClient } = require('../../lib/census-client');
+const { createGeocoder, googleProvider, censusProvider } = require('../../lib/geocoder');
+const { startStub, censusApiHandler, censusGeocoderHandler, googleGeocoderHandler } = require('./stubs');
+
+const ADMIN_KEY = 'test-admin-key';
+const GOOGLE_KEY = 'test-google-key';
+const BLOCK_GROUPS_FILE = path.join(__dirname, '..', 'fixtures', 'block_groups.csv');
+
+// An app on a free local port, in memory, wired to local stand-ins for the
+// Census API and both geocoders.
+//
+// options:
+//   blockGroups      - Census API data (see censusApiHandler)
+//   censusFailFirst  - 503s the Census API answers before any data
+//   censusYears      - ACS years the Census API has data for (default: any)
+//   googleAddresses  - one-line address -> { lat, lng } Google finds
+//   censusAddresses  - the same, for the Census geocoder
+//   demographicsMemo - limits of the radius demographics memo (see createApp)
+//   dataFile         - keep records in this JSON data file instead of memory
+async function createTestApp({
+    blockGroups = [],
+    censusFailFirst = 0,
+    censusYears = null,
+    googleAddresses = {},
+    censusAddresses = {},
+    demographicsMemo = undefined,
+    dataFile = null
+} = {}) {
+    const stubs = {
+        census: await startStub(censusApiHandler(blockGroups, { failFirst: censusFailFirst, publishedYears: censusYears })),
+        google: await startStub(googleGeocoderHandler(googleAddresses, { apiKey: GOOGLE_KEY })),
+        censusGeocoder: await startStub(censusGeocoderHandler(censusAddresses))
+    };
+
+    const store = dataFile ? new JsonFileStore({ filePath: dataFile }) : new MemoryStore();
+    const censusCacheStore = new MemoryStore();
+    const webhookStore = new MemoryStore();
+    const shopwindow = createApp({
+        store,
+        censusCacheStore,
+        webhookStore,
+        censusClient: createCensusClient({
+            apiKey: 'test-census-key',
+            baseUrl: `${stubs.census.url}/data`,
+            vintage: '2023',
+            cache: censusCacheStore.collection('census_responses'),
+            retryBaseMs: 1
+        }),
+        geocoder: createGeocoder({
+            providers: [
+                googleProvider({ apiKey: GOOGLE_KEY, baseUrl: `${stubs.google.url}/maps/api/geocode/json` }),
+                censusProvider({ baseUrl: `${stubs.censusGeocoder.url}/geocoder` })
+            ],
+            cache: store.collection('geocode_cache')
+        }),
+        blockGroupsFile: BLOCK_GROUPS_FILE,
+        auth: { bootstrapKey: ADMIN_KEY },
+        // Retries come quickly in tests
+        webhooks: { retryBaseMs: 5, timeoutMs: 2000 },
+        demographicsMemo
+    });
+    await shopwindow.load();
+
+    const server = await new Promise(resolve => {
+        const listening = shopwindow.app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    // Call the API as the admin. JSON bodies are sent as JSON; the response
+    // body is parsed when it is JSON and left as text otherwise.
+    async function request(method, pathname, { body, headers = {} } = {}) {
+        const response = await fetch(url + pathname, {
+            method,
+            headers: {
+                'X-API-Key': ADMIN_KEY,
+                ...(body !== undefined && !(body instanceof FormData) ? { 'Content-Type': 'application/json' } : {}),
+                ...headers
+            },
+            body: body === undefined || body instanceof FormData ? body : JSON.stringify(body)
+        });
+        const text = await response.text();
+        const isJson = /json/.test(response.headers.get('content-type') || '');
+        return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+    }
+
+    // Import a CSV, into the default workspace unless another is given, and
+    // wait for the job to finish
+    function importCsv(csv, { mode = 'update', filename = 'import.csv', workspace = null } = {}) {
+        const form = new FormData();
+        form.append('file', new Blob([csv], { type: 'text/csv' }), filename);
+        const prefix = workspace ? `/api/workspaces/${workspace}` : '/api';
+        return request('POST', `${prefix}/import-csv-v3/?wait=true&mode=${mode}`, { body: form });
+    }
+
+    async function close() {
+        await new Promise(resolve => server.close(resolve));
+        await shopwindow.close();
+        await Promise.all(Object.values(stubs).map(stub => stub.close()));
+    }
+
+    return { url, stubs, store, webhookStore, repository: shopwindow.repository, webhooks: shopwindow.webhooks, request, importCsv, close };
+}
+
+module.exports = {
+    ADMIN_KEY,
+    createTestApp
+};
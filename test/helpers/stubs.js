@@ -0,0 +1,185 @@
+const http = require('http');
+const { VARIABLES } = require('../../lib/demographics');
+
+// Local HTTP stand-ins for the outside services the app talks to, so tests
+// run offline: the Census Data API, the Census geocoder, the Google
+// Geocoding API and webhook receivers.
+
+// Start a server on a free local port. `handle(url)` returns
+// { status, body, headers } (body is sent as JSON unless it is a string).
+// Every request URL is kept in `requests`.
+async function startStub(handle) {
+    const requests = [];
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        requests.push(url);
+        try {
+            const { status = 200, body = '', headers = {} } = (await handle(url)) || {};
+            res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+            res.end(typeof body === 'string' ? body : JSON.stringify(body));
+        } catch (error) {
+            res.writeHead(500);
+            res.end(error.message);
+        }
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+// ACS code of a single-variable count, e.g. total_population -> B01003_001.
+// Codes are taken as they are.
+function acsCode(name) {
+    if (/^[BC]\d{5}[A-Z]?_\d{3}$/.test(name)) {
+        return name;
+    }
+    const variable = VARIABLES[name];
+    if (!variable || variable.type !== 'count' || variable.codes.length !== 1 || variable.subtract) {
+        throw new Error(`${name} is not a single ACS variable`);
+    }
+    return variable.codes[0];
+}
+
+// Census Data API. `blockGroups` is a list of { geoid, values, years }, where
+// values maps count variable names (see VARIABLES) or ACS codes to
+// [estimate, moe]; anything left out is 0. `years`, when given, maps ACS
+// years to the values to use instead for that year. `failFirst` answers that
+// many requests with a 503 first. With `publishedYears`, other ACS years are
+// answered with a 404, as for a vintage not yet released. A query for the
+// whole country (the readiness check) is answered with its name.
+function censusApiHandler(blockGroups, { failFirst = 0, publishedYears = null } = {}) {
+    let failures = 0;
+    return url => {
+        if (failures < failFirst) {
+            failures++;
+            return { status: 503, body: 'Service unavailable' };
+        }
+        const dataset = /^\/data\/(\d{4})\/acs\/acs5$/.exec(url.pathname);
+        if (!dataset || (publishedYears && !publishedYears.includes(dataset[1]))) {
+            return { status: 404, body: 'unknown dataset' };
+        }
+
+        if (url.searchParams.get('for') === 'us:1') {
+            return { body: [['NAME', 'us'], ['United States', '1']] };
+        }
+
+        const variables = url.searchParams.get('get').split(',');
+        const [, state, county] = /state:(\d{2}) county:(\d{3})/.exec(url.searchParams.get('in'));
+        const rows = blockGroups
+            .filter(({ geoid }) => geoid.startsWith(`${state}${county}`))
+            .map(({ geoid, values, years = {} }) => {
+                const byCode = new Map(Object.entries(years[dataset[1]] || values).map(([name, pair]) => [acsCode(name), pair]));
+                return [
+                    ...variables.map(variable => {
+                        const [estimate = 0, moe = 0] = byCode.get(variable.slice(0, -1)) || [];
+                        return String(variable.endsWith('E') ? estimate : moe);
+                    }),
+                    geoid.slice(0, 2), geoid.slice(2, 5), geoid.slice(5, 11), geoid.slice(11)
+                ];
+            });
+
+        if (rows.length === 0) {
+            return { body: '' };
+        }
+        return { body: [[...variables, 'state', 'county', 'tract', 'block group'], ...rows] };
+    };
+}
+
+// Census geocoder: `addresses` maps one-line addresses to { lat, lng }
+function censusGeocoderHandler(addresses) {
+    return url => {
+        const match = addresses[url.searchParams.get('address')];
+        return {
+            body: {
+                result: {
+                    addressMatches: match
+                        ? [{ coordinates: { x: match.lng, y: match.lat }, matchedAddress: url.searchParams.get('address').toUpperCase() }]
+                        : []
+                }
+            }
+        };
+    };
+}
+
+// Google Geocoding API: `addresses` maps one-line addresses to { lat, lng }.
+// Requests without the key are denied and requests without an address
+// refused, as Google does.
+function googleGeocoderHandler(addresses, { apiKey }) {
+    return url => {
+        if (url.searchParams.get('key') !== apiKey) {
+            return { body: { status: 'REQUEST_DENIED', results: [] } };
+        }
+        if (!url.searchParams.get('address')) {
+            return { body: { status: 'INVALID_REQUEST', results: [] } };
+        }
+        const match = addresses[url.searchParams.get('address')];
+        if (!match) {
+            return { body: { status: 'ZERO_RESULTS', results: [] } };
+        }
+        return {
+            body: {
+                status: 'OK',
+                results: [{
+                    geometry: { location: { lat: match.lat, lng: match.lng } },
+                    place_id: `place-${match.lat}-${match.lng}`,
+                    formatted_address: url.searchParams.get('address')
+                }]
+            }
+        };
+    };
+}
+
+// Webhook receiver. Every request is kept in `received` as { headers, body }
+// (body as text). `statuses` lists the status codes to answer with, in turn;
+// once they run out it answers 200. `waitFor(count)` resolves when at least
+// that many requests have come in. With `delayMs` it takes that long to
+// answer; `maxInFlight()` is the most requests it has had open at once.
+async function startReceiver(statuses = [], { delayMs = 0 } = {}) {
+    const received = [];
+    const waiting = [];
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const server = http.createServer((req, res) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => setTimeout(() => {
+            inFlight--;
+            received.push({ headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+            const status = statuses.length > 0 ? statuses.shift() : 200;
+            res.writeHead(status, { 'Content-Type': 'text/plain' });
+            res.end(status < 300 ? 'ok' : 'not now');
+            for (const wait of waiting.filter(entry => received.length >= entry.count)) {
+                waiting.splice(waiting.indexOf(wait), 1);
+                wait.resolve(received);
+            }
+        }, delayMs));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}/hooks`,
+        received,
+        maxInFlight: () => maxInFlight,
+        waitFor(count) {
+            if (received.length >= count) {
+                return Promise.resolve(received);
+            }
+            return new Promise(resolve => waiting.push({ count, resolve }));
+        },
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = {
+    startStub,
+    startReceiver,
+    censusApiHandler,
+    censusGeocoderHandler,
+    googleGeocoderHandler
+};
@@ -0,0 +1,240 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTestApp } = require('./helpers/app');
+
+const HEADER = 'shopping_center_name,address_street,address_city,address_state,address_zip,tenant_name,tenant_suite_number,square_footage,base_rent,retail_category';
+
+const csv = (...rows) => [HEADER, ...rows].join('\n') + '\n';
+
+async function centerNamed(api, name) {
+    const list = await api.request('GET', `/api/shopping-centers/?q=${encodeURIComponent(name)}`);
+    return list.body.data.find(center => center.name === name);
+}
+
+async function tenantsOf(api, name) {
+    const center = await centerNamed(api, name);
+    return (await api.request('GET', `/api/shopping-centers/${center.id}/tenants`)).body;
+}
+
+test('CSV import', async t => {
+    const api = await createTestApp({
+        googleAddresses: { '1 Market St, Philadelphia, PA 19103': { lat: 39.95, lng: -75.16 } },
+        censusAddresses: { '9 Lancaster Ave, Wayne, PA 19087': { lat: 40.04, lng: -75.39 } }
+    });
+    t.after(() => api.close());
+
+    await t.test('reads quoted fields with commas, quotes and line breaks', async () => {
+        const result = await api.importCsv(csv(
+            '"Plaza, Phase II",1 Market St,Philadelphia,PA,19103,"Joe\'s ""Famous"" Pizza",101,1200,25,Food',
+            '"Plaza, Phase II",1 Market St,Philadelphia,PA,19103,Target,"A\nB",80000,12,General Merchandise',
+            '"Plaza, Phase II",1 Market St,Philadelphia,PA,19103,Aldi,103,lots,10,Grocery'
+        ));
+
+        assert.equal(result.status, 200);
+        assert.equal(result.body.details.shopping_centers_created, 1);
+        assert.equal(result.body.details.spaces_created, 2);
+
+        const tenants = await tenantsOf(api, 'Plaza, Phase II');
+        const names = tenants.map(tenant => tenant.tenant_name).sort();
+        assert.deepEqual(names, ['Joe\'s "Famous" Pizza', 'Target']);
+        assert.equal(tenants.find(tenant => tenant.tenant_name === 'Target').suite_number, 'A\nB');
+
+        // The row after a multi-line cell is row 4 of the sheet but starts on line 5
+        assert.deepEqual(
+            result.body.errors.map(({ row, line, field }) => ({ row, line, field })),
+            [{ row: 4, line: 5, field: 'square_footage' }]
+        );
+    });
+
+    await t.test('treats a repeated suite as the same space', async () => {
+        const update = await api.importCsv(csv(
+            'Duplicate Center,,,PA,,Starbucks,1,1500,40,Food',
+            'Duplicate Center,,,PA,,Starbucks Coffee,1,1600,42,Food',
+            'Duplicate Center,,,PA,,Subway,,1000,30,Food',
+            'Duplicate Center,,,PA,,Subway,,1000,30,Food'
+        ));
+        assert.equal(update.body.details.spaces_created, 2);
+        assert.equal(update.body.details.spaces_updated, 1);
+        assert.equal(update.body.details.spaces_unchanged, 1);
+
+        const tenants = await tenantsOf(api, 'Duplicate Center');
+        assert.equal(tenants.length, 2);
+        const suite = tenants.find(tenant => tenant.suite_number === '1');
+        assert.equal(suite.tenant_name, 'Starbucks Coffee');
+        assert.equal(suite.square_footage, 1600);
+
+        const skip = await api.importCsv(csv('Duplicate Center,,,PA,,Starbucks,1,1500,40,Food'), { mode: 'skip' });
+        assert.equal(skip.body.details.duplicates_skipped, 1);
+        assert.equal((await tenantsOf(api, 'Duplicate Center')).find(tenant => tenant.suite_number === '1').square_footage, 1600);
+    });
+
+    await t.test('matches vacant rows by suite, or by size and order without one', async () => {
+        const rows = [
+            'Vacancy Center,,,PA,,Vacant,,2000,,',
+            'Vacancy Center,,,PA,,Vacant,,3000,,',
+            'Vacancy Center,,,PA,,Vacant,12,1000,,',
+            'Vacancy Center,,,PA,,CVS,14,10000,20,Pharmacy'
+        ];
+        const first = await api.importCsv(csv(...rows));
+        assert.equal(first.body.details.spaces_created, 4);
+        assert.equal(first.body.details.tenants_created, 1);
+
+        const second = await api.importCsv(csv(...rows));
+        assert.equal(second.body.details.spaces_created, 0);
+        assert.equal(second.body.details.spaces_unchanged, 4);
+
+        // A second 2,000 sf vacancy is a new space
+        const more = await api.importCsv(csv(...rows, 'Vacancy Center,,,PA,,Vacant,,2000,,'));
+        assert.equal(more.body.details.spaces_created, 1);
+        assert.equal(more.body.details.spaces_unchanged, 4);
+
+        // replace mode drops the spaces the file no longer lists
+        const replaced = await api.importCsv(csv(...rows), { mode: 'replace' });
+        assert.equal(replaced.body.details.spaces_deleted, 1);
+        assert.equal((await tenantsOf(api, 'Vacancy Center')).length, 4);
+        assert.equal((await api.importCsv(csv(...rows))).body.details.spaces_unchanged, 4);
+    });
+
+    await t.test('rejects rows with bad numbers and accepts formatted ones', async () => {
+        const result = await api.importCsv(csv(
+            'Numbers Center,,,PA,,Good Rent,1,"1,200","$1,250.50",',
+            'Numbers Center,,,PA,,Negative,2,-5,10,',
+            'Numbers Center,,,PA,,Fraction,3,12.5,10,',
+            'Numbers Center,,,PA,,Words,4,900,ten dollars,',
+            ',,,PA,,No Center,5,100,10,'
+        ));
+
+        assert.equal(result.body.details.spaces_created, 1);
+        assert.equal(result.body.details.rows_rejected, 4);
+        assert.deepEqual(
+            result.body.errors.map(({ row, field }) => ({ row, field })),
+            [
+                { row: 3, field: 'square_footage' },
+                { row: 4, field: 'square_footage' },
+                { row: 5, field: 'base_rent' },
+                { row: 6, field: 'shopping_center_name' }
+            ]
+        );
+
+        const [space] = await tenantsOf(api, 'Numbers Center');
+        assert.equal(space.square_footage, 1200);
+        assert.equal(space.base_rent, 1250.5);
+
+        const job = await api.request('GET', `/api/import-jobs/${result.body.job_id}/errors`);
+        assert.equal(job.status, 200);
+        assert.match(job.body, /^row,line,field,message,value\n3,3,square_footage,/);
+    });
+
+    await t.test('geocodes new centers through Google, then the Census geocoder', async () => {
+        const result = await api.importCsv(
+            'shopping_center_name,address_street,address_city,address_state,address_zip,tenant_name\n'
+            + 'Google Center,1 Market St,Philadelphia,PA,19103,Gap\n'
+            + 'Census Center,9 Lancaster Ave,Wayne,PA,19087,Gap\n'
+            + 'Nowhere Center,5 Missing Rd,Nowhere,PA,19000,Gap\n'
+        );
+        assert.equal(result.body.details.geocoded_centers, 2);
+
+        const google = await centerNamed(api, 'Google Center');
+        assert.deepEqual([google.latitude, google.longitude], [39.95, -75.16]);
+        const census = await centerNamed(api, 'Census Center');
+        assert.deepEqual([census.latitude, census.longitude], [40.04, -75.39]);
+        const nowhere = await centerNamed(api, 'Nowhere Center');
+        assert.equal(nowhere.latitude, null);
+
+        assert.ok(api.stubs.google.requests.every(url => url.searchParams.get('key') === 'test-google-key'));
+        assert.ok(api.stubs.censusGeocoder.requests.some(url => url.searchParams.get('address') === '9 Lancaster Ave, Wayne, PA 19087'));
+    });
+
+    await t.test('previews a dry run without saving anything', async () => {
+        const form = new FormData();
+        form.append('file', new Blob([csv('Dry Run Center,,,PA,,Gap,1,100,10,')]), 'dry.csv');
+        const result = await api.request('POST', '/api/import-csv-v3/?wait=true&dry_run=true', { body: form });
+
+        assert.equal(result.body.dry_run, true);
+        assert.equal(result.body.details.shopping_centers_created, 1);
+        assert.equal(await centerNamed(api, 'Dry Run Center'), undefined);
+    });
+});
+
+test('brand changes that fail to save are reported', async t => {
+    const api = await createTestApp();
+    t.after(() => api.close());
+
+    api.store.flush = async () => { throw new Error('disk full'); };
+    const created = await api.request('POST', '/api/brands', { body: { name: 'Lumen Coffee' } });
+    assert.equal(created.status, 500);
+    assert.equal(created.body.error, 'Failed to create brand');
+    const normalized = await api.request('POST', '/api/brands/normalize');
+    assert.equal(normalized.status, 500);
+});
+
+// Made-up tenant names that don't resemble each other, e.g. "Bazoki Lutemo"
+function madeUpNames(count) {
+    const syllables = [];
+    for (const consonant of 'bdfgklmnprstvz') {
+        for (const vowel of 'aeiou') syllables.push(consonant + vowel);
+    }
+    let seed = 1;
+    const syllable = () => syllables[(seed = (seed * 16807) % 2147483647) % syllables.length];
+    const word = () => {
+        const text = syllable() + syllable() + syllable();
+        return text[0].toUpperCase() + text.slice(1);
+    };
+    return Array.from({ length: count }, () => `${word()} ${word()}`);
+}
+
+test('imports a few thousand rows in about linear time', async t => {
+    const api = await createTestApp();
+    t.after(() => api.close());
+
+    // 400 centers of 10 spaces, nearly every tenant a new brand
+    const rows = madeUpNames(4000).map((name, index) =>
+        `Center ${Math.floor(index / 10)},,,PA,,${name},${index % 10},1000,20,Retail`);
+
+    let started = Date.now();
+    const first = await api.importCsv(csv(...rows));
+    assert.equal(first.body.details.spaces_created, 4000);
+    assert.ok(first.body.details.brands_created > 3900);
+    assert.ok(Date.now() - started < 15000, `first import took ${Date.now() - started} ms`);
+
+    started = Date.now();
+    const again = await api.importCsv(csv(...rows));
+    assert.equal(again.body.details.spaces_unchanged, 4000);
+    assert.ok(Date.now() - started < 15000, `re-import took ${Date.now() - started} ms`);
+});
+
+test('re-keys a data file written before records were keyed by id', async t => {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'shopwindow-'));
+    const dataFile = path.join(directory, 'shopwindow.json');
+
+    // Centers keyed by name, tenants by center name and suite, and linked to
+    // their center by name only
+    const center = { id: 'c-1', name: 'Old Mill', address_city: 'Media', address_state: 'PA' };
+    const tenant = { id: 't-1', shopping_center_name: 'Old Mill', tenant_name: 'Giant', tenant_suite_number: '1', square_footage: 50000 };
+    await fs.promises.writeFile(dataFile, JSON.stringify({
+        collections: {
+            shopping_centers: [['old mill', center]],
+            tenants: [['old mill::suite::1', tenant]]
+        }
+    }));
+
+    const api = await createTestApp({ dataFile });
+    t.after(async () => {
+        await api.close();
+        await fs.promises.rm(directory, { recursive: true, force: true });
+    });
+
+    const loaded = await centerNamed(api, 'Old Mill');
+    assert.equal(loaded.id, 'c-1');
+    assert.equal((await api.request('GET', '/api/shopping-centers/c-1')).status, 200);
+    const tenants = await api.request('GET', '/api/shopping-centers/c-1/tenants');
+    assert.deepEqual(tenants.body.map(space => [space.id, space.tenant_name]), [['t-1', 'Giant']]);
+
+    // A re-import matches the migrated records rather than adding new ones
+    const again = await api.importCsv(csv('Old Mill,,Media,PA,,Giant,1,50000,,'));
+    assert.equal(again.body.details.shopping_centers_created, 0);
+    assert.equal(again.body.details.spaces_created, 0);
+});
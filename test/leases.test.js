@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers/app');
+const { expirationSchedule, projectRent, leaseActiveOn } = require('../lib/leases');
+
+const TODAY = new Date('2025-06-15T00:00:00Z');
+
+const space = (tenantName, fields = {}) => ({ tenant_name: tenantName, square_footage: 1000, base_rent: 10, ...fields });
+
+test('lease expiration schedule', async t => {
+    const center = { name: 'Media Commons', total_gla: 10000 };
+    const spaces = [
+        space('Ended Yesterday', { lease_end: '2025-06-14' }),
+        space('Ends Today', { lease_end: '2025-06-15', base_rent: 20 }),
+        space('Ends In Last Year', { lease_end: '2027-12-31', square_footage: 2000 }),
+        space('Ends After Window', { lease_end: '2028-01-01', base_rent: 10000, rent_unit: 'annual' }),
+        space('No End Date', { square_footage: 3000 }),
+        space('Vacant', { square_footage: 2000, base_rent: 0 })
+    ];
+    const report = expirationSchedule([{ center, spaces }], { years: 3, today: TODAY });
+
+    await t.test('puts leases ending before today in expired, and today in this year', () => {
+        assert.equal(report.as_of, '2025-06-15');
+        assert.equal(report.expired.spaces, 1);
+        assert.equal(report.expired.square_feet, 1000);
+        assert.equal(report.expired.percent_of_gla, 10);
+        assert.equal(report.schedule[0].year, 2025);
+        assert.equal(report.schedule[0].spaces, 1);
+        assert.equal(report.schedule[0].annual_base_rent, 20000);
+    });
+
+    await t.test('ends the window with the last year it covers', () => {
+        assert.deepEqual(report.schedule.map(item => [item.year, item.spaces]), [[2025, 1], [2026, 0], [2027, 1]]);
+        assert.deepEqual(report.schedule.map(item => item.cumulative_percent_of_gla), [20, 20, 40]);
+        assert.equal(report.later.year, '2028+');
+        assert.equal(report.later.spaces, 1);
+        assert.equal(report.later.annual_base_rent, 10000);
+    });
+
+    await t.test('keeps leases without an end date apart and leaves out vacant space', () => {
+        assert.equal(report.no_end_date.spaces, 1);
+        assert.equal(report.no_end_date.percent_of_gla, 30);
+        assert.equal(report.total_gla, 10000);
+        assert.equal(report.total_annual_base_rent, 90000);
+        assert.equal(report.no_end_date.percent_of_rent, 33.3);
+    });
+
+    await t.test('falls back to the space square footage without a total GLA', () => {
+        const fallback = expirationSchedule([{ center: { name: 'No GLA' }, spaces }], { years: 3, today: TODAY });
+        assert.equal(fallback.total_gla, 10000);
+        assert.equal(fallback.expired.percent_of_gla, 10);
+    });
+});
+
+test('rent projection', async t => {
+    const spaces = [
+        // Up 10% every January
+        space('Escalating', {
+            base_rent: 12000,
+            rent_unit: 'annual',
+            lease_start: '2024-01-01',
+            escalation_type: 'percent',
+            escalation_value: 10,
+            cam_per_sf: 2
+        }),
+        // Ends after August, unless its one-year option is taken
+        space('Ending', { base_rent: 6000, rent_unit: 'annual', lease_end: '2025-08-31', renewal_options: 1, renewal_option_years: 1 }),
+        space('No Dates', { base_rent: 100, rent_unit: 'monthly' }),
+        space('Vacant', { base_rent: 0 })
+    ];
+
+    await t.test('steps rent up on escalation dates and stops at the lease end', () => {
+        const projection = projectRent(spaces, { months: 12, today: TODAY });
+        assert.equal(projection.start, '2025-06-01');
+        assert.deepEqual(projection.periods.map(period => [period.year, period.months, period.base_rent]), [
+            [2025, 7, 7000 + 1500 + 700],
+            [2026, 5, 5500 + 500]
+        ]);
+        assert.deepEqual(projection.periods.map(period => period.recoveries), [1166.67, 833.33]);
+        assert.equal(projection.total_base_rent, 15200);
+        assert.equal(projection.total, 17200);
+    });
+
+    await t.test('extends leases by their renewal options when asked', () => {
+        const projection = projectRent(spaces, { months: 12, assumeRenewals: true, today: TODAY });
+        assert.equal(projection.assume_renewals, true);
+        assert.deepEqual(projection.periods.map(period => period.base_rent), [7000 + 3500 + 700, 5500 + 2500 + 500]);
+    });
+
+    await t.test('keeps leases without dates in force', () => {
+        const noDates = spaces[2];
+        assert.equal(leaseActiveOn(noDates, new Date('2045-01-01T00:00:00Z')), true);
+        assert.equal(leaseActiveOn({ lease_start: '2026-01-01' }, TODAY), false);
+        assert.equal(leaseActiveOn(spaces[1], new Date('2025-08-31T00:00:00Z')), true);
+        assert.equal(leaseActiveOn(spaces[1], new Date('2025-09-01T00:00:00Z')), false);
+    });
+});
+
+test('lease routes', async t => {
+    const api = await createTestApp();
+    t.after(() => api.close());
+
+    const year = new Date().getUTCFullYear();
+    const center = (await api.request('POST', '/api/shopping-centers/', { body: { name: 'Media Commons', total_gla: 10000 } })).body;
+    const addSpace = body => api.request('POST', `/api/shopping-centers/${center.id}/tenants`, { body });
+    assert.equal((await addSpace({ tenant_name: 'Gap', tenant_suite_number: '1', square_footage: 2000, base_rent: 12, lease_end: `${year + 1}-06-30` })).status, 201);
+    await addSpace({ tenant_name: 'Acme', tenant_suite_number: '2', square_footage: 5000, base_rent: 6 });
+    await addSpace({ tenant_name: 'Salon', tenant_suite_number: '3', square_footage: 1000, base_rent: 20, lease_end: `${year - 1}-01-31` });
+    await addSpace({ tenant_name: 'Vacant', tenant_suite_number: '4', square_footage: 2000 });
+
+    await t.test('schedules expirations for a center and the portfolio', async () => {
+        const report = await api.request('GET', `/api/shopping-centers/${center.id}/lease-expirations?years=2`);
+        assert.equal(report.status, 200);
+        assert.equal(report.body.shopping_center_name, 'Media Commons');
+        assert.deepEqual(report.body.schedule.map(item => [item.year, item.spaces]), [[year, 0], [year + 1, 1]]);
+        assert.equal(report.body.later.year, `${year + 2}+`);
+        assert.equal(report.body.expired.spaces, 1);
+        assert.equal(report.body.no_end_date.square_feet, 5000);
+
+        const portfolio = await api.request('GET', '/api/portfolio/lease-expirations?years=2');
+        assert.equal(portfolio.body.centers, 1);
+        assert.equal(portfolio.body.total_annual_base_rent, 2000 * 12 + 5000 * 6 + 1000 * 20);
+
+        assert.equal((await api.request('GET', '/api/portfolio/lease-expirations?years=31')).status, 400);
+    });
+
+    await t.test('projects rent for a center and the portfolio', async () => {
+        // Only Acme, without an end date, pays for all of the next two years
+        const projection = await api.request('GET', `/api/shopping-centers/${center.id}/rent-projection?months=24`);
+        assert.equal(projection.status, 200);
+        assert.equal(projection.body.months, 24);
+        assert.ok(projection.body.total_base_rent >= 2 * 5000 * 6);
+        assert.ok(projection.body.total_base_rent <= 2 * (5000 * 6 + 2000 * 12));
+
+        const portfolio = await api.request('GET', '/api/portfolio/rent-projection?months=24');
+        assert.equal(portfolio.body.total_base_rent, projection.body.total_base_rent);
+
+        assert.equal((await api.request('GET', '/api/portfolio/rent-projection?months=241')).status, 400);
+    });
+});
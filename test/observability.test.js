@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers/app');
+const { createLogger, runWithLogContext } = require('../lib/logger');
+const { createReadinessCheck } = require('../lib/readiness');
+const { googleProvider } = require('../lib/geocoder');
+const { version } = require('../package.json');
+
+const CSV = [
+    'shopping_center_name,address_street,address_city,address_state,address_zip,county,tenant_name,tenant_suite_number,square_footage',
+    'Media Commons,1 State St,Media,PA,19063,Delaware,Giant,1,50000',
+    'Media Commons,1 State St,Media,PA,19063,Delaware,Salon,2,lots',
+    'Twin Oaks,2 Oak Ave,Exton,PA,19341,Chester,Starbucks,1,2000'
+].join('\n');
+
+// The value of one sample in a Prometheus text exposition
+function sample(text, series) {
+    const line = text.split('\n').find(entry => entry.startsWith(series + ' '));
+    return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+test('observability', async t => {
+    const api = await createTestApp({
+        googleAddresses: { '1 State St, Media, PA 19063': { lat: 39.92, lng: -75.39 } }
+    });
+    t.after(() => api.close());
+
+    await t.test('gives every request an id', async () => {
+        const generated = await api.request('GET', '/api/shopping-centers/');
+        assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+        const given = await api.request('GET', '/api/shopping-centers/', { headers: { 'X-Request-Id': 'trace-123' } });
+        assert.equal(given.headers.get('x-request-id'), 'trace-123');
+
+        const unsafe = await api.request('GET', '/api/shopping-centers/', { headers: { 'X-Request-Id': 'no spaces <allowed>' } });
+        assert.notEqual(unsafe.headers.get('x-request-id'), 'no spaces <allowed>');
+    });
+
+    await t.test('reports the package version at the root', async () => {
+        const root = await api.request('GET', '/');
+        assert.equal(root.body.version, version);
+        assert.ok(root.body.endpoints.includes('GET /metrics'));
+    });
+
+    await t.test('serves Prometheus metrics', async () => {
+        const imported = await api.importCsv(CSV);
+        assert.equal(imported.body.details.rows_rejected, 1);
+
+        const center = (await api.request('GET', '/api/shopping-centers/')).body.data[0];
+        await api.request('GET', `/api/shopping-centers/${center.id}`);
+        await api.request('GET', '/api/shopping-centers/missing');
+
+        const response = await fetch(`${api.url}/metrics`);
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+        const text = await response.text();
+
+        assert.equal(sample(text, `shopwindow_info{version="${version}"}`), 1);
+        assert.equal(sample(text, 'shopwindow_http_requests_total{method="GET",route="/api/shopping-centers/:id",status="200"}'), 1);
+        assert.equal(sample(text, 'shopwindow_http_requests_total{method="GET",route="/api/shopping-centers/:id",status="404"}'), 1);
+        assert.equal(sample(text, 'shopwindow_http_request_duration_seconds_count{method="GET",route="/api/shopping-centers/:id"}'), 2);
+        assert.equal(sample(text, 'shopwindow_http_request_duration_seconds_bucket{method="GET",route="/api/shopping-centers/:id",le="+Inf"}'), 2);
+
+        assert.equal(sample(text, 'shopwindow_import_jobs_total{status="completed",dry_run="false"}'), 1);
+        assert.equal(sample(text, 'shopwindow_import_rows_total{outcome="imported"}'), 2);
+        assert.equal(sample(text, 'shopwindow_import_rows_total{outcome="rejected"}'), 1);
+
+        // Media Commons is found by Google; Twin Oaks by neither provider
+        assert.equal(sample(text, 'shopwindow_geocoder_lookups_total'), 2);
+        assert.equal(sample(text, 'shopwindow_geocoder_provider_calls_total{provider="google",outcome="matched"}'), 1);
+        assert.equal(sample(text, 'shopwindow_geocoder_provider_calls_total{provider="census",outcome="not_found"}'), 1);
+        assert.equal(sample(text, 'shopwindow_geocoder_failures_total'), 1);
+        assert.equal(sample(text, 'shopwindow_shopping_centers{workspace="default"}'), 2);
+        assert.equal(sample(text, 'shopwindow_census_cache_hit_ratio'), 0);
+    });
+
+    await t.test('asks for METRICS_TOKEN when it is set', async t => {
+        process.env.METRICS_TOKEN = 'scrape-me';
+        t.after(() => delete process.env.METRICS_TOKEN);
+
+        assert.equal((await fetch(`${api.url}/metrics`)).status, 401);
+        const allowed = await fetch(`${api.url}/metrics`, { headers: { Authorization: 'Bearer scrape-me' } });
+        assert.equal(allowed.status, 200);
+    });
+
+    await t.test('checks storage and upstream services', async () => {
+        const ready = await api.request('GET', '/health/ready');
+        assert.equal(ready.status, 200);
+        assert.equal(ready.body.status, 'ready');
+        assert.deepEqual(Object.keys(ready.body.checks).sort(),
+            ['block_groups', 'census_api', 'geocoder_census', 'geocoder_google', 'storage']);
+        assert.equal(ready.body.checks.storage.status, 'ok');
+        assert.equal(ready.body.checks.storage.critical, true);
+        assert.deepEqual(ready.body.degraded, []);
+    });
+});
+
+test('readiness reports a failing Census API as degraded', async t => {
+    const api = await createTestApp({ censusFailFirst: 1 });
+    t.after(() => api.close());
+
+    const ready = await api.request('GET', '/health/ready');
+    assert.equal(ready.status, 200);
+    assert.equal(ready.body.status, 'degraded');
+    assert.equal(ready.body.checks.census_api.status, 'error');
+    assert.match(ready.body.checks.census_api.error, /503/);
+    assert.deepEqual(ready.body.degraded.map(entry => entry.check), ['census_api']);
+});
+
+test('readiness is unavailable when a critical check fails', async () => {
+    const readiness = createReadinessCheck([
+        { name: 'storage', critical: true, run: async () => { throw new Error('disk full'); } },
+        { name: 'slow', degrades: 'Nothing much', run: () => new Promise(resolve => setTimeout(resolve, 1000)) },
+        { name: 'off', degrades: 'Something else', run: () => ({ status: 'disabled', detail: 'not configured' }) }
+    ], { timeoutMs: 20, cacheMs: 60000 });
+
+    const report = await readiness();
+    assert.equal(report.status, 'unavailable');
+    assert.equal(report.checks.storage.error, 'disk full');
+    assert.match(report.checks.slow.error, /timed out/);
+    assert.deepEqual(report.degraded.map(entry => [entry.check, entry.reason]), [
+        ['slow', 'slow check timed out after 20 ms'],
+        ['off', 'not configured']
+    ]);
+
+    // Reused until it goes stale
+    assert.equal(await readiness(), report);
+});
+
+test('readiness keeps API keys out of error messages', async () => {
+    const readiness = createReadinessCheck([
+        {
+            name: 'census_api',
+            degrades: 'Demographics',
+            run: async () => { throw new Error('request to https://api.census.gov/data/2022/acs/acs5?get=NAME&for=us:1&key=CENSUSSECRET failed'); }
+        },
+        {
+            name: 'geocoder',
+            degrades: 'Geocoding',
+            run: async () => { throw new Error('request to https://maps.example.com/geo?address=&key=GOOGLESECRET failed'); }
+        }
+    ], { timeoutMs: 1000, cacheMs: 0 });
+
+    const report = await readiness();
+    assert.doesNotMatch(JSON.stringify(report), /SECRET/);
+    assert.equal(report.checks.census_api.error,
+        'request to https://api.census.gov/data/2022/acs/acs5?get=NAME&for=us:1&key=[redacted] failed');
+    assert.match(report.degraded[1].reason, /\?address=&key=\[redacted\] failed$/);
+});
+
+test('Google geocoder errors leave out the API key', async () => {
+    // Nothing listens on port 1
+    const google = googleProvider({ apiKey: 'GOOGLESECRET', baseUrl: 'http://127.0.0.1:1/geo' });
+
+    for (const attempt of [google.geocode({ street: '1 Main St', city: 'Springfield', state: 'PA' }), google.check()]) {
+        const error = await attempt.catch(failure => failure);
+        assert.equal(error.message, 'Google geocoder request to http://127.0.0.1:1/geo failed: ECONNREFUSED');
+    }
+});
+
+test('logs JSON lines with the context fields', () => {
+    const lines = [];
+    const logger = createLogger({ level: 'info', write: line => lines.push(JSON.parse(line)) });
+
+    logger.debug('Not written');
+    runWithLogContext({ request_id: 'req-1' }, () => {
+        logger.error('Failed', { error: new Error('boom'), rows: 3 });
+    });
+    logger.info('Done');
+
+    assert.equal(lines.length, 2);
+    assert.equal(lines[0].level, 'error');
+    assert.equal(lines[0].msg, 'Failed');
+    assert.equal(lines[0].request_id, 'req-1');
+    assert.equal(lines[0].rows, 3);
+    assert.equal(lines[0].error.message, 'boom');
+    assert.match(lines[0].error.stack, /Error: boom/);
+    assert.equal(lines[1].request_id, undefined);
+    assert.deepEqual(logger.counts, { debug: 1, info: 1, warn: 0, error: 1 });
+});
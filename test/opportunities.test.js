@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers/app');
+
+const CSV = [
+    'shopping_center_name,center_type,address_street,address_city,address_state,address_zip,total_gla,tenant_name,tenant_suite_number,square_footage,base_rent,retail_category',
+    'Media Commons,Community Center,1 State St,Media,PA,19063,65000,Giant,1,50000,12,Grocery',
+    'Media Commons,Community Center,1 State St,Media,PA,19063,65000,Vacant,2,10000,,',
+    'Media Commons,Community Center,1 State St,Media,PA,19063,65000,Salon,3,2000,20,Services',
+    'Media Commons,Community Center,1 State St,Media,PA,19063,65000,Vacant,4,2500,,',
+    'Twin Oaks,Community Center,2 Oak Ave,Media,PA,19063,52000,Acme,1,45000,10,Grocery',
+    'Twin Oaks,Community Center,2 Oak Ave,Media,PA,19063,52000,Gap,2,5000,25,Apparel',
+    'Twin Oaks,Community Center,2 Oak Ave,Media,PA,19063,52000,Starbucks,3,2000,30,Restaurant',
+    'Far Hills,Community Center,3 Hill Rd,Norristown,PA,19401,86000,Target,1,80000,8,General Merchandise',
+    'Far Hills,Community Center,3 Hill Rd,Norristown,PA,19401,86000,Gap,2,4000,22,Apparel',
+    'Far Hills,Community Center,3 Hill Rd,Norristown,PA,19401,86000,Starbucks,3,1800,28,Restaurant',
+    'Corner Strip,Strip Center,4 Corner Ln,Media,PA,19063,8000,Wawa,1,5000,30,Convenience',
+    'Corner Strip,Strip Center,4 Corner Ln,Media,PA,19063,8000,Chipotle,2,3000,35,Restaurant',
+    'No Location,Community Center,5 Lost Rd,Nowhere,PA,19000,20000,Vacant,1,20000,,'
+].join('\n');
+
+const BLOCK_GROUPS = [
+    { geoid: '421010001001', values: { total_population: [1000, 100], total_households: [400, 40] } },
+    { geoid: '421010001002', values: { total_population: [500, 50], total_households: [200, 20] } },
+    { geoid: '420910001001', values: { total_population: [250, 30], total_households: [100, 10] } },
+    { geoid: '421010002001', values: { total_population: [9000, 900], total_households: [3000, 300] } }
+];
+
+test('leasing opportunities', async t => {
+    const api = await createTestApp({
+        blockGroups: BLOCK_GROUPS,
+        googleAddresses: {
+            '1 State St, Media, PA 19063': { lat: 40, lng: -75 },
+            '2 Oak Ave, Media, PA 19063': { lat: 40.01, lng: -75 },
+            '3 Hill Rd, Norristown, PA 19401': { lat: 40.2, lng: -75 },
+            '4 Corner Ln, Media, PA 19063': { lat: 40, lng: -74.98 }
+        }
+    });
+    t.after(() => api.close());
+
+    const imported = await api.importCsv(CSV);
+    assert.equal(imported.body.details.rows_rejected, 0);
+
+    const centers = (await api.request('GET', '/api/shopping-centers/')).body.data;
+    const idOf = name => centers.find(center => center.name === name).id;
+    const opportunities = (name, query = '') => api.request('GET', `/api/shopping-centers/${idOf(name)}/opportunities${query}`);
+
+    await t.test('scores categories the center is short of against its peers', async () => {
+        const response = await opportunities('Media Commons', '?ring=1');
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.peer_group, { center_type: 'Community Center', centers: 3, nearby_centers: 2, radius_miles: 25 });
+        assert.equal(response.body.trade_area.total_households, 600);
+
+        // Grocery is over-represented here, and the center's 600 households are
+        // a third of the 1,800 median at the peers with apparel or restaurants
+        assert.deepEqual(
+            response.body.categories.map(({ category, missing, peer_presence_percent: presence, trade_area_support: support, score }) =>
+                [category, missing, presence, support, score]),
+            [
+                ['Apparel', true, 100, 0.33, 33.3],
+                ['Restaurant', true, 100, 0.33, 33.3],
+                ['General Merchandise', true, 50, 0.2, 10]
+            ]
+        );
+        assert.equal(response.body.categories[0].peer_average_percent, 7.2);
+    });
+
+    await t.test('suggests brands at nearby peers, matched to vacant suites', async () => {
+        const { body } = await opportunities('Media Commons', '?ring=1');
+        assert.deepEqual(body.brands.map(brand => [brand.brand, brand.score]), [
+            ['starbucks', 72.8],
+            ['gap', 66.7],
+            ['target', 26.8],
+            ['acme-markets', 26.7]
+        ]);
+
+        const [starbucks] = body.brands;
+        assert.equal(starbucks.category, 'Restaurant');
+        assert.equal(starbucks.typical_square_footage, 1900);
+        assert.equal(starbucks.nearest_miles, 0.69);
+        assert.deepEqual(starbucks.centers.map(center => center.name), ['Twin Oaks', 'Far Hills']);
+        assert.equal(starbucks.best_suite.suite_number, '4');
+        assert.equal(starbucks.best_suite.fit, 0.76);
+
+        assert.deepEqual(body.vacant_suites.map(suite => [suite.suite_number, suite.space_type, suite.score]), [
+            ['4', 'inline', 72.8],
+            ['2', 'junior_anchor', 63.5]
+        ]);
+        assert.deepEqual(body.vacant_suites[1].candidates.map(candidate => candidate.brand), ['gap', 'starbucks', 'target']);
+    });
+
+    await t.test('only takes brands from peers within the radius', async () => {
+        const { body } = await opportunities('Media Commons', '?ring=1&radius=5&limit=2');
+        assert.equal(body.peer_group.nearby_centers, 1);
+        assert.equal(body.brands_found, 3);
+        assert.deepEqual(body.brands.map(brand => brand.brand), ['starbucks', 'gap']);
+        // Categories still compare with every peer of the type
+        assert.equal(body.categories.length, 3);
+    });
+
+    await t.test('works without coordinates or demographics', async () => {
+        const { status, body } = await opportunities('No Location');
+        assert.equal(status, 200);
+        assert.equal(body.trade_area, null);
+        assert.equal(body.peer_group.radius_miles, null);
+        assert.equal(body.peer_group.nearby_centers, 3);
+
+        const apparel = body.categories.find(category => category.category === 'Apparel');
+        assert.equal(apparel.trade_area_support, null);
+        // Media Commons doesn't lease apparel, so two of three peers do
+        assert.equal(apparel.score, 66.7);
+        assert.equal(body.vacant_suites[0].square_footage, 20000);
+    });
+
+    await t.test('has nothing to suggest without peers', async () => {
+        const { body } = await opportunities('Corner Strip');
+        assert.equal(body.peer_group.centers, 0);
+        assert.deepEqual(body.categories, []);
+        assert.deepEqual(body.brands, []);
+        assert.deepEqual(body.vacant_suites, []);
+    });
+
+    await t.test('rejects bad queries', async () => {
+        assert.equal((await opportunities('Media Commons', '?radius=0')).status, 400);
+        assert.equal((await opportunities('Media Commons', '?limit=500')).status, 400);
+        assert.equal((await api.request('GET', '/api/shopping-centers/missing/opportunities')).status, 404);
+    });
+});
@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers/app');
+const { GridIndex } = require('../lib/spatial-index');
+
+const CSV = [
+    'shopping_center_name,address_street,address_city,address_state,address_zip,tenant_name,tenant_suite_number,square_footage,retail_category',
+    'Media Commons,1 State St,Media,PA,19063,Target,1,80000,General Merchandise',
+    'Media Commons,1 State St,Media,PA,19063,Giant,2,50000,Grocery',
+    'Oak Plaza,2 Oak Ave,Media,PA,19063,Target,1,80000,General Merchandise',
+    'Oak Plaza,2 Oak Ave,Media,PA,19063,Aldi,2,20000,Grocery',
+    'Hill Center,3 Hill Rd,Norristown,PA,19401,Target,1,80000,General Merchandise',
+    'Far Mall,4 Far Rd,Scranton,PA,18503,Aldi,1,20000,Grocery',
+    'No Location,5 Lost Rd,Nowhere,PA,19000,Target,1,80000,General Merchandise'
+].join('\n');
+
+// Oak Plaza is about 3.5 miles north of Media Commons, Hill Center about
+// 14; Far Mall is a hundred miles away and No Location is never geocoded
+const ADDRESSES = {
+    '1 State St, Media, PA 19063': { lat: 40, lng: -75 },
+    '2 Oak Ave, Media, PA 19063': { lat: 40.05, lng: -75 },
+    '3 Hill Rd, Norristown, PA 19401': { lat: 40.2, lng: -75 },
+    '4 Far Rd, Scranton, PA 18503': { lat: 41.4, lng: -75.66 }
+};
+
+const ids = entries => entries.map(entry => entry.id).sort();
+
+test('grid index', async t => {
+    const index = new GridIndex({ cellSizeDegrees: 0.1 });
+    index.insert('a', 40, -75);
+    index.insert('b', 40.05, -75);
+    index.insert('c', 40, -74.9);
+    index.insert('corner', 40.05, -74.94);
+    index.insert('far', 41, -75);
+
+    await t.test('finds points within a radius, nearest first', () => {
+        // "corner" is inside the radius's bounding box but 4.7 miles away
+        const found = index.queryRadius(40, -75, 4);
+        assert.deepEqual(found.map(entry => entry.id), ['a', 'b']);
+        assert.equal(found[0].distance_miles, 0);
+        assert.ok(Math.abs(found[1].distance_miles - 3.45) < 0.05, `${found[1].distance_miles}`);
+    });
+
+    await t.test('finds points inside a box, edges included', () => {
+        assert.deepEqual(ids(index.queryBBox(39.95, -75.05, 40.05, -74.9)), ['a', 'b', 'c', 'corner']);
+        assert.deepEqual(ids(index.queryBBox(40.9, -75.1, 41.1, -74.9)), ['far']);
+        assert.deepEqual(index.queryBBox(10, 10, 11, 11), []);
+    });
+
+    await t.test('walks the occupied cells for boxes with more cells than that', () => {
+        assert.deepEqual(ids(index.queryBBox(-90, -180, 90, 180)), ['a', 'b', 'c', 'corner', 'far']);
+        assert.deepEqual(ids(index.queryBBox(39.99, -180, 40.01, 180)), ['a', 'c']);
+    });
+
+    await t.test('moves re-inserted points and forgets removed ones', () => {
+        index.insert('far', 40.01, -75);
+        assert.deepEqual(index.queryRadius(40, -75, 1).map(entry => entry.id), ['a', 'far']);
+
+        assert.equal(index.remove('far'), true);
+        assert.equal(index.remove('far'), false);
+        assert.equal(index.size, 4);
+        assert.deepEqual(index.queryRadius(40, -75, 1).map(entry => entry.id), ['a']);
+    });
+});
+
+test('proximity search', async t => {
+    const api = await createTestApp({ googleAddresses: ADDRESSES });
+    t.after(() => api.close());
+
+    const imported = await api.importCsv(CSV);
+    assert.equal(imported.body.details.rows_rejected, 0);
+
+    const names = response => response.body.data.map(center => center.name);
+
+    await t.test('lists centers within a radius, nearest first', async () => {
+        const nearby = await api.request('GET', '/api/shopping-centers/nearby?lat=40&lng=-75&radius=5');
+        assert.equal(nearby.status, 200);
+        assert.deepEqual(names(nearby), ['Media Commons', 'Oak Plaza']);
+        assert.deepEqual(nearby.body.data.map(center => center.distance_miles), [0, 3.46]);
+        assert.deepEqual(nearby.body.center, { latitude: 40, longitude: -75 });
+
+        const wider = await api.request('GET', '/api/shopping-centers/nearby?lat=40&lng=-75&radius=20&limit=2');
+        assert.deepEqual(names(wider), ['Media Commons', 'Oak Plaza']);
+        assert.equal(wider.body.total, 3);
+    });
+
+    await t.test('keeps only centers with a matching tenant', async () => {
+        const aldi = await api.request('GET', '/api/shopping-centers/nearby?lat=40&lng=-75&radius=5&tenant=aldi');
+        assert.deepEqual(names(aldi), ['Oak Plaza']);
+        assert.deepEqual(aldi.body.data[0].matching_spaces.map(space => space.tenant_name), ['Aldi']);
+
+        const grocery = await api.request('GET', '/api/shopping-centers/nearby?lat=40&lng=-75&radius=20&category=grocery');
+        assert.deepEqual(names(grocery), ['Media Commons', 'Oak Plaza']);
+    });
+
+    await t.test('lists centers inside a map viewport, by name', async () => {
+        const viewport = await api.request('GET', '/api/shopping-centers/bbox?west=-75.1&south=39.9&east=-74.9&north=40.3');
+        assert.equal(viewport.status, 200);
+        assert.deepEqual(names(viewport), ['Hill Center', 'Media Commons', 'Oak Plaza']);
+
+        const everywhere = await api.request('GET', '/api/shopping-centers/bbox?west=-180&south=-90&east=180&north=90');
+        assert.deepEqual(names(everywhere), ['Far Mall', 'Hill Center', 'Media Commons', 'Oak Plaza']);
+
+        const inverted = await api.request('GET', '/api/shopping-centers/bbox?west=-75.1&south=40.3&east=-74.9&north=39.9');
+        assert.equal(inverted.status, 400);
+    });
+
+    await t.test('finds centers with some tenants and without others', async () => {
+        const withoutAldi = await api.request('GET', '/api/shopping-centers/co-tenancy?has=Target&lacks=Aldi');
+        assert.equal(withoutAldi.status, 200);
+        assert.deepEqual(names(withoutAldi), ['Hill Center', 'Media Commons', 'No Location']);
+
+        // Oak Plaza's Aldi is within 5 miles of Media Commons
+        const noAldiNearby = await api.request('GET', '/api/shopping-centers/co-tenancy?has=Target&lacks=Aldi&lacks_radius=5');
+        assert.deepEqual(names(noAldiNearby), ['Hill Center', 'No Location']);
+        assert.equal(noAldiNearby.body.lacks_radius_miles, 5);
+
+        const inArea = await api.request('GET', '/api/shopping-centers/co-tenancy?has=Target&lat=40&lng=-75&radius=5');
+        assert.deepEqual(names(inArea), ['Media Commons', 'Oak Plaza']);
+    });
+
+    await t.test('rejects incomplete co-tenancy queries', async () => {
+        const noTenants = await api.request('GET', '/api/shopping-centers/co-tenancy');
+        assert.equal(noTenants.status, 400);
+        assert.equal(noTenants.body.details[0].field, 'has');
+
+        const partialArea = await api.request('GET', '/api/shopping-centers/co-tenancy?has=Target&lat=40');
+        assert.equal(partialArea.status, 400);
+        assert.deepEqual(partialArea.body.details.map(error => error.field), ['lng', 'radius']);
+    });
+
+    await t.test('follows centers as they move', async () => {
+        const media = (await api.request('GET', '/api/shopping-centers/nearby?lat=40&lng=-75&radius=1')).body.data[0];
+        await api.request('PUT', `/api/shopping-centers/${media.id}/coordinates`, { body: { latitude: 41.4, longitude: -75.66 } });
+
+        const nearby = await api.request('GET', '/api/shopping-centers/nearby?lat=40&lng=-75&radius=5');
+        assert.deepEqual(names(nearby), ['Oak Plaza']);
+        const scranton = await api.request('GET', '/api/shopping-centers/nearby?lat=41.4&lng=-75.66&radius=1');
+        assert.deepEqual(names(scranton).sort(), ['Far Mall', 'Media Commons']);
+    });
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers/app');
+
+test('vacancy stats', async t => {
+    const api = await createTestApp();
+    t.after(() => api.close());
+
+    const result = await api.importCsv([
+        'shopping_center_name,county,total_gla,tenant_name,tenant_suite_number,square_footage,base_rent,rent_unit,retail_category,space_type',
+        'North Center,Montgomery,50000,Giant,1,30000,15,per_sf_year,Grocery,',
+        'North Center,Montgomery,50000,Vacant,2,10000,,,,',
+        'North Center,Montgomery,50000,Salon,3,2000,4000,monthly,Services,',
+        'North Center,Montgomery,50000,Vacant,4,,,,,',
+        'South Center,Bucks,,Pad Bank,P1,4000,100000,annual,Bank,pad',
+        'South Center,Bucks,,Vacant,2,6000,,,,'
+    ].join('\n'));
+    assert.equal(result.body.details.rows_rejected, 0);
+
+    const list = (await api.request('GET', '/api/shopping-centers/?sort=name')).body.data;
+    const north = list.find(center => center.name === 'North Center');
+
+    await t.test('for one center, by count and by square footage', async () => {
+        const stats = (await api.request('GET', `/api/shopping-centers/${north.id}/vacancy-stats`)).body;
+
+        assert.equal(stats.total_spaces, 4);
+        assert.equal(stats.vacant_spaces, 2);
+        assert.equal(stats.vacancy_rate_by_count, 50);
+        // The vacant space without a size counts by number only
+        assert.equal(stats.spaces_missing_sf, 1);
+        assert.equal(stats.total_sf, 42000);
+        assert.equal(stats.vacant_sf, 10000);
+        assert.equal(stats.vacancy_rate_by_sf, 23.8);
+
+        assert.equal(stats.gla_check.status, 'spaces_below_gla');
+        assert.equal(stats.gla_check.leased_percent_of_gla, 64);
+
+        assert.equal(stats.by_space_type.anchor.total_spaces, 1);
+        assert.equal(stats.by_space_type.junior_anchor.vacant_sf, 10000);
+        assert.equal(stats.by_space_type.unclassified.total_spaces, 1);
+
+        // 30,000 sf at $15/sf/yr plus $4,000/month
+        assert.equal(stats.rent_roll.annual_base_rent, 450000 + 48000);
+        assert.equal(stats.rent_roll.average_rent_per_sf, 15.56);
+    });
+
+    await t.test('in the center list', () => {
+        assert.equal(north.vacancy_rate_by_count, 50);
+        assert.equal(north.vacancy_rate_by_sf, 23.8);
+    });
+
+    await t.test('across the portfolio and by county', async () => {
+        const stats = (await api.request('GET', '/api/portfolio/vacancy-stats?group_by=county')).body;
+
+        assert.equal(stats.portfolio.centers, 2);
+        assert.equal(stats.portfolio.total_spaces, 6);
+        assert.equal(stats.portfolio.vacant_sf, 16000);
+        assert.equal(stats.portfolio.vacancy_rate_by_sf, 30.8);
+        assert.equal(stats.portfolio.centers_without_gla, 1);
+
+        const bucks = stats.groups.find(group => group.county === 'Bucks');
+        assert.equal(bucks.vacancy_rate_by_sf, 60);
+        assert.equal(bucks.by_space_type.pad.leased_sf, 4000);
+    });
+
+    await t.test('follows changes to spaces', async () => {
+        const tenants = (await api.request('GET', `/api/shopping-centers/${north.id}/tenants`)).body;
+        const vacant = tenants.find(tenant => tenant.suite_number === '2');
+        const leased = await api.request('PATCH', `/api/shopping-centers/${north.id}/tenants/${vacant.id}`, {
+            body: { tenant_name: 'Five Below', base_rent: 18 }
+        });
+        assert.equal(leased.status, 200);
+
+        const stats = (await api.request('GET', `/api/shopping-centers/${north.id}/vacancy-stats`)).body;
+        assert.equal(stats.vacant_sf, 0);
+        assert.equal(stats.vacancy_rate_by_count, 25);
+    });
+
+    await t.test('rejects an unknown group', async () => {
+        const response = await api.request('GET', '/api/portfolio/vacancy-stats?group_by=color');
+        assert.equal(response.status, 400);
+        assert.equal(response.body.code, 'invalid_request');
+        assert.equal(response.body.details[0].field, 'group_by');
+    });
+});
@@ -0,0 +1,215 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTestApp } = require('./helpers/app');
+const { startReceiver } = require('./helpers/stubs');
+const { verifySignature, createWebhookManager } = require('../lib/webhooks');
+const { createEventBus } = require('../lib/events');
+const { MemoryStore } = require('../lib/storage');
+
+const CSV = [
+    'shopping_center_name,address_street,address_city,address_state,address_zip,county,tenant_name,tenant_suite_number,square_footage,retail_category',
+    'Media Commons,1 State St,Media,PA,19063,Delaware,Giant,1,50000,Grocery',
+    'Media Commons,1 State St,Media,PA,19063,Delaware,Salon,2,2000,Services',
+    'Twin Oaks,2 Oak Ave,Exton,PA,19341,Chester,Starbucks,1,2000,Restaurant'
+].join('\n');
+
+// Wait until a delivery is no longer pending, then return it
+async function settled(api, webhookId, deliveryId) {
+    for (let i = 0; i < 200; i++) {
+        const { body } = await api.request('GET', `/api/webhooks/${webhookId}/deliveries/${deliveryId}`);
+        if (body.status !== 'pending') return body;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`Delivery ${deliveryId} never finished`);
+}
+
+test('webhooks', async t => {
+    const api = await createTestApp();
+    const receiver = await startReceiver();
+    t.after(async () => {
+        await api.close();
+        await receiver.close();
+    });
+
+    const subscribe = body => api.request('POST', '/api/webhooks', { body });
+    const events = () => receiver.received.map(request => JSON.parse(request.body));
+
+    const leasing = await subscribe({ url: receiver.url, events: ['brand.new_location', 'space.vacated', 'import.completed'] });
+    assert.equal(leasing.status, 201);
+    assert.match(leasing.body.secret, /^whsec_/);
+    const { secret } = leasing.body;
+
+    await t.test('sends matching events, signed', async () => {
+        const imported = await api.importCsv(CSV);
+        assert.equal(imported.body.details.spaces_created, 3);
+
+        // One new location per brand, then the finished import
+        const received = await receiver.waitFor(4);
+        const types = events().map(event => event.type);
+        assert.deepEqual(types.filter(type => type === 'brand.new_location').length, 3);
+        assert.ok(types.includes('import.completed'));
+
+        for (const request of received) {
+            assert.ok(verifySignature(secret, request.headers['x-shopwindow-signature'], request.body));
+            assert.ok(!verifySignature('whsec_wrong', request.headers['x-shopwindow-signature'], request.body));
+        }
+
+        const giant = events().find(event => event.type === 'brand.new_location' && event.data.space.tenant_name === 'Giant');
+        assert.equal(giant.shopping_center_name, 'Media Commons');
+        assert.equal(giant.county, 'Delaware');
+        assert.equal(giant.source.type, 'import');
+        assert.equal(receiver.received.find(request => JSON.parse(request.body).id === giant.id).headers['x-shopwindow-event'], 'brand.new_location');
+
+        const done = events().find(event => event.type === 'import.completed');
+        assert.equal(done.data.job.stats.spaces_created, 3);
+
+        // The delivery log stays out of the main store
+        assert.equal(api.webhookStore.collection('webhook_deliveries').size, 4);
+        assert.equal(api.store.collection('webhook_deliveries').size, 0);
+    });
+
+    await t.test('raises space.vacated when a suite goes vacant', async () => {
+        const center = (await api.request('GET', '/api/shopping-centers/')).body.data.find(entry => entry.name === 'Media Commons');
+        const spaces = (await api.request('GET', `/api/shopping-centers/${center.id}/tenants`)).body;
+        const salon = spaces.find(space => space.tenant_name === 'Salon');
+
+        const before = receiver.received.length;
+        const updated = await api.request('PATCH', `/api/shopping-centers/${center.id}/tenants/${salon.id}`, { body: { tenant_name: 'Vacant' } });
+        assert.equal(updated.status, 200);
+
+        await receiver.waitFor(before + 1);
+        const vacated = events()[before];
+        assert.equal(vacated.type, 'space.vacated');
+        assert.equal(vacated.data.previous_tenant, 'Salon');
+        assert.equal(vacated.data.space.id, salon.id);
+        assert.equal(vacated.actor.id, 'bootstrap');
+    });
+
+    await t.test('filters by county and brand', async () => {
+        const chester = await startReceiver();
+        t.after(() => chester.close());
+        const byCounty = await subscribe({ url: chester.url, counties: ['chester'], events: ['space.created'] });
+        const byBrand = await subscribe({ url: chester.url, brands: ['Giant'] });
+
+        const csv = [
+            'shopping_center_name,address_street,address_city,address_state,address_zip,county,tenant_name,tenant_suite_number,square_footage',
+            'Media Commons,1 State St,Media,PA,19063,Delaware,Wawa,3,4000',
+            'Twin Oaks,2 Oak Ave,Exton,PA,19341,Chester,Wawa,2,4000'
+        ].join('\n');
+        await api.importCsv(csv);
+        await chester.waitFor(1);
+
+        const countyLog = (await api.request('GET', `/api/webhooks/${byCounty.body.id}/deliveries`)).body;
+        assert.equal(countyLog.count, 1);
+        assert.equal(countyLog.data[0].event_type, 'space.created');
+        assert.equal(countyLog.data[0].payload, undefined);
+        assert.equal((await api.request('GET', `/api/webhooks/${byBrand.body.id}/deliveries`)).body.count, 0);
+        assert.deepEqual(byBrand.body.brands, ['giant']);
+    });
+
+    await t.test('retries with backoff and logs every attempt', async () => {
+        const flaky = await startReceiver([500, 503]);
+        t.after(() => flaky.close());
+        const webhook = (await subscribe({ url: flaky.url })).body;
+
+        const ping = await api.request('POST', `/api/webhooks/${webhook.id}/ping`);
+        assert.equal(ping.status, 202);
+
+        const delivery = await settled(api, webhook.id, ping.body.id);
+        assert.equal(delivery.status, 'succeeded');
+        assert.deepEqual(delivery.attempts.map(attempt => attempt.status_code), [500, 503, 200]);
+        assert.equal(delivery.payload.type, 'webhook.ping');
+        // Each retry waits twice as long as the one before
+        const [first, second, third] = delivery.attempts.map(attempt => Date.parse(attempt.attempted_at));
+        assert.ok(second - first >= 5 && third - second >= 10);
+    });
+
+    await t.test('gives up on client errors and can redeliver', async () => {
+        const refusing = await startReceiver([410]);
+        t.after(() => refusing.close());
+        const webhook = (await subscribe({ url: refusing.url })).body;
+
+        const ping = await api.request('POST', `/api/webhooks/${webhook.id}/ping`);
+        const failed = await settled(api, webhook.id, ping.body.id);
+        assert.equal(failed.status, 'failed');
+        assert.equal(failed.attempts.length, 1);
+        assert.equal(failed.error, 'Receiver answered 410');
+
+        const again = await api.request('POST', `/api/webhooks/${webhook.id}/deliveries/${failed.id}/redeliver`);
+        assert.equal(again.status, 202);
+        const redelivered = await settled(api, webhook.id, again.body.id);
+        assert.equal(redelivered.status, 'succeeded');
+        assert.equal(redelivered.event_id, failed.event_id);
+
+        const failures = await api.request('GET', `/api/webhooks/${webhook.id}/deliveries?status=failed`);
+        assert.deepEqual(failures.body.data.map(entry => entry.id), [failed.id]);
+    });
+
+    await t.test('manages subscriptions', async () => {
+        const listed = await api.request('GET', '/api/webhooks');
+        assert.ok(listed.body.data.every(webhook => webhook.secret === undefined));
+
+        const paused = await api.request('PATCH', `/api/webhooks/${leasing.body.id}`, { body: { active: false } });
+        assert.equal(paused.body.active, false);
+        assert.deepEqual(paused.body.events, ['brand.new_location', 'space.vacated', 'import.completed']);
+
+        const removed = await api.request('DELETE', `/api/webhooks/${leasing.body.id}`);
+        assert.equal(removed.status, 200);
+        assert.equal((await api.request('GET', `/api/webhooks/${leasing.body.id}`)).status, 404);
+    });
+
+    await t.test('reports subscription changes that fail to save', async () => {
+        const flush = api.store.flush;
+        api.store.flush = async () => { throw new Error('disk full'); };
+        const created = await subscribe({ url: receiver.url });
+        api.store.flush = flush;
+        assert.equal(created.status, 500);
+        assert.equal(created.body.error, 'Failed to create webhook');
+    });
+
+    await t.test('rejects bad subscriptions', async () => {
+        const badUrl = await subscribe({ url: 'ftp://example.com' });
+        assert.equal(badUrl.status, 400);
+        const badEvent = await subscribe({ url: receiver.url, events: ['space.exploded'] });
+        assert.equal(badEvent.status, 400);
+        assert.equal(badEvent.body.details[0].field, 'events');
+    });
+});
+
+test('webhooks send a few requests at a time to each subscription', async t => {
+    const receiver = await startReceiver([], { delayMs: 20 });
+    const events = createEventBus();
+    const webhooks = createWebhookManager({ store: new MemoryStore(), events, maxConcurrent: 2 });
+    t.after(async () => {
+        webhooks.close();
+        await receiver.close();
+    });
+
+    webhooks.create({ url: receiver.url, events: [], workspaces: [], shopping_center_ids: [], counties: [], brands: [], active: true });
+    for (let i = 0; i < 10; i++) {
+        events.publish('import.completed', { job: { id: `job-${i}` } });
+    }
+
+    await receiver.waitFor(10);
+    assert.equal(receiver.maxInFlight(), 2);
+});
+
+test('moves a delivery log kept in the main data file to its own store', async t => {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'shopwindow-'));
+    const dataFile = path.join(directory, 'shopwindow.json');
+
+    const delivery = { id: 'd-1', webhook_id: 'w-1', event_type: 'webhook.ping', status: 'failed', attempts: [], created_at: new Date().toISOString() };
+    await fs.promises.writeFile(dataFile, JSON.stringify({ collections: { webhook_deliveries: [['d-1', delivery]] } }));
+
+    const api = await createTestApp({ dataFile });
+    t.after(async () => {
+        await api.close();
+        await fs.promises.rm(directory, { recursive: true, force: true });
+    });
+
+    assert.equal(api.store.collection('webhook_deliveries').size, 0);
+    assert.deepEqual(api.webhookStore.collection('webhook_deliveries').get('d-1'), delivery);
+});
@@ -0,0 +1,231 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./helpers/app');
+const { startReceiver } = require('./helpers/stubs');
+
+// No states given: centers get their workspace's default
+const CSV = [
+    'shopping_center_name,address_street,address_city,address_state,address_zip,county,tenant_name,tenant_suite_number,square_footage,retail_category',
+    'Harbor Point,1 Bay Rd,Dover,,19901,Kent,Giant,1,50000,Grocery',
+    'Harbor Point,1 Bay Rd,Dover,,19901,Kent,Vacant,2,2000,',
+    'Pike Creek,2 Creek Rd,Newark,,19711,New Castle,Starbucks,1,2000,Restaurant'
+].join('\n');
+
+test('workspaces', async t => {
+    const api = await createTestApp();
+    const receiver = await startReceiver();
+    t.after(async () => {
+        await api.close();
+        await receiver.close();
+    });
+
+    const inDelaware = (method, pathname, options) => api.request(method, `/api/workspaces/delaware${pathname}`, options);
+    const centerNamed = async (prefix, name) =>
+        (await api.request('GET', `${prefix}/shopping-centers/`)).body.data.find(center => center.name === name);
+
+    await t.test('creates workspaces with settings', async () => {
+        const created = await api.request('POST', '/api/workspaces', {
+            body: { id: 'delaware', name: 'Delaware client', settings: { default_state: 'de' } }
+        });
+        assert.equal(created.status, 201);
+        assert.equal(created.body.settings.default_state, 'DE');
+        assert.equal(created.body.shopping_centers, 0);
+
+        const taken = await api.request('POST', '/api/workspaces', { body: { id: 'delaware', name: 'Again' } });
+        assert.equal(taken.status, 409);
+
+        const bad = await api.request('POST', '/api/workspaces', { body: { id: 'Bad Id', name: 'Bad', settings: { default_state: 'XX' } } });
+        assert.equal(bad.status, 400);
+        assert.deepEqual(bad.body.details.map(detail => detail.field).sort(), ['id']);
+
+        const badSetting = await api.request('POST', '/api/workspaces', { body: { id: 'ohio', name: 'Ohio', settings: { default_state: 'XX' } } });
+        assert.equal(badSetting.status, 400);
+        assert.equal(badSetting.body.details[0].field, 'settings.default_state');
+
+        const list = await api.request('GET', '/api/workspaces');
+        assert.deepEqual(list.body.data.map(workspace => workspace.id), ['default', 'delaware']);
+        assert.equal(list.body.data[0].settings.default_state, 'PA');
+    });
+
+    await t.test('keeps data apart and fills in the default state', async () => {
+        const imported = await api.importCsv(CSV, { workspace: 'delaware' });
+        assert.equal(imported.status, 200);
+        assert.equal(imported.body.details.spaces_created, 3);
+
+        const harbor = await centerNamed('/api/workspaces/delaware', 'Harbor Point');
+        assert.equal(harbor.address_state, 'DE');
+        assert.equal((await api.request('GET', '/api/shopping-centers/')).body.data.length, 0);
+        assert.equal((await api.request('GET', `/api/shopping-centers/${harbor.id}`)).status, 404);
+
+        // The same name can be used in each workspace
+        const created = await api.request('POST', '/api/shopping-centers/', { body: { name: 'Harbor Point', address_city: 'Erie' } });
+        assert.equal(created.status, 201);
+        assert.equal(created.body.address_state, 'PA');
+
+        const jobs = await inDelaware('GET', '/import-jobs');
+        assert.equal(jobs.body.count, 1);
+        assert.equal((await api.request('GET', '/api/import-jobs')).body.count, 0);
+
+        const exported = await inDelaware('GET', '/export');
+        assert.equal(exported.status, 200);
+        assert.match(exported.body, /Pike Creek/);
+        assert.doesNotMatch((await api.request('GET', '/api/export')).body, /Pike Creek/);
+    });
+
+    await t.test('links import jobs within their workspace', async () => {
+        const form = new FormData();
+        form.append('file', new Blob([CSV], { type: 'text/csv' }), 'queued.csv');
+        const queued = await inDelaware('POST', '/import-csv-v3/?dry_run=true', { body: form });
+        assert.equal(queued.status, 202);
+        assert.equal(queued.body.status_url, `/api/workspaces/delaware/import-jobs/${queued.body.job_id}`);
+
+        const job = await api.request('GET', queued.body.status_url);
+        assert.equal(job.status, 200);
+        assert.equal(job.body.errors_url, `/api/workspaces/delaware/import-jobs/${queued.body.job_id}/errors`);
+        assert.equal((await api.request('GET', job.body.errors_url)).status, 200);
+    });
+
+    await t.test('changes settings without losing the others', async () => {
+        const updated = await api.request('PATCH', '/api/workspaces/delaware', { body: { settings: { default_state: 'MD' } } });
+        assert.equal(updated.status, 200);
+        assert.equal(updated.body.name, 'Delaware client');
+        assert.equal(updated.body.settings.default_state, 'MD');
+
+        const created = await inDelaware('POST', '/shopping-centers/', { body: { name: 'Bel Air Plaza', address_city: 'Bel Air' } });
+        assert.equal(created.body.address_state, 'MD');
+    });
+
+    await t.test('copies centers into another workspace', async () => {
+        const harbor = await centerNamed('/api/workspaces/delaware', 'Harbor Point');
+        const pike = await centerNamed('/api/workspaces/delaware', 'Pike Creek');
+
+        const copied = await inDelaware('POST', '/shopping-centers/copy', {
+            body: { target_workspace: 'default', shopping_center_ids: [harbor.id, pike.id, 'missing'] }
+        });
+        assert.equal(copied.status, 200);
+        assert.deepEqual(copied.body.copied.map(entry => entry.name), ['Pike Creek']);
+        assert.deepEqual(copied.body.skipped.map(entry => entry.name), ['Harbor Point']);
+        assert.deepEqual(copied.body.not_found, ['missing']);
+
+        const copy = (await api.request('GET', `/api/shopping-centers/${copied.body.copied[0].target_id}`)).body;
+        assert.equal(copy.name, 'Pike Creek');
+        assert.notEqual(copy.id, pike.id);
+        assert.deepEqual(copy.copied_from, { workspace_id: 'delaware', shopping_center_id: pike.id });
+        const spaces = (await api.request('GET', `/api/shopping-centers/${copy.id}/tenants`)).body;
+        assert.deepEqual(spaces.map(space => [space.tenant_name, space.brand]), [['Starbucks', 'starbucks']]);
+
+        const replaced = await inDelaware('POST', '/shopping-centers/copy', {
+            body: { target_workspace: 'default', shopping_center_ids: [harbor.id], on_conflict: 'replace' }
+        });
+        assert.equal(replaced.body.copied[0].spaces_copied, 2);
+        const target = await centerNamed('/api', 'Harbor Point');
+        assert.equal(target.address_city, 'Dover');
+        assert.equal((await api.request('GET', `/api/shopping-centers/${target.id}/tenants`)).body.length, 2);
+
+        // The source is untouched
+        assert.equal((await inDelaware('GET', `/shopping-centers/${harbor.id}/tenants`)).body.length, 2);
+
+        const self = await inDelaware('POST', '/shopping-centers/copy', { body: { target_workspace: 'delaware', shopping_center_ids: [harbor.id] } });
+        assert.equal(self.status, 400);
+        const unknown = await inDelaware('POST', '/shopping-centers/copy', { body: { target_workspace: 'nowhere', shopping_center_ids: [harbor.id] } });
+        assert.equal(unknown.status, 400);
+    });
+
+    await t.test('keeps hand-entered coordinates in their workspace', async () => {
+        const pike = await centerNamed('/api/workspaces/delaware', 'Pike Creek');
+        const pinned = await inDelaware('PUT', `/shopping-centers/${pike.id}/coordinates`, { body: { latitude: 39.7, longitude: -75.7 } });
+        assert.equal(pinned.status, 200);
+
+        // The default workspace's copy has the same address but no override
+        const elsewhere = await api.request('POST', '/api/shopping-centers/geocode-missing');
+        assert.ok(elsewhere.body.not_geocoded.some(center => center.name === 'Pike Creek'));
+
+        const created = await inDelaware('POST', '/shopping-centers/', {
+            body: { name: 'Pike Creek East', address_street: '2 Creek Rd', address_city: 'Newark', address_state: 'DE', address_zip: '19711' }
+        });
+        await inDelaware('POST', '/shopping-centers/geocode-missing');
+        const same = (await inDelaware('GET', `/shopping-centers/${created.body.id}`)).body;
+        assert.deepEqual([same.latitude, same.longitude, same.geocode_source], [39.7, -75.7, 'manual']);
+    });
+
+    await t.test('names the workspace in events and filters on it', async () => {
+        const subscribed = await api.request('POST', '/api/webhooks', {
+            body: { url: receiver.url, events: ['shopping_center.created'], workspaces: ['delaware'] }
+        });
+        assert.equal(subscribed.status, 201);
+
+        await api.request('POST', '/api/shopping-centers/', { body: { name: 'Not Sent', address_city: 'Erie' } });
+        await inDelaware('POST', '/shopping-centers/', { body: { name: 'Sent', address_city: 'Lewes' } });
+
+        await receiver.waitFor(1);
+        const events = receiver.received.map(request => JSON.parse(request.body));
+        assert.deepEqual(events.map(event => [event.workspace_id, event.data.shopping_center.name]), [['delaware', 'Sent']]);
+    });
+
+    await t.test('keeps keys limited to their workspaces', async () => {
+        const unknown = await api.request('POST', '/api/admin/api-keys', { body: { name: 'Typo', role: 'read_only', workspaces: ['delawre'] } });
+        assert.equal(unknown.status, 400);
+
+        const created = await api.request('POST', '/api/admin/api-keys', { body: { name: 'Delaware client', role: 'read_only', workspaces: ['delaware'] } });
+        assert.equal(created.status, 201);
+        assert.deepEqual(created.body.workspaces, ['delaware']);
+
+        const asClient = (method, pathname, options = {}) =>
+            api.request(method, pathname, { ...options, headers: { 'X-API-Key': created.body.key } });
+        assert.equal((await asClient('GET', '/api/workspaces/delaware/shopping-centers/')).status, 200);
+        assert.equal((await asClient('GET', '/api/shopping-centers/')).status, 403);
+        assert.equal((await asClient('GET', '/api/workspaces/default/portfolio/vacancy-stats')).status, 403);
+        assert.equal((await asClient('GET', '/api/workspaces/default')).status, 403);
+        assert.equal((await asClient('GET', '/api/workspaces/nowhere/shopping-centers/')).status, 403);
+        assert.deepEqual((await asClient('GET', '/api/workspaces')).body.data.map(workspace => workspace.id), ['delaware']);
+        assert.deepEqual((await asClient('GET', '/api/auth/me')).body.workspaces, ['delaware']);
+
+        // Sessions made from the key share its limit
+        const session = await asClient('POST', '/api/auth/token');
+        const withToken = pathname => api.request('GET', pathname, { headers: { Authorization: `Bearer ${session.body.token}` } });
+        assert.equal((await withToken('/api/workspaces/delaware/shopping-centers/')).status, 200);
+        assert.equal((await withToken('/api/shopping-centers/')).status, 403);
+
+        // An analyst can't copy into a workspace it can't reach
+        const analyst = await api.request('POST', '/api/admin/api-keys', { body: { name: 'Delaware analyst', role: 'analyst', workspaces: ['delaware'] } });
+        const harbor = await centerNamed('/api/workspaces/delaware', 'Harbor Point');
+        const copy = await api.request('POST', '/api/workspaces/delaware/shopping-centers/copy', {
+            body: { target_workspace: 'default', shopping_center_ids: [harbor.id] },
+            headers: { 'X-API-Key': analyst.body.key }
+        });
+        assert.equal(copy.status, 403);
+    });
+
+    await t.test('answers 404 for unknown workspaces', async () => {
+        assert.equal((await api.request('GET', '/api/workspaces/nowhere/shopping-centers/')).status, 404);
+        assert.equal((await api.request('GET', '/api/workspaces/nowhere')).status, 404);
+    });
+
+    await t.test('deletes only empty workspaces, never the default', async () => {
+        assert.equal((await api.request('DELETE', '/api/workspaces/default')).status, 409);
+        assert.equal((await api.request('DELETE', '/api/workspaces/delaware')).status, 409);
+
+        assert.equal((await api.request('POST', '/api/workspaces', { body: { id: 'scratch', name: 'Scratch' } })).status, 201);
+
+        // Not while a key is limited to it: with the workspace gone, the key
+        // would reach every workspace
+        const key = await api.request('POST', '/api/admin/api-keys', { body: { name: 'Scratch only', role: 'read_only', workspaces: ['scratch'] } });
+        const refused = await api.request('DELETE', '/api/workspaces/scratch');
+        assert.equal(refused.status, 409);
+        assert.deepEqual(refused.body.api_keys, [{ id: key.body.id, name: 'Scratch only' }]);
+        await api.request('DELETE', `/api/admin/api-keys/${key.body.id}`);
+
+        const deleted = await api.request('DELETE', '/api/workspaces/scratch');
+        assert.equal(deleted.status, 200);
+        assert.equal((await api.request('GET', '/api/workspaces/scratch/shopping-centers/')).status, 404);
+    });
+
+    await t.test('reports workspace changes that fail to save', async () => {
+        const flush = api.store.flush;
+        api.store.flush = async () => { throw new Error('disk full'); };
+        const created = await api.request('POST', '/api/workspaces', { body: { id: 'unsaved', name: 'Unsaved' } });
+        api.store.flush = flush;
+        assert.equal(created.status, 500);
+        assert.equal(created.body.error, 'Failed to create workspace');
+    });
+});